@@ -4,16 +4,32 @@ import mongoose from 'mongoose';
 import dotenv from 'dotenv';
 import multer from 'multer';
 import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
 const require = createRequire(import.meta.url);
 const pdfParse = require('pdf-parse');
 import mammoth from 'mammoth';
-import { PeopleFinderTool, MockPeopleFinderTool } from './services/peopleFinder.js';
-import { JobFinderTool, MockJobFinderTool } from './services/jobFinder.js';
-import { HappenstanceEnricher, MockHappenstanceEnricher } from './services/happenstanceEnricher.js';
-import { TombaEnricher, MockTombaEnricher } from './services/tombaEnricher.js';
-import { EmailSenderService, MockEmailSenderService } from './services/emailSender.js';
+import { MockEmailSenderService, sentFromFields } from './services/emailSender.js';
+import { getUserServices } from './services/userServices.js';
+import { CredentialVault } from './services/credentialVault.js';
+import { SenderPool, publicIdentity } from './services/senderIdentities.js';
 import { getOrchestrator } from './services/agentOrchestrator.js';
-import { Receipt, Contact, Job, Workflow, Email, Resume } from './models/schemas.js';
+import { WorkflowEventStream } from './services/workflowEvents.js';
+import { QuoteMarketplace } from './services/quoteMarketplace.js';
+import { ContactResolver, workflowContactsFilter } from './services/contactResolver.js';
+import { JobResolver, workflowJobsFilter } from './services/jobResolver.js';
+import { SuppressionList, suppressionKey } from './services/suppressionList.js';
+import { EmailScheduler } from './services/emailScheduler.js';
+import { FollowUpSequencer, followUpStartFields, followUpDelays } from './services/followUpSequencer.js';
+import { ReplyPoller } from './services/replyPoller.js';
+import { REPLY_INTENTS } from './services/replyClassifier.js';
+import { ReplyTriage } from './services/replyTriage.js';
+import { BounceHandler } from './services/bounceHandler.js';
+import { EmailTracker, TRACKING_PIXEL } from './services/emailTracking.js';
+import { AuthService, publicUser } from './services/auth.js';
+import { WorkspaceService } from './services/workspaces.js';
+import { getAuditLog, diffFields } from './services/auditLog.js';
+import { getCostLedger } from './services/costLedger.js';
+import { Offer, Receipt, Contact, Job, Workflow, Email, Resume, DoNotContact } from './models/schemas.js';
 
 // Configure multer for file uploads (store in memory)
 const upload = multer({
@@ -41,71 +57,123 @@ app.use(express.json({ limit: '10mb' })); // Increase limit for resume uploads
 
 const PORT = process.env.PORT || 3001;
 const MONGODB_URI = process.env.MONGODB_URI;
-const APIFY_TOKEN = process.env.APIFY_TOKEN;
-const HAPPENSTANCE_API_KEY = process.env.HAPPENSTANCE_API_KEY;
-const TOMBA_API_KEY = process.env.TOMBA_API_KEY;
-const TOMBA_API_SECRET = process.env.TOMBA_API_SECRET;
-
-// Global service instances for reuse
-let peopleFinder = null;
-let jobFinder = null;
-let happenstanceEnricher = null;
-let tombaEnricher = null;
-let emailSender = null;
-
-// Validate required environment variables
-if (!MONGODB_URI) {
-  console.error('❌ MONGODB_URI is required. Please set it in your .env file.');
-  console.error('   Get your MongoDB Atlas connection string from: https://cloud.mongodb.com');
-  process.exit(1);
-}
+
+// Global service instances for reuse (providers, drafters and senders are per user, see userServices)
+let emailScheduler = null;
+let followUpSequencer = null;
+let replyPoller = null;
+let replyTriage = null;
+let workflowEvents = null;
+const userServices = getUserServices();
+const credentialVault = new CredentialVault();
+const marketplace = new QuoteMarketplace();
+const contactResolver = new ContactResolver();
+const jobResolver = new JobResolver();
+const suppressionList = new SuppressionList();
+const emailTracker = new EmailTracker();
+const senderPool = new SenderPool();
+const auth = new AuthService();
+const workspaces = new WorkspaceService();
+const auditLog = getAuditLog();
+const ledger = getCostLedger();
 
 // Initialize tools
-const initializeTools = () => {
-  // Initialize People Finder
-  if (APIFY_TOKEN) {
-    peopleFinder = new PeopleFinderTool(APIFY_TOKEN);
-    console.log('✓ Initialized People Finder (Apify Exa)');
-    
-    // Initialize LinkedIn Job Finder
-    jobFinder = new JobFinderTool(APIFY_TOKEN);
-    console.log('✓ Initialized LinkedIn Job Finder (Apify)');
-  } else {
-    peopleFinder = new MockPeopleFinderTool();
-    console.log('✓ Initialized mock People Finder');
-    
-    jobFinder = new MockJobFinderTool();
-    console.log('✓ Initialized mock Job Finder');
-  }
+const initializeTools = async () => {
+  // Each user's providers, drafters and email sender are built from their own credentials (see userServices).
+  // Every sender shares the do-not-contact list, bounce handling (hard bounces are re-enriched through the
+  // agent's email lookup chain), open/click tracking, the sender identity pool, teammates' claims (see workspaces)
+  // and the audit log.
+  const orchestrator = getOrchestrator();
+  const bounceHandler = new BounceHandler({ enricher: orchestrator });
+  userServices.configure({ suppressionList, bounceHandler, tracker: emailTracker, identities: senderPool, workspaces, audit: auditLog });
+  console.log(`✓ Provider credentials: ${userServices.sharedCredentials ? "each user's own, falling back to the server's" : "each user's own (missing keys use mocks)"}`);
+
+  emailScheduler = new EmailScheduler({ services: userServices });
+  followUpSequencer = new FollowUpSequencer({
+    services: userServices,
+    scheduler: emailScheduler,
+    suppressionList
+  });
+  replyTriage = new ReplyTriage({
+    services: userServices,
+    contactResolver,
+    suppressionList,
+    sequencer: followUpSequencer
+  });
+  // Checks the server's inbox (IMAP_*) and each user's SMTP and sender identity inboxes that have IMAP set up
+  replyPoller = new ReplyPoller({
+    sequencer: followUpSequencer,
+    triage: replyTriage,
+    bounces: bounceHandler,
+    inboxes: () => userServices.replyInboxes()
+  });
+  console.log(replyPoller.isConfigured ? "✓ Reply detection configured (server IMAP, plus users' own inboxes)" : "✓ Reply detection on users' own inboxes (server IMAP not configured)");
+};
 
-  // Initialize Happenstance enricher for person data enrichment
-  if (HAPPENSTANCE_API_KEY) {
-    happenstanceEnricher = new HappenstanceEnricher(HAPPENSTANCE_API_KEY);
-    console.log('✓ Initialized Happenstance Enricher (real API)');
-  } else {
-    happenstanceEnricher = new MockHappenstanceEnricher();
-    console.log('✓ Initialized mock Happenstance Enricher');
-  }
+// Models whose unique identity indexes couldn't be built at startup, reported by /health (details are logged)
+const failedIndexes = new Set();
 
-  // Initialize Tomba enricher for LinkedIn email lookup
-  if (TOMBA_API_KEY && TOMBA_API_SECRET) {
-    tombaEnricher = new TombaEnricher(TOMBA_API_KEY, TOMBA_API_SECRET);
-    console.log('✓ Initialized Tomba Enricher (real API)');
-  } else {
-    tombaEnricher = new MockTombaEnricher();
-    console.log('✓ Initialized mock Tomba Enricher');
+/**
+ * Build the per-owner unique identity indexes, backfilling keys and resolving duplicates left by
+ * older versions first (an index build fails on existing duplicates). A failure is logged and
+ * reported by /health rather than stopping the server.
+ */
+const syncIdentityIndexes = async () => {
+  const migrations = [
+    [Contact, () => contactResolver.migrateLinkedInKeys()],
+    [Job, () => jobResolver.migrateIdentityKeys()]
+  ];
+  for (const [model, migrate] of migrations) {
+    try {
+      await migrate();
+      await model.syncIndexes();
+      failedIndexes.delete(model.modelName);
+    } catch (error) {
+      failedIndexes.add(model.modelName);
+      console.error(`❌ ${model.modelName} identity indexes could not be built: ${error.message}`);
+    }
   }
+};
 
-  // Initialize email sender service
-  if (process.env.SMTP_HOST && process.env.SMTP_USER && process.env.SMTP_PASS) {
-    emailSender = new EmailSenderService();
-    console.log('✓ Email Sender configured (SMTP)');
-  } else {
-    emailSender = new MockEmailSenderService();
-    console.log('✓ Using mock Email Sender (SMTP not configured)');
-  }
+// Providers that compete in a user's quote sweeps, mocks included
+const marketplaceProviders = ({ providers }) => ({
+  people_finder: providers.list('people_search'),
+  job_finder: providers.list('job_search')
+});
+
+// Sender identity fields whose before/after the audit log keeps (passwords only as has_password)
+const IDENTITY_AUDIT_FIELDS = ['name', 'from_name', 'from_email', 'reply_to', 'signature', 'daily_cap', 'active', 'smtp.host', 'smtp.port', 'smtp.user', 'smtp.has_password', 'imap.host', 'imap.user', 'warmup.enabled'];
+
+// Statuses a draft can be sent from by hand (anything else is queued, mid-send or already sent)
+const SENDABLE_DRAFT_STATUSES = ['draft', 'reviewed', 'held', 'failed'];
+
+/**
+ * Make an enrichment call for the user through the cost ledger, as workflows do.
+ * It costs the user's provider's price for each call `billed(result)` counts; mocks are free.
+ * @returns {Promise<Object>} - { result, receipt, priceUsd }
+ */
+const paidEnrichment = async (req, { providers }, type, entry, call, billed) => {
+  const provider = providers.get(type);
+  const priceUsd = providers.isMock(type) ? 0 : provider.basePriceUsd || 0;
+  const { result, receipt } = await ledger.track({
+    ownerId: req.user._id,
+    toolName: provider.name,
+    provider: provider.providerName,
+    quotedUsd: priceUsd,
+    ...entry
+  }, call, result => priceUsd * billed(result));
+  return { result, receipt, priceUsd };
 };
 
+// An enrichment that ran (the research is billed whether or not it found anything)
+const enrichmentRan = contact => contact?.enrichment_source && !contact.enrichment_error ? 1 : 0;
+
+// A lookup that found something (Tomba bills hits only)
+const lookupFound = result => result?.success ? 1 : 0;
+
+// A provider's stored credential fields as the audit log keeps them: masked like the credentials API shows them
+const credentialFields = (view) => Object.fromEntries((view?.fields || []).map(field => [field.name, field.value]));
+
 // ============================================
 // API Routes
 // ============================================
@@ -114,7 +182,111 @@ const initializeTools = () => {
  * Health check
  */
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  const degraded = failedIndexes.size > 0;
+  res.json({
+    status: degraded ? 'degraded' : 'ok',
+    timestamp: new Date().toISOString(),
+    ...(degraded ? { failed_indexes: [...failedIndexes] } : {})
+  });
+});
+
+// ============================================
+// Open/Click Tracking (hit by recipients' mail clients, not the dashboard)
+// ============================================
+
+/**
+ * Tracking pixel - records an open and always returns the image
+ */
+app.get('/t/o/:token', async (req, res) => {
+  try {
+    await emailTracker.recordOpen(req.params.token, { userAgent: req.get('user-agent') });
+  } catch (error) {
+    console.error('[Tracking] Open error:', error.message);
+  }
+
+  res.set({
+    'Content-Type': 'image/gif',
+    'Content-Length': TRACKING_PIXEL.length,
+    'Cache-Control': 'no-store, no-cache, must-revalidate, private'
+  });
+  res.end(TRACKING_PIXEL);
+});
+
+/**
+ * Tracked link - records a click and redirects to the original URL
+ */
+app.get('/t/c/:token', async (req, res) => {
+  try {
+    const url = await emailTracker.recordClick(req.params.token, { userAgent: req.get('user-agent') });
+    if (!url) {
+      return res.status(404).send('Link not found');
+    }
+    res.redirect(302, url);
+  } catch (error) {
+    console.error('[Tracking] Click error:', error.message);
+    res.status(500).send('Something went wrong');
+  }
+});
+
+// ============================================
+// Accounts (public - everything below requires a login)
+// ============================================
+
+/**
+ * Whether a new account can be created
+ */
+app.get('/api/auth/status', async (req, res) => {
+  try {
+    res.json({ signup_open: await auth.canSignUp() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Create an account - the first one is always allowed, later ones need AUTH_ALLOW_SIGNUPS=true
+ */
+app.post('/api/auth/register', async (req, res) => {
+  try {
+    const { email, password, name } = req.body;
+    res.status(201).json(await auth.register({ email, password, name }));
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Log in with email and password
+ */
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    res.json(await auth.login({ email, password }));
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+app.use('/api', auth.middleware());
+app.use('/api', auditLog.middleware());
+
+/**
+ * The logged-in user
+ */
+app.get('/api/auth/me', (req, res) => {
+  res.json({ user: publicUser(req.user) });
+});
+
+/**
+ * Log out everywhere (invalidates every token issued to the user)
+ */
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    await auth.logout(req.user._id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
 /**
@@ -122,12 +294,13 @@ app.get('/health', (req, res) => {
  */
 app.get('/api/stats', async (req, res) => {
   try {
+    const owned = { owner_id: req.user._id };
     const [jobsCount, contactsCount, receiptsCount, workflowsCount, totalSpentResult] = await Promise.all([
-      Job.countDocuments(),
-      Contact.countDocuments(),
-      Receipt.countDocuments(),
-      Workflow.countDocuments(),
-      Receipt.aggregate([{ $group: { _id: null, total: { $sum: '$amount_paid_usd' } } }])
+      Job.countDocuments(owned),
+      Contact.countDocuments(owned),
+      Receipt.countDocuments(owned),
+      Workflow.countDocuments(owned),
+      Receipt.aggregate([{ $match: owned }, { $group: { _id: null, total: { $sum: '$amount_paid_usd' } } }])
     ]);
 
     const totalSpent = totalSpentResult[0]?.total || 0;
@@ -182,6 +355,10 @@ app.post('/api/resume/upload', upload.single('resume'), async (req, res) => {
     }
 
     console.log(`[API] Successfully extracted ${text.length} characters from resume`);
+    await req.audit('resume.uploaded', {
+      target: { type: 'Resume', label: originalname },
+      metadata: { mimetype, size: buffer.length, characters: text.length }
+    });
 
     res.json({
       text,
@@ -199,6 +376,7 @@ app.post('/api/resume/upload', upload.single('resume'), async (req, res) => {
  */
 app.post('/api/people-finder/quote', async (req, res) => {
   try {
+    const { peopleFinder } = await userServices.forUser(req.user._id);
     const { query, company, role, numResults = 5 } = req.body;
 
     const quote = await peopleFinder.getQuote({
@@ -220,12 +398,38 @@ app.post('/api/people-finder/quote', async (req, res) => {
   }
 });
 
+/**
+ * Sweep quotes for a people search from every provider
+ * Each quote is saved as a pending offer; pay one with POST /api/pay/:offerId
+ */
+app.post('/api/people-finder/sweep', async (req, res) => {
+  try {
+    const { query, company, role, numResults = 5 } = req.body;
+
+    if (!query && !company) {
+      return res.status(400).json({ error: 'Please provide either a company name or a search query' });
+    }
+
+    const { people_finder: providers } = marketplaceProviders(await userServices.forUser(req.user._id));
+    const sweep = await marketplace.sweep('people_finder', { query, company, role, numResults }, { ownerId: req.user._id, providers });
+
+    res.json({
+      message: `Collected ${sweep.offers.length} offers`,
+      ...sweep
+    });
+  } catch (error) {
+    console.error('[API] People sweep error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * Full flow: execute people search
  * Optionally enrich contacts with Happenstance for email/personal info
  */
 app.post('/api/people-finder/search', async (req, res) => {
   try {
+    const { peopleFinder, personEnricher: happenstanceEnricher } = await userServices.forUser(req.user._id);
     const { 
       query, 
       company, 
@@ -252,14 +456,15 @@ app.post('/api/people-finder/search', async (req, res) => {
     const quote = await peopleFinder.getQuote({ query, company, role, numResults });
 
     // Create receipt record
-    const receipt = await Receipt.create({
-      tool_id: 'people-finder',
-      tool_name: peopleFinder.name,
+    const receipt = await ledger.record({
+      ownerId: req.user._id,
+      category: 'people_search',
+      toolId: 'people-finder',
+      toolName: peopleFinder.name,
       provider: peopleFinder.providerName,
-      amount_paid_usd: quote.price_usd,
-      transaction_id: `tx_${Date.now()}`,
-      response_data: result,
-      execution_time_ms: executionTime
+      quotedUsd: quote.price_usd,
+      responseData: result,
+      latencyMs: executionTime
     });
 
     // Enrich contacts with Happenstance if requested
@@ -285,18 +490,23 @@ app.post('/api/people-finder/search', async (req, res) => {
       
       for (const contact of contacts) {
         try {
-          await Contact.create({
-            ...contact,
+          await contactResolver.resolve(contact, {
+            ownerId: req.user._id,
             source: peopleFinder.providerName,
-            search_query: result.query,
-            cost_usd: costPerContact,
-            receipt_id: receipt._id
+            searchQuery: result.query,
+            costUsd: costPerContact,
+            receiptId: receipt._id
           });
         } catch (dbError) {
           console.error('[API] Failed to save contact:', dbError.message);
         }
       }
     }
+    await req.audit('search.people', {
+      target: { type: 'Receipt', id: receipt?._id, label: company || query },
+      costUsd: receipt?.amount_paid_usd,
+      metadata: { provider: peopleFinder.providerName, query, company, role, results: contacts.length }
+    });
 
     res.json({
       message: 'Search completed',
@@ -334,6 +544,7 @@ app.post('/api/people-finder/search', async (req, res) => {
  */
 app.post('/api/job-finder/quote', async (req, res) => {
   try {
+    const { jobFinder } = await userServices.forUser(req.user._id);
     const { 
       keywords, 
       location, 
@@ -370,11 +581,53 @@ app.post('/api/job-finder/quote', async (req, res) => {
   }
 });
 
+/**
+ * Sweep quotes for a job search from every provider
+ * Each quote is saved as a pending offer; pay one with POST /api/pay/:offerId
+ */
+app.post('/api/job-finder/sweep', async (req, res) => {
+  try {
+    const { 
+      keywords, 
+      location, 
+      company,
+      workArrangement,
+      seniorityLevel,
+      employmentType,
+      easyApplyOnly,
+      datePosted,
+      limit = 25
+    } = req.body;
+
+    const { job_finder: providers } = marketplaceProviders(await userServices.forUser(req.user._id));
+    const sweep = await marketplace.sweep('job_finder', {
+      keywords,
+      location,
+      company,
+      workArrangement,
+      seniorityLevel,
+      employmentType,
+      easyApplyOnly,
+      datePosted,
+      limit
+    }, { ownerId: req.user._id, providers });
+
+    res.json({
+      message: `Collected ${sweep.offers.length} offers`,
+      ...sweep
+    });
+  } catch (error) {
+    console.error('[API] Job sweep error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * Full job search flow
  */
 app.post('/api/job-finder/search', async (req, res) => {
   try {
+    const { jobFinder } = await userServices.forUser(req.user._id);
     const { 
       keywords, 
       location, 
@@ -406,14 +659,15 @@ app.post('/api/job-finder/search', async (req, res) => {
     const quote = await jobFinder.getQuote({ keywords, location, limit });
 
     // Create receipt record
-    const receipt = await Receipt.create({
-      tool_id: 'job-finder',
-      tool_name: jobFinder.name,
+    const receipt = await ledger.record({
+      ownerId: req.user._id,
+      category: 'job_search',
+      toolId: 'job-finder',
+      toolName: jobFinder.name,
       provider: jobFinder.providerName,
-      amount_paid_usd: quote.price_usd,
-      transaction_id: `tx_${Date.now()}`,
-      response_data: result,
-      execution_time_ms: executionTime
+      quotedUsd: quote.price_usd,
+      responseData: result,
+      latencyMs: executionTime
     });
 
     // Save jobs to database
@@ -421,14 +675,19 @@ app.post('/api/job-finder/search', async (req, res) => {
       const costPerJob = quote.price_usd / result.jobs.length;
       
       for (const job of result.jobs) {
-        await Job.create({
-          ...job,
+        await jobResolver.resolve(job, {
+          ownerId: req.user._id,
           source: jobFinder.providerName,
-          cost_usd: costPerJob,
-          receipt_id: receipt._id
+          costUsd: costPerJob,
+          receiptId: receipt._id
         });
       }
     }
+    await req.audit('search.jobs', {
+      target: { type: 'Receipt', id: receipt?._id, label: keywords || company },
+      costUsd: receipt?.amount_paid_usd,
+      metadata: { provider: jobFinder.providerName, keywords, location, company, results: result.jobs?.length || 0 }
+    });
 
     res.json({
       message: 'Job search completed',
@@ -459,17 +718,21 @@ app.get('/api/jobs', async (req, res) => {
       location, 
       company, 
       workArrangement,
+      minFitScore,
+      sort,
       limit = 100 
     } = req.query;
 
-    const filter = {};
+    const filter = { owner_id: req.user._id };
     if (keywords) filter.search_keywords = new RegExp(keywords, 'i');
     if (location) filter.location = new RegExp(location, 'i');
     if (company) filter.company_name = new RegExp(company, 'i');
     if (workArrangement) filter.work_arrangement = workArrangement;
+    if (minFitScore) filter.fit_score = { $gte: parseInt(minFitScore) };
 
+    // sort=fit ranks by fit score (unscored jobs last), otherwise newest first
     const jobs = await Job.find(filter)
-      .sort({ created_at: -1 })
+      .sort(sort === 'fit' ? { fit_score: -1, created_at: -1 } : { created_at: -1 })
       .limit(parseInt(limit));
     
     res.json({ 
@@ -486,7 +749,7 @@ app.get('/api/jobs', async (req, res) => {
  */
 app.get('/api/jobs/:id/provenance', async (req, res) => {
   try {
-    const job = await Job.findById(req.params.id).populate('receipt_id');
+    const job = await Job.findOne({ _id: req.params.id, owner_id: req.user._id }).populate('receipt_id');
     
     if (!job) {
       return res.status(404).json({ error: 'Job not found' });
@@ -511,12 +774,121 @@ app.get('/api/jobs/:id/provenance', async (req, res) => {
   }
 });
 
+/**
+ * Pay for an offer from a quote sweep
+ * Executes the search on the offer's provider, rejects the competing offers
+ * and saves the results with a receipt linked to the offer
+ */
+app.post('/api/pay/:offerId', async (req, res) => {
+  try {
+    const { offer, receipt, result } = await marketplace.pay(req.params.offerId, {
+      ownerId: req.user._id,
+      providers: marketplaceProviders(await userServices.forUser(req.user._id))
+    });
+
+    const response = {
+      message: 'Offer paid and executed',
+      offer,
+      receipt: {
+        id: receipt._id,
+        offer_id: offer._id,
+        transaction_id: receipt.transaction_id,
+        amount_paid_usd: receipt.amount_paid_usd,
+        execution_time_ms: receipt.execution_time_ms,
+        provider: offer.provider
+      }
+    };
+
+    if (offer.category === 'people_finder') {
+      const contacts = result?.contacts || [];
+      const costPerContact = offer.price_usd / (contacts.length || 1);
+
+      for (const contact of contacts) {
+        try {
+          await contactResolver.resolve(contact, {
+            ownerId: req.user._id,
+            source: offer.provider,
+            searchQuery: result.query,
+            costUsd: costPerContact,
+            receiptId: receipt._id
+          });
+        } catch (dbError) {
+          console.error('[API] Failed to save contact:', dbError.message);
+        }
+      }
+
+      response.contacts = contacts;
+    } else if (offer.category === 'job_finder') {
+      const jobs = result?.jobs || [];
+      const costPerJob = offer.price_usd / (jobs.length || 1);
+
+      for (const job of jobs) {
+        try {
+          await jobResolver.resolve(job, {
+            ownerId: req.user._id,
+            source: offer.provider,
+            costUsd: costPerJob,
+            receiptId: receipt._id
+          });
+        } catch (dbError) {
+          console.error('[API] Failed to save job:', dbError.message);
+        }
+      }
+
+      response.jobs = jobs;
+      response.total_found = jobs.length;
+    }
+    await req.audit('offer.paid', {
+      target: { type: 'Offer', id: offer._id, label: `${offer.provider} ${offer.category}` },
+      changes: [{ field: 'status', before: 'pending', after: offer.status }],
+      costUsd: receipt.amount_paid_usd,
+      metadata: { receipt_id: String(receipt._id), results: (response.contacts || response.jobs || []).length }
+    });
+
+    res.json(response);
+  } catch (error) {
+    console.error('[API] Pay offer error:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * List registered data providers with capabilities and which one is active per type (for the caller's credentials)
+ */
+app.get('/api/providers', async (req, res) => {
+  try {
+    const providers = await (await userServices.forUser(req.user._id)).providers.describe();
+    res.json({ providers });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Provider health: circuit breaker state per provider and each type's fallback chain
+ */
+app.get('/api/providers/health', async (req, res) => {
+  try {
+    const health = await (await userServices.forUser(req.user._id)).providers.health();
+    res.json(health);
+  } catch (error) {
+    console.error('[API] Provider health error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * Get all offers (including rejected)
  */
 app.get('/api/offers', async (req, res) => {
   try {
-    const offers = await Offer.find().sort({ created_at: -1 }).limit(50);
+    const { sweepId, status } = req.query;
+
+    const filter = { owner_id: req.user._id };
+    if (sweepId) filter.sweep_id = sweepId;
+    if (status) filter.status = status;
+
+    const offers = await Offer.find(filter).sort({ created_at: -1 }).limit(50);
     res.json({ offers });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -524,11 +896,15 @@ app.get('/api/offers', async (req, res) => {
 });
 
 /**
- * Get all receipts
+ * Get receipts, newest first - direct searches and every paid call made by workflows
+ * Query: workflow_id (one workflow's calls), category (e.g. people_search, email_generation)
  */
 app.get('/api/receipts', async (req, res) => {
   try {
-    const receipts = await Receipt.find().sort({ created_at: -1 }).limit(50);
+    const filter = { owner_id: req.user._id };
+    if (req.query.workflow_id) filter.workflow_id = req.query.workflow_id;
+    if (req.query.category) filter.category = req.query.category;
+    const receipts = await Receipt.find(filter).sort({ created_at: -1 }).limit(50);
     res.json({ receipts });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -536,23 +912,47 @@ app.get('/api/receipts', async (req, res) => {
 });
 
 /**
- * Get all contacts
+ * Get all contacts (with any workspace claims on them)
  */
 app.get('/api/contacts', async (req, res) => {
   try {
-    const contacts = await Contact.find().sort({ created_at: -1 }).limit(100);
+    const found = await Contact.find({ owner_id: req.user._id }).sort({ created_at: -1 }).limit(100);
+    const claims = await workspaces.claimsForContacts(req.user._id, found);
+    const contacts = found.map(contact => claims.has(String(contact._id))
+      ? { ...contact.toObject(), claims: claims.get(String(contact._id)) }
+      : contact);
     res.json({ contacts });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+/**
+ * Merge duplicate contacts left by runs before identity resolution
+ */
+app.post('/api/contacts/merge-duplicates', async (req, res) => {
+  try {
+    const { merges, ...result } = await contactResolver.mergeAllDuplicates(req.user._id);
+    for (const { canonical, duplicate, before } of merges) {
+      await req.audit('contact.merged', {
+        target: { type: 'Contact', id: canonical._id, label: canonical.name },
+        changes: diffFields(before, canonical, ['email', 'phone', 'title', 'location', 'linkedin_url']),
+        metadata: { merged_contact_id: String(duplicate._id) }
+      });
+    }
+    res.json({ message: 'Duplicate contacts merged', ...result });
+  } catch (error) {
+    console.error('[API] Merge duplicates error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * Get contact with cost provenance
  */
 app.get('/api/contacts/:id/provenance', async (req, res) => {
   try {
-    const contact = await Contact.findById(req.params.id).populate('receipt_id');
+    const contact = await Contact.findOne({ _id: req.params.id, owner_id: req.user._id }).populate('receipt_id');
     
     if (!contact) {
       return res.status(404).json({ error: 'Contact not found' });
@@ -569,7 +969,10 @@ app.get('/api/contacts/:id/provenance', async (req, res) => {
           total_paid: contact.receipt_id.amount_paid_usd,
           provider: contact.receipt_id.provider,
           timestamp: contact.receipt_id.created_at
-        } : null
+        } : null,
+        // Every search that found this person, across workflows
+        history: contact.sightings,
+        total_cost_usd: contact.sightings.reduce((sum, s) => sum + (s.cost_usd || 0), 0) || contact.cost_usd
       }
     });
   } catch (error) {
@@ -586,6 +989,7 @@ app.get('/api/contacts/:id/provenance', async (req, res) => {
  */
 app.post('/api/enrich/quote', async (req, res) => {
   try {
+    const { personEnricher: happenstanceEnricher } = await userServices.forUser(req.user._id);
     const { contacts } = req.body;
     
     if (!contacts || !Array.isArray(contacts) || contacts.length === 0) {
@@ -608,6 +1012,8 @@ app.post('/api/enrich/quote', async (req, res) => {
  */
 app.post('/api/enrich/contact', async (req, res) => {
   try {
+    const services = await userServices.forUser(req.user._id);
+    const { personEnricher: happenstanceEnricher } = services;
     const { contact, name, company, linkedinUrl } = req.body;
 
     // Build contact object from individual fields if not provided as object
@@ -625,12 +1031,15 @@ app.post('/api/enrich/contact', async (req, res) => {
 
     console.log(`[API] Enriching contact: ${contactToEnrich.name || contactToEnrich.linkedin_url}`);
 
-    const enrichedContact = await happenstanceEnricher.enrichContact(contactToEnrich);
+    const { result: enrichedContact, receipt } = await paidEnrichment(req, services, 'person_enrichment', {
+      category: 'person_enrichment',
+      toolId: 'person-enricher'
+    }, () => happenstanceEnricher.enrichContact(contactToEnrich), enrichmentRan);
 
     // If contact has an ID, update in database
     if (contact && contact._id) {
       try {
-        await Contact.findByIdAndUpdate(contact._id, {
+        const before = await Contact.findOneAndUpdate({ _id: contact._id, owner_id: req.user._id }, {
           email: enrichedContact.email,
           phone: enrichedContact.phone,
           location: enrichedContact.location,
@@ -639,6 +1048,14 @@ app.post('/api/enrich/contact', async (req, res) => {
           additional_emails: enrichedContact.additional_emails,
           social_profiles: enrichedContact.social_profiles
         });
+        if (before) {
+          await req.audit('contact.enriched', {
+            target: { type: 'Contact', id: before._id, label: before.name },
+            changes: diffFields(before, enrichedContact, ['email', 'phone', 'location']),
+            costUsd: receipt?.amount_paid_usd,
+            metadata: { source: enrichedContact.enrichment_source }
+          });
+        }
       } catch (dbError) {
         console.error('[API] Failed to update contact in DB:', dbError.message);
       }
@@ -664,6 +1081,8 @@ app.post('/api/enrich/contact', async (req, res) => {
  */
 app.post('/api/enrich/batch', async (req, res) => {
   try {
+    const services = await userServices.forUser(req.user._id);
+    const { personEnricher: happenstanceEnricher } = services;
     const { contacts, parallel = false } = req.body;
 
     if (!contacts || !Array.isArray(contacts) || contacts.length === 0) {
@@ -672,19 +1091,31 @@ app.post('/api/enrich/batch', async (req, res) => {
 
     console.log(`[API] Batch enriching ${contacts.length} contacts`);
 
-    const enrichedContacts = await happenstanceEnricher.enrichContacts(contacts, { parallel });
+    const { result: enrichedContacts, priceUsd } = await paidEnrichment(req, services, 'person_enrichment', {
+      category: 'person_enrichment',
+      toolId: 'person-enricher'
+    }, () => happenstanceEnricher.enrichContacts(contacts, { parallel }),
+    results => results.reduce((billed, contact) => billed + enrichmentRan(contact), 0));
 
     // Update contacts in database
     for (const enriched of enrichedContacts) {
       if (enriched._id) {
         try {
-          await Contact.findByIdAndUpdate(enriched._id, {
+          const before = await Contact.findOneAndUpdate({ _id: enriched._id, owner_id: req.user._id }, {
             email: enriched.email,
             phone: enriched.phone,
             location: enriched.location,
             enrichment_source: enriched.enrichment_source,
             enrichment_timestamp: enriched.enrichment_timestamp
           });
+          if (before) {
+            await req.audit('contact.enriched', {
+              target: { type: 'Contact', id: before._id, label: before.name },
+              changes: diffFields(before, enriched, ['email', 'phone', 'location']),
+              costUsd: priceUsd * enrichmentRan(enriched),
+              metadata: { source: enriched.enrichment_source, batch: true }
+            });
+          }
         } catch (dbError) {
           console.error('[API] Failed to update contact:', dbError.message);
         }
@@ -714,6 +1145,8 @@ app.post('/api/enrich/batch', async (req, res) => {
  */
 app.post('/api/enrich/linkedin', async (req, res) => {
   try {
+    const services = await userServices.forUser(req.user._id);
+    const { personEnricher: happenstanceEnricher } = services;
     const { linkedinUrl } = req.body;
 
     if (!linkedinUrl) {
@@ -722,7 +1155,15 @@ app.post('/api/enrich/linkedin', async (req, res) => {
 
     console.log(`[API] LinkedIn lookup: ${linkedinUrl}`);
 
-    const result = await happenstanceEnricher.lookupByLinkedIn(linkedinUrl);
+    const { result, receipt } = await paidEnrichment(req, services, 'person_enrichment', {
+      category: 'person_enrichment',
+      toolId: 'person-enricher'
+    }, () => happenstanceEnricher.lookupByLinkedIn(linkedinUrl), () => 1);
+    await req.audit('lookup.person', {
+      target: { type: 'Contact', label: linkedinUrl },
+      costUsd: receipt?.amount_paid_usd,
+      metadata: { provider: happenstanceEnricher.providerName, email: result.email }
+    });
 
     res.json({
       message: 'LinkedIn lookup completed',
@@ -740,6 +1181,8 @@ app.post('/api/enrich/linkedin', async (req, res) => {
  */
 app.post('/api/enrich/lookup', async (req, res) => {
   try {
+    const services = await userServices.forUser(req.user._id);
+    const { personEnricher: happenstanceEnricher } = services;
     const { name, company } = req.body;
 
     if (!name || !company) {
@@ -748,7 +1191,15 @@ app.post('/api/enrich/lookup', async (req, res) => {
 
     console.log(`[API] Person lookup: ${name} at ${company}`);
 
-    const result = await happenstanceEnricher.lookupByNameAndCompany(name, company);
+    const { result, receipt } = await paidEnrichment(req, services, 'person_enrichment', {
+      category: 'person_enrichment',
+      toolId: 'person-enricher'
+    }, () => happenstanceEnricher.lookupByNameAndCompany(name, company), () => 1);
+    await req.audit('lookup.person', {
+      target: { type: 'Contact', label: `${name} (${company})` },
+      costUsd: receipt?.amount_paid_usd,
+      metadata: { provider: happenstanceEnricher.providerName, email: result.email }
+    });
 
     res.json({
       message: 'Person lookup completed',
@@ -771,6 +1222,8 @@ app.post('/api/enrich/lookup', async (req, res) => {
  */
 app.post('/api/tomba/linkedin', async (req, res) => {
   try {
+    const services = await userServices.forUser(req.user._id);
+    const { emailEnricher: tombaEnricher } = services;
     const { url, linkedinUrl } = req.body;
     const linkedIn = url || linkedinUrl;
 
@@ -780,19 +1233,29 @@ app.post('/api/tomba/linkedin', async (req, res) => {
 
     console.log(`[API] Tomba LinkedIn lookup: ${linkedIn}`);
 
-    const result = await tombaEnricher.findEmailByLinkedIn(linkedIn);
+    const { result, receipt } = await paidEnrichment(req, services, 'email_lookup', {
+      category: 'email_enrichment',
+      toolId: 'email-lookup'
+    }, () => tombaEnricher.findEmailByLinkedIn(linkedIn), lookupFound);
 
+    let updated = 0;
     if (result.success) {
       // Optionally update contact in database if exists
-      await Contact.updateMany(
-        { linkedin_url: { $regex: linkedIn.split('/in/')[1]?.replace(/\/$/, ''), $options: 'i' } },
+      ({ modifiedCount: updated } = await Contact.updateMany(
+        { owner_id: req.user._id, linkedin_url: { $regex: linkedIn.split('/in/')[1]?.replace(/\/$/, ''), $options: 'i' } },
         { 
           email: result.email,
           email_source: 'tomba',
           email_confidence: result.confidence
         }
-      );
+      ));
     }
+    await req.audit('lookup.email', {
+      target: { type: 'Contact', label: linkedIn },
+      changes: result.success ? [{ field: 'email', before: null, after: result.email }] : [],
+      costUsd: receipt?.amount_paid_usd,
+      metadata: { provider: tombaEnricher.providerName, found: !!result.success, contacts_updated: updated }
+    });
 
     res.json(result);
   } catch (error) {
@@ -806,6 +1269,8 @@ app.post('/api/tomba/linkedin', async (req, res) => {
  */
 app.post('/api/tomba/find', async (req, res) => {
   try {
+    const services = await userServices.forUser(req.user._id);
+    const { emailEnricher: tombaEnricher } = services;
     const { firstName, lastName, domain, first_name, last_name } = req.body;
     const fName = firstName || first_name;
     const lName = lastName || last_name;
@@ -816,7 +1281,15 @@ app.post('/api/tomba/find', async (req, res) => {
 
     console.log(`[API] Tomba email find: ${fName} ${lName} at ${domain}`);
 
-    const result = await tombaEnricher.findEmailByNameDomain(fName, lName, domain);
+    const { result, receipt } = await paidEnrichment(req, services, 'email_lookup', {
+      category: 'email_enrichment',
+      toolId: 'email-lookup'
+    }, () => tombaEnricher.findEmailByNameDomain(fName, lName, domain), lookupFound);
+    await req.audit('lookup.email', {
+      target: { type: 'Contact', label: `${fName} ${lName} (${domain})` },
+      costUsd: receipt?.amount_paid_usd,
+      metadata: { provider: tombaEnricher.providerName, found: !!result.success, email: result.email }
+    });
 
     res.json(result);
   } catch (error) {
@@ -830,6 +1303,8 @@ app.post('/api/tomba/find', async (req, res) => {
  */
 app.post('/api/tomba/verify', async (req, res) => {
   try {
+    const services = await userServices.forUser(req.user._id);
+    const { emailEnricher: tombaEnricher } = services;
     const { email } = req.body;
 
     if (!email) {
@@ -838,7 +1313,15 @@ app.post('/api/tomba/verify', async (req, res) => {
 
     console.log(`[API] Tomba email verify: ${email}`);
 
-    const result = await tombaEnricher.verifyEmail(email);
+    const { result, receipt } = await paidEnrichment(req, services, 'email_lookup', {
+      category: 'email_enrichment',
+      toolId: 'email-verifier'
+    }, () => tombaEnricher.verifyEmail(email), lookupFound);
+    await req.audit('lookup.verification', {
+      target: { type: 'Contact', label: email },
+      costUsd: receipt?.amount_paid_usd,
+      metadata: { provider: tombaEnricher.providerName, result: result.result, is_valid: result.is_valid }
+    });
 
     res.json(result);
   } catch (error) {
@@ -852,6 +1335,8 @@ app.post('/api/tomba/verify', async (req, res) => {
  */
 app.post('/api/tomba/enrich-contact', async (req, res) => {
   try {
+    const services = await userServices.forUser(req.user._id);
+    const { emailEnricher: tombaEnricher } = services;
     const { contactId, linkedinUrl } = req.body;
 
     if (!contactId && !linkedinUrl) {
@@ -863,7 +1348,7 @@ app.post('/api/tomba/enrich-contact', async (req, res) => {
 
     // If contactId provided, get LinkedIn URL from contact
     if (contactId) {
-      contact = await Contact.findById(contactId);
+      contact = await Contact.findOne({ _id: contactId, owner_id: req.user._id });
       if (!contact) {
         return res.status(404).json({ error: 'Contact not found' });
       }
@@ -876,7 +1361,11 @@ app.post('/api/tomba/enrich-contact', async (req, res) => {
 
     console.log(`[API] Tomba enrich contact: ${linkedIn}`);
 
-    const result = await tombaEnricher.findEmailByLinkedIn(linkedIn);
+    const { result, receipt } = await paidEnrichment(req, services, 'email_lookup', {
+      category: 'email_enrichment',
+      toolId: 'email-lookup',
+      contactId: contact?._id
+    }, () => tombaEnricher.findEmailByLinkedIn(linkedIn), lookupFound);
 
     if (result.success && contact) {
       // Update contact in database
@@ -885,6 +1374,11 @@ app.post('/api/tomba/enrich-contact', async (req, res) => {
         email_source: 'tomba',
         email_confidence: result.confidence
       });
+      await req.audit('contact.enriched', {
+        target: { type: 'Contact', id: contact._id, label: contact.name },
+        changes: diffFields(contact, { email: result.email, email_source: 'tomba', email_confidence: result.confidence }, ['email', 'email_source', 'email_confidence']),
+        costUsd: receipt?.amount_paid_usd
+      });
     }
 
     res.json({
@@ -909,6 +1403,7 @@ app.post('/api/tomba/enrich-contact', async (req, res) => {
  */
 app.post('/api/email/send', async (req, res) => {
   try {
+    const { emailSender } = await userServices.forUser(req.user._id);
     const { to, subject, body, html, replyTo } = req.body;
 
     if (!to || !subject || !body) {
@@ -917,7 +1412,7 @@ app.post('/api/email/send', async (req, res) => {
 
     console.log(`[API] Sending email to: ${to}`);
 
-    const result = await emailSender.sendEmail({ to, subject, body, html, replyTo });
+    const result = await emailSender.sendEmail({ to, subject, body, html, replyTo, approved: !!req.body.approved, ownerId: req.user._id });
 
     if (result.success) {
       res.json({
@@ -926,7 +1421,7 @@ app.post('/api/email/send', async (req, res) => {
         messageId: result.messageId
       });
     } else {
-      res.status(400).json(result);
+      res.status(result.suppressed ? 403 : result.held ? 409 : 400).json(result);
     }
   } catch (error) {
     console.error('[API] Email send error:', error.message);
@@ -939,16 +1434,24 @@ app.post('/api/email/send', async (req, res) => {
  */
 app.post('/api/email/send-draft/:emailId', async (req, res) => {
   try {
+    const { emailSender } = await userServices.forUser(req.user._id);
     const { emailId } = req.params;
     const { replyTo } = req.body;
 
     console.log(`[API] Sending drafted email: ${emailId}`);
 
-    // Get the email draft
-    const emailDraft = await Email.findById(emailId).populate('contact_id');
-    
+    // Claim the draft so the scheduler (or a second click) can't send it at the same time
+    const emailDraft = await Email.findOneAndUpdate(
+      { _id: emailId, owner_id: req.user._id, status: { $in: SENDABLE_DRAFT_STATUSES } },
+      { status: 'sending' }
+    ).populate('contact_id');
+
     if (!emailDraft) {
-      return res.status(404).json({ error: 'Email draft not found' });
+      const existing = await Email.findOne({ _id: emailId, owner_id: req.user._id }).select('status');
+      if (!existing) {
+        return res.status(404).json({ error: 'Email draft not found' });
+      }
+      return res.status(409).json({ error: `Email is ${existing.status} and can't be sent as a draft` });
     }
 
     // Get recipient email - either from draft or from associated contact
@@ -959,6 +1462,7 @@ app.post('/api/email/send-draft/:emailId', async (req, res) => {
     }
 
     if (!recipientEmail) {
+      await Email.findByIdAndUpdate(emailId, { status: emailDraft.status });
       return res.status(400).json({ 
         error: 'No recipient email address available. Please enrich the contact first.',
         contact_id: emailDraft.contact_id?._id
@@ -966,23 +1470,54 @@ app.post('/api/email/send-draft/:emailId', async (req, res) => {
     }
 
     // Send the email
-    const result = await emailSender.sendEmail({
-      to: recipientEmail,
-      subject: emailDraft.subject,
-      body: emailDraft.body,
-      replyTo
-    });
+    let result;
+    try {
+      result = await emailSender.sendEmail({
+        to: recipientEmail,
+        subject: emailDraft.subject,
+        body: emailDraft.body,
+        replyTo,
+        linkedinUrl: emailDraft.contact_id?.linkedin_url,
+        company: emailDraft.recipient_company || emailDraft.contact_id?.company,
+        inReplyTo: emailDraft.in_reply_to,
+        references: emailDraft.references,
+        emailId,
+        approved: !!emailDraft.approval?.approved_at,
+        senderIdentityId: emailDraft.sender_identity_id,
+        sameSender: !!emailDraft.thread_root_id,
+        ownerId: req.user._id,
+        contactId: emailDraft.contact_id?._id,
+        jobId: emailDraft.job_id
+      });
+    } catch (error) {
+      // It may have gone out before the error: leave it failed for the user to check rather than back as a draft
+      await Email.findByIdAndUpdate(emailId, { status: 'failed', 'schedule.last_error': error.message });
+      throw error;
+    }
+
+    if (result.held) {
+      await Email.findByIdAndUpdate(emailId, {
+        status: 'held',
+        approval: { required: true, reason: result.error }
+      });
+    } else if (!result.success) {
+      // Nothing was sent: give the draft back
+      await Email.findByIdAndUpdate(emailId, { status: emailDraft.status });
+    }
 
     if (result.success) {
-      // Update email status
+      // Update email status (and start its follow-up sequence)
+      const sentAt = new Date();
       await Email.findByIdAndUpdate(emailId, {
         status: 'sent',
-        sent_at: new Date(),
+        sent_at: sentAt,
         recipient_email: recipientEmail,
         send_result: {
           message_id: result.messageId,
           response: result.response
-        }
+        },
+        ...sentFromFields(result),
+        ...followUpStartFields(emailDraft, sentAt)
       });
 
       res.json({
@@ -992,7 +1527,7 @@ app.post('/api/email/send-draft/:emailId', async (req, res) => {
         sentTo: recipientEmail
       });
     } else {
-      res.status(400).json(result);
+      res.status(result.suppressed ? 403 : result.held || result.claimed ? 409 : 400).json(result);
     }
   } catch (error) {
     console.error('[API] Send draft error:', error.message);
@@ -1005,6 +1540,7 @@ app.post('/api/email/send-draft/:emailId', async (req, res) => {
  */
 app.post('/api/email/send-batch', async (req, res) => {
   try {
+    const { emailSender } = await userServices.forUser(req.user._id);
     const { emails, delay = 1000 } = req.body;
 
     if (!emails || !Array.isArray(emails) || emails.length === 0) {
@@ -1013,7 +1549,9 @@ app.post('/api/email/send-batch', async (req, res) => {
 
     console.log(`[API] Sending batch of ${emails.length} emails`);
 
-    const results = await emailSender.sendBatch(emails, { delay });
+    // Only plain messages - fields like emailId or senderIdentityId would reach into stored records
+    const messages = emails.map(({ to, subject, body, html, replyTo }) => ({ to, subject, body, html, replyTo }));
+    const results = await emailSender.sendBatch(messages, { delay, ownerId: req.user._id });
 
     res.json({
       success: results.failed === 0,
@@ -1031,11 +1569,12 @@ app.post('/api/email/send-batch', async (req, res) => {
  */
 app.post('/api/email/verify', async (req, res) => {
   try {
+    const { emailSender } = await userServices.forUser(req.user._id);
     const { testEmail } = req.body;
 
     console.log('[API] Verifying email configuration');
 
-    const result = await emailSender.verifyConfiguration(testEmail);
+    const result = await emailSender.verifyConfiguration(testEmail, req.user._id);
 
     res.json(result);
   } catch (error) {
@@ -1047,51 +1586,939 @@ app.post('/api/email/verify', async (req, res) => {
 /**
  * Get email service status
  */
-app.get('/api/email/status', (req, res) => {
-  res.json({
-    configured: emailSender.isAvailable(),
-    provider: emailSender.isAvailable() ? 'smtp' : 'mock',
-    fromEmail: emailSender.fromEmail || null
-  });
+app.get('/api/email/status', async (req, res) => {
+  try {
+    const { emailSender, emailVerifier } = await userServices.forUser(req.user._id);
+    const isMock = emailSender instanceof MockEmailSenderService;
+    const identities = isMock ? [] : await senderPool.list(req.user._id);
+    res.json({
+      configured: !isMock,
+      provider: isMock ? 'mock' : 'smtp',
+      fromEmail: emailSender.fromEmail || null,
+      identities: identities.map(identity => ({ _id: identity._id, from_email: identity.from_email, active: identity.active, usage: identity.usage })),
+      scheduler: {
+        running: !!emailScheduler.pollTimer,
+        business_hours: emailScheduler.businessHours,
+        default_time_zone: emailScheduler.defaultTimeZone
+      },
+      replies: replyPoller.getStatus(req.user._id),
+      tracking: emailTracker.getStatus(),
+      verification: {
+        enabled: emailVerifier.isEnabled,
+        hold_risky: emailVerifier.holdRisky,
+        max_age_days: emailVerifier.maxAgeDays
+      }
+    });
+  } catch (error) {
+    console.error('[API] Email status error:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
-// ============================================
-// Agentic Workflow Routes
-// ============================================
-
 /**
- * Start a new agentic workflow
- * 
- * This endpoint kicks off the full pipeline:
- * 1. Parse resume
- * 2. Search jobs for each target role
- * 3. Find contacts for each job
- * 4. Draft personalized emails for each contact
+ * Turn open/click tracking on or off for one email (before it's sent)
  */
-app.post('/api/agent/start', async (req, res) => {
+app.patch('/api/email/:emailId/tracking', async (req, res) => {
   try {
-    const {
-      resumeText,
-      targetRoles,
-      targetCompanies,
-      targetLocations,
-      preferences
-    } = req.body;
-
-    // Validate required fields
-    if (!resumeText) {
-      return res.status(400).json({ error: 'Resume text is required' });
+    if (typeof req.body.enabled !== 'boolean') {
+      return res.status(400).json({ error: 'enabled (true or false) is required' });
     }
 
-    if (!targetRoles || !Array.isArray(targetRoles) || targetRoles.length === 0) {
-      return res.status(400).json({ error: 'At least one target role is required' });
+    const email = await emailTracker.setEnabled(req.params.emailId, req.body.enabled, req.user._id);
+    if (!email) {
+      return res.status(404).json({ error: 'Email not found' });
     }
 
-    // Check if Fireworks API key is configured
-    if (!process.env.FIREWORKS_API_KEY) {
-      return res.status(500).json({ 
-        error: 'Fireworks API key not configured. Set FIREWORKS_API_KEY in your .env file.' 
-      });
+    res.json({ message: `Tracking ${req.body.enabled ? 'enabled' : 'disabled'} for this email`, tracking: email.tracking, global: emailTracker.getStatus() });
+  } catch (error) {
+    console.error('[API] Update email tracking error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// Scheduled Sending Routes
+// ============================================
+
+/**
+ * Schedule drafted emails to be sent later
+ * Body: emailIds (or emailId), sendAt (default now), businessHours, timeZone, spacingMinutes
+ */
+app.post('/api/email/schedule', async (req, res) => {
+  try {
+    const { emailId, emailIds, sendAt, businessHours, timeZone, spacingMinutes = 0 } = req.body;
+    const ids = emailIds || (emailId ? [emailId] : []);
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ error: 'emailIds array (or emailId) is required' });
+    }
+
+    const before = await Email.find({ _id: { $in: ids.filter(id => mongoose.isValidObjectId(id)) }, owner_id: req.user._id })
+      .select('status scheduled_at');
+    const result = await emailScheduler.scheduleMany(ids, {
+      sendAt,
+      businessHours: !!businessHours,
+      timeZone,
+      spacingMinutes: parseFloat(spacingMinutes) || 0,
+      ownerId: req.user._id
+    });
+    for (const email of result.scheduled) {
+      await req.audit('email.scheduled', {
+        target: { type: 'Email', id: email._id, label: email.recipient_email },
+        changes: diffFields(before.find(b => b._id.equals(email._id)), email, ['status', 'scheduled_at']),
+        metadata: { business_hours: !!email.schedule?.business_hours, time_zone: email.schedule?.time_zone }
+      });
+    }
+
+    res.status(result.scheduled.length > 0 ? 200 : 400).json({
+      success: result.errors.length === 0,
+      message: `Scheduled ${result.scheduled.length}/${ids.length} emails`,
+      ...result
+    });
+  } catch (error) {
+    console.error('[API] Schedule email error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * List the send queue (scheduled, sending and failed emails), next due first
+ */
+app.get('/api/email/scheduled', async (req, res) => {
+  try {
+    const { status, workflowId, limit = 100 } = req.query;
+    const emails = await emailScheduler.list({ status, workflowId, limit: parseInt(limit), ownerId: req.user._id });
+    res.json({ total: emails.length, emails });
+  } catch (error) {
+    console.error('[API] List scheduled emails error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Reschedule a scheduled or failed email
+ */
+app.patch('/api/email/scheduled/:emailId', async (req, res) => {
+  try {
+    const { sendAt, businessHours, timeZone } = req.body;
+    const before = await Email.findOne({ _id: req.params.emailId, owner_id: req.user._id }).select('status scheduled_at');
+    const email = await emailScheduler.reschedule(req.params.emailId, { sendAt, businessHours, timeZone, ownerId: req.user._id });
+    await req.audit('email.rescheduled', {
+      target: { type: 'Email', id: email._id, label: email.recipient_email },
+      changes: diffFields(before, email, ['status', 'scheduled_at'])
+    });
+    res.json({ message: 'Email rescheduled', email });
+  } catch (error) {
+    console.error('[API] Reschedule email error:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Cancel a scheduled email (it goes back to draft)
+ */
+app.delete('/api/email/scheduled/:emailId', async (req, res) => {
+  try {
+    const before = await Email.findOne({ _id: req.params.emailId, owner_id: req.user._id }).select('status scheduled_at');
+    const email = await emailScheduler.cancel(req.params.emailId, req.user._id);
+    await req.audit('email.schedule_cancelled', {
+      target: { type: 'Email', id: email._id, label: email.recipient_email },
+      changes: diffFields(before, email, ['status', 'scheduled_at'])
+    });
+    res.json({ message: 'Scheduled send cancelled', email });
+  } catch (error) {
+    console.error('[API] Cancel scheduled email error:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// Reply Detection Routes
+// ============================================
+
+/**
+ * Check the server's inbox and the user's own for replies now instead of waiting for the next poll
+ * The server's inbox is shared, so only the user's own replies and bounces are returned.
+ */
+app.post('/api/email/replies/check', async (req, res) => {
+  try {
+    if ((await replyPoller.listInboxes(req.user._id)).length === 0) {
+      return res.status(400).json({ error: 'IMAP not configured. Add an IMAP host to your SMTP settings or a sender identity.' });
+    }
+
+    const result = await replyPoller.poll({ ownerId: req.user._id });
+    const own = (entry) => String(entry.owner_id) === String(req.user._id);
+    res.json({ checked: result.checked, matched: result.matched.filter(own), bounced: result.bounced.filter(own) });
+  } catch (error) {
+    console.error('[API] Check replies error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Emails that got a reply, newest first
+ */
+app.get('/api/email/replies', async (req, res) => {
+  try {
+    const { workflowId, intent, limit = 50 } = req.query;
+    const query = { owner_id: req.user._id, 'reply.received_at': { $exists: true } };
+    if (workflowId) query.workflow_id = workflowId;
+    if (intent) query['reply.classification.intent'] = intent;
+
+    const emails = await Email.find(query)
+      .select('-linkedin_inmail -linkedin_connection_request -resume_context')
+      .populate('contact_id', 'name title company')
+      .populate('reply.classification.referral_contact_id', 'name title company email')
+      .sort({ responded_at: -1 })
+      .limit(parseInt(limit));
+
+    res.json({ emails });
+  } catch (error) {
+    console.error('[API] List replies error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Emails that bounced, newest first, with the contact's current address
+ */
+app.get('/api/email/bounces', async (req, res) => {
+  try {
+    const { workflowId, type, limit = 50 } = req.query;
+    const query = { owner_id: req.user._id, status: 'bounced' };
+    if (workflowId) query.workflow_id = workflowId;
+    if (type) query['bounce.type'] = type;
+
+    const emails = await Email.find(query)
+      .select('-linkedin_inmail -linkedin_connection_request -resume_context')
+      .populate('contact_id', 'name title company email email_source email_status')
+      .sort({ 'bounce.bounced_at': -1 })
+      .limit(parseInt(limit));
+
+    res.json({ emails });
+  } catch (error) {
+    console.error('[API] List bounces error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Classify (or re-classify) an email's reply and act on it
+ */
+app.post('/api/email/:emailId/classify-reply', async (req, res) => {
+  try {
+    const email = await Email.findOne({ _id: req.params.emailId, owner_id: req.user._id }).select('reply recipient_email');
+    if (!email) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+    if (!email.reply?.text && !email.reply?.message_id) {
+      return res.status(400).json({ error: 'Email has no reply to classify' });
+    }
+
+    const classification = await replyTriage.triage(req.params.emailId);
+    await req.audit('email.reply_classified', {
+      target: { type: 'Email', id: email._id, label: email.recipient_email },
+      changes: [{ field: 'reply.classification.intent', before: email.reply.classification?.intent ?? null, after: classification.intent }],
+      costUsd: classification.cost_usd,
+      metadata: {
+        model: classification.model,
+        confidence: classification.confidence,
+        referral_contact_id: classification.referral_contact_id,
+        suppression_id: classification.suppression_id
+      }
+    });
+
+    res.json({ classification, intents: REPLY_INTENTS });
+  } catch (error) {
+    console.error('[API] Classify reply error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// Follow-Up Sequence Routes
+// ============================================
+
+/**
+ * Follow-up sequences for a contact, with every step
+ */
+app.get('/api/contacts/:id/sequences', async (req, res) => {
+  try {
+    if (!await Contact.exists({ _id: req.params.id, owner_id: req.user._id })) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    const sequences = await followUpSequencer.getContactSequences(req.params.id);
+    res.json({ sequences, follow_up_steps: followUpDelays() });
+  } catch (error) {
+    console.error('[API] Get sequences error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Stop the follow-up sequence an email belongs to
+ */
+app.post('/api/email/:emailId/sequence/stop', async (req, res) => {
+  try {
+    const owned = await Email.exists({ _id: req.params.emailId, owner_id: req.user._id });
+    const root = owned && await followUpSequencer.stopSequence(req.params.emailId, 'cancelled');
+    if (!root) {
+      return res.status(404).json({ error: 'No active follow-up sequence for this email' });
+    }
+
+    res.json({ message: 'Follow-up sequence stopped', email: root });
+  } catch (error) {
+    console.error('[API] Stop sequence error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// Sender Identity Routes
+// ============================================
+
+/**
+ * List sender identities with today's usage (SMTP passwords are never returned)
+ */
+app.get('/api/sender-identities', async (req, res) => {
+  try {
+    const identities = await senderPool.list(req.user._id);
+    res.json({ identities, total: identities.length });
+  } catch (error) {
+    console.error('[API] List sender identities error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Add a sender identity
+ * Body: from_email, from_name, name, reply_to, signature, daily_cap, smtp { host, port, secure, user, pass },
+ *   warmup { enabled, start_cap, daily_increase }
+ */
+app.post('/api/sender-identities', async (req, res) => {
+  try {
+    const identity = await senderPool.create(req.body, req.user._id);
+    await req.audit('sender_identity.created', {
+      target: { type: 'SenderIdentity', id: identity._id, label: identity.from_email },
+      changes: diffFields({}, identity, IDENTITY_AUDIT_FIELDS)
+    });
+    res.status(201).json({ identity });
+  } catch (error) {
+    console.error('[API] Create sender identity error:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Update a sender identity (smtp.pass only changes if given)
+ */
+app.put('/api/sender-identities/:id', async (req, res) => {
+  try {
+    const before = publicIdentity(await senderPool.get(req.params.id, req.user._id));
+    const identity = await senderPool.update(req.params.id, req.body, req.user._id);
+    await req.audit('sender_identity.updated', {
+      target: { type: 'SenderIdentity', id: identity._id, label: identity.from_email },
+      changes: diffFields(before, identity, IDENTITY_AUDIT_FIELDS)
+    });
+    res.json({ identity });
+  } catch (error) {
+    console.error('[API] Update sender identity error:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Remove a sender identity
+ */
+app.delete('/api/sender-identities/:id', async (req, res) => {
+  try {
+    const identity = await senderPool.remove(req.params.id, req.user._id);
+    await req.audit('sender_identity.removed', {
+      target: { type: 'SenderIdentity', id: identity._id, label: identity.from_email },
+      changes: diffFields(identity, {}, IDENTITY_AUDIT_FIELDS)
+    });
+    res.json({ message: 'Sender identity removed', identity });
+  } catch (error) {
+    console.error('[API] Delete sender identity error:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Check a sender identity's SMTP login
+ */
+app.post('/api/sender-identities/:id/verify', async (req, res) => {
+  try {
+    const result = await senderPool.verify(req.params.id, req.user._id);
+    res.status(result.success ? 200 : 400).json(result);
+  } catch (error) {
+    console.error('[API] Verify sender identity error:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Assign an email to a sender identity
+ */
+app.post('/api/email/:emailId/sender', async (req, res) => {
+  try {
+    const { identityId } = req.body;
+    if (!identityId) {
+      return res.status(400).json({ error: 'identityId is required' });
+    }
+
+    await senderPool.get(identityId, req.user._id);
+    const email = await Email.findOneAndUpdate({ _id: req.params.emailId, owner_id: req.user._id }, { sender_identity_id: identityId }, { new: true })
+      .select('sender_identity_id status');
+    if (!email) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+
+    res.json({ message: 'Sender identity assigned', email });
+  } catch (error) {
+    console.error('[API] Assign sender identity error:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// Provider Credential Routes
+// ============================================
+
+/**
+ * List every provider with the caller's stored credentials (secrets masked)
+ */
+app.get('/api/credentials', async (req, res) => {
+  try {
+    const providers = await credentialVault.list(req.user._id);
+    res.json({ providers, shared_fallback: userServices.sharedCredentials });
+  } catch (error) {
+    console.error('[API] List credentials error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Save the caller's credentials for a provider
+ * Body: the provider's fields, e.g. { api_key, api_secret } - omitted fields keep their value, "" clears one
+ */
+app.put('/api/credentials/:provider', async (req, res) => {
+  try {
+    const before = (await credentialVault.list(req.user._id)).find(view => view.provider === req.params.provider);
+    const credentials = await credentialVault.save(req.user._id, req.params.provider, req.body);
+    await req.audit('credentials.saved', {
+      target: { type: 'ProviderCredential', label: credentials.label },
+      changes: diffFields(credentialFields(before), credentialFields(credentials), credentials.fields.map(field => field.name)),
+      metadata: { provider: credentials.provider }
+    });
+    res.json({ message: `${credentials.label} credentials saved`, credentials });
+  } catch (error) {
+    console.error('[API] Save credentials error:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Delete the caller's credentials for a provider (it falls back to the mock)
+ */
+app.delete('/api/credentials/:provider', async (req, res) => {
+  try {
+    const before = (await credentialVault.list(req.user._id)).find(view => view.provider === req.params.provider);
+    const credentials = await credentialVault.remove(req.user._id, req.params.provider);
+    await req.audit('credentials.removed', {
+      target: { type: 'ProviderCredential', label: credentials.label },
+      changes: diffFields(credentialFields(before), {}, credentials.fields.map(field => field.name)),
+      metadata: { provider: credentials.provider }
+    });
+    res.json({ message: `${credentials.label} credentials removed`, credentials });
+  } catch (error) {
+    console.error('[API] Delete credentials error:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Test a provider connection with the stored credentials, or with unsaved ones from the body
+ */
+app.post('/api/credentials/:provider/test', async (req, res) => {
+  try {
+    const values = Object.keys(req.body || {}).length > 0 ? req.body : null;
+    const result = await credentialVault.test(req.user._id, req.params.provider, values);
+    res.status(result.success ? 200 : 400).json(result);
+  } catch (error) {
+    console.error('[API] Test credentials error:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// Workspace Routes
+// ============================================
+
+/**
+ * Workspaces the caller belongs to, with their role in each
+ */
+app.get('/api/workspaces', async (req, res) => {
+  try {
+    res.json({ workspaces: await workspaces.list(req.user._id) });
+  } catch (error) {
+    console.error('[API] List workspaces error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Create a workspace owned by the caller
+ * Body: { name }
+ */
+app.post('/api/workspaces', async (req, res) => {
+  try {
+    const workspace = await workspaces.create(req.user._id, req.body);
+    await req.audit('workspace.created', {
+      target: { type: 'Workspace', id: workspace._id, label: workspace.name },
+      changes: diffFields({}, workspace, ['name'])
+    });
+    res.status(201).json({ workspace });
+  } catch (error) {
+    console.error('[API] Create workspace error:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * A workspace with its members and roles
+ */
+app.get('/api/workspaces/:id', async (req, res) => {
+  try {
+    const { workspace } = await workspaces.get(req.params.id, req.user._id);
+    res.json({ workspace: await workspaces.describe(workspace, req.user._id) });
+  } catch (error) {
+    console.error('[API] Get workspace error:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Rename a workspace (owner)
+ * Body: { name }
+ */
+app.put('/api/workspaces/:id', async (req, res) => {
+  try {
+    const { workspace: before } = await workspaces.get(req.params.id, req.user._id);
+    const workspace = await workspaces.rename(req.params.id, req.user._id, req.body);
+    await req.audit('workspace.renamed', {
+      target: { type: 'Workspace', id: workspace._id, label: workspace.name },
+      changes: diffFields(before, workspace, ['name'])
+    });
+    res.json({ workspace });
+  } catch (error) {
+    console.error('[API] Rename workspace error:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Delete a workspace and its claims (owner) - members keep their own contacts and jobs
+ */
+app.delete('/api/workspaces/:id', async (req, res) => {
+  try {
+    const { workspace } = await workspaces.get(req.params.id, req.user._id);
+    await workspaces.remove(req.params.id, req.user._id);
+    await req.audit('workspace.deleted', {
+      target: { type: 'Workspace', id: workspace._id, label: workspace.name },
+      changes: diffFields(workspace, {}, ['name'])
+    });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[API] Delete workspace error:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Add an existing account to a workspace (owner/admin; only the owner adds admins)
+ * Body: { email, role: 'admin' | 'member' | 'viewer' }
+ */
+app.post('/api/workspaces/:id/members', async (req, res) => {
+  try {
+    const workspace = await workspaces.addMember(req.params.id, req.user._id, req.body);
+    const member = workspace.members.find(entry => entry.email === req.body.email.trim().toLowerCase());
+    await req.audit('workspace.member_added', {
+      target: { type: 'Workspace', id: workspace._id, label: workspace.name },
+      changes: [{ field: 'role', before: null, after: member.role }],
+      metadata: { member_id: String(member.user_id), member_email: member.email }
+    });
+    res.status(201).json({ workspace });
+  } catch (error) {
+    console.error('[API] Add workspace member error:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Change a member's role - role 'owner' hands the workspace over
+ * Body: { role }
+ */
+app.put('/api/workspaces/:id/members/:userId', async (req, res) => {
+  try {
+    const { workspace: before } = await workspaces.get(req.params.id, req.user._id);
+    const workspace = await workspaces.updateMember(req.params.id, req.user._id, req.params.userId, req.body);
+    const roles = (doc) => ({ role: workspaces.roleOf(doc, req.params.userId), owner_id: doc.owner_id });
+    await req.audit('workspace.member_role_changed', {
+      target: { type: 'Workspace', id: workspace._id, label: workspace.name },
+      changes: diffFields(roles(before), roles(workspace), ['role', 'owner_id']),
+      metadata: { member_id: req.params.userId, member_email: workspace.members.find(entry => String(entry.user_id) === req.params.userId)?.email }
+    });
+    res.json({ workspace });
+  } catch (error) {
+    console.error('[API] Update workspace member error:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Remove a member, or leave with your own user id (their claims are released)
+ */
+app.delete('/api/workspaces/:id/members/:userId', async (req, res) => {
+  try {
+    const { workspace: before } = await workspaces.get(req.params.id, req.user._id);
+    const workspace = await workspaces.removeMember(req.params.id, req.user._id, req.params.userId);
+    await req.audit('workspace.member_removed', {
+      target: { type: 'Workspace', id: before._id, label: before.name },
+      changes: [{ field: 'role', before: workspaces.roleOf(before, req.params.userId), after: null }],
+      metadata: { member_id: req.params.userId, left: String(req.user._id) === req.params.userId }
+    });
+    res.json({ success: true, workspace });
+  } catch (error) {
+    console.error('[API] Remove workspace member error:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Shared contact pool: everyone the members have found, one entry per person, with claims
+ * Query: company
+ */
+app.get('/api/workspaces/:id/contacts', async (req, res) => {
+  try {
+    const contacts = await workspaces.contacts(req.params.id, req.user._id, { company: req.query.company });
+    res.json({ contacts });
+  } catch (error) {
+    console.error('[API] Workspace contacts error:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Shared company pool: companies the members found jobs or people at
+ */
+app.get('/api/workspaces/:id/companies', async (req, res) => {
+  try {
+    res.json({ companies: await workspaces.companies(req.params.id, req.user._id) });
+  } catch (error) {
+    console.error('[API] Workspace companies error:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Who has claimed whom, for which job
+ */
+app.get('/api/workspaces/:id/claims', async (req, res) => {
+  try {
+    res.json({ claims: await workspaces.claims(req.params.id, req.user._id) });
+  } catch (error) {
+    console.error('[API] Workspace claims error:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Claim a contact - teammates can't email them about the job (or any job, without job_id) while it stands
+ * Body: { contact_id, job_id }
+ */
+app.post('/api/workspaces/:id/claims', async (req, res) => {
+  try {
+    const claim = await workspaces.claim(req.params.id, req.user._id, req.body);
+    await req.audit('workspace.contact_claimed', {
+      target: { type: 'ContactClaim', id: claim._id, label: claim.contact_name },
+      changes: diffFields({}, claim, ['contact_name', 'company', 'job_title']),
+      metadata: { workspace_id: req.params.id, contact_id: req.body.contact_id }
+    });
+    res.status(201).json({ claim });
+  } catch (error) {
+    console.error('[API] Claim contact error:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Release a claim (whoever made it, or an admin)
+ */
+app.delete('/api/workspaces/:id/claims/:claimId', async (req, res) => {
+  try {
+    const claim = await workspaces.release(req.params.id, req.user._id, req.params.claimId);
+    await req.audit('workspace.claim_released', {
+      target: { type: 'ContactClaim', id: claim._id, label: claim.contact_name },
+      changes: diffFields(claim, {}, ['contact_name', 'company', 'job_title']),
+      metadata: { workspace_id: req.params.id, claimed_by: String(claim.user_id) }
+    });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[API] Release claim error:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Spend per member, provider, cost category and day (owner/admin)
+ * Query: days (default 30)
+ */
+app.get('/api/workspaces/:id/spend', async (req, res) => {
+  try {
+    const days = Math.min(365, Math.max(1, parseInt(req.query.days) || 30));
+    res.json(await workspaces.spend(req.params.id, req.user._id, { days }));
+  } catch (error) {
+    console.error('[API] Workspace spend error:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// Audit Log Routes
+// ============================================
+
+/**
+ * Activity: who sent, changed, enriched or cancelled what, and when - newest first
+ * Query: action (comma-separated, 'email.*' for every email action), actor, target_type,
+ *        target_id, since, until, before (next_before of the previous page), limit,
+ *        workspace (every member's activity; owner/admin)
+ */
+app.get('/api/audit', async (req, res) => {
+  try {
+    let ownerIds = [req.user._id];
+    if (req.query.workspace) {
+      const { workspace } = await workspaces.get(req.query.workspace, req.user._id, 'view_activity');
+      ownerIds = workspaces.memberIds(workspace);
+    }
+
+    res.json(await auditLog.list({
+      ownerIds,
+      action: req.query.action,
+      actor: req.query.actor,
+      targetType: req.query.target_type,
+      targetId: req.query.target_id,
+      since: req.query.since,
+      until: req.query.until,
+      before: req.query.before,
+      limit: req.query.limit
+    }));
+  } catch (error) {
+    console.error('[API] Audit log error:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// Email Verification Routes
+// ============================================
+
+/**
+ * Verify a contact's email address (cached per address unless force is set)
+ */
+app.post('/api/contacts/:id/verify-email', async (req, res) => {
+  try {
+    const { emailVerifier } = await userServices.forUser(req.user._id);
+    if (!emailVerifier.isEnabled) {
+      return res.status(400).json({ error: 'Email verification is turned off (EMAIL_VERIFICATION_ENABLED=false)' });
+    }
+
+    const contact = await Contact.findOne({ _id: req.params.id, owner_id: req.user._id });
+    if (!contact) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+    if (!contact.email) {
+      return res.status(400).json({ error: 'Contact has no email address. Please enrich the contact first.' });
+    }
+
+    const verified = await emailVerifier.verifyContact(contact, {
+      force: !!req.body.force,
+      receipt: { ownerId: req.user._id, contactId: contact._id }
+    });
+    if (!verified) {
+      return res.status(502).json({ error: contact.email_status === 'invalid' ? 'Address already hard-bounced' : 'Verification failed' });
+    }
+
+    res.json(verified);
+  } catch (error) {
+    console.error('[API] Verify contact email error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Approve sending an email to a risky address. A held scheduled send goes back on the schedule.
+ */
+app.post('/api/email/:emailId/approve', async (req, res) => {
+  try {
+    const email = await Email.findOneAndUpdate(
+      { _id: req.params.emailId, owner_id: req.user._id },
+      { 'approval.approved_at': new Date() },
+      { new: true }
+    );
+    if (!email) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+    await req.audit('email.approved', {
+      target: { type: 'Email', id: email._id, label: email.recipient_email },
+      changes: [{ field: 'approval.approved_at', before: null, after: email.approval.approved_at.toISOString() }],
+      metadata: { reason: email.approval?.reason }
+    });
+
+    if (email.status === 'held' && email.schedule?.requested_at) {
+      const scheduled = await emailScheduler.schedule(email._id, { businessHours: email.schedule.business_hours, ownerId: req.user._id });
+      return res.json({ message: 'Email approved and rescheduled', email: scheduled });
+    }
+    if (email.status === 'held') {
+      email.status = 'reviewed';
+      await email.save();
+    }
+
+    res.json({ message: 'Email approved', email });
+  } catch (error) {
+    console.error('[API] Approve email error:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// Do-Not-Contact Routes
+// ============================================
+
+/**
+ * List do-not-contact entries
+ */
+app.get('/api/do-not-contact', async (req, res) => {
+  try {
+    const { type, search } = req.query;
+    const entries = await suppressionList.list({ type, search, ownerId: req.user._id });
+    res.json({ entries, total: entries.length });
+  } catch (error) {
+    console.error('[API] List do-not-contact error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Add a do-not-contact entry (email, domain, linkedin or company)
+ */
+app.post('/api/do-not-contact', async (req, res) => {
+  try {
+    const { type, value, reason } = req.body;
+    const key = suppressionKey(type, value);
+    const before = key ? await DoNotContact.findOne({ owner_id: req.user._id, type, key }) : null;
+    const entry = await suppressionList.add({ type, value, reason, ownerId: req.user._id });
+    await req.audit(before ? 'do_not_contact.updated' : 'do_not_contact.added', {
+      target: { type: 'DoNotContact', id: entry._id, label: `${entry.type}: ${entry.value}` },
+      changes: diffFields(before || {}, entry, ['value', 'reason'])
+    });
+    res.status(201).json({ message: 'Added to do-not-contact list', entry });
+  } catch (error) {
+    console.error('[API] Add do-not-contact error:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Check whether a recipient is suppressed
+ */
+app.post('/api/do-not-contact/check', async (req, res) => {
+  try {
+    const { email, linkedinUrl, company } = req.body;
+    const { suppressed, entry, reason } = await suppressionList.check({ email, linkedinUrl, company, ownerId: req.user._id });
+    res.json({ suppressed, reason, entry });
+  } catch (error) {
+    console.error('[API] Check do-not-contact error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Update a do-not-contact entry's value or reason
+ */
+app.put('/api/do-not-contact/:id', async (req, res) => {
+  try {
+    const { value, reason } = req.body;
+    const before = await DoNotContact.findOne({ _id: req.params.id, owner_id: req.user._id });
+    const entry = await suppressionList.update(req.params.id, { value, reason }, req.user._id);
+    await req.audit('do_not_contact.updated', {
+      target: { type: 'DoNotContact', id: entry._id, label: `${entry.type}: ${entry.value}` },
+      changes: diffFields(before, entry, ['value', 'reason'])
+    });
+    res.json({ message: 'Do-not-contact entry updated', entry });
+  } catch (error) {
+    console.error('[API] Update do-not-contact error:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Remove a do-not-contact entry
+ */
+app.delete('/api/do-not-contact/:id', async (req, res) => {
+  try {
+    const entry = await suppressionList.remove(req.params.id, req.user._id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Do-not-contact entry not found' });
+    }
+    await req.audit('do_not_contact.removed', {
+      target: { type: 'DoNotContact', id: entry._id, label: `${entry.type}: ${entry.value}` },
+      changes: diffFields(entry, {}, ['value', 'reason'])
+    });
+    res.json({ message: 'Removed from do-not-contact list', entry });
+  } catch (error) {
+    console.error('[API] Remove do-not-contact error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// Agentic Workflow Routes
+// ============================================
+
+/**
+ * Start a new agentic workflow
+ * 
+ * This endpoint kicks off the full pipeline:
+ * 1. Parse resume
+ * 2. Search jobs for each target role
+ * 3. Find contacts for each job
+ * 4. Draft personalized emails for each contact
+ */
+app.post('/api/agent/start', async (req, res) => {
+  try {
+    const {
+      resumeText,
+      targetRoles,
+      targetCompanies,
+      targetLocations,
+      preferences,
+      priority,
+      maxBudgetUsd
+    } = req.body;
+
+    // Validate required fields
+    if (!resumeText) {
+      return res.status(400).json({ error: 'Resume text is required' });
+    }
+
+    if (!targetRoles || !Array.isArray(targetRoles) || targetRoles.length === 0) {
+      return res.status(400).json({ error: 'At least one target role is required' });
+    }
+
+    if (maxBudgetUsd !== undefined && maxBudgetUsd !== null && !(parseFloat(maxBudgetUsd) > 0)) {
+      return res.status(400).json({ error: 'maxBudgetUsd must be a positive number' });
     }
 
     const orchestrator = getOrchestrator();
@@ -1100,11 +2527,18 @@ app.post('/api/agent/start', async (req, res) => {
       targetRoles,
       targetCompanies: targetCompanies || [],
       targetLocations: targetLocations || [],
-      preferences: preferences || {}
+      preferences: preferences || {},
+      priority: parseInt(priority) || 0,
+      maxBudgetUsd: maxBudgetUsd ? parseFloat(maxBudgetUsd) : undefined,
+      ownerId: req.user._id
+    });
+    await req.audit('workflow.started', {
+      target: { type: 'Workflow', id: result.workflowId, label: targetRoles.join(', ') },
+      metadata: { max_budget_usd: maxBudgetUsd ? parseFloat(maxBudgetUsd) : null, estimated_usd: result.estimate.total_usd }
     });
 
     res.json({
-      message: 'Workflow started successfully',
+      message: 'Workflow queued successfully',
       ...result
     });
   } catch (error) {
@@ -1113,6 +2547,48 @@ app.post('/api/agent/start', async (req, res) => {
   }
 });
 
+/**
+ * Estimate the maximum cost of a workflow before starting it
+ * Takes the same body as /api/agent/start
+ */
+app.post('/api/agent/estimate', async (req, res) => {
+  try {
+    const {
+      resumeText,
+      targetRoles,
+      targetCompanies,
+      targetLocations,
+      preferences,
+      maxBudgetUsd
+    } = req.body;
+
+    if (!targetRoles || !Array.isArray(targetRoles) || targetRoles.length === 0) {
+      return res.status(400).json({ error: 'At least one target role is required' });
+    }
+
+    const orchestrator = getOrchestrator();
+    const estimate = await orchestrator.estimateWorkflowCost({
+      resumeText: resumeText || '',
+      targetRoles,
+      targetCompanies: targetCompanies || [],
+      targetLocations: targetLocations || [],
+      preferences: preferences || {},
+      ownerId: req.user._id
+    });
+
+    const budget = parseFloat(maxBudgetUsd) || null;
+
+    res.json({
+      ...estimate,
+      max_budget_usd: budget,
+      within_budget: budget ? estimate.total_usd <= budget : true
+    });
+  } catch (error) {
+    console.error('[API] Agent estimate error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * Get workflow status and results with detailed intermediate data
  */
@@ -1121,7 +2597,7 @@ app.get('/api/agent/status/:workflowId', async (req, res) => {
     const { workflowId } = req.params;
     const orchestrator = getOrchestrator();
     
-    const workflow = await orchestrator.getWorkflowStatus(workflowId);
+    const workflow = await orchestrator.getWorkflowStatus(workflowId, req.user._id);
     
     if (!workflow) {
       return res.status(404).json({ error: 'Workflow not found' });
@@ -1129,12 +2605,12 @@ app.get('/api/agent/status/:workflowId', async (req, res) => {
 
     // Fetch recent items for live activity feed (most recent 5 of each)
     const [recentJobs, recentContacts, recentEmails] = await Promise.all([
-      Job.find({ workflow_id: workflowId })
+      Job.find(workflowJobsFilter(workflowId))
         .sort({ created_at: -1 })
         .limit(5)
         .select('title company_name location created_at')
         .lean(),
-      Contact.find({ workflow_id: workflowId })
+      Contact.find(workflowContactsFilter(workflowId))
         .sort({ created_at: -1 })
         .limit(5)
         .select('name title company created_at')
@@ -1147,10 +2623,11 @@ app.get('/api/agent/status/:workflowId', async (req, res) => {
     ]);
 
     // Get actual counts from database for accuracy
-    const [jobsCount, contactsCount, emailsCount] = await Promise.all([
-      Job.countDocuments({ workflow_id: workflowId }),
-      Contact.countDocuments({ workflow_id: workflowId }),
-      Email.countDocuments({ workflow_id: workflowId })
+    const [jobsCount, contactsCount, emailsCount, queueStatus] = await Promise.all([
+      Job.countDocuments(workflowJobsFilter(workflowId)),
+      Contact.countDocuments(workflowContactsFilter(workflowId)),
+      Email.countDocuments({ workflow_id: workflowId }),
+      orchestrator.getQueueStatus(workflowId)
     ]);
 
     // Build activity feed from recent items
@@ -1186,10 +2663,12 @@ app.get('/api/agent/status/:workflowId', async (req, res) => {
         progress: workflow.progress,
         total_cost_usd: workflow.total_cost_usd,
         cost_breakdown: workflow.cost_breakdown,
+        budget: workflow.budget,
         errors: workflow.errors,
         started_at: workflow.started_at,
         completed_at: workflow.completed_at
       },
+      queue: queueStatus,
       resume: workflow.resume_id ? {
         name: workflow.resume_id.name,
         current_title: workflow.resume_id.current_title,
@@ -1215,6 +2694,29 @@ app.get('/api/agent/status/:workflowId', async (req, res) => {
   }
 });
 
+/**
+ * Stream live workflow events over Server-Sent Events
+ * 
+ * Relays progress, job_found, contact_found, contact_enriched, email_drafted,
+ * complete and error events. Clients that reconnect with a Last-Event-ID header
+ * (or ?lastEventId=) get the events they missed replayed first.
+ */
+app.get('/api/agent/stream/:workflowId', async (req, res) => {
+  try {
+    const { workflowId } = req.params;
+
+    const exists = await Workflow.exists({ _id: workflowId, owner_id: req.user._id });
+    if (!exists) {
+      return res.status(404).json({ error: 'Workflow not found' });
+    }
+
+    workflowEvents.handleConnection(workflowId, req, res);
+  } catch (error) {
+    console.error('[API] Stream error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * Get full workflow results including jobs, contacts, and emails
  */
@@ -1222,7 +2724,7 @@ app.get('/api/agent/results/:workflowId', async (req, res) => {
   try {
     const { workflowId } = req.params;
     
-    const workflow = await Workflow.findById(workflowId)
+    const workflow = await Workflow.findOne({ _id: workflowId, owner_id: req.user._id })
       .populate('resume_id');
     
     if (!workflow) {
@@ -1231,8 +2733,8 @@ app.get('/api/agent/results/:workflowId', async (req, res) => {
 
     // Get all related data
     const [jobs, contacts, emails] = await Promise.all([
-      Job.find({ workflow_id: workflowId }).sort({ created_at: -1 }),
-      Contact.find({ workflow_id: workflowId }).sort({ created_at: -1 }),
+      Job.find(workflowJobsFilter(workflowId)).sort({ fit_score: -1, created_at: -1 }),
+      Contact.find(workflowContactsFilter(workflowId)).sort({ created_at: -1 }),
       Email.find({ workflow_id: workflowId }).sort({ created_at: -1 })
     ]);
 
@@ -1243,7 +2745,8 @@ app.get('/api/agent/results/:workflowId', async (req, res) => {
         target_roles: workflow.target_roles,
         progress: workflow.progress,
         total_cost_usd: workflow.total_cost_usd,
-        cost_breakdown: workflow.cost_breakdown
+        cost_breakdown: workflow.cost_breakdown,
+        budget: workflow.budget
       },
       resume: workflow.resume_id,
       jobs,
@@ -1251,6 +2754,7 @@ app.get('/api/agent/results/:workflowId', async (req, res) => {
       emails,
       stats: {
         total_jobs: jobs.length,
+        qualified_jobs: jobs.filter(j => j.fit_status === 'qualified').length,
         total_contacts: contacts.length,
         total_emails: emails.length,
         unique_companies: [...new Set(jobs.map(j => j.company_name))].length
@@ -1270,9 +2774,60 @@ app.post('/api/agent/cancel/:workflowId', async (req, res) => {
     const { workflowId } = req.params;
     const orchestrator = getOrchestrator();
     
-    const result = await orchestrator.cancelWorkflow(workflowId);
+    const before = await Workflow.findOne({ _id: workflowId, owner_id: req.user._id }).select('status target_roles total_cost_usd');
+    const result = await orchestrator.cancelWorkflow(workflowId, req.user._id);
+    if (result.success) {
+      await req.audit('workflow.cancelled', {
+        target: { type: 'Workflow', id: before._id, label: before.target_roles?.join(', ') },
+        changes: [{ field: 'status', before: before.status, after: 'cancelled' }],
+        metadata: { spent_usd: before.total_cost_usd }
+      });
+    }
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get the workflow queue (running and waiting workflows in processing order)
+ */
+app.get('/api/agent/queue', async (req, res) => {
+  try {
+    const orchestrator = getOrchestrator();
+    const workflowIds = await Workflow.distinct('_id', { owner_id: req.user._id });
+    const queue = await orchestrator.queue.list({ workflowIds });
+
+    res.json({
+      ...queue,
+      provider_limits: orchestrator.limiter.getStats()
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Resume an interrupted workflow from its last checkpoint
+ */
+app.post('/api/agent/resume/:workflowId', async (req, res) => {
+  try {
+    const { workflowId } = req.params;
+    const orchestrator = getOrchestrator();
+
+    const result = await orchestrator.resumeWorkflow(workflowId, {
+      priority: req.body?.priority !== undefined ? parseInt(req.body.priority) : undefined,
+      ownerId: req.user._id
+    });
+
+    if (!result.success) {
+      const statusCode = result.message === 'Workflow not found' ? 404 : 409;
+      return res.status(statusCode).json(result);
+    }
+
     res.json(result);
   } catch (error) {
+    console.error('[API] Agent resume error:', error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -1288,7 +2843,8 @@ app.get('/api/agent/workflows', async (req, res) => {
     const result = await orchestrator.listWorkflows({
       limit: parseInt(limit),
       skip: parseInt(skip),
-      status
+      status,
+      ownerId: req.user._id
     });
     
     res.json(result);
@@ -1304,7 +2860,7 @@ app.get('/api/agent/emails/:workflowId', async (req, res) => {
   try {
     const { workflowId } = req.params;
     
-    const emails = await Email.find({ workflow_id: workflowId })
+    const emails = await Email.find({ workflow_id: workflowId, owner_id: req.user._id })
       .populate('job_id', 'title company_name location')
       .populate('contact_id', 'name title company linkedin_url')
       .sort({ created_at: -1 });
@@ -1331,15 +2887,32 @@ app.patch('/api/agent/emails/:emailId', async (req, res) => {
       return res.status(400).json({ error: `Invalid status. Must be one of: ${validStatuses.join(', ')}` });
     }
 
+    const existing = await Email.findOne({ _id: emailId, owner_id: req.user._id });
+    if (!existing) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+
     const update = { status };
     if (status === 'sent') {
       update.sent_at = new Date();
+      Object.assign(update, followUpStartFields(existing, update.sent_at));
+    }
+    if (status === 'responded') {
+      update.responded_at = new Date();
     }
 
     const email = await Email.findByIdAndUpdate(emailId, update, { new: true });
-    
-    if (!email) {
-      return res.status(404).json({ error: 'Email not found' });
+    await req.audit('email.status_changed', {
+      target: { type: 'Email', id: email._id, label: email.recipient_email || email.recipient_name },
+      changes: diffFields(existing, email, ['status', 'sent_at', 'responded_at'])
+    });
+
+    // A reply ends every follow-up sequence to the contact
+    if (status === 'responded') {
+      await followUpSequencer.stopSequence(emailId, 'responded');
+      if (email.contact_id) {
+        await followUpSequencer.stopForContact(email.contact_id, 'responded');
+      }
     }
 
     res.json({ email });
@@ -1353,8 +2926,8 @@ app.patch('/api/agent/emails/:emailId', async (req, res) => {
  */
 app.get('/api/resumes', async (req, res) => {
   try {
-    const resumes = await Resume.find()
-      .select('name current_title current_company skills years_of_experience created_at')
+    const resumes = await Resume.find({ owner_id: req.user._id })
+      .select('name current_title current_company skills years_of_experience parsed_at created_at')
       .sort({ created_at: -1 })
       .limit(50);
     
@@ -1369,7 +2942,7 @@ app.get('/api/resumes', async (req, res) => {
  */
 app.get('/api/resumes/:id', async (req, res) => {
   try {
-    const resume = await Resume.findById(req.params.id);
+    const resume = await Resume.findOne({ _id: req.params.id, owner_id: req.user._id });
     
     if (!resume) {
       return res.status(404).json({ error: 'Resume not found' });
@@ -1385,35 +2958,89 @@ app.get('/api/resumes/:id', async (req, res) => {
 // Start Server
 // ============================================
 
+let readyPromise = null;
+
+/**
+ * Connect to MongoDB and set up the services routes use, once per process
+ * (the Vercel function in api/ awaits this before handling each request)
+ */
+export const ready = () => {
+  if (!readyPromise) {
+    readyPromise = (async () => {
+      if (!MONGODB_URI) {
+        throw new Error('MONGODB_URI is required. Please set it in your .env file.');
+      }
+
+      // Connect to MongoDB (works with both local and Atlas)
+      await mongoose.connect(MONGODB_URI, {
+        // These options work well with MongoDB Atlas
+        serverSelectionTimeoutMS: 5000,
+        socketTimeoutMS: 45000,
+      });
+      console.log('✓ Connected to MongoDB');
+
+      // Do-not-contact entries are unique per owner now - replace the old global index
+      await DoNotContact.syncIndexes();
+      // Contacts are unique per owner on their LinkedIn key, jobs on their apply URL and fingerprint
+      await syncIdentityIndexes();
+
+      // Initialize tools
+      await initializeTools();
+      workflowEvents = new WorkflowEventStream(getOrchestrator());
+    })().catch(error => {
+      readyPromise = null; // let the next request try again
+      throw error;
+    });
+  }
+  return readyPromise;
+};
+
 const startServer = async () => {
+  // Validate required environment variables
+  if (!MONGODB_URI) {
+    console.error('❌ MONGODB_URI is required. Please set it in your .env file.');
+    console.error('   Get your MongoDB Atlas connection string from: https://cloud.mongodb.com');
+    process.exit(1);
+  }
+
   try {
-    // Connect to MongoDB (works with both local and Atlas)
-    await mongoose.connect(MONGODB_URI, {
-      // These options work well with MongoDB Atlas
-      serverSelectionTimeoutMS: 5000,
-      socketTimeoutMS: 45000,
-    });
-    console.log('✓ Connected to MongoDB');
+    await ready();
 
-    // Initialize tools
-    initializeTools();
+    // Start the workflow queue, email scheduler, follow-ups and reply detection, then resume workflows interrupted by a previous shutdown
+    const orchestrator = getOrchestrator();
+    await orchestrator.startQueue();
+    await emailScheduler.start();
+    followUpSequencer.start();
+    replyPoller.start();
+    orchestrator.recoverInterruptedWorkflows()
+      .catch(error => console.error('[Agent] Failed to recover interrupted workflows:', error.message));
 
     // Start Express server
     app.listen(PORT, () => {
       console.log(`\n🚀 IntroLink API running on http://localhost:${PORT}`);
       console.log(`\n📋 Available endpoints:`);
+      console.log(`\n   Accounts (every other /api route needs "Authorization: Bearer <token>"):`);
+      console.log(`   GET  /api/auth/status              - Whether signups are open`);
+      console.log(`   POST /api/auth/register            - Create an account`);
+      console.log(`   POST /api/auth/login               - Log in (returns a token)`);
+      console.log(`   GET  /api/auth/me                  - Current user`);
+      console.log(`   POST /api/auth/logout              - Log out everywhere`);
       console.log(`\n   🤖 Agentic Workflow:`);
-      console.log(`   POST /api/agent/start              - Start new workflow (resume + roles)`);
-      console.log(`   GET  /api/agent/status/:id         - Get workflow status`);
+      console.log(`   POST /api/agent/start              - Queue new workflow (resume + roles)`);
+      console.log(`   POST /api/agent/estimate           - Estimate workflow cost before starting`);
+      console.log(`   GET  /api/agent/status/:id         - Get workflow status + queue position`);
+      console.log(`   GET  /api/agent/queue              - List queued and running workflows`);
+      console.log(`   GET  /api/agent/stream/:id         - Live workflow events (SSE)`);
       console.log(`   GET  /api/agent/results/:id        - Get full results (jobs, contacts, emails)`);
       console.log(`   POST /api/agent/cancel/:id         - Cancel running workflow`);
+      console.log(`   POST /api/agent/resume/:id         - Resume interrupted workflow`);
       console.log(`   GET  /api/agent/workflows          - List all workflows`);
       console.log(`   GET  /api/agent/emails/:workflowId - Get emails for workflow`);
       console.log(`   PATCH /api/agent/emails/:emailId   - Update email status`);
       console.log(`\n   People Finder:`);
       console.log(`   POST /api/people-finder/quote   - Get a quote (402)`);
       console.log(`   POST /api/people-finder/sweep   - Sweep quotes from all providers`);
-      console.log(`   POST /api/people-finder/search  - Full flow with quote sweep`);
+      console.log(`   POST /api/people-finder/search  - Full people search flow`);
       console.log(`\n   Job Finder (LinkedIn):`);
       console.log(`   POST /api/job-finder/quote      - Get a job search quote (402)`);
       console.log(`   POST /api/job-finder/sweep      - Sweep quotes from job providers`);
@@ -1437,13 +3064,69 @@ const startServer = async () => {
       console.log(`   POST /api/email/send-batch      - Send multiple emails`);
       console.log(`   POST /api/email/verify          - Verify SMTP configuration`);
       console.log(`   GET  /api/email/status          - Get email service status`);
+      console.log(`   POST /api/email/schedule        - Schedule drafts (optionally in recipient business hours)`);
+      console.log(`   GET  /api/email/scheduled       - List the send queue`);
+      console.log(`   PATCH /api/email/scheduled/:id  - Reschedule a send`);
+      console.log(`   DELETE /api/email/scheduled/:id - Cancel a scheduled send`);
+      console.log(`   POST /api/email/replies/check   - Check your inboxes for replies now (IMAP)`);
+      console.log(`   GET  /api/email/replies         - List emails that got a reply (filter by intent)`);
+      console.log(`   GET  /api/email/bounces         - List bounced emails (filter by hard/soft)`);
+      console.log(`   POST /api/email/:id/classify-reply - Classify a reply and act on it`);
+      console.log(`\n   Follow-Up Sequences:`);
+      console.log(`   GET  /api/contacts/:id/sequences - Follow-up sequences for a contact`);
+      console.log(`   POST /api/email/:id/sequence/stop - Stop an email's follow-up sequence`);
+      console.log(`\n   Sender Identities:`);
+      console.log(`   GET  /api/sender-identities     - List mailboxes with today's usage`);
+      console.log(`   POST /api/sender-identities     - Add a mailbox (SMTP, cap, warm-up, signature)`);
+      console.log(`   PUT  /api/sender-identities/:id - Update a mailbox`);
+      console.log(`   DELETE /api/sender-identities/:id - Remove a mailbox`);
+      console.log(`   POST /api/sender-identities/:id/verify - Check a mailbox's SMTP login`);
+      console.log(`   POST /api/email/:id/sender      - Assign an email to a mailbox`);
+      console.log(`\n   Provider Credentials:`);
+      console.log(`   GET  /api/credentials           - List providers with your keys (masked)`);
+      console.log(`   PUT  /api/credentials/:provider - Save your keys for a provider (encrypted)`);
+      console.log(`   DELETE /api/credentials/:provider - Remove your keys (falls back to the mock)`);
+      console.log(`   POST /api/credentials/:provider/test - Test a provider connection`);
+      console.log(`\n   Workspaces:`);
+      console.log(`   GET  /api/workspaces            - List your workspaces and roles`);
+      console.log(`   POST /api/workspaces            - Create a workspace`);
+      console.log(`   GET  /api/workspaces/:id        - Workspace with members`);
+      console.log(`   PUT  /api/workspaces/:id        - Rename a workspace`);
+      console.log(`   DELETE /api/workspaces/:id      - Delete a workspace`);
+      console.log(`   POST /api/workspaces/:id/members - Add a member (admin/member/viewer)`);
+      console.log(`   PUT  /api/workspaces/:id/members/:userId - Change a role (owner hands over)`);
+      console.log(`   DELETE /api/workspaces/:id/members/:userId - Remove a member or leave`);
+      console.log(`   GET  /api/workspaces/:id/contacts - Shared contact pool with claims`);
+      console.log(`   GET  /api/workspaces/:id/companies - Shared company pool`);
+      console.log(`   GET  /api/workspaces/:id/claims - List claims`);
+      console.log(`   POST /api/workspaces/:id/claims - Claim a contact (for a job)`);
+      console.log(`   DELETE /api/workspaces/:id/claims/:claimId - Release a claim`);
+      console.log(`   GET  /api/workspaces/:id/spend  - Spend per member, provider and day`);
+      console.log(`\n   Audit Log:`);
+      console.log(`   GET  /api/audit                 - Activity (sends, status changes, enrichments, workflows)`);
+      console.log(`\n   Email Verification:`);
+      console.log(`   POST /api/contacts/:id/verify-email - Verify a contact's address (cached)`);
+      console.log(`   POST /api/email/:id/approve     - Approve a send held for a risky address`);
+      console.log(`\n   Open/Click Tracking:`);
+      console.log(`   GET  /t/o/:token                - Tracking pixel (records an open)`);
+      console.log(`   GET  /t/c/:token                - Tracked link (records a click, redirects)`);
+      console.log(`   PATCH /api/email/:id/tracking   - Turn tracking on/off for one email`);
+      console.log(`\n   Do-Not-Contact:`);
+      console.log(`   GET  /api/do-not-contact        - List suppressed emails, domains, profiles, companies`);
+      console.log(`   POST /api/do-not-contact        - Add an entry`);
+      console.log(`   POST /api/do-not-contact/check  - Check whether a recipient is suppressed`);
+      console.log(`   PUT  /api/do-not-contact/:id    - Update an entry`);
+      console.log(`   DELETE /api/do-not-contact/:id  - Remove an entry`);
       console.log(`\n   General:`);
       console.log(`   POST /api/pay/:offerId          - Pay and execute`);
+      console.log(`   GET  /api/providers             - List data providers and which are active`);
+      console.log(`   GET  /api/providers/health      - Provider circuit breakers and fallback chains`);
       console.log(`   GET  /api/offers                - List all offers`);
-      console.log(`   GET  /api/receipts              - List all receipts`);
+      console.log(`   GET  /api/receipts              - List receipts (searches and workflow calls)`);
       console.log(`   GET  /api/contacts              - List all contacts`);
+      console.log(`   POST /api/contacts/merge-duplicates - Merge duplicate contacts`);
       console.log(`   GET  /api/resumes               - List all resumes`);
-      console.log(`\n💡 Set APIFY_TOKEN, FIREWORKS_API_KEY, HAPPENSTANCE_API_KEY, TOMBA_API_KEY/SECRET, and SMTP_* env vars for full functionality`);
+      console.log(`\n💡 Each user adds their Apify, Tomba, Happenstance, Fireworks and SMTP keys under Settings (needs CREDENTIALS_ENCRYPTION_KEY)`);
     });
   } catch (error) {
     console.error('Failed to start server:', error);
@@ -1451,4 +3134,9 @@ const startServer = async () => {
   }
 };
 
-startServer();
+// Start the server when run directly (npm start), not when imported by the Vercel function
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  startServer();
+}
+
+export default app;
@@ -1,7 +1,20 @@
 import mongoose from 'mongoose';
 
+// Users - accounts that log in; the documents below belong to one of them (owner_id)
+const userSchema = new mongoose.Schema({
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  name: { type: String },
+  password_hash: { type: String, required: true, select: false }, // see services/auth.js
+  token_version: { type: Number, default: 0 }, // bumped on logout, invalidating issued tokens
+  created_at: { type: Date, default: Date.now },
+  last_login_at: { type: Date }
+});
+
 // Offers collection - all quotes received (even rejected ones)
 const offerSchema = new mongoose.Schema({
+  owner_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  sweep_id: { type: String, index: true }, // Offers from one quote sweep compete with each other
+  category: { type: String }, // e.g. 'people_finder', 'job_finder'
   tool_id: { type: String, required: true },
   tool_name: { type: String, required: true },
   provider: { type: String, required: true },
@@ -20,11 +33,18 @@ const offerSchema = new mongoose.Schema({
 
 // Receipts collection - transaction records
 const receiptSchema = new mongoose.Schema({
+  owner_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
   offer_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Offer' },
+  // What the call was for - workflow calls are summed into the workflow's cost_breakdown (see costLedger.js)
+  workflow_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Workflow', index: true },
+  job_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Job' },
+  contact_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Contact' },
+  category: { type: String }, // cost category, e.g. people_search, email_enrichment, email_generation
   tool_id: { type: String, required: true },
   tool_name: { type: String, required: true },
   provider: { type: String, required: true },
-  amount_paid_usd: { type: Number, required: true },
+  quoted_usd: { type: Number }, // price quoted before the call
+  amount_paid_usd: { type: Number, required: true }, // what it actually cost
   transaction_id: { type: String, required: true },
   response_data: { type: mongoose.Schema.Types.Mixed },
   execution_time_ms: { type: Number },
@@ -33,11 +53,29 @@ const receiptSchema = new mongoose.Schema({
 
 // Contacts collection - found people
 const contactSchema = new mongoose.Schema({
+  owner_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
   name: { type: String },
   title: { type: String },
   company: { type: String },
   linkedin_url: { type: String },
-  email: { type: String },
+  linkedin_key: { type: String }, // Normalized LinkedIn URL used for identity resolution (unique per owner, see below)
+  email: { type: String, index: true },
+  email_confidence: { type: Number },
+  email_source: { type: String },
+  email_status: { type: String }, // verification result (deliverable, risky, undeliverable, unknown), or 'invalid' once the address hard-bounces
+  email_verification: { // latest EmailVerifier result for the current address
+    result: { type: String, enum: ['deliverable', 'risky', 'undeliverable', 'unknown'] },
+    is_disposable: { type: Boolean },
+    is_webmail: { type: Boolean },
+    source: { type: String },
+    verified_at: { type: Date }
+  },
+  invalid_emails: [{ // addresses that hard-bounced, never looked up or sent to again
+    email: { type: String },
+    source: { type: String }, // email_source the address came from
+    reason: { type: String },
+    bounced_at: { type: Date }
+  }],
   source: { type: String, default: 'exa-people-search' },
   source_url: { type: String },
   search_query: { type: String },
@@ -57,12 +95,37 @@ const contactSchema = new mongoose.Schema({
   enrichment_source: { type: String },
   enrichment_timestamp: { type: Date },
   enrichment_error: { type: String },
+
+  // Every workflow/job that found this person (one canonical contact per person)
+  workflow_ids: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Workflow', index: true }],
+  job_ids: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Job' }],
+  sightings: [{
+    workflow_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Workflow' },
+    job_id: { type: String },
+    source: { type: String },
+    search_query: { type: String },
+    cost_usd: { type: Number },
+    receipt_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Receipt' },
+    seen_at: { type: Date, default: Date.now }
+  }],
+  merged_from: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Contact' }],
+
+  // Set when a reply referred the user to this person
+  referred_by: {
+    contact_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Contact' },
+    email_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Email' }
+  },
   
-  created_at: { type: Date, default: Date.now }
+  created_at: { type: Date, default: Date.now },
+  updated_at: { type: Date }
 });
 
+// One canonical contact per LinkedIn profile per user (concurrent workflows upsert on this)
+contactSchema.index({ owner_id: 1, linkedin_key: 1 }, { unique: true, partialFilterExpression: { linkedin_key: { $type: 'string' } } });
+
 // Jobs collection - LinkedIn job listings
 const jobSchema = new mongoose.Schema({
+  owner_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
   // Basic job info
   job_id: { type: String, index: true },
   title: { type: String, required: true },
@@ -103,6 +166,23 @@ const jobSchema = new mongoose.Schema({
   visa_sponsorship: { type: Boolean },
   skills: [{ type: String }],
   
+  // Fit against the workflow's parsed resume (see JobFitScorer)
+  fit_score: { type: Number, index: true }, // 0-100, null if unscored
+  fit_status: {
+    type: String,
+    enum: ['qualified', 'below_threshold', 'unscored']
+  },
+  fit_explanation: { type: String },
+  fit_details: {
+    skills: { type: Number },
+    experience: { type: Number },
+    seniority: { type: Number },
+    salary: { type: Number },
+    visa: { type: Number },
+    matched_skills: [{ type: String }],
+    missing_skills: [{ type: String }]
+  },
+  
   // Recruiter info
   recruiter_name: { type: String },
   recruiter_title: { type: String },
@@ -114,13 +194,24 @@ const jobSchema = new mongoose.Schema({
   cost_usd: { type: Number },
   receipt_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Receipt' },
   workflow_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Workflow' },
+
+  // Identity across searches (see JobResolver) - one Job per posting
+  apply_url_key: { type: String }, // unique per owner, see below
+  fingerprint: { type: String }, // normalized title|company|city, unique per owner
+  seen_in_workflows: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Workflow', index: true }],
+  times_seen: { type: Number, default: 1 },
   
-  fetched_at: { type: Date },
+  fetched_at: { type: Date }, // last time a search returned this job
   created_at: { type: Date, default: Date.now }
 });
 
+// One canonical job per apply URL and per fingerprint per user (concurrent workflows retry on these)
+jobSchema.index({ owner_id: 1, apply_url_key: 1 }, { unique: true, partialFilterExpression: { apply_url_key: { $type: 'string' } } });
+jobSchema.index({ owner_id: 1, fingerprint: 1 }, { unique: true, partialFilterExpression: { fingerprint: { $type: 'string' } } });
+
 // Resume schema - parsed resume data
 const resumeSchema = new mongoose.Schema({
+  owner_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
   // Raw content
   raw_text: { type: String },
   file_name: { type: String },
@@ -180,12 +271,18 @@ const resumeSchema = new mongoose.Schema({
   current_title: { type: String },
   current_company: { type: String },
   
+  // Parsing (set once the structured profile has been extracted)
+  parsed_at: { type: Date },
+  parse_model: { type: String },
+  parse_cost_usd: { type: Number },
+  
   created_at: { type: Date, default: Date.now }
 });
 
 // Email draft schema - AI-generated personalized emails
 const emailSchema = new mongoose.Schema({
   // References
+  owner_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
   workflow_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Workflow', required: true },
   job_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Job' },
   contact_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Contact' },
@@ -235,16 +332,124 @@ const emailSchema = new mongoose.Schema({
   // Status
   status: {
     type: String,
-    enum: ['draft', 'reviewed', 'sent', 'responded'],
+    enum: ['draft', 'reviewed', 'held', 'scheduled', 'sending', 'sent', 'failed', 'bounced', 'responded'],
     default: 'draft'
   },
+
+  // Mailbox the email goes out from (assigned when drafted, may rotate when it's sent)
+  sender_identity_id: { type: mongoose.Schema.Types.ObjectId, ref: 'SenderIdentity', index: true },
+  sent_from: { type: String }, // from address actually used
+
+  // Manual approval - needed to send to an address that verified as risky ('held' until approved)
+  approval: {
+    required: { type: Boolean, default: false },
+    reason: { type: String },
+    approved_at: { type: Date }
+  },
+
+  // Scheduled sending (picked up by EmailScheduler once scheduled_at is due)
+  scheduled_at: { type: Date, index: true },
+  schedule: {
+    business_hours: { type: Boolean, default: false }, // only send during the recipient's business hours
+    time_zone: { type: String }, // inferred from the contact/job location
+    requested_at: { type: Date }, // time asked for, before moving into business hours
+    attempts: { type: Number, default: 0 },
+    last_error: { type: String }
+  },
+  send_result: {
+    message_id: { type: String, index: true },
+    response: { type: String }
+  },
+
+  // Delivery failure - a synchronous SMTP reject or a DSN bounce found by the ReplyPoller
+  bounce: {
+    type: { type: String, enum: ['hard', 'soft'] },
+    source: { type: String, enum: ['smtp', 'dsn'] },
+    recipient: { type: String },
+    status_code: { type: String }, // enhanced status, e.g. 5.1.1
+    smtp_code: { type: Number }, // e.g. 550
+    diagnostic: { type: String },
+    dsn_message_id: { type: String, index: true },
+    alternative_email: { type: String }, // found by re-enrichment after a hard bounce
+    bounced_at: { type: Date }
+  },
+
+  // Open and click tracking (EmailTracker) - enabled: false opts this email out
+  tracking: {
+    enabled: { type: Boolean },
+    token: { type: String, index: true, sparse: true },
+    links: [{ url: { type: String } }], // click redirect targets, by index
+    opens: { type: Number, default: 0 },
+    clicks: { type: Number, default: 0 },
+    first_opened_at: { type: Date },
+    last_opened_at: { type: Date },
+    first_clicked_at: { type: Date },
+    last_clicked_at: { type: Date },
+    events: [{
+      type: { type: String, enum: ['open', 'click'] },
+      url: { type: String },
+      user_agent: { type: String },
+      at: { type: Date }
+    }]
+  },
+
+  // Reply detected by the ReplyPoller
+  responded_at: { type: Date },
+  reply: {
+    message_id: { type: String, index: true },
+    from: { type: String },
+    subject: { type: String },
+    text: { type: String }, // new part of the reply, without the quoted original
+    received_at: { type: Date },
+    matched_by: { type: String }, // headers (In-Reply-To/References) or sender
+    classification: { // set by ReplyTriage
+      intent: {
+        type: String,
+        enum: ['interested', 'referral', 'not_hiring', 'out_of_office', 'unsubscribe', 'other']
+      },
+      confidence: { type: Number },
+      summary: { type: String },
+      referral: {
+        name: { type: String },
+        email: { type: String },
+        title: { type: String },
+        company: { type: String },
+        linkedin_url: { type: String }
+      },
+      return_date: { type: Date }, // out-of-office only
+      referral_contact_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Contact' },
+      suppression_id: { type: mongoose.Schema.Types.ObjectId, ref: 'DoNotContact' },
+      model: { type: String },
+      cost_usd: { type: Number },
+      classified_at: { type: Date },
+      error: { type: String }
+    }
+  },
+
+  // Follow-up sequence - step 0 is the initial email, later steps are follow-ups in its thread
+  sequence_step: { type: Number, default: 0 },
+  thread_root_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Email', index: true }, // initial email (follow-ups only)
+  in_reply_to: { type: String }, // Message-ID of the previous sent step
+  references: [{ type: String }],
+  sequence: { // initial email only
+    status: { type: String, enum: ['active', 'completed', 'stopped'] },
+    current_step: { type: Number, default: 0 }, // last step drafted
+    next_step_at: { type: Date },
+    stop_reason: { type: String }, // responded, suppressed, bounced, cancelled
+    stopped_at: { type: Date }
+  },
   
   sent_at: { type: Date },
   created_at: { type: Date, default: Date.now }
 });
 
+emailSchema.index({ 'sequence.status': 1, 'sequence.next_step_at': 1 });
+
 // Workflow schema - orchestrates the entire agentic process
 const workflowSchema = new mongoose.Schema({
+  // User the workflow runs on behalf of
+  owner_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+
   // User inputs
   resume_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Resume' },
   target_roles: [{ type: String }],
@@ -254,13 +459,18 @@ const workflowSchema = new mongoose.Schema({
     work_arrangement: { type: String }, // remote, hybrid, on-site
     seniority_level: { type: String },
     max_jobs_per_role: { type: Number, default: 10 },
-    max_contacts_per_job: { type: Number, default: 3 }
+    max_contacts_per_job: { type: Number, default: 3 },
+    date_posted: { type: String },
+    min_fit_score: { type: Number }, // jobs scoring below this skip contact search
+    min_salary: { type: Number },
+    needs_visa_sponsorship: { type: Boolean, default: false },
+    skip_contacted_jobs: { type: Boolean, default: true } // skip jobs already emailed about in any workflow
   },
   
   // Workflow status
   status: {
     type: String,
-    enum: ['pending', 'parsing_resume', 'searching_jobs', 'finding_contacts', 'drafting_emails', 'completed', 'failed', 'cancelled'],
+    enum: ['pending', 'queued', 'parsing_resume', 'searching_jobs', 'finding_contacts', 'enriching_contact', 'drafting_emails', 'completed', 'failed', 'cancelled'],
     default: 'pending'
   },
   
@@ -269,6 +479,9 @@ const workflowSchema = new mongoose.Schema({
     total_roles: { type: Number, default: 0 },
     roles_completed: { type: Number, default: 0 },
     total_jobs_found: { type: Number, default: 0 },
+    jobs_below_fit_threshold: { type: Number, default: 0 },
+    jobs_already_contacted: { type: Number, default: 0 },
+    contacts_suppressed: { type: Number, default: 0 }, // on the do-not-contact list or already emailed
     total_contacts_found: { type: Number, default: 0 },
     total_emails_drafted: { type: Number, default: 0 },
     current_step: { type: String },
@@ -285,9 +498,50 @@ const workflowSchema = new mongoose.Schema({
   cost_breakdown: {
     job_search: { type: Number, default: 0 },
     people_search: { type: Number, default: 0 },
+    resume_parsing: { type: Number, default: 0 },
     person_enrichment: { type: Number, default: 0 },
+    email_enrichment: { type: Number, default: 0 },
     email_generation: { type: Number, default: 0 },
-    linkedin_generation: { type: Number, default: 0 }
+    linkedin_generation: { type: Number, default: 0 },
+    reply_classification: { type: Number, default: 0 }
+  },
+
+  // Spending cap and the pre-flight estimate made when the workflow was started
+  budget: {
+    max_usd: { type: Number }, // no cap if unset
+    estimated_usd: { type: Number },
+    estimate: {
+      resume_parsing: { type: Number },
+      job_search: { type: Number },
+      people_search: { type: Number },
+      email_enrichment: { type: Number },
+      email_generation: { type: Number },
+      linkedin_generation: { type: Number }
+    },
+    exhausted: { type: Boolean, default: false }, // a step was skipped to stay under max_usd
+    skipped_steps: { type: Number, default: 0 }
+  },
+
+  // Checkpoint - last completed steps, used to resume interrupted runs
+  // without paying again for searches that already finished
+  checkpoint: {
+    roles: [{
+      role_index: { type: Number },
+      role: { type: String },
+      job_ids: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Job' }],
+      search_cost_usd: { type: Number, default: 0 },
+      completed: { type: Boolean, default: false }
+    }],
+    jobs: [{
+      job_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Job' },
+      contact_ids: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Contact' }],
+      search_cost_usd: { type: Number, default: 0 },
+      completed: { type: Boolean, default: false }
+    }],
+    enriched_contact_ids: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Contact' }],
+    drafted_contact_ids: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Contact' }],
+    resume_count: { type: Number, default: 0 },
+    updated_at: { type: Date }
   },
   
   // Error tracking
@@ -303,6 +557,192 @@ const workflowSchema = new mongoose.Schema({
   created_at: { type: Date, default: Date.now }
 });
 
+// Queue entries - durable queue of agent workflows waiting to run
+const queueEntrySchema = new mongoose.Schema({
+  workflow_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Workflow', required: true, unique: true },
+  priority: { type: Number, default: 0 }, // higher runs first
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  attempts: { type: Number, default: 0 },
+  locked_by: { type: String },
+  last_error: { type: String },
+  enqueued_at: { type: Date, default: Date.now },
+  started_at: { type: Date },
+  finished_at: { type: Date }
+});
+
+queueEntrySchema.index({ status: 1, priority: -1, enqueued_at: 1 });
+
+// Do-not-contact entries - people and companies outreach must never reach
+const doNotContactSchema = new mongoose.Schema({
+  owner_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  type: {
+    type: String,
+    enum: ['email', 'domain', 'linkedin', 'company'],
+    required: true
+  },
+  value: { type: String, required: true }, // as entered
+  key: { type: String, required: true }, // normalized for matching
+  reason: { type: String }, // e.g. 'current employer', 'replied no thanks'
+  source: { type: String, default: 'manual' }, // manual, reply, ...
+  created_at: { type: Date, default: Date.now },
+  updated_at: { type: Date }
+});
+
+doNotContactSchema.index({ owner_id: 1, type: 1, key: 1 }, { unique: true });
+
+// Email verification cache - one paid verification per address until it goes stale
+// (shared across users: it records whether an address works, not who looked it up)
+const emailVerificationSchema = new mongoose.Schema({
+  email: { type: String, required: true, unique: true }, // lowercased
+  result: {
+    type: String,
+    enum: ['deliverable', 'risky', 'undeliverable', 'unknown'],
+    required: true
+  },
+  is_disposable: { type: Boolean, default: false },
+  is_webmail: { type: Boolean, default: false },
+  mx_records: { type: Boolean },
+  source: { type: String }, // tomba, tomba-mock
+  cost_usd: { type: Number },
+  verified_at: { type: Date, default: Date.now }
+});
+
+// Sender identities - SMTP mailboxes outreach rotates across, each with its own daily cap
+const senderIdentitySchema = new mongoose.Schema({
+  owner_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  name: { type: String }, // label, e.g. 'Work Gmail'
+  from_name: { type: String },
+  from_email: { type: String, required: true },
+  reply_to: { type: String },
+  smtp: {
+    host: { type: String, required: true },
+    port: { type: Number, default: 587 },
+    secure: { type: Boolean }, // default: port 465
+    user: { type: String, required: true },
+    pass_encrypted: { type: String, required: true } // see services/secrets.js
+  },
+  imap: { // inbox replies to this identity arrive in, polled for replies and bounces (login defaults to the SMTP one)
+    host: { type: String },
+    port: { type: Number }, // default 993
+    secure: { type: Boolean }, // default: port 993
+    user: { type: String },
+    pass_encrypted: { type: String }
+  },
+  signature: { type: String }, // appended to the body of every email sent from this identity
+  daily_cap: { type: Number, default: 50 },
+  warmup: { // new mailboxes ramp up: start_cap on the first day, plus daily_increase each day after
+    enabled: { type: Boolean, default: false },
+    started_at: { type: Date },
+    start_cap: { type: Number, default: 5 },
+    daily_increase: { type: Number, default: 5 }
+  },
+  active: { type: Boolean, default: true },
+  usage: { // sends today (UTC), reset on the first send of a new day
+    date: { type: String }, // YYYY-MM-DD
+    count: { type: Number, default: 0 }
+  },
+  last_used_at: { type: Date },
+  last_assigned_at: { type: Date },
+  created_at: { type: Date, default: Date.now },
+  updated_at: { type: Date }
+});
+
+// Provider credentials - one user's own API keys / SMTP login for one provider
+const providerCredentialSchema = new mongoose.Schema({
+  owner_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  provider: { type: String, required: true }, // e.g. 'apify', 'tomba', 'smtp' (see services/credentialVault.js)
+  values_encrypted: { type: String, required: true }, // JSON of the provider's fields, see services/secrets.js
+  last_test: {
+    success: { type: Boolean },
+    message: { type: String },
+    tested_at: { type: Date }
+  },
+  created_at: { type: Date, default: Date.now },
+  updated_at: { type: Date, default: Date.now }
+});
+
+providerCredentialSchema.index({ owner_id: 1, provider: 1 }, { unique: true });
+
+// Workspaces - teams that pool their contacts and companies and see each other's spend
+const workspaceSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  owner_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // the member with the owner role
+  members: [{
+    user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    role: {
+      type: String,
+      enum: ['owner', 'admin', 'member', 'viewer'], // see services/workspaces.js
+      default: 'member'
+    },
+    added_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    added_at: { type: Date, default: Date.now }
+  }],
+  created_at: { type: Date, default: Date.now },
+  updated_at: { type: Date }
+});
+
+workspaceSchema.index({ 'members.user_id': 1 });
+
+// Contact claims - a teammate reaching out to a person about a job; nobody else in the workspace may email them about it
+// (teammates each have their own Contact and Job documents, so claims match on identity keys)
+const contactClaimSchema = new mongoose.Schema({
+  workspace_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Workspace', required: true },
+  user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // who claimed
+  person_key: { type: String, required: true }, // linkedin_key, else the lowercased email
+  job_key: { type: String, default: '' }, // apply_url_key, else the fingerprint; '' claims the person for every job
+  contact_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Contact' }, // claimer's copy
+  job_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Job' },
+  contact_name: { type: String },
+  company: { type: String },
+  job_title: { type: String },
+  source: { type: String, enum: ['manual', 'sent'], default: 'manual' }, // sent: claimed by emailing them
+  claimed_at: { type: Date, default: Date.now }
+});
+
+contactClaimSchema.index({ workspace_id: 1, person_key: 1, job_key: 1 }, { unique: true });
+
+// Audit events - append-only record of who did what to which document (see services/auditLog.js)
+const auditEventSchema = new mongoose.Schema({
+  owner_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true }, // whose data it happened to
+  actor_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // who did it (the owner, or the job acting for them)
+  actor_type: { type: String, enum: ['user', 'system'], default: 'user' }, // system: a background job (scheduler, workflow, ...)
+  via: { type: String }, // route ('PATCH /api/agent/emails/:emailId') or background job ('scheduler', 'workflow')
+  action: { type: String, required: true, index: true }, // e.g. 'email.sent', 'email.status_changed', 'contact.enriched'
+  target_type: { type: String }, // model name, e.g. 'Email'
+  target_id: { type: mongoose.Schema.Types.ObjectId, index: true },
+  target_label: { type: String }, // e.g. recipient or contact name, for reading the log without lookups
+  changes: [{
+    _id: false,
+    field: { type: String },
+    before: { type: mongoose.Schema.Types.Mixed },
+    after: { type: mongoose.Schema.Types.Mixed }
+  }],
+  cost_usd: { type: Number },
+  metadata: { type: mongoose.Schema.Types.Mixed },
+  created_at: { type: Date, default: Date.now, immutable: true }
+});
+
+auditEventSchema.index({ owner_id: 1, created_at: -1 });
+
+// Events are only ever inserted
+auditEventSchema.pre('save', function (next) {
+  next(this.isNew ? undefined : new Error('Audit events are append-only'));
+});
+auditEventSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  function (next) {
+    next(new Error('Audit events are append-only'));
+  }
+);
+auditEventSchema.pre('deleteOne', { document: true, query: false }, function (next) {
+  next(new Error('Audit events are append-only'));
+});
+
+export const User = mongoose.model('User', userSchema);
 export const Offer = mongoose.model('Offer', offerSchema);
 export const Receipt = mongoose.model('Receipt', receiptSchema);
 export const Contact = mongoose.model('Contact', contactSchema);
@@ -310,3 +750,11 @@ export const Job = mongoose.model('Job', jobSchema);
 export const Resume = mongoose.model('Resume', resumeSchema);
 export const Email = mongoose.model('Email', emailSchema);
 export const Workflow = mongoose.model('Workflow', workflowSchema);
+export const QueueEntry = mongoose.model('QueueEntry', queueEntrySchema);
+export const DoNotContact = mongoose.model('DoNotContact', doNotContactSchema);
+export const EmailVerification = mongoose.model('EmailVerification', emailVerificationSchema);
+export const SenderIdentity = mongoose.model('SenderIdentity', senderIdentitySchema);
+export const ProviderCredential = mongoose.model('ProviderCredential', providerCredentialSchema);
+export const Workspace = mongoose.model('Workspace', workspaceSchema);
+export const ContactClaim = mongoose.model('ContactClaim', contactClaimSchema);
+export const AuditEvent = mongoose.model('AuditEvent', auditEventSchema);
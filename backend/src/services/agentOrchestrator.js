@@ -1,11 +1,21 @@
 import { EventEmitter } from 'events';
-import { Resume, Workflow, Email, Job, Contact, Receipt } from '../models/schemas.js';
-import { ResumeParserService } from './resumeParser.js';
-import { EmailDrafterService } from './emailDrafter.js';
-import { LinkedInDrafterService } from './linkedinDrafter.js';
-import { TombaEnricher, MockTombaEnricher } from './tombaEnricher.js';
-import { JobFinderTool, MockJobFinderTool } from './jobFinder.js';
-import { PeopleFinderTool, MockPeopleFinderTool } from './peopleFinder.js';
+import { Resume, Workflow, Email, Job, Contact } from '../models/schemas.js';
+import { buildCandidateProfile } from './candidateProfile.js';
+import { JobFitScorer } from './jobFitScorer.js';
+import { getUserServices } from './userServices.js';
+import { guessCompanyDomain } from './emailPatternGuesser.js';
+import { ContactResolver, workflowContactsFilter } from './contactResolver.js';
+import { JobResolver, jobIdentityKeys, workflowJobsFilter } from './jobResolver.js';
+import { SuppressionList } from './suppressionList.js';
+import { needsApproval } from './emailVerifier.js';
+import { SenderPool } from './senderIdentities.js';
+import { ownedOnlyBy } from './auth.js';
+import { WorkflowQueue, ConcurrencyLimiter } from './workflowQueue.js';
+import { getAuditLog, diffFields } from './auditLog.js';
+import { getCostLedger } from './costLedger.js';
+
+// Workflow statuses that mean a run is still in progress
+const ACTIVE_STATUSES = ['pending', 'queued', 'parsing_resume', 'searching_jobs', 'finding_contacts', 'enriching_contact', 'drafting_emails'];
 
 /**
  * Agent Orchestrator - Coordinates the agentic job search workflow
@@ -13,16 +23,29 @@ import { PeopleFinderTool, MockPeopleFinderTool } from './peopleFinder.js';
  * Pipeline:
  * 1. Parse resume → extract skills, experience, etc.
  * 2. For each target role:
- *    a. Search for jobs matching the role
- *    b. For each job found:
- *       i.   Find relevant contacts (recruiters/hiring managers)
- *       ii.  Enrich contacts with email (Tomba)
+ *    a. Search for jobs matching the role and score each job's fit
+ *    b. For each job above the fit threshold (best fit first):
+ *       i.   Find relevant contacts (recruiters/hiring managers),
+ *            skipping anyone on the do-not-contact list or already emailed
+ *       ii.  Enrich contacts with email (Tomba) and verify the address
  *       iii. Draft personalized messages IN PARALLEL:
  *            - Email
  *            - LinkedIn InMail
  *            - LinkedIn Connection Request
  * 3. Store all results in the database
  * 
+ * Every role/job/contact step is checkpointed on the Workflow document, so a
+ * run interrupted by a restart resumes where it left off (see resumeWorkflow).
+ * 
+ * Workflows do not start immediately: they are enqueued on a durable queue
+ * that runs a limited number at once, and provider calls inside a run are
+ * throttled per provider (apify, tomba, fireworks).
+ * 
+ * Each run uses the providers, drafters and parser built from its owner's
+ * credentials (see userServices.js), so users pay for their own searches.
+ * Every paid call is recorded as a Receipt by the cost ledger, and the run's
+ * total_cost_usd and cost_breakdown are summed from those receipts.
+ * 
  * The orchestrator emits events for progress tracking:
  * - 'progress' - workflow progress updates
  * - 'job_found' - new job found
@@ -31,20 +54,22 @@ import { PeopleFinderTool, MockPeopleFinderTool } from './peopleFinder.js';
  * - 'email_drafted' - new email drafted (includes LinkedIn messages)
  * - 'error' - error occurred
  * - 'complete' - workflow completed
+ * 
+ * These are relayed to clients over SSE by WorkflowEventStream.
  */
 export class AgentOrchestrator extends EventEmitter {
   constructor(options = {}) {
     super();
     
-    this.resumeParser = new ResumeParserService();
-    this.emailDrafter = new EmailDrafterService();
-    this.linkedinDrafter = new LinkedInDrafterService();
-    
-    // Initialize providers
-    this.initializeProviders();
-    
-    // Initialize Tomba email enricher
-    this.initializeEnricher();
+    // Providers, drafters and the parser are built from each workflow owner's credentials
+    this.services = options.services || getUserServices();
+    this.fitScorer = new JobFitScorer({ threshold: options.minFitScore });
+    this.contactResolver = new ContactResolver();
+    this.jobResolver = new JobResolver();
+    this.suppressionList = new SuppressionList();
+    this.senderPool = new SenderPool();
+    this.audit = options.audit || getAuditLog();
+    this.ledger = options.ledger || getCostLedger();
     
     // Default configuration
     this.config = {
@@ -58,47 +83,18 @@ export class AgentOrchestrator extends EventEmitter {
     // Active workflows being processed
     this.activeWorkflows = new Map();
 
+    // Durable workflow queue and per-provider call limits
+    this.limiter = new ConcurrencyLimiter();
+    this.queue = new WorkflowQueue({
+      handler: (workflowId) => this.runWorkflow(workflowId)
+    });
+
     // Add default error handler to prevent unhandled error crashes
     this.on('error', (data) => {
       console.error('[AgentOrchestrator] Error event:', data);
     });
   }
 
-  /**
-   * Initialize job and people finder providers
-   */
-  initializeProviders() {
-    const apifyToken = process.env.APIFY_TOKEN;
-
-    if (apifyToken) {
-      this.jobFinder = new JobFinderTool(apifyToken);
-      this.peopleFinder = new PeopleFinderTool(apifyToken);
-      console.log('[Agent] Using real Apify providers');
-    } else {
-      this.jobFinder = new MockJobFinderTool();
-      this.peopleFinder = new MockPeopleFinderTool();
-      console.log('[Agent] Using mock providers (no APIFY_TOKEN)');
-    }
-  }
-
-  /**
-   * Initialize the Tomba email enricher
-   */
-  initializeEnricher() {
-    const tombaKey = process.env.TOMBA_API_KEY;
-    const tombaSecret = process.env.TOMBA_API_SECRET;
-
-    if (tombaKey && tombaSecret) {
-      this.emailEnricher = new TombaEnricher(tombaKey, tombaSecret);
-      this.enricherType = 'tomba';
-      console.log('[Agent] Using Tomba for email enrichment');
-    } else {
-      this.emailEnricher = new MockTombaEnricher();
-      this.enricherType = 'mock';
-      console.log('[Agent] No Tomba credentials found - using mock enricher');
-    }
-  }
-
   /**
    * Start a new agentic workflow
    * @param {Object} params - Workflow parameters
@@ -106,19 +102,36 @@ export class AgentOrchestrator extends EventEmitter {
    * @param {string[]} params.targetRoles - List of job titles/roles to search for
    * @param {string[]} params.targetLocations - List of locations to search in
    * @param {Object} params.preferences - Search preferences
-   * @returns {Promise<Object>} - Workflow object with ID
+   * @param {number} params.priority - Queue priority (higher runs first, default 0)
+   * @param {number} params.maxBudgetUsd - Spending cap for the run (optional)
+   * @param {string} params.ownerId - User the workflow runs on behalf of; everything it finds and drafts belongs to them
+   * @returns {Promise<Object>} - Workflow object with ID, queue position and cost estimate
    */
   async startWorkflow(params) {
-    const { resumeText, targetRoles, targetCompanies = [], targetLocations = [], preferences = {} } = params;
+    const { resumeText, targetRoles, targetCompanies = [], targetLocations = [], preferences = {}, priority = 0, maxBudgetUsd, ownerId } = params;
 
     if (!resumeText || !targetRoles?.length) {
       throw new Error('Resume text and at least one target role are required');
     }
+    if (!ownerId) {
+      throw new Error('A workflow must be started on behalf of a user');
+    }
+
+    const estimate = await this.estimateWorkflowCost(params);
+    if (maxBudgetUsd && estimate.total_usd > maxBudgetUsd) {
+      console.log(`[Agent] Estimated cost $${estimate.total_usd.toFixed(4)} exceeds budget $${maxBudgetUsd} - steps will be skipped once it is reached`);
+    }
 
     console.log(`[Agent] Starting workflow for ${targetRoles.length} roles${targetCompanies.length ? ` at ${targetCompanies.length} companies` : ''}`);
 
+    // Store the resume up front so an interrupted run can be resumed from the database.
+    // The structured profile is filled in by the first step of the run.
+    const resume = await Resume.create({ raw_text: resumeText, owner_id: ownerId });
+
     // Create workflow record
     const workflow = await Workflow.create({
+      owner_id: ownerId,
+      resume_id: resume._id,
       target_roles: targetRoles,
       target_companies: targetCompanies,
       target_locations: targetLocations,
@@ -126,360 +139,292 @@ export class AgentOrchestrator extends EventEmitter {
         work_arrangement: preferences.workArrangement,
         seniority_level: preferences.seniorityLevel,
         max_jobs_per_role: preferences.maxJobsPerRole || this.config.maxJobsPerRole,
-        max_contacts_per_job: preferences.maxContactsPerJob || this.config.maxContactsPerJob
+        max_contacts_per_job: preferences.maxContactsPerJob || this.config.maxContactsPerJob,
+        date_posted: preferences.datePosted,
+        min_fit_score: preferences.minFitScore,
+        min_salary: preferences.minSalary,
+        needs_visa_sponsorship: !!preferences.needsVisaSponsorship,
+        skip_contacted_jobs: preferences.skipContactedJobs !== false
+      },
+      budget: {
+        max_usd: maxBudgetUsd || undefined,
+        estimated_usd: estimate.total_usd,
+        estimate: estimate.breakdown
       },
-      status: 'pending',
+      status: 'queued',
       progress: {
         total_roles: targetRoles.length,
         roles_completed: 0,
-        current_step: 'initialized'
+        current_step: 'Waiting in queue'
       },
       started_at: new Date()
     });
 
-    // Track active workflow
-    this.activeWorkflows.set(workflow._id.toString(), {
-      workflow,
-      aborted: false
-    });
-
-    // Execute workflow asynchronously
-    this.executeWorkflow(workflow._id.toString(), resumeText, targetRoles, targetCompanies, targetLocations, preferences)
-      .catch(error => {
-        console.error(`[Agent] Workflow ${workflow._id} failed:`, error);
-        this.emit('error', { workflowId: workflow._id, error: error.message });
-      });
+    const workflowId = workflow._id.toString();
+    await this.queue.enqueue(workflowId, { priority });
+    const queueStatus = await this.queue.getStatus(workflowId);
 
     return {
       workflowId: workflow._id,
-      status: 'started',
-      message: 'Workflow started. Use the status endpoint to track progress.'
+      status: 'queued',
+      queue: queueStatus,
+      estimate,
+      message: 'Workflow queued. Use the status endpoint to track progress.'
     };
   }
 
   /**
-   * Execute the full workflow pipeline
+   * Estimate the most a workflow can cost, before running it.
+   * Uses the providers' getQuote pricing and the drafters' token pricing, and
+   * assumes every role fills maxJobsPerRole and every job fills maxContactsPerJob.
+   * @param {Object} params - Same parameters as startWorkflow
+   * @returns {Promise<Object>} - { total_usd, breakdown, assumptions }
    */
-  async executeWorkflow(workflowId, resumeText, targetRoles, targetCompanies, targetLocations, preferences) {
-    const workflowState = this.activeWorkflows.get(workflowId);
-    if (!workflowState) {
-      throw new Error('Workflow not found');
+  async estimateWorkflowCost(params) {
+    const { resumeText = '', targetRoles = [], targetCompanies = [], targetLocations = [], preferences = {}, ownerId } = params;
+    const tools = await this.services.forUser(ownerId);
+
+    const maxJobsPerRole = preferences.maxJobsPerRole || this.config.maxJobsPerRole;
+    const maxContactsPerJob = preferences.maxContactsPerJob || this.config.maxContactsPerJob;
+    const maxJobs = targetRoles.length * maxJobsPerRole;
+    const maxContacts = maxJobs * maxContactsPerJob;
+
+    let jobSearch = 0;
+    for (const role of targetRoles) {
+      jobSearch += await this.quoteJobSearches(tools, role, targetCompanies, targetLocations, preferences);
     }
 
-    try {
-      // ============================================
-      // Step 1: Store Resume (skip parsing, use raw text)
-      // ============================================
-      await this.updateWorkflowStatus(workflowId, 'parsing_resume', 'Processing resume...');
-      
-      // Save resume with raw text only - no parsing needed
-      const resume = await Resume.create({
-        raw_text: resumeText,
-        name: 'Job Seeker', // Placeholder - email drafter will use raw text
-        skills: [],
-        experience: [],
-        education: []
-      });
+    // People search is priced per job; every job search result has a company
+    const peopleQuote = await tools.peopleSearchChain.quote(
+      this.buildPeopleSearch({ company_name: targetCompanies[0] || 'company', title: targetRoles[0] }, preferences)
+    );
+
+    const breakdown = {
+      resume_parsing: tools.resumeParser.estimateCost(resumeText),
+      job_search: jobSearch,
+      people_search: peopleQuote * maxJobs,
+      email_enrichment: (this.config.enableEmailEnrichment ? this.emailLookupPrice(tools) * maxContacts : 0) +
+        (tools.emailVerifier.isEnabled ? tools.emailVerifier.costUsd * maxContacts : 0),
+      email_generation: tools.emailDrafter.estimateCost() * maxContacts,
+      linkedin_generation: tools.linkedinDrafter.estimateCost() * maxContacts
+    };
 
-      // Link resume to workflow
-      await Workflow.findByIdAndUpdate(workflowId, {
-        resume_id: resume._id
-      });
+    for (const key of Object.keys(breakdown)) {
+      breakdown[key] = Math.round(breakdown[key] * 10000) / 10000;
+    }
 
-      console.log(`[Agent] Resume stored (using raw text for email drafting)`);
-      this.emit('progress', { 
-        workflowId, 
-        step: 'resume_parsed', 
-        data: { message: 'Resume stored successfully' }
-      });
+    const totalUsd = Object.values(breakdown).reduce((sum, cost) => sum + cost, 0);
 
-      // ============================================
-      // Step 2: For each role, search jobs and contacts
-      // ============================================
-      const allJobs = [];
-      const allContacts = [];
-      const allEmails = [];
-      let totalCost = 0;
-      const costBreakdown = { job_search: 0, people_search: 0, email_generation: 0 };
-
-      for (let roleIndex = 0; roleIndex < targetRoles.length; roleIndex++) {
-        const role = targetRoles[roleIndex];
-        
-        // Check if workflow was aborted
-        if (this.activeWorkflows.get(workflowId)?.aborted) {
-          console.log(`[Agent] Workflow ${workflowId} was cancelled`);
-          await this.updateWorkflowStatus(workflowId, 'cancelled', 'Workflow cancelled by user');
-          return;
-        }
+    return {
+      total_usd: Math.round(totalUsd * 10000) / 10000,
+      breakdown,
+      assumptions: {
+        job_searches: targetRoles.length * Math.max(1, targetCompanies.length) * Math.max(1, targetLocations.length),
+        max_jobs: maxJobs,
+        max_contacts: maxContacts
+      }
+    };
+  }
 
-        await this.updateWorkflowStatus(workflowId, 'searching_jobs', `Searching jobs for: ${role}`, role);
-        console.log(`[Agent] Searching jobs for role: ${role} (${roleIndex + 1}/${targetRoles.length})`);
-
-        // ----------------------------------------
-        // Step 2a: Search for jobs
-        // ----------------------------------------
-        const jobsForRole = await this.searchJobsForRole(
-          role, 
-          targetCompanies,
-          targetLocations, 
-          preferences,
-          workflowId
-        );
+  /**
+   * Start the queue worker that runs enqueued workflows
+   */
+  async startQueue() {
+    await this.queue.start();
+  }
 
-        costBreakdown.job_search += jobsForRole.cost || 0;
-        totalCost += jobsForRole.cost || 0;
+  /**
+   * Get a workflow's queue status and position
+   */
+  async getQueueStatus(workflowId) {
+    return this.queue.getStatus(workflowId);
+  }
 
-        console.log(`[Agent] Found ${jobsForRole.jobs.length} jobs for ${role}`);
+  /**
+   * Run a workflow claimed from the queue, tracking it as active while it executes
+   */
+  async runWorkflow(workflowId) {
+    this.activeWorkflows.set(workflowId, { aborted: false });
 
-        // Process each job
-        for (let jobIndex = 0; jobIndex < jobsForRole.jobs.length; jobIndex++) {
-          const job = jobsForRole.jobs[jobIndex];
-          
-          // Check abort flag
-          if (this.activeWorkflows.get(workflowId)?.aborted) {
-            break;
-          }
+    try {
+      return await this.executeWorkflow(workflowId);
+    } catch (error) {
+      console.error(`[Agent] Workflow ${workflowId} failed:`, error);
+      this.emit('error', { workflowId, error: error.message });
+      throw error;
+    }
+  }
 
-          // Save job with workflow reference
-          job.workflow_id = workflowId;
-          const savedJob = await Job.create(job);
-          allJobs.push(savedJob);
+  /**
+   * Resume an interrupted workflow from its last checkpoint by putting it back on the queue
+   * @param {string} workflowId - Workflow document ID
+   * @param {Object} options - Options (priority, ownerId: only resume the user's own workflow)
+   * @returns {Promise<Object>} - Result with success flag and message
+   */
+  async resumeWorkflow(workflowId, options = {}) {
+    if (!await Workflow.exists({ _id: workflowId, ...ownedOnlyBy(options.ownerId) })) {
+      return { success: false, message: 'Workflow not found' };
+    }
 
-          // Update progress immediately after job is saved
-          await Workflow.findByIdAndUpdate(workflowId, {
-            'progress.total_jobs_found': allJobs.length,
-            total_cost_usd: totalCost,
-            cost_breakdown: costBreakdown
-          });
+    if (this.activeWorkflows.has(workflowId)) {
+      return { success: false, message: 'Workflow is already running' };
+    }
 
-          this.emit('job_found', { workflowId, job: savedJob });
-          console.log(`[Agent] Job ${allJobs.length} saved: ${savedJob.title} at ${savedJob.company_name}`);
+    const queueStatus = await this.queue.getStatus(workflowId);
+    if (['queued', 'running'].includes(queueStatus?.status)) {
+      return { success: false, message: `Workflow is already ${queueStatus.status}`, queue: queueStatus };
+    }
 
-          // ----------------------------------------
-          // Step 2b: Find contacts for this job
-          // ----------------------------------------
-          await this.updateWorkflowStatus(
-            workflowId, 
-            'finding_contacts', 
-            `Finding contacts at ${job.company_name} for ${job.title}`
-          );
+    const workflow = await Workflow.findById(workflowId);
+    if (!workflow) {
+      return { success: false, message: 'Workflow not found' };
+    }
 
-          const contactsResult = await this.findContactsForJob(
-            job, 
-            preferences,
-            workflowId
-          );
+    if (['completed', 'cancelled'].includes(workflow.status)) {
+      return { success: false, message: `Workflow is already ${workflow.status}` };
+    }
 
-          costBreakdown.people_search += contactsResult.cost || 0;
-          totalCost += contactsResult.cost || 0;
+    await Workflow.findByIdAndUpdate(workflowId, {
+      status: 'queued',
+      'progress.current_step': 'Waiting in queue',
+      $inc: { 'checkpoint.resume_count': 1 },
+      completed_at: null
+    });
 
-          // Process each contact
-          for (const contact of contactsResult.contacts) {
-            // Check abort flag
-            if (this.activeWorkflows.get(workflowId)?.aborted) {
-              break;
-            }
+    console.log(`[Agent] Resuming workflow ${workflowId} from status "${workflow.status}"`);
+    await this.queue.enqueue(workflowId, { priority: options.priority ?? queueStatus?.priority ?? 0 });
 
-            // Save contact with workflow reference
-            contact.workflow_id = workflowId;
-            contact.job_id = savedJob._id;
-            let savedContact = await Contact.create(contact);
-            allContacts.push(savedContact);
-
-            // Update progress immediately after contact is saved
-            await Workflow.findByIdAndUpdate(workflowId, {
-              'progress.total_contacts_found': allContacts.length,
-              total_cost_usd: totalCost,
-              cost_breakdown: costBreakdown
-            });
+    return {
+      success: true,
+      workflowId,
+      queue: await this.queue.getStatus(workflowId),
+      message: 'Workflow queued to resume from last checkpoint'
+    };
+  }
 
-            this.emit('contact_found', { workflowId, contact: savedContact });
-            console.log(`[Agent] Contact ${allContacts.length} saved: ${savedContact.name}`);
-
-            // ----------------------------------------
-            // Step 2c: Enrich contact with email (Tomba) - requires LinkedIn URL
-            // ----------------------------------------
-            if (this.config.enableEmailEnrichment && !savedContact.email && savedContact.linkedin_url) {
-              await this.updateWorkflowStatus(
-                workflowId,
-                'enriching_contact',
-                `Finding email for ${contact.name} at ${contact.company}`
-              );
-
-              try {
-                const enrichedContact = await this.enrichContactWithEmail(savedContact);
-                
-                if (enrichedContact.email) {
-                  // Update contact in database with email
-                  savedContact = await Contact.findByIdAndUpdate(
-                    savedContact._id,
-                    { 
-                      email: enrichedContact.email,
-                      email_confidence: enrichedContact.email_confidence,
-                      email_source: enrichedContact.email_source
-                    },
-                    { new: true }
-                  );
-                  
-                  // Track enrichment cost
-                  costBreakdown.email_enrichment = (costBreakdown.email_enrichment || 0) + 0.01; // ~$0.01 per lookup
-                  totalCost += 0.01;
-                  
-                  console.log(`[Agent] Found email for ${savedContact.name}: ${savedContact.email}`);
-                  this.emit('contact_enriched', { workflowId, contact: savedContact });
-                } else {
-                  console.log(`[Agent] No email found for ${savedContact.name}`);
-                }
-              } catch (enrichError) {
-                console.error(`[Agent] Email enrichment failed for ${contact.name}:`, enrichError.message);
-                await this.logWorkflowError(workflowId, 'email_enrichment', enrichError.message);
-              }
-            } else if (!savedContact.linkedin_url && !savedContact.email) {
-              console.log(`[Agent] No LinkedIn URL for ${savedContact.name} - no email found`);
-            }
+  /**
+   * Find workflows left mid-run by a server restart and resume them
+   * @returns {Promise<string[]>} - IDs of resumed workflows
+   */
+  async recoverInterruptedWorkflows() {
+    const interrupted = await Workflow.find({
+      status: { $in: ACTIVE_STATUSES }
+    }).select('_id status owner_id');
+
+    const resumed = [];
+    for (const workflow of interrupted) {
+      const workflowId = workflow._id.toString();
+      if (this.activeWorkflows.has(workflowId)) continue;
+
+      const result = await this.resumeWorkflow(workflowId, { ownerId: workflow.owner_id });
+      if (result.success) {
+        resumed.push(workflowId);
+      }
+    }
 
-            // ----------------------------------------
-            // Step 2d: Draft ALL messages in PARALLEL
-            // - Email
-            // - LinkedIn InMail
-            // - LinkedIn Connection Request
-            // ----------------------------------------
-            await this.updateWorkflowStatus(
-              workflowId, 
-              'drafting_emails', 
-              `Drafting messages for ${contact.name} at ${contact.company}`
-            );
+    if (resumed.length > 0) {
+      console.log(`[Agent] Recovered ${resumed.length} interrupted workflow(s)`);
+    }
 
-            try {
-              const draftParams = {
-                resumeText: resumeText,
-                job: savedJob,
-                contact: savedContact
-              };
-
-              // Run all three drafters in parallel for maximum efficiency
-              console.log(`[Agent] Drafting Email + LinkedIn messages in parallel for ${savedContact.name}...`);
-              
-              const [emailResult, linkedinResult] = await Promise.all([
-                this.emailDrafter.generateEmail(draftParams),
-                this.linkedinDrafter.generateAll(draftParams)
-              ]);
-
-              // Calculate total generation cost
-              let generationCost = 0;
-              let linkedinCost = 0;
-
-              if (emailResult.success) {
-                generationCost += emailResult.metadata?.cost_usd || 0;
-              }
-              if (linkedinResult.inmail?.success) {
-                linkedinCost += linkedinResult.inmail.metadata?.cost_usd || 0;
-              }
-              if (linkedinResult.connectionRequest?.success) {
-                linkedinCost += linkedinResult.connectionRequest.metadata?.cost_usd || 0;
-              }
-
-              // Create email record with all message types
-              const emailData = {
-                workflow_id: workflowId,
-                job_id: savedJob._id,
-                contact_id: savedContact._id,
-                recipient_name: savedContact.name,
-                recipient_email: savedContact.email,
-                recipient_title: savedContact.title,
-                recipient_company: savedContact.company,
-                job_context: {
-                  title: savedJob.title,
-                  company: savedJob.company_name,
-                  description_snippet: savedJob.description_snippet
-                },
-                resume_context: {
-                  raw_text_preview: resumeText.substring(0, 500)
-                }
-              };
-
-              // Add email content if successful
-              if (emailResult.success) {
-                emailData.subject = emailResult.subject;
-                emailData.body = emailResult.body;
-                emailData.model_used = emailResult.metadata.model;
-                emailData.prompt_tokens = emailResult.metadata.prompt_tokens;
-                emailData.completion_tokens = emailResult.metadata.completion_tokens;
-              }
-
-              // Add LinkedIn InMail content if successful
-              if (linkedinResult.inmail?.success) {
-                emailData.linkedin_inmail = {
-                  subject: linkedinResult.inmail.subject,
-                  body: linkedinResult.inmail.body,
-                  character_count: linkedinResult.inmail.characterCount
-                };
-              }
-
-              // Add LinkedIn Connection Request content if successful
-              if (linkedinResult.connectionRequest?.success) {
-                emailData.linkedin_connection_request = {
-                  message: linkedinResult.connectionRequest.message,
-                  character_count: linkedinResult.connectionRequest.characterCount
-                };
-              }
-
-              // Set total generation cost
-              emailData.generation_cost_usd = generationCost + linkedinCost;
-
-              const savedEmail = await Email.create(emailData);
-
-              allEmails.push(savedEmail);
-              costBreakdown.email_generation += generationCost;
-              costBreakdown.linkedin_generation = (costBreakdown.linkedin_generation || 0) + linkedinCost;
-              totalCost += generationCost + linkedinCost;
-
-              // Update progress immediately after all messages are drafted
-              await Workflow.findByIdAndUpdate(workflowId, {
-                'progress.total_emails_drafted': allEmails.length,
-                total_cost_usd: totalCost,
-                cost_breakdown: costBreakdown
-              });
-
-              this.emit('email_drafted', { workflowId, email: savedEmail });
-              
-              // Log what was generated
-              const generated = [];
-              if (emailResult.success) generated.push('Email');
-              if (linkedinResult.inmail?.success) generated.push('InMail');
-              if (linkedinResult.connectionRequest?.success) generated.push('Connection Request');
-              console.log(`[Agent] Messages drafted for ${savedContact.name}: ${generated.join(', ')}`);
-
-            } catch (emailError) {
-              console.error(`[Agent] Failed to draft messages for ${contact.name}:`, emailError.message);
-              await this.logWorkflowError(workflowId, 'message_generation', emailError.message);
-            }
+    return resumed;
+  }
 
-            // Delay between operations
-            await this.delay(this.config.delayBetweenSearches / 2);
-          }
+  /**
+   * Execute the full workflow pipeline
+   *
+   * All inputs are read from the Workflow document, and every role/job/contact
+   * step is checkpointed so the pipeline can be re-entered after a restart.
+   */
+  async executeWorkflow(workflowId) {
+    const workflowState = this.activeWorkflows.get(workflowId);
+    if (!workflowState) {
+      throw new Error('Workflow not found');
+    }
+
+    try {
+      const workflow = await Workflow.findById(workflowId).populate('resume_id');
+      if (!workflow) {
+        throw new Error('Workflow not found');
+      }
+
+      // Cancelled while waiting in the queue
+      if (workflow.status === 'cancelled') {
+        this.activeWorkflows.delete(workflowId);
+        return;
+      }
 
-          // Delay between jobs
-          await this.delay(this.config.delayBetweenSearches);
+      const resumeText = workflow.resume_id?.raw_text;
+      if (!resumeText) {
+        throw new Error('Workflow has no stored resume');
+      }
+
+      const run = {
+        workflowId,
+        ownerId: workflow.owner_id,
+        // Providers, drafters and parser built from the owner's credentials
+        tools: await this.services.forUser(workflow.owner_id),
+        resume: workflow.resume_id,
+        resumeText,
+        targetRoles: workflow.target_roles,
+        targetCompanies: workflow.target_companies || [],
+        targetLocations: workflow.target_locations || [],
+        preferences: this.getRunPreferences(workflow),
+        checkpoint: this.loadCheckpoint(workflow),
+        maxBudgetUsd: workflow.budget?.max_usd,
+        budgetExhausted: workflow.budget?.exhausted || false,
+        totalCost: workflow.total_cost_usd || 0,
+        costBreakdown: {
+          job_search: 0,
+          people_search: 0,
+          resume_parsing: 0,
+          email_enrichment: 0,
+          email_generation: 0,
+          linkedin_generation: 0,
+          ...(workflow.cost_breakdown?.toObject?.() || {})
+        },
+        // Results already produced before an interruption are restored from the database
+        allJobs: await Job.find(workflowJobsFilter(workflowId)).sort({ created_at: 1 }),
+        allContacts: await Contact.find(workflowContactsFilter(workflowId)).sort({ created_at: 1 }),
+        allEmails: await Email.find({ workflow_id: workflowId }).sort({ created_at: 1 }),
+        contactedJobsSkipped: new Set(),
+        suppressedContactIds: new Set()
+      };
+
+      // ============================================
+      // Step 1: Parse resume into a structured profile
+      // ============================================
+      await this.updateWorkflowStatus(workflowId, 'parsing_resume', 'Parsing resume...');
+      await this.parseResume(run);
+
+      // ============================================
+      // Step 2: For each role, search jobs and contacts
+      // ============================================
+      for (let roleIndex = 0; roleIndex < run.targetRoles.length; roleIndex++) {
+        // Check if workflow was aborted
+        if (this.isAborted(workflowId)) {
+          console.log(`[Agent] Workflow ${workflowId} was cancelled`);
+          await this.updateWorkflowStatus(workflowId, 'cancelled', 'Workflow cancelled by user');
+          this.activeWorkflows.delete(workflowId);
+          return;
         }
 
-        // Update role completion progress
-        await Workflow.findByIdAndUpdate(workflowId, {
-          'progress.roles_completed': roleIndex + 1,
-          'progress.total_jobs_found': allJobs.length,
-          'progress.total_contacts_found': allContacts.length,
-          'progress.total_emails_drafted': allEmails.length,
-          total_cost_usd: totalCost,
-          cost_breakdown: costBreakdown
-        });
+        await this.processRole(run, roleIndex);
 
         // Delay between roles
         await this.delay(this.config.delayBetweenSearches * 2);
       }
 
+      if (this.isAborted(workflowId)) {
+        await this.updateWorkflowStatus(workflowId, 'cancelled', 'Workflow cancelled by user');
+        this.activeWorkflows.delete(workflowId);
+        return;
+      }
+
       // ============================================
       // Step 3: Complete workflow
       // ============================================
+      const { allJobs, allContacts, allEmails, totalCost, costBreakdown } = run;
+
       await Workflow.findByIdAndUpdate(workflowId, {
         status: 'completed',
         'progress.current_step': 'completed',
@@ -502,7 +447,8 @@ export class AgentOrchestrator extends EventEmitter {
           contacts_found: allContacts.length,
           emails_drafted: allEmails.length,
           total_cost_usd: totalCost,
-          cost_breakdown: costBreakdown
+          cost_breakdown: costBreakdown,
+          budget_exhausted: run.budgetExhausted
         }
       });
 
@@ -520,7 +466,7 @@ export class AgentOrchestrator extends EventEmitter {
 
     } catch (error) {
       console.error(`[Agent] Workflow error:`, error);
-      
+
       await Workflow.findByIdAndUpdate(workflowId, {
         status: 'failed',
         'progress.current_step': 'failed',
@@ -539,43 +485,747 @@ export class AgentOrchestrator extends EventEmitter {
   }
 
   /**
-   * Search for jobs matching a specific role
+   * Step 2a: Search jobs for one role (or reuse the checkpointed search) and process each job
    */
-  async searchJobsForRole(role, companies, locations, preferences, workflowId) {
-    const jobs = [];
-    let totalCost = 0;
-    const searchLocations = locations.length > 0 ? locations : [null];
-    const searchCompanies = companies.length > 0 ? companies : [null];
+  async processRole(run, roleIndex) {
+    const { workflowId, checkpoint, preferences } = run;
+    const role = run.targetRoles[roleIndex];
+
+    let roleCheckpoint = checkpoint.roles.find(r => r.role_index === roleIndex);
+    if (roleCheckpoint?.completed) {
+      console.log(`[Agent] Skipping completed role: ${role}`);
+      return;
+    }
+
+    await this.updateWorkflowStatus(workflowId, 'searching_jobs', `Searching jobs for: ${role}`, role);
+
+    let savedJobs;
+    if (roleCheckpoint) {
+      // Search already paid for - reload the jobs it produced
+      savedJobs = await Job.find({ _id: { $in: roleCheckpoint.job_ids } }).sort({ created_at: 1 });
+      console.log(`[Agent] Resuming role ${role} with ${savedJobs.length} checkpointed jobs`);
+    } else {
+      const searchCost = await this.quoteJobSearches(run.tools, role, run.targetCompanies, run.targetLocations, preferences);
+      if (!await this.withinBudget(run, searchCost, `job search for ${role}`)) {
+        return;
+      }
+
+      console.log(`[Agent] Searching jobs for role: ${role} (${roleIndex + 1}/${run.targetRoles.length})`);
+
+      const jobsForRole = await this.searchJobsForRole(
+        run.tools,
+        role,
+        run.targetCompanies,
+        run.targetLocations,
+        preferences,
+        workflowId,
+        run.ownerId
+      );
+      await this.syncCosts(run);
+
+      console.log(`[Agent] Found ${jobsForRole.jobs.length} jobs for ${role}`);
+
+      // Score fit against the resume and resolve each job to its canonical record
+      savedJobs = [];
+      for (const job of jobsForRole.jobs) {
+        Object.assign(job, this.fitScorer.score(job, run.resume, preferences));
+        const { job: savedJob, isNew } = await this.jobResolver.resolve(job, { workflowId, ownerId: run.ownerId });
+
+        // Another role in this run may already have found it
+        if (savedJobs.some(j => String(j._id) === String(savedJob._id))) {
+          continue;
+        }
+        savedJobs.push(savedJob);
+
+        const index = run.allJobs.findIndex(j => String(j._id) === String(savedJob._id));
+        if (index === -1) {
+          run.allJobs.push(savedJob);
+        } else {
+          run.allJobs[index] = savedJob;
+        }
+
+        this.emit('job_found', { workflowId, job: savedJob });
+        console.log(`[Agent] Job ${run.allJobs.length} ${isNew ? 'saved' : 'matched'}: ${savedJob.title} at ${savedJob.company_name} (fit ${savedJob.fit_score ?? 'n/a'})`);
+      }
+
+      roleCheckpoint = {
+        role_index: roleIndex,
+        role,
+        job_ids: savedJobs.map(j => j._id),
+        search_cost_usd: jobsForRole.cost || 0,
+        completed: false
+      };
+      checkpoint.roles.push(roleCheckpoint);
+
+      await this.saveCheckpoint(run, {
+        'progress.total_jobs_found': run.allJobs.length,
+        'progress.jobs_below_fit_threshold': run.allJobs.filter(j => j.fit_status === 'below_threshold').length
+      });
+    }
+
+    // Jobs the user already emailed about, in this or an earlier workflow
+    const contactedJobIds = preferences.skipContactedJobs
+      ? await this.jobResolver.contactedJobIds(savedJobs.map(j => j._id))
+      : new Set();
+
+    // Process each job, best fit first
+    const rankedJobs = [...savedJobs].sort((a, b) => (b.fit_score ?? -1) - (a.fit_score ?? -1));
+    for (const savedJob of rankedJobs) {
+      if (this.isAborted(workflowId)) {
+        return;
+      }
+
+      // Only spend on contacts for jobs that fit
+      if (savedJob.fit_status === 'below_threshold') {
+        console.log(`[Agent] Skipping low-fit job: ${savedJob.title} at ${savedJob.company_name} (${savedJob.fit_score})`);
+        continue;
+      }
+
+      if (contactedJobIds.has(String(savedJob._id))) {
+        console.log(`[Agent] Skipping already contacted job: ${savedJob.title} at ${savedJob.company_name}`);
+        run.contactedJobsSkipped.add(String(savedJob._id));
+        continue;
+      }
+
+      await this.processJob(run, savedJob);
+
+      // Delay between jobs
+      await this.delay(this.config.delayBetweenSearches);
+    }
+
+    roleCheckpoint.completed = true;
+
+    // Update role completion progress
+    await this.saveCheckpoint(run, {
+      'progress.roles_completed': checkpoint.roles.filter(r => r.completed).length,
+      'progress.jobs_already_contacted': run.contactedJobsSkipped.size,
+      'progress.total_jobs_found': run.allJobs.length,
+      'progress.total_contacts_found': run.allContacts.length,
+      'progress.total_emails_drafted': run.allEmails.length
+    });
+  }
+
+  /**
+   * Step 2b: Find contacts for one job (or reuse the checkpointed search) and process each contact
+   */
+  async processJob(run, savedJob) {
+    const { workflowId, checkpoint, preferences } = run;
+
+    let jobCheckpoint = checkpoint.jobs.find(j => String(j.job_id) === String(savedJob._id));
+    if (jobCheckpoint?.completed) {
+      return;
+    }
+
+    await this.updateWorkflowStatus(
+      workflowId,
+      'finding_contacts',
+      `Finding contacts at ${savedJob.company_name} for ${savedJob.title}`
+    );
+
+    let savedContacts;
+    if (jobCheckpoint) {
+      savedContacts = await Contact.find({ _id: { $in: jobCheckpoint.contact_ids } }).sort({ created_at: 1 });
+    } else {
+      const peopleQuote = await run.tools.peopleSearchChain.quote(this.buildPeopleSearch(savedJob, preferences));
+      if (!await this.withinBudget(run, peopleQuote, `contact search for ${savedJob.title} at ${savedJob.company_name}`)) {
+        return;
+      }
+
+      const contactsResult = await this.findContactsForJob(
+        run.tools,
+        savedJob,
+        preferences,
+        workflowId,
+        run.ownerId
+      );
+      await this.syncCosts(run);
+
+      // Resolve each person to their canonical contact, recording this workflow/job as a sighting
+      savedContacts = [];
+      const costPerContact = (contactsResult.cost || 0) / (contactsResult.contacts.length || 1);
+      for (const contact of contactsResult.contacts) {
+        const { contact: savedContact, isNew } = await this.contactResolver.resolve(contact, {
+          ownerId: run.ownerId,
+          workflowId,
+          jobId: savedJob._id,
+          source: contact.source || run.tools.peopleFinder.providerName,
+          searchQuery: contact.search_query,
+          costUsd: costPerContact,
+          receiptId: contactsResult.receiptId
+        });
+
+        // The same person can turn up for several jobs in one run - keep them once
+        if (savedContacts.some(c => String(c._id) === String(savedContact._id))) {
+          continue;
+        }
+        savedContacts.push(savedContact);
+
+        const index = run.allContacts.findIndex(c => String(c._id) === String(savedContact._id));
+        if (index === -1) {
+          run.allContacts.push(savedContact);
+        } else {
+          run.allContacts[index] = savedContact;
+        }
+
+        this.emit('contact_found', { workflowId, contact: savedContact });
+        console.log(`[Agent] Contact ${run.allContacts.length} ${isNew ? 'saved' : 'matched'}: ${savedContact.name}`);
+      }
+
+      jobCheckpoint = {
+        job_id: savedJob._id,
+        contact_ids: savedContacts.map(c => c._id),
+        search_cost_usd: contactsResult.cost || 0,
+        completed: false
+      };
+      checkpoint.jobs.push(jobCheckpoint);
+
+      await this.saveCheckpoint(run, {
+        'progress.total_contacts_found': run.allContacts.length
+      });
+    }
+
+    // Process each contact
+    for (const savedContact of savedContacts) {
+      if (this.isAborted(workflowId)) {
+        return;
+      }
+
+      await this.processContact(run, savedJob, savedContact);
+
+      // Delay between operations
+      await this.delay(this.config.delayBetweenSearches / 2);
+    }
+
+    jobCheckpoint.completed = true;
+    await this.saveCheckpoint(run);
+  }
+
+  /**
+   * Steps 2c/2d: Enrich one contact with an email, then draft all messages for it
+   */
+  async processContact(run, savedJob, savedContact) {
+    const { workflowId, checkpoint } = run;
+    const contactId = String(savedContact._id);
+
+    // Don't pay to enrich or draft for someone outreach must not reach
+    if (await this.isSuppressed(run, savedContact)) {
+      return;
+    }
+
+    // ----------------------------------------
+    // Step 2c: Enrich contact with email (Tomba, then fallbacks) - needs a LinkedIn URL or company
+    // ----------------------------------------
+    if (!checkpoint.enriched_contact_ids.some(id => String(id) === contactId)) {
+      const emailInvalid = savedContact.email_status === 'invalid';
+      if (savedContact.email && savedContact.email_source && !emailInvalid) {
+        console.log(`[Agent] Reusing email for ${savedContact.name} from an earlier lookup (${savedContact.email_source})`);
+      }
+
+      // A hard-bounced address is looked up again, skipping every address that bounced
+      const wantsEnrichment = this.config.enableEmailEnrichment && (!savedContact.email || emailInvalid) &&
+        (savedContact.linkedin_url || savedContact.company);
+      if (wantsEnrichment && await this.withinBudget(run, this.emailLookupPrice(run.tools), `email lookup for ${savedContact.name}`)) {
+        await this.updateWorkflowStatus(
+          workflowId,
+          'enriching_contact',
+          `Finding email for ${savedContact.name} at ${savedContact.company}`
+        );
 
-    // Search across all company/location combinations
-    for (const company of searchCompanies) {
-      for (const location of searchLocations) {
         try {
-          const searchParams = {
-            keywords: role,
-            company: company,
-            location: location,
-            limit: preferences.maxJobsPerRole || this.config.maxJobsPerRole,
-            workArrangement: preferences.workArrangement,
-            seniorityLevel: preferences.seniorityLevel,
-            datePosted: preferences.datePosted || 'past-week'
-          };
-
-          const result = await this.jobFinder.execute(searchParams);
-          const quote = await this.jobFinder.getQuote(searchParams);
-
-          if (result?.jobs) {
-            jobs.push(...result.jobs);
-            totalCost += quote.price_usd || 0;
+          const enrichedContact = await this.enrichContactWithEmail(
+            emailInvalid ? { ...savedContact.toObject(), email: null } : savedContact,
+            savedJob,
+            workflowId,
+            { exclude: (savedContact.invalid_emails || []).map(entry => entry.email), tools: run.tools }
+          );
+
+          if (enrichedContact.email) {
+            // Update contact in database with email
+            const before = savedContact;
+            savedContact = await Contact.findByIdAndUpdate(
+              savedContact._id,
+              {
+                email: enrichedContact.email,
+                email_confidence: enrichedContact.email_confidence,
+                email_source: enrichedContact.email_source,
+                $unset: { email_status: 1 }
+              },
+              { new: true }
+            );
+
+            await this.syncCosts(run);
+            await this.audit.record({
+              action: 'contact.enriched',
+              ownerId: savedContact.owner_id,
+              actorType: 'system',
+              via: 'workflow',
+              target: { type: 'Contact', id: savedContact._id, label: savedContact.name },
+              changes: diffFields(before, savedContact, ['email', 'email_confidence', 'email_source']),
+              costUsd: enrichedContact.email_lookup_cost,
+              metadata: { workflow_id: workflowId, job_id: savedJob?._id }
+            });
+
+            console.log(`[Agent] Found email for ${savedContact.name}: ${savedContact.email}`);
+            this.emit('contact_enriched', { workflowId, contact: savedContact });
+
+            // The address found may be suppressed by email or domain
+            if (await this.isSuppressed(run, savedContact)) {
+              checkpoint.enriched_contact_ids.push(savedContact._id);
+              await this.saveCheckpoint(run);
+              return;
+            }
+          } else {
+            console.log(`[Agent] No email found for ${savedContact.name}`);
           }
+        } catch (enrichError) {
+          console.error(`[Agent] Email enrichment failed for ${savedContact.name}:`, enrichError.message);
+          await this.logWorkflowError(workflowId, 'email_enrichment', enrichError.message);
+        }
+      } else if (!savedContact.linkedin_url && !savedContact.company && !savedContact.email) {
+        console.log(`[Agent] No LinkedIn URL or company for ${savedContact.name} - no email found`);
+      }
 
-        } catch (error) {
-          console.error(`[Agent] Job search error for ${role}${company ? ` at ${company}` : ''} in ${location}:`, error.message);
-          await this.logWorkflowError(workflowId, 'job_search', error.message);
+      // Verify the address (cached per address): undeliverable ones aren't drafted for, risky ones need approval to send
+      if (savedContact.email && savedContact.email_status !== 'invalid' && run.tools.emailVerifier.isEnabled &&
+        await this.withinBudget(run, run.tools.emailVerifier.costUsd, `verifying ${savedContact.email}`)) {
+        try {
+          const verified = await this.paidCall(run, {
+            category: 'email_enrichment',
+            toolId: 'email-verifier',
+            toolName: 'Email Verifier',
+            provider: run.tools.emailVerifier.verifier?.providerName || 'tomba',
+            quotedUsd: run.tools.emailVerifier.costUsd,
+            jobId: savedJob._id,
+            contactId: savedContact._id
+          }, () => this.limiter.run('tomba', () => run.tools.emailVerifier.verifyContact(savedContact)),
+          // Cached results are free
+          result => result?.verification.cost_usd || 0);
+          if (verified) {
+            savedContact = verified.contact;
+            await this.syncCosts(run);
+          }
+        } catch (verifyError) {
+          console.error(`[Agent] Email verification failed for ${savedContact.name}:`, verifyError.message);
+          await this.logWorkflowError(workflowId, 'email_verification', verifyError.message);
         }
+      }
+
+      checkpoint.enriched_contact_ids.push(savedContact._id);
+      await this.saveCheckpoint(run);
+    }
+
+    if (checkpoint.drafted_contact_ids.some(id => String(id) === contactId)) {
+      return;
+    }
+
+    const draftCost = run.tools.emailDrafter.estimateCost() + run.tools.linkedinDrafter.estimateCost();
+    if (!await this.withinBudget(run, draftCost, `drafting messages for ${savedContact.name}`)) {
+      return;
+    }
+
+    // ----------------------------------------
+    // Step 2d: Draft ALL messages in PARALLEL
+    // - Email
+    // - LinkedIn InMail
+    // - LinkedIn Connection Request
+    // ----------------------------------------
+    await this.updateWorkflowStatus(
+      workflowId,
+      'drafting_emails',
+      `Drafting messages for ${savedContact.name} at ${savedContact.company}`
+    );
+
+    try {
+      const draftParams = {
+        resume: run.resume,
+        resumeText: run.resumeText,
+        job: savedJob,
+        contact: savedContact
+      };
+
+      // An address that failed verification only gets LinkedIn messages
+      const draftEmail = savedContact.email_status !== 'undeliverable';
+      if (!draftEmail) {
+        console.log(`[Agent] ${savedContact.email} is undeliverable - drafting LinkedIn messages only for ${savedContact.name}`);
+      }
+
+      // Run all three drafters in parallel for maximum efficiency
+      console.log(`[Agent] Drafting Email + LinkedIn messages in parallel for ${savedContact.name}...`);
+
+      const draftReceipt = { provider: 'fireworks', jobId: savedJob._id, contactId: savedContact._id };
+      const [emailResult, linkedinResult] = await Promise.all([
+        draftEmail
+          ? this.paidCall(run, {
+            ...draftReceipt,
+            category: 'email_generation',
+            toolId: 'email-drafter',
+            toolName: 'Email Drafter',
+            quotedUsd: run.tools.emailDrafter.estimateCost()
+          }, () => this.limiter.run('fireworks', () => run.tools.emailDrafter.generateEmail(draftParams)),
+          result => result.success ? result.metadata?.cost_usd || 0 : 0)
+          : { success: false, skipped: true },
+        this.paidCall(run, {
+          ...draftReceipt,
+          category: 'linkedin_generation',
+          toolId: 'linkedin-drafter',
+          toolName: 'LinkedIn Drafter',
+          quotedUsd: run.tools.linkedinDrafter.estimateCost()
+        }, () => this.limiter.run('fireworks', () => run.tools.linkedinDrafter.generateAll(draftParams)),
+        result => (result.inmail?.success ? result.inmail.metadata?.cost_usd || 0 : 0) +
+          (result.connectionRequest?.success ? result.connectionRequest.metadata?.cost_usd || 0 : 0))
+      ]);
+
+      // Calculate total generation cost
+      let generationCost = 0;
+      let linkedinCost = 0;
+
+      if (emailResult.success) {
+        generationCost += emailResult.metadata?.cost_usd || 0;
+      }
+      if (linkedinResult.inmail?.success) {
+        linkedinCost += linkedinResult.inmail.metadata?.cost_usd || 0;
+      }
+      if (linkedinResult.connectionRequest?.success) {
+        linkedinCost += linkedinResult.connectionRequest.metadata?.cost_usd || 0;
+      }
+
+      // Create email record with all message types
+      const emailData = {
+        owner_id: run.ownerId,
+        workflow_id: workflowId,
+        job_id: savedJob._id,
+        contact_id: savedContact._id,
+        recipient_name: savedContact.name,
+        recipient_email: savedContact.email,
+        recipient_title: savedContact.title,
+        recipient_company: savedContact.company,
+        job_context: {
+          title: savedJob.title,
+          company: savedJob.company_name,
+          description_snippet: savedJob.description_snippet
+        },
+        resume_context: this.getResumeContext(run.resume, savedJob)
+      };
+
+      if (needsApproval(savedContact.email_verification)) {
+        emailData.approval = {
+          required: true,
+          reason: savedContact.email_verification.is_disposable ? 'disposable address' : 'address verified as risky'
+        };
+      }
+
+      // Add email content if successful
+      if (emailResult.success) {
+        emailData.subject = emailResult.subject;
+        emailData.body = emailResult.body;
+        emailData.model_used = emailResult.metadata.model;
+        emailData.prompt_tokens = emailResult.metadata.prompt_tokens;
+        emailData.completion_tokens = emailResult.metadata.completion_tokens;
+      }
 
-        await this.delay(this.config.delayBetweenSearches);
+      // Add LinkedIn InMail content if successful
+      if (linkedinResult.inmail?.success) {
+        emailData.linkedin_inmail = {
+          subject: linkedinResult.inmail.subject,
+          body: linkedinResult.inmail.body,
+          character_count: linkedinResult.inmail.characterCount
+        };
+      }
+
+      // Add LinkedIn Connection Request content if successful
+      if (linkedinResult.connectionRequest?.success) {
+        emailData.linkedin_connection_request = {
+          message: linkedinResult.connectionRequest.message,
+          character_count: linkedinResult.connectionRequest.characterCount
+        };
       }
+
+      // Set total generation cost
+      emailData.generation_cost_usd = generationCost + linkedinCost;
+
+      const savedEmail = await Email.create(emailData);
+      await this.audit.record({
+        action: 'email.drafted',
+        ownerId: run.ownerId,
+        actorType: 'system',
+        via: 'workflow',
+        target: { type: 'Email', id: savedEmail._id, label: savedContact.email || savedContact.name },
+        costUsd: emailData.generation_cost_usd,
+        metadata: { workflow_id: workflowId, job_id: savedJob._id, contact_id: savedContact._id, model: emailData.model_used }
+      });
+
+      // Spread drafts across sender mailboxes (no-op without identities)
+      try {
+        const identity = await this.senderPool.assign(savedEmail._id, run.ownerId);
+        if (identity) savedEmail.sender_identity_id = identity._id;
+      } catch (error) {
+        console.warn(`[Agent] Could not assign a sender identity: ${error.message}`);
+      }
+
+      run.allEmails.push(savedEmail);
+      await this.syncCosts(run);
+
+      checkpoint.drafted_contact_ids.push(savedContact._id);
+
+      // Update progress immediately after all messages are drafted
+      await this.saveCheckpoint(run, {
+        'progress.total_emails_drafted': run.allEmails.length
+      });
+
+      this.emit('email_drafted', { workflowId, email: savedEmail });
+
+      // Log what was generated
+      const generated = [];
+      if (emailResult.success) generated.push('Email');
+      if (linkedinResult.inmail?.success) generated.push('InMail');
+      if (linkedinResult.connectionRequest?.success) generated.push('Connection Request');
+      console.log(`[Agent] Messages drafted for ${savedContact.name}: ${generated.join(', ')}`);
+
+    } catch (emailError) {
+      console.error(`[Agent] Failed to draft messages for ${savedContact.name}:`, emailError.message);
+      await this.logWorkflowError(workflowId, 'message_generation', emailError.message);
+    }
+  }
+
+  /**
+   * Rebuild search preferences from the stored workflow
+   */
+  getRunPreferences(workflow) {
+    const prefs = workflow.preferences || {};
+    return {
+      workArrangement: prefs.work_arrangement,
+      seniorityLevel: prefs.seniority_level,
+      maxJobsPerRole: prefs.max_jobs_per_role,
+      maxContactsPerJob: prefs.max_contacts_per_job,
+      datePosted: prefs.date_posted,
+      minFitScore: prefs.min_fit_score ?? undefined,
+      minSalary: prefs.min_salary,
+      needsVisaSponsorship: prefs.needs_visa_sponsorship,
+      skipContactedJobs: prefs.skip_contacted_jobs !== false
+    };
+  }
+
+  /**
+   * Load the workflow checkpoint as a plain, mutable object
+   */
+  loadCheckpoint(workflow) {
+    const stored = workflow.checkpoint?.toObject?.() || workflow.checkpoint || {};
+    return {
+      roles: stored.roles || [],
+      jobs: stored.jobs || [],
+      enriched_contact_ids: stored.enriched_contact_ids || [],
+      drafted_contact_ids: stored.drafted_contact_ids || [],
+      resume_count: stored.resume_count || 0
+    };
+  }
+
+  /**
+   * Parse the run's resume with ResumeParserService and persist the structured profile.
+   * A resume is only parsed once; if parsing fails or is over budget the drafters fall back to raw text.
+   */
+  async parseResume(run) {
+    const { workflowId, resume } = run;
+
+    if (resume.parsed_at) {
+      console.log(`[Agent] Resume already parsed for ${resume.name || 'candidate'}`);
+    } else if (await this.withinBudget(run, run.tools.resumeParser.estimateCost(run.resumeText), 'resume parsing')) {
+      try {
+        const result = await this.paidCall(run, {
+          category: 'resume_parsing',
+          toolId: 'resume-parser',
+          toolName: 'Resume Parser',
+          provider: 'fireworks',
+          quotedUsd: run.tools.resumeParser.estimateCost(run.resumeText)
+        }, () => this.limiter.run('fireworks', () => run.tools.resumeParser.parseResume(run.resumeText)),
+        parsed => parsed.metadata?.cost_usd || 0);
+        const cost = result.metadata?.cost_usd || 0;
+
+        resume.set({
+          ...result.data,
+          parsed_at: new Date(),
+          parse_model: result.metadata?.model,
+          parse_cost_usd: cost
+        });
+        await resume.save();
+
+        await this.syncCosts(run);
+        await this.saveCheckpoint(run);
+
+        console.log(`[Agent] Resume parsed: ${resume.name || 'Unknown'}, ${resume.current_title || 'no title'}, ${resume.skills.length} skills`);
+      } catch (error) {
+        console.error(`[Agent] Resume parsing failed, drafting from raw text:`, error.message);
+        await this.logWorkflowError(workflowId, 'resume_parsing', error.message);
+      }
+    }
+
+    this.emit('progress', {
+      workflowId,
+      step: 'resume_parsed',
+      data: resume.parsed_at ? {
+        name: resume.name,
+        current_title: resume.current_title,
+        years_of_experience: resume.years_of_experience,
+        skills_count: resume.skills.length
+      } : { message: 'Resume could not be parsed, using raw text' }
+    });
+  }
+
+  /**
+   * Resume facts recorded on a drafted email
+   */
+  getResumeContext(resume, job) {
+    const profile = buildCandidateProfile(resume, job);
+    if (!profile) return {};
+
+    return {
+      name: profile.name,
+      current_title: profile.current_title,
+      skills: profile.matching_skills,
+      summary: profile.summary
+    };
+  }
+
+  /**
+   * Check that a paid step fits in the workflow's remaining budget.
+   * If it doesn't, the reason is recorded in the workflow's errors and the step should be skipped.
+   * @param {Object} run - Run state
+   * @param {number} costUsd - Estimated cost of the step
+   * @param {string} description - What would be skipped, for the error log
+   * @returns {Promise<boolean>} - Whether the step can run
+   */
+  async withinBudget(run, costUsd, description) {
+    if (!run.maxBudgetUsd || run.totalCost + costUsd <= run.maxBudgetUsd) {
+      return true;
+    }
+
+    const message = `Skipped ${description}: estimated $${costUsd.toFixed(4)} would exceed the $${run.maxBudgetUsd.toFixed(2)} budget ($${run.totalCost.toFixed(4)} spent)`;
+    console.log(`[Agent] ${message}`);
+
+    run.budgetExhausted = true;
+    await Workflow.findByIdAndUpdate(run.workflowId, {
+      'budget.exhausted': true,
+      $inc: { 'budget.skipped_steps': 1 },
+      $push: { errors: { step: 'budget', message, timestamp: new Date() } }
+    });
+
+    return false;
+  }
+
+  /**
+   * Make a paid call for a run, recording it in the cost ledger
+   * @param {Object} run - Run state
+   * @param {Object} entry - Receipt fields (see CostLedger.record); the run's owner and workflow are filled in
+   * @param {Function} call - Makes the call
+   * @param {Function} costOf - Actual cost from the call's result (default: the quoted price)
+   * @returns {Promise<*>} - The call's result
+   */
+  async paidCall(run, entry, call, costOf) {
+    const { result } = await this.ledger.track({ ownerId: run.ownerId, workflowId: run.workflowId, ...entry }, call, costOf);
+    return result;
+  }
+
+  /**
+   * Refresh the run's cost totals from its receipts
+   */
+  async syncCosts(run) {
+    const costs = await this.ledger.workflowCosts(run.workflowId);
+    run.totalCost = costs.total_usd;
+    run.costBreakdown = costs.breakdown;
+  }
+
+  /**
+   * Persist the checkpoint and running cost totals, plus any extra fields
+   */
+  async saveCheckpoint(run, extraUpdate = {}) {
+    await Workflow.findByIdAndUpdate(run.workflowId, {
+      ...extraUpdate,
+      checkpoint: { ...run.checkpoint, updated_at: new Date() },
+      total_cost_usd: run.totalCost,
+      cost_breakdown: run.costBreakdown
+    });
+
+    this.emit('progress', {
+      workflowId: run.workflowId,
+      step: 'checkpoint',
+      data: {
+        total_cost_usd: run.totalCost,
+        cost_breakdown: run.costBreakdown
+      }
+    });
+  }
+
+  /**
+   * Whether a contact is on the do-not-contact list or was already emailed (logged and counted if so)
+   */
+  async isSuppressed(run, contact) {
+    const { suppressed, reason } = await this.suppressionList.checkContact(contact, { skipContacted: true });
+    if (!suppressed) {
+      return false;
+    }
+
+    console.log(`[Agent] Skipping ${contact.name} - ${reason}`);
+    run.suppressedContactIds.add(String(contact._id));
+    await this.saveCheckpoint(run, { 'progress.contacts_suppressed': run.suppressedContactIds.size });
+    return true;
+  }
+
+  /**
+   * Check whether cancellation was requested for a workflow
+   */
+  isAborted(workflowId) {
+    return !!this.activeWorkflows.get(workflowId)?.aborted;
+  }
+
+  /**
+   * Search for jobs matching a specific role, with a receipt for each search
+   * (its jobs carry the receipt's id)
+   */
+  async searchJobsForRole(tools, role, companies, locations, preferences, workflowId, ownerId) {
+    const jobs = [];
+    let totalCost = 0;
+
+    // Search across all company/location combinations
+    for (const searchParams of this.buildJobSearches(role, companies, locations, preferences)) {
+      const { company, location } = searchParams;
+      try {
+        const startTime = Date.now();
+        const { result, provider, attempts } = await tools.jobSearchChain.execute(searchParams, {
+          wrap: (limiterKey, fn) => this.limiter.run(limiterKey, fn)
+        });
+        const latencyMs = Date.now() - startTime;
+        await this.logFallback(workflowId, 'job_search', provider, attempts);
+        const quote = await provider.getQuote(searchParams);
+
+        if (result?.jobs) {
+          const receipt = await this.ledger.record({
+            ownerId,
+            workflowId,
+            category: 'job_search',
+            toolId: quote.tool_id || 'job-finder',
+            toolName: provider.name,
+            provider: provider.providerName,
+            quotedUsd: quote.price_usd || 0,
+            latencyMs
+          });
+          jobs.push(...result.jobs.map(job => ({ ...job, receipt_id: receipt?._id })));
+          totalCost += quote.price_usd || 0;
+          await this.audit.record({
+            action: 'search.jobs',
+            ownerId,
+            actorType: 'system',
+            via: 'workflow',
+            target: { type: 'Receipt', id: receipt?._id, label: role },
+            costUsd: quote.price_usd,
+            metadata: { workflow_id: workflowId, provider: provider.providerName, company, location, results: result.jobs.length }
+          });
+        }
+
+      } catch (error) {
+        console.error(`[Agent] Job search error for ${role}${company ? ` at ${company}` : ''} in ${location}:`, error.message);
+        await this.logWorkflowError(workflowId, 'job_search', error.message);
+      }
+
+      await this.delay(this.config.delayBetweenSearches);
     }
 
     // Deduplicate jobs by job_id
@@ -588,23 +1238,87 @@ export class AgentOrchestrator extends EventEmitter {
   }
 
   /**
-   * Find relevant contacts for a job
+   * Job search parameters for every company/location combination of a role
+   */
+  buildJobSearches(role, companies, locations, preferences) {
+    const searchLocations = locations.length > 0 ? locations : [null];
+    const searchCompanies = companies.length > 0 ? companies : [null];
+
+    return searchCompanies.flatMap(company => searchLocations.map(location => ({
+      keywords: role,
+      company: company,
+      location: location,
+      limit: preferences.maxJobsPerRole || this.config.maxJobsPerRole,
+      workArrangement: preferences.workArrangement,
+      seniorityLevel: preferences.seniorityLevel,
+      datePosted: preferences.datePosted || 'past-week'
+    })));
+  }
+
+  /**
+   * Total quoted price of the job searches for a role, each at the highest price in the
+   * fallback chain (the search may be billed by a fallback)
+   */
+  async quoteJobSearches(tools, role, companies, locations, preferences) {
+    let total = 0;
+    for (const searchParams of this.buildJobSearches(role, companies, locations, preferences)) {
+      total += await tools.jobSearchChain.quote(searchParams);
+    }
+    return total;
+  }
+
+  /**
+   * People search parameters for a job
+   */
+  buildPeopleSearch(job, preferences) {
+    return {
+      company: job.company_name,
+      role: job.title,
+      numResults: preferences.maxContactsPerJob || this.config.maxContactsPerJob
+    };
+  }
+
+  /**
+   * Find relevant contacts for a job, with a receipt for the search
+   * @returns {Promise<Object>} - { contacts, cost, receiptId }
    */
-  async findContactsForJob(job, preferences, workflowId) {
+  async findContactsForJob(tools, job, preferences, workflowId, ownerId) {
     try {
-      const searchParams = {
-        company: job.company_name,
-        role: job.title,
-        numResults: preferences.maxContactsPerJob || this.config.maxContactsPerJob
-      };
+      const searchParams = this.buildPeopleSearch(job, preferences);
 
-      const result = await this.peopleFinder.execute(searchParams);
-      const quote = await this.peopleFinder.getQuote(searchParams);
+      const startTime = Date.now();
+      const { result, provider, attempts } = await tools.peopleSearchChain.execute(searchParams, {
+        wrap: (limiterKey, fn) => this.limiter.run(limiterKey, fn)
+      });
+      const latencyMs = Date.now() - startTime;
+      await this.logFallback(workflowId, 'people_search', provider, attempts);
+      const quote = await provider.getQuote(searchParams);
 
       if (result?.contacts) {
+        const receipt = await this.ledger.record({
+          ownerId,
+          workflowId,
+          jobId: job._id,
+          category: 'people_search',
+          toolId: quote.tool_id || 'people-finder',
+          toolName: provider.name,
+          provider: provider.providerName,
+          quotedUsd: quote.price_usd || 0,
+          latencyMs
+        });
+        await this.audit.record({
+          action: 'search.people',
+          ownerId,
+          actorType: 'system',
+          via: 'workflow',
+          target: { type: 'Receipt', id: receipt?._id, label: job.company_name },
+          costUsd: quote.price_usd,
+          metadata: { workflow_id: workflowId, job_id: job._id, provider: provider.providerName, role: job.title, results: result.contacts.length }
+        });
         return {
           contacts: result.contacts,
-          cost: quote.price_usd || 0
+          cost: quote.price_usd || 0,
+          receiptId: receipt?._id
         };
       }
 
@@ -618,28 +1332,67 @@ export class AgentOrchestrator extends EventEmitter {
   }
 
   /**
-   * Enrich a contact with email address using Tomba (LinkedIn URL required)
+   * Price of one email lookup with the owner's active email lookup provider (mocks are free).
+   * Budgets and estimates use it; receipts record the price of the provider that found the address.
    */
-  async enrichContactWithEmail(contact) {
-    if (!this.emailEnricher) {
-      return contact;
-    }
+  emailLookupPrice(tools) {
+    return tools.providers.isMock('email_lookup') ? 0 : tools.emailEnricher.basePriceUsd || 0;
+  }
 
-    // Only lookup email if LinkedIn URL is available
-    if (!contact.linkedin_url) {
-      console.log(`[Agent] No LinkedIn URL for ${contact.name} - skipping email lookup`);
-      return contact;
-    }
+  /**
+   * Enrich a contact with email address via the email lookup chain
+   * (Tomba by LinkedIn URL, then the configured fallbacks such as Happenstance and pattern guessing).
+   * A paid lookup that finds an address gets a receipt at the price of the provider that found it.
+   * @param {Object} options - { exclude: addresses known to bounce, which don't count as found,
+   *   tools: the owner's services (default: built from contact.owner_id) }
+   */
+  async enrichContactWithEmail(contact, job, workflowId, options = {}) {
+    const exclude = (options.exclude || []).map(address => address.toLowerCase());
+    const tools = options.tools || await this.services.forUser(contact.owner_id);
+
+    const nameParts = (contact.name || '').trim().split(/\s+/);
+    const lookup = {
+      linkedinUrl: contact.linkedin_url,
+      name: contact.name,
+      firstName: nameParts[0],
+      lastName: nameParts.length > 1 ? nameParts[nameParts.length - 1] : undefined,
+      company: contact.company,
+      companyUrl: job?.company_url,
+      domain: guessCompanyDomain(contact.company, job?.company_url)
+    };
+
+    console.log(`[Agent] Looking up email for ${contact.name}${contact.linkedin_url ? ` via LinkedIn: ${contact.linkedin_url}` : ''}`);
+    const startTime = Date.now();
+    const { result, provider, attempts } = await tools.emailLookupChain.execute(lookup, {
+      accept: (result) => !!(result?.success && result.email) && !exclude.includes(result.email.toLowerCase()),
+      wrap: (limiterKey, fn) => this.limiter.run(limiterKey, fn)
+    });
+
+    if (result) {
+      await this.logFallback(workflowId, 'email_enrichment', provider, attempts);
+
+      // Pattern guesses and mocks are free
+      const cost = tools.providers.definition(provider.providerName)?.mock ? 0 : provider.basePriceUsd || 0;
+      await this.ledger.record({
+        ownerId: contact.owner_id,
+        workflowId,
+        jobId: job?._id,
+        contactId: contact._id,
+        category: 'email_enrichment',
+        toolId: 'email-lookup',
+        toolName: provider.name,
+        provider: provider.providerName,
+        quotedUsd: this.emailLookupPrice(tools),
+        costUsd: cost,
+        latencyMs: Date.now() - startTime
+      });
 
-    console.log(`[Agent] Looking up email via LinkedIn: ${contact.linkedin_url}`);
-    const result = await this.emailEnricher.findEmailByLinkedIn(contact.linkedin_url);
-    
-    if (result.success && result.email) {
       return {
         ...contact.toObject ? contact.toObject() : contact,
         email: result.email,
-        email_confidence: result.confidence,
-        email_source: 'tomba'
+        email_confidence: result.confidence ?? null,
+        email_source: result.source || provider.providerName,
+        email_lookup_cost: cost
       };
     }
 
@@ -647,6 +1400,20 @@ export class AgentOrchestrator extends EventEmitter {
     return contact;
   }
 
+  /**
+   * Record on the workflow that a provider failed and a fallback served the request
+   */
+  async logFallback(workflowId, step, provider, attempts) {
+    const failures = attempts.filter(a => a.failed);
+    if (!provider || failures.length === 0) return;
+
+    await this.logWorkflowError(
+      workflowId,
+      step,
+      `Fell back to ${provider.providerName} after ${failures.map(a => `${a.provider}: ${a.error}`).join('; ')}`
+    );
+  }
+
   /**
    * Update workflow status
    */
@@ -678,9 +1445,11 @@ export class AgentOrchestrator extends EventEmitter {
 
   /**
    * Get workflow status
+   * @param {string} workflowId - Workflow document ID
+   * @param {string} ownerId - Only return the user's own workflow
    */
-  async getWorkflowStatus(workflowId) {
-    const workflow = await Workflow.findById(workflowId)
+  async getWorkflowStatus(workflowId, ownerId) {
+    const workflow = await Workflow.findOne({ _id: workflowId, ...ownedOnlyBy(ownerId) })
       .populate('resume_id')
       .populate({
         path: 'jobs',
@@ -704,8 +1473,15 @@ export class AgentOrchestrator extends EventEmitter {
 
   /**
    * Cancel a running workflow
+   * @param {string} workflowId - Workflow document ID
+   * @param {string} ownerId - Only cancel the user's own workflow
    */
-  async cancelWorkflow(workflowId) {
+  async cancelWorkflow(workflowId, ownerId) {
+    const workflow = await Workflow.findOne({ _id: workflowId, ...ownedOnlyBy(ownerId) });
+    if (!workflow) {
+      return { success: false, message: 'Workflow not found' };
+    }
+
     const workflowState = this.activeWorkflows.get(workflowId);
     
     if (workflowState) {
@@ -714,27 +1490,26 @@ export class AgentOrchestrator extends EventEmitter {
       return { success: true, message: 'Workflow cancellation requested' };
     }
 
-    // Check if workflow exists but isn't active
-    const workflow = await Workflow.findById(workflowId);
-    if (workflow) {
-      if (['completed', 'failed', 'cancelled'].includes(workflow.status)) {
-        return { success: false, message: 'Workflow is already finished' };
-      }
-      
-      await Workflow.findByIdAndUpdate(workflowId, { status: 'cancelled' });
-      return { success: true, message: 'Workflow cancelled' };
+    // The workflow exists but isn't active
+    if (['completed', 'failed', 'cancelled'].includes(workflow.status)) {
+      return { success: false, message: 'Workflow is already finished' };
     }
 
-    return { success: false, message: 'Workflow not found' };
+    // Take it out of the queue if it hasn't started yet
+    await this.queue.cancel(workflowId);
+
+    await Workflow.findByIdAndUpdate(workflowId, { status: 'cancelled' });
+    return { success: true, message: 'Workflow cancelled' };
   }
 
   /**
-   * List all workflows
+   * List workflows, newest first
+   * @param {Object} options - { limit, skip, status, ownerId: only the user's workflows }
    */
   async listWorkflows(options = {}) {
-    const { limit = 20, skip = 0, status } = options;
+    const { limit = 20, skip = 0, status, ownerId } = options;
     
-    const filter = {};
+    const filter = ownedOnlyBy(ownerId);
     if (status) filter.status = status;
 
     const workflows = await Workflow.find(filter)
@@ -754,9 +1529,13 @@ export class AgentOrchestrator extends EventEmitter {
   deduplicateJobs(jobs) {
     const seen = new Set();
     return jobs.filter(job => {
-      const key = job.job_id || `${job.title}-${job.company_name}`;
-      if (seen.has(key)) return false;
-      seen.add(key);
+      const { job_id, apply_url_key, fingerprint } = jobIdentityKeys(job);
+      const keys = [job_id && `id:${job_id}`, apply_url_key && `url:${apply_url_key}`, fingerprint && `fp:${fingerprint}`]
+        .filter(Boolean);
+      if (keys.length === 0) keys.push(`raw:${job.title}-${job.company_name}`);
+
+      if (keys.some(key => seen.has(key))) return false;
+      keys.forEach(key => seen.add(key));
       return true;
     });
   }
@@ -0,0 +1,181 @@
+/**
+ * Audit Log - Append-only record of who did what to which document, and what it cost
+ *
+ * Every event names its actor, an action ('email.sent', 'email.status_changed',
+ * 'contact.enriched', 'workflow.cancelled', ...), the target document, the
+ * fields that changed (before/after) and any cost. Events are only ever
+ * inserted; the AuditEvent model refuses updates and deletes.
+ *
+ * Routes record through req.audit (set by middleware() from the logged-in
+ * user and the route); background jobs - the scheduler, workflows, bounce
+ * handling - call record() with the owner they act for. A failure to write an
+ * event is logged but never fails the action itself.
+ */
+
+import mongoose from 'mongoose';
+import { AuditEvent } from '../models/schemas.js';
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+/**
+ * Value as stored in an event: ObjectIds as strings, dates as ISO strings, empty as null
+ */
+function auditValue(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return String(value);
+  if (typeof value?.toObject === 'function') return value.toObject();
+  return value;
+}
+
+/**
+ * Fields that differ between two versions of a document
+ * @param {Object} before - Document (or plain object) before the change
+ * @param {Object} after - After the change
+ * @param {string[]} fields - Fields to compare (dot paths allowed, e.g. 'approval.approved_at')
+ * @returns {Object[]} - [{ field, before, after }]
+ */
+export function diffFields(before, after, fields) {
+  const read = (doc, path) => auditValue(path.split('.').reduce((value, key) => value?.[key], doc));
+  return fields
+    .map(field => ({ field, before: read(before, field), after: read(after, field) }))
+    .filter(change => JSON.stringify(change.before) !== JSON.stringify(change.after));
+}
+
+export class AuditLog {
+  /**
+   * Record an event
+   * @param {Object} event - Event
+   * @param {string} event.action - What happened, e.g. 'email.sent'
+   * @param {string} event.ownerId - Whose data it happened to
+   * @param {string} event.actorId - Who did it (default: the owner)
+   * @param {string} event.actorType - 'user', or 'system' for background jobs (default: user)
+   * @param {string} event.via - Route or background job
+   * @param {Object} event.target - { type, id, label }
+   * @param {Object[]} event.changes - [{ field, before, after }] (see diffFields)
+   * @param {number} event.costUsd - What the action cost
+   * @param {Object} event.metadata - Anything else worth keeping
+   * @returns {Promise<Object|null>} - The event, or null if it couldn't be written
+   */
+  async record({ action, ownerId, actorId, actorType = 'user', via, target = {}, changes = [], costUsd, metadata } = {}) {
+    try {
+      return await AuditEvent.create({
+        owner_id: ownerId,
+        actor_id: actorId || ownerId,
+        actor_type: actorType,
+        via,
+        action,
+        target_type: target.type,
+        target_id: target.id,
+        target_label: target.label,
+        changes,
+        cost_usd: costUsd || undefined,
+        metadata
+      });
+    } catch (error) {
+      console.warn(`[Audit] Could not record ${action}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Express middleware that sets req.audit(action, event) for routes: the event is recorded
+   * for the logged-in user, via the route it came through
+   */
+  middleware() {
+    return (req, res, next) => {
+      req.audit = (action, event = {}) => this.record({
+        ownerId: req.user?._id,
+        actorId: req.user?._id,
+        via: `${req.method} ${req.baseUrl}${req.route?.path || req.path}`,
+        ...event,
+        action
+      });
+      next();
+    };
+  }
+
+  /**
+   * Events, newest first
+   * @param {Object} filters - Filters
+   * @param {string[]} filters.ownerIds - Whose events to include
+   * @param {string} filters.action - Comma-separated actions; 'email.*' matches every email action
+   * @param {string} filters.actor - Actor user id
+   * @param {string} filters.targetType - e.g. 'Email'
+   * @param {string} filters.targetId - Target document id
+   * @param {string} filters.since - ISO date
+   * @param {string} filters.until - ISO date
+   * @param {string} filters.before - Only events before this ISO date (for paging)
+   * @param {number} filters.limit - Page size (default 50, max 200)
+   * @returns {Promise<Object>} - { events, next_before }
+   */
+  async list({ ownerIds, action, actor, targetType, targetId, since, until, before, limit } = {}) {
+    const filter = { owner_id: { $in: ownerIds } };
+
+    if (action) {
+      const actions = String(action).split(',').map(entry => entry.trim()).filter(Boolean);
+      filter.$or = actions.map(entry => entry.endsWith('.*')
+        ? { action: new RegExp(`^${entry.slice(0, -1).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`) }
+        : { action: entry });
+    }
+    if (actor) filter.actor_id = this.parseId(actor, 'actor');
+    if (targetType) filter.target_type = targetType;
+    if (targetId) filter.target_id = this.parseId(targetId, 'target_id');
+
+    const createdAt = {};
+    if (since) createdAt.$gte = this.parseDate(since, 'since');
+    if (until) createdAt.$lte = this.parseDate(until, 'until');
+    if (before) createdAt.$lt = this.parseDate(before, 'before');
+    if (Object.keys(createdAt).length > 0) filter.created_at = createdAt;
+
+    const pageSize = Math.min(MAX_LIMIT, Math.max(1, parseInt(limit) || DEFAULT_LIMIT));
+    const events = await AuditEvent.find(filter)
+      .sort({ created_at: -1 })
+      .limit(pageSize)
+      .populate('actor_id', 'email name');
+
+    return {
+      events,
+      next_before: events.length === pageSize ? events[events.length - 1].created_at : null
+    };
+  }
+
+  parseId(value, name) {
+    if (!mongoose.isValidObjectId(value)) {
+      throw new AuditError(`${name} must be a document id`, 400);
+    }
+    return value;
+  }
+
+  parseDate(value, name) {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      throw new AuditError(`${name} must be a date`, 400);
+    }
+    return date;
+  }
+}
+
+/**
+ * Audit request that can't be carried out, with the HTTP status to respond with
+ */
+export class AuditError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'AuditError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Singleton instance
+let auditInstance = null;
+
+export function getAuditLog() {
+  if (!auditInstance) {
+    auditInstance = new AuditLog();
+  }
+  return auditInstance;
+}
+
+export default AuditLog;
@@ -0,0 +1,284 @@
+/**
+ * Auth - User accounts, password login and signed session tokens
+ *
+ * Passwords are hashed with scrypt. A login returns a JWT (HS256, signed with
+ * AUTH_JWT_SECRET) that the client sends as "Authorization: Bearer <token>".
+ * Each token carries the user's token_version, so logging out bumps the
+ * version and every token issued before it stops working.
+ *
+ * Every document a user creates carries their owner_id, and every API query
+ * is scoped to the caller. The first account created also takes ownership of
+ * data saved before accounts existed.
+ */
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { User, Job, Contact, Email, Workflow, Resume, Receipt, Offer, DoNotContact, SenderIdentity } from '../models/schemas.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+// Models whose documents belong to a user
+const OWNED_MODELS = [Job, Contact, Email, Workflow, Resume, Receipt, Offer, DoNotContact, SenderIdentity];
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Routes EventSource connects to: it can't send headers, so only these take the token as ?access_token=
+// (anywhere else, a token in the URL would end up in logs and browser history for no reason)
+const QUERY_TOKEN_ROUTES = /^\/api\/agent\/stream\//;
+
+/**
+ * Filter for the documents a user owns. Use this for anything done on a user's
+ * behalf: it never widens to every user's data (without a user, only unowned
+ * documents match).
+ * @param {string} ownerId - User ID
+ * @returns {Object}
+ */
+export function ownedOnlyBy(ownerId) {
+  return { owner_id: ownerId || null };
+}
+
+/**
+ * Filter for a user's documents, or every user's without one.
+ * Only for internal jobs that genuinely work across users, such as matching
+ * what arrives in the server's shared inbox.
+ * @param {string} ownerId - User ID (omit to match every user's documents)
+ * @returns {Object}
+ */
+export function ownedByOrAll(ownerId) {
+  return ownerId ? { owner_id: ownerId } : {};
+}
+
+/**
+ * Hash a password for storage ("scrypt:<salt>:<hash>", hex)
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+/**
+ * Check a password against a stored hash
+ * @returns {Promise<boolean>}
+ */
+export async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = (stored || '').split(':');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password, Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function base64url(value) {
+  return Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+}
+
+/**
+ * Sign a JWT (HS256)
+ * @param {Object} payload - Claims
+ * @param {string} secret - Signing secret
+ * @param {number} ttlSeconds - Lifetime
+ */
+export function signToken(payload, secret, ttlSeconds) {
+  const now = Math.floor(Date.now() / 1000);
+  const body = `${base64url({ alg: 'HS256', typ: 'JWT' })}.${base64url({ ...payload, iat: now, exp: now + ttlSeconds })}`;
+  const signature = crypto.createHmac('sha256', secret).update(body).digest('base64url');
+  return `${body}.${signature}`;
+}
+
+/**
+ * Verify a JWT's signature and expiry
+ * @returns {Object|null} - The claims, or null if the token is invalid or expired
+ */
+export function verifyToken(token, secret) {
+  const [header, payload, signature] = (token || '').split('.');
+  if (!header || !payload || !signature) return null;
+
+  const expected = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest();
+  const actual = Buffer.from(signature, 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return claims.exp > Math.floor(Date.now() / 1000) ? claims : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * User fields safe to return from the API
+ */
+export function publicUser(user) {
+  return {
+    _id: user._id,
+    email: user.email,
+    name: user.name,
+    created_at: user.created_at,
+    last_login_at: user.last_login_at
+  };
+}
+
+export class AuthService {
+  /**
+   * @param {Object} options - Auth options
+   * @param {string} options.secret - Token signing secret (default: AUTH_JWT_SECRET; random per process if unset)
+   * @param {number} options.tokenTtlHours - Session length (default: AUTH_TOKEN_TTL_HOURS, 168)
+   * @param {boolean} options.allowSignups - Let anyone create an account once the first one exists (default: AUTH_ALLOW_SIGNUPS, off)
+   */
+  constructor(options = {}) {
+    const {
+      secret = process.env.AUTH_JWT_SECRET,
+      tokenTtlHours = parseFloat(process.env.AUTH_TOKEN_TTL_HOURS) || 168,
+      allowSignups = process.env.AUTH_ALLOW_SIGNUPS === 'true'
+    } = options;
+
+    if (!secret) {
+      console.warn('[Auth] AUTH_JWT_SECRET is not set - using a random secret, so sessions end when the server restarts');
+    }
+
+    this.secret = secret || crypto.randomBytes(32).toString('hex');
+    this.tokenTtlSeconds = Math.round(tokenTtlHours * 3600);
+    this.allowSignups = allowSignups;
+  }
+
+  /**
+   * Whether a new account can be created (the first one always can)
+   */
+  async canSignUp() {
+    return this.allowSignups || !await User.exists({});
+  }
+
+  /**
+   * Create an account and log it in
+   * @param {Object} data - { email, password, name }
+   * @returns {Promise<Object>} - { user, token }
+   * @throws {AuthError} - If signups are closed, the input is invalid or the email is taken
+   */
+  async register({ email, password, name } = {}) {
+    const address = email?.trim().toLowerCase();
+    if (!address || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address)) {
+      throw new AuthError('A valid email is required', 400);
+    }
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+      throw new AuthError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`, 400);
+    }
+
+    const isFirst = !await User.exists({});
+    if (!isFirst && !this.allowSignups) {
+      throw new AuthError('Signups are closed - ask the administrator for an account', 403);
+    }
+    if (await User.exists({ email: address })) {
+      throw new AuthError('An account with this email already exists', 409);
+    }
+
+    const user = await User.create({
+      email: address,
+      name: name?.trim() || undefined,
+      password_hash: await hashPassword(password),
+      last_login_at: new Date()
+    });
+    console.log(`[Auth] Created account ${address}`);
+
+    if (isFirst) {
+      await this.claimUnownedData(user._id);
+    }
+
+    return { user: publicUser(user), token: this.issueToken(user) };
+  }
+
+  /**
+   * Log in with email and password
+   * @returns {Promise<Object>} - { user, token }
+   * @throws {AuthError} - If the credentials are wrong
+   */
+  async login({ email, password } = {}) {
+    const user = email ? await User.findOne({ email: email.trim().toLowerCase() }).select('+password_hash') : null;
+    if (!user || !password || !await verifyPassword(password, user.password_hash)) {
+      throw new AuthError('Invalid email or password', 401);
+    }
+
+    user.last_login_at = new Date();
+    await user.save();
+
+    return { user: publicUser(user), token: this.issueToken(user) };
+  }
+
+  /**
+   * End every session of a user
+   */
+  async logout(userId) {
+    await User.findByIdAndUpdate(userId, { $inc: { token_version: 1 } });
+  }
+
+  issueToken(user) {
+    return signToken({ sub: String(user._id), ver: user.token_version || 0 }, this.secret, this.tokenTtlSeconds);
+  }
+
+  /**
+   * User a token belongs to
+   * @returns {Promise<Object|null>} - User document, or null if the token is invalid, expired or logged out
+   */
+  async authenticate(token) {
+    const claims = verifyToken(token, this.secret);
+    if (!claims?.sub) return null;
+
+    const user = await User.findById(claims.sub);
+    if (!user || (user.token_version || 0) !== claims.ver) return null;
+    return user;
+  }
+
+  /**
+   * Express middleware that requires a valid token and sets req.user.
+   * The live workflow stream may pass the token as ?access_token= instead (see QUERY_TOKEN_ROUTES).
+   */
+  middleware() {
+    return async (req, res, next) => {
+      try {
+        const header = req.get('authorization') || '';
+        const queryTokenAllowed = req.method === 'GET' && QUERY_TOKEN_ROUTES.test(req.baseUrl + req.path);
+        const token = header.startsWith('Bearer ') ? header.slice(7) : (queryTokenAllowed ? req.query.access_token : null);
+
+        const user = token ? await this.authenticate(token) : null;
+        if (!user) {
+          return res.status(401).json({ error: 'Authentication required' });
+        }
+
+        req.user = user;
+        next();
+      } catch (error) {
+        console.error('[Auth] Authentication error:', error.message);
+        res.status(500).json({ error: error.message });
+      }
+    };
+  }
+
+  /**
+   * Give the first account the data saved before accounts existed
+   */
+  async claimUnownedData(userId) {
+    let claimed = 0;
+    for (const Model of OWNED_MODELS) {
+      const result = await Model.updateMany({ owner_id: { $exists: false } }, { owner_id: userId });
+      claimed += result.modifiedCount;
+    }
+    if (claimed > 0) {
+      console.log(`[Auth] Assigned ${claimed} existing documents to the first account`);
+    }
+    return claimed;
+  }
+}
+
+/**
+ * Auth request that can't be carried out, with the HTTP status to respond with
+ */
+export class AuthError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'AuthError';
+    this.statusCode = statusCode;
+  }
+}
+
+export default AuthService;
@@ -0,0 +1,275 @@
+/**
+ * Bounce Handler - Records delivery failures and recovers from bad addresses
+ *
+ * Failures arrive two ways:
+ * - smtp - the server rejects the recipient during the send (EmailSenderService)
+ * - dsn  - a delivery status notification / non-delivery report lands in the
+ *          sending mailbox after the handoff was accepted (ReplyPoller)
+ *
+ * A hard bounce marks the email bounced, marks the address invalid on the
+ * Contact (demoting its email_source), stops the follow-up sequence and
+ * re-runs the email lookup chain for an alternative address.
+ */
+
+import { Email, Contact, Job } from '../models/schemas.js';
+import { stopSequence } from './followUpSequencer.js';
+import { getAuditLog } from './auditLog.js';
+import { getCostLedger } from './costLedger.js';
+import { ownedByOrAll } from './auth.js';
+
+// Enhanced status codes that are worth retrying despite the 5.x.x class (mailbox full, message too big)
+const SOFT_PERMANENT_STATUSES = ['5.2.2', '5.3.4'];
+
+/**
+ * Whether a failure means the address is bad (hard) or delivery might work later (soft)
+ * @param {string} statusCode - Enhanced status code, e.g. "5.1.1"
+ * @param {number} smtpCode - SMTP reply code, e.g. 550
+ * @returns {string} - 'hard' or 'soft'
+ */
+export function classifyBounce(statusCode, smtpCode) {
+  if (statusCode) {
+    return statusCode.startsWith('5.') && !SOFT_PERMANENT_STATUSES.includes(statusCode) ? 'hard' : 'soft';
+  }
+  return smtpCode >= 500 && smtpCode !== 552 ? 'hard' : 'soft';
+}
+
+/**
+ * Bounce details from a raw DSN/NDR message, or null if it isn't a failed delivery
+ * @param {Buffer|string} source - Raw message
+ * @returns {Object|null} - { recipient, original_message_id, status_code, smtp_code, diagnostic, type }
+ */
+export function parseBounce(source) {
+  const raw = source.toString();
+  const headerEnd = raw.search(/\r?\n\r?\n/);
+  const headers = headerEnd === -1 ? raw : raw.slice(0, headerEnd);
+  const body = headerEnd === -1 ? '' : raw.slice(headerEnd);
+
+  const isReport = /content-type:\s*multipart\/report/i.test(headers) || /content-type:\s*message\/delivery-status/i.test(body);
+  const looksLikeNdr = /^from:.*(mailer-daemon|postmaster)@/im.test(headers) ||
+    /^subject:.*(undeliver|delivery (status notification|has failed|failure)|returned mail|failure notice)/im.test(headers);
+  if (!isReport && !looksLikeNdr) return null;
+
+  // RFC 3464 delivery-status fields
+  const action = body.match(/^Action:\s*(\w+)/im)?.[1]?.toLowerCase();
+  if (action && action !== 'failed') return null; // delayed, delivered, relayed
+
+  const recipient = (body.match(/^Final-Recipient:\s*rfc822;\s*<?([^\s>]+@[^\s>]+)>?/im) ||
+    body.match(/^Original-Recipient:\s*rfc822;\s*<?([^\s>]+@[^\s>]+)>?/im) ||
+    body.match(/<([^\s<>]+@[^\s<>]+)>:/) || // qmail style "<user@host>:"
+    body.match(/\b(?:delivered to|following recipients?:?)\s*<?([^\s<>"]+@[^\s<>",]*[^\s<>",.])/i) || // Gmail/Exchange prose
+    body.match(/^\s*([^\s<>"]+@[^\s<>"]+)\s*$/m))?.[1]?.toLowerCase() || null;
+
+  const statusCode = body.match(/^Status:\s*([245]\.\d{1,3}\.\d{1,3})/im)?.[1] ||
+    body.match(/\b([45]\.\d{1,3}\.\d{1,3})\b/)?.[1] || null;
+  const diagnosticLine = body.match(/^Diagnostic-Code:\s*[^;\r\n]*;\s*(.+(?:\r?\n[ \t]+.+)*)/im)?.[1] ||
+    body.match(/^.*\b[45]\d\d[ -].*$/m)?.[0] || null;
+  const diagnostic = diagnosticLine ? diagnosticLine.replace(/\s+/g, ' ').trim().slice(0, 500) : null;
+  const smtpCode = parseInt(diagnostic?.match(/\b([45]\d\d)\b/)?.[1]) || null;
+
+  // The returned original message (or its headers) carries the Message-ID we sent
+  const originalMessageId = body.match(/^Message-ID:\s*(<[^>\s]+>)/im)?.[1] || null;
+
+  if (!recipient && !originalMessageId) return null;
+
+  return {
+    recipient,
+    original_message_id: originalMessageId,
+    status_code: statusCode,
+    smtp_code: smtpCode,
+    diagnostic,
+    type: classifyBounce(statusCode, smtpCode)
+  };
+}
+
+export class BounceHandler {
+  /**
+   * @param {Object} options - Handler options
+   * @param {Object} options.enricher - Agent orchestrator, whose email lookup chain finds alternative addresses
+   */
+  constructor(options = {}) {
+    this.enricher = options.enricher || null;
+    this.audit = options.audit || getAuditLog();
+    this.ledger = options.ledger || getCostLedger();
+  }
+
+  /**
+   * Record a bounce from a DSN/NDR found in the mailbox
+   * @param {Buffer|string} source - Raw message
+   * @param {string} dsnMessageId - Message-ID of the DSN, so it's only processed once
+   * @param {string} ownerId - User whose own inbox it arrived in (none for the server's shared inbox)
+   * @returns {Promise<Object|null>} - { email_id, owner_id, recipient, type } or null if it wasn't a bounce we sent
+   */
+  async processDsn(source, dsnMessageId, ownerId) {
+    if (dsnMessageId && await Email.exists({ 'bounce.dsn_message_id': dsnMessageId })) {
+      return null;
+    }
+
+    const parsed = parseBounce(source);
+    if (!parsed) return null;
+
+    let email = null;
+    if (parsed.original_message_id) {
+      email = await Email.findOne({
+        ...ownedByOrAll(ownerId),
+        'send_result.message_id': { $in: [parsed.original_message_id, parsed.original_message_id.slice(1, -1)] }
+      });
+    }
+    if (!email && parsed.recipient) {
+      // By address: in the shared inbox, only when a single user has emailed it
+      const byRecipient = {
+        recipient_email: new RegExp(`^${parsed.recipient.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i'),
+        status: 'sent'
+      };
+      const owners = ownerId ? [ownerId] : await Email.distinct('owner_id', byRecipient);
+      if (owners.length === 1) {
+        email = await Email.findOne({ ...byRecipient, owner_id: owners[0] }).sort({ sent_at: -1 });
+      }
+    }
+    if (!email) return null;
+
+    await this.recordBounce({
+      email,
+      ownerId: email.owner_id,
+      recipient: parsed.recipient || email.recipient_email,
+      bounce: { ...parsed, source: 'dsn', dsn_message_id: dsnMessageId }
+    });
+
+    return { email_id: email._id, owner_id: email.owner_id, recipient: parsed.recipient || email.recipient_email, type: parsed.type };
+  }
+
+  /**
+   * Record a delivery failure and act on a hard bounce
+   * Only the owner's email and contacts are touched; without a known owner nothing is.
+   * @param {Object} params - { email (Email document) or emailId, ownerId (user who sent it), recipient, bounce ({ type, source, status_code, smtp_code, diagnostic, dsn_message_id }) }
+   */
+  async recordBounce({ email, emailId, ownerId, recipient, bounce }) {
+    const address = recipient?.toLowerCase();
+    const owner = ownerId || email?.owner_id;
+    if (!owner) {
+      console.warn(`[Bounces] Ignoring ${bounce.type} bounce for ${address}: no owner to record it for`);
+      return;
+    }
+
+    const emailDoc = email || (emailId ? await Email.findOne({ _id: emailId, owner_id: owner }) : null);
+    const record = {
+      type: bounce.type,
+      source: bounce.source,
+      recipient: address,
+      status_code: bounce.status_code,
+      smtp_code: bounce.smtp_code,
+      diagnostic: bounce.diagnostic,
+      dsn_message_id: bounce.dsn_message_id,
+      bounced_at: new Date()
+    };
+
+    console.warn(`[Bounces] ${bounce.type} bounce for ${address} (${bounce.source}${bounce.status_code ? ` ${bounce.status_code}` : ''}): ${bounce.diagnostic || 'no diagnostic'}`);
+
+    if (emailDoc) {
+      await Email.findByIdAndUpdate(emailDoc._id, { status: 'bounced', bounce: record });
+    }
+    if (bounce.type !== 'hard') return;
+
+    if (emailDoc) {
+      await stopSequence(emailDoc._id, 'bounced');
+    }
+
+    // Every one of the user's contacts with this address, not just the one emailed
+    const conditions = [
+      ...(emailDoc?.contact_id ? [{ _id: emailDoc.contact_id }] : []),
+      ...(address ? [{ email: new RegExp(`^${address.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i') }] : [])
+    ];
+    const contacts = conditions.length > 0 ? await Contact.find({ owner_id: owner, $or: conditions }) : [];
+
+    for (const contact of contacts) {
+      const alternative = await this.invalidateAddress(contact, address, record, emailDoc);
+      if (alternative && emailDoc?.contact_id?.equals(contact._id)) {
+        await Email.findByIdAndUpdate(emailDoc._id, { 'bounce.alternative_email': alternative });
+      }
+    }
+  }
+
+  /**
+   * Mark a contact's address invalid and look for another one
+   * @returns {Promise<string|null>} - The alternative address found, if any
+   */
+  async invalidateAddress(contact, address, record, email) {
+    const alreadyInvalid = (contact.invalid_emails || []).some(entry => entry.email === address);
+    const update = {
+      $set: { updated_at: new Date() }
+    };
+    if (!alreadyInvalid) {
+      update.$push = {
+        invalid_emails: {
+          email: address,
+          source: contact.email_source,
+          reason: record.diagnostic || `${record.type} bounce`,
+          bounced_at: record.bounced_at
+        }
+      };
+    }
+    if (contact.email?.toLowerCase() === address) {
+      update.$set.email_status = 'invalid';
+      update.$set.email_source = 'bounced';
+      update.$set.email_confidence = 0;
+    }
+    await Contact.findByIdAndUpdate(contact._id, update);
+
+    if (contact.email?.toLowerCase() !== address || !this.enricher) {
+      return null;
+    }
+
+    return this.findAlternative(contact, address, email);
+  }
+
+  /**
+   * Re-run the email lookup chain (Tomba, Happenstance, pattern guessing) skipping known-bad addresses
+   */
+  async findAlternative(contact, address, email) {
+    const exclude = [...(contact.invalid_emails || []).map(entry => entry.email), address];
+    const job = email?.job_id ? await Job.findById(email.job_id) : null;
+    const workflowId = email?.workflow_id || contact.workflow_id;
+
+    try {
+      const enriched = await this.enricher.enrichContactWithEmail(
+        { ...contact.toObject(), email: null },
+        job,
+        workflowId,
+        { exclude }
+      );
+      if (!enriched.email) {
+        console.log(`[Bounces] No alternative address found for ${contact.name}`);
+        return null;
+      }
+
+      await Contact.findByIdAndUpdate(contact._id, {
+        email: enriched.email,
+        email_confidence: enriched.email_confidence,
+        email_source: enriched.email_source,
+        $unset: { email_status: 1 },
+        updated_at: new Date()
+      });
+      // The lookup's receipt is filed under the workflow - bring its totals up to date
+      if (workflowId && enriched.email_lookup_cost) {
+        await this.ledger.syncWorkflow(workflowId);
+      }
+      await this.audit.record({
+        action: 'contact.enriched',
+        ownerId: contact.owner_id,
+        actorType: 'system',
+        via: 'bounce-handler',
+        target: { type: 'Contact', id: contact._id, label: contact.name },
+        changes: [{ field: 'email', before: address, after: enriched.email }],
+        costUsd: enriched.email_lookup_cost,
+        metadata: { workflow_id: workflowId, email_source: enriched.email_source, bounced: address }
+      });
+
+      console.log(`[Bounces] Found alternative address for ${contact.name}: ${enriched.email} (${enriched.email_source})`);
+      return enriched.email;
+    } catch (error) {
+      console.error(`[Bounces] Re-enrichment failed for ${contact.name}:`, error.message);
+      return null;
+    }
+  }
+}
+
+export default BounceHandler;
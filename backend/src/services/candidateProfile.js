@@ -0,0 +1,125 @@
+/**
+ * Candidate Profile - Picks the resume facts that matter for one job
+ *
+ * Turns a parsed Resume document into a compact profile for the drafters:
+ * skills the job asks for, the experience highlights that best match the
+ * job posting, and the headline facts (title, years, education).
+ */
+
+// Words too common to signal a match between a highlight and a job posting
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'our', 'you', 'your', 'are', 'will', 'from', 'that', 'this',
+  'have', 'has', 'was', 'were', 'who', 'all', 'any', 'can', 'team', 'teams', 'work', 'working',
+  'role', 'join', 'about', 'into', 'across', 'using', 'used', 'new', 'help', 'including',
+  'experience', 'years', 'strong', 'ability', 'skills'
+]);
+
+function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9+#.]+/)
+    .map(word => word.replace(/\.+$/, ''))
+    .filter(word => word.length > 2 && !STOP_WORDS.has(word));
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Whether a skill phrase appears in the job text as a whole word
+ */
+function mentionsSkill(jobText, skill) {
+  const pattern = new RegExp(`(^|[^a-z0-9])${escapeRegExp(skill.toLowerCase())}($|[^a-z0-9])`);
+  return pattern.test(jobText);
+}
+
+/**
+ * Build the candidate profile for a job
+ * @param {Object} resume - Parsed Resume document
+ * @param {Object} job - Job the message is about (title, description, skills)
+ * @param {Object} options - Options (maxHighlights, maxSkills)
+ * @returns {Object|null} - Profile, or null if the resume was never parsed
+ */
+export function buildCandidateProfile(resume, job = {}, options = {}) {
+  const { maxHighlights = 4, maxSkills = 8 } = options;
+
+  if (!resume?.parsed_at) {
+    return null;
+  }
+
+  const jobText = [job.title, job.description || job.description_snippet, ...(job.skills || [])]
+    .join(' ')
+    .toLowerCase();
+  const jobTokens = new Set(tokenize(jobText));
+  const jobSkills = (job.skills || []).map(skill => skill.toLowerCase());
+
+  // Skills: the ones the job mentions first, then the rest
+  const allSkills = [...new Set([...(resume.technical_skills || []), ...(resume.skills || [])])];
+  const matchingSkills = allSkills.filter(skill =>
+    jobSkills.includes(skill.toLowerCase()) || mentionsSkill(jobText, skill)
+  );
+  const otherSkills = allSkills.filter(skill => !matchingSkills.includes(skill));
+
+  // Highlights: rank by overlap with the posting, favouring recent roles
+  const experience = resume.experience || [];
+  const highlights = experience.flatMap((exp, index) => {
+    const items = exp.highlights?.length ? exp.highlights : (exp.description ? [exp.description] : []);
+    return items.map(text => {
+      const overlap = tokenize(text).filter(word => jobTokens.has(word)).length;
+      const skillHits = matchingSkills.filter(skill => mentionsSkill(text.toLowerCase(), skill)).length;
+      const recency = exp.is_current ? 1 : 1 / (index + 1);
+      return { text, title: exp.title, company: exp.company, score: overlap + skillHits * 2 + recency };
+    });
+  });
+
+  highlights.sort((a, b) => b.score - a.score);
+
+  const education = (resume.education || []).map(edu =>
+    [edu.degree, edu.field].filter(Boolean).join(' in ') + (edu.institution ? `, ${edu.institution}` : '')
+  );
+
+  return {
+    name: resume.name,
+    current_title: resume.current_title,
+    current_company: resume.current_company,
+    years_of_experience: resume.years_of_experience,
+    location: resume.location,
+    summary: resume.summary,
+    links: [resume.linkedin_url, resume.portfolio_url].filter(Boolean),
+    matching_skills: matchingSkills.slice(0, maxSkills),
+    other_skills: otherSkills.slice(0, Math.max(0, maxSkills - matchingSkills.length)),
+    highlights: highlights.slice(0, maxHighlights).map(({ text, title, company }) => ({ text, title, company })),
+    education: education.slice(0, 2),
+    certifications: (resume.certifications || []).slice(0, 3)
+  };
+}
+
+/**
+ * Render a candidate profile as prompt lines
+ * @param {Object} profile - Output of buildCandidateProfile
+ * @returns {string}
+ */
+export function formatCandidateProfile(profile) {
+  const parts = [];
+
+  if (profile.name) parts.push(`Name: ${profile.name}`);
+  if (profile.current_title) {
+    parts.push(`Current Role: ${profile.current_title}${profile.current_company ? ` at ${profile.current_company}` : ''}`);
+  }
+  if (profile.years_of_experience) parts.push(`Years of Experience: ${profile.years_of_experience}`);
+  if (profile.summary) parts.push(`Summary: ${profile.summary}`);
+  if (profile.matching_skills.length) parts.push(`Skills Matching This Job: ${profile.matching_skills.join(', ')}`);
+  if (profile.other_skills.length) parts.push(`Other Skills: ${profile.other_skills.join(', ')}`);
+
+  if (profile.highlights.length) {
+    parts.push('Most Relevant Highlights:');
+    profile.highlights.forEach(h => parts.push(`- ${h.text} (${h.title}, ${h.company})`));
+  }
+
+  if (profile.education.length) parts.push(`Education: ${profile.education.join('; ')}`);
+  if (profile.certifications.length) parts.push(`Certifications: ${profile.certifications.join(', ')}`);
+  if (profile.links.length) parts.push(`Links: ${profile.links.join(', ')}`);
+
+  return parts.join('\n');
+}
@@ -0,0 +1,331 @@
+/**
+ * Contact Resolver - Cross-workflow contact deduplication
+ *
+ * People searches return the same recruiters run after run. Instead of a new
+ * Contact per sighting, each person found is resolved to one canonical
+ * Contact, matched in order of strength on:
+ * 1. Normalized LinkedIn URL (linkedin_key)
+ * 2. Email address (case-insensitive)
+ * 3. Name + company (case-insensitive), for contacts without a LinkedIn URL
+ *
+ * A match never crosses two different LinkedIn profiles. Every sighting is
+ * appended to the canonical contact's history (workflow, job, source, cost),
+ * and enrichment already on it (email, phone, ...) is reused rather than
+ * bought again. Contacts are resolved within one user's data (owner_id).
+ */
+
+import { Contact, Email, Workflow } from '../models/schemas.js';
+import { TombaEnricher } from './tombaEnricher.js';
+import { ownedOnlyBy } from './auth.js';
+
+// Fields filled from a new sighting when the canonical contact doesn't have them yet
+const MERGEABLE_FIELDS = [
+  'title', 'company', 'linkedin_url', 'email', 'email_confidence', 'email_source', 'source_url',
+  'phone', 'location', 'bio', 'twitter_url', 'social_profiles', 'company_details',
+  'enrichment_source', 'enrichment_timestamp'
+];
+
+/**
+ * Identity key for a LinkedIn profile URL (https, www, no query string or trailing slash, lowercase)
+ * @param {string} url - LinkedIn URL
+ * @returns {string|null}
+ */
+export function linkedInKey(url) {
+  if (!url) return null;
+  return TombaEnricher.normalizeLinkedInUrl(url.trim().split(/[?#]/)[0])
+    .replace(/^http:\/\//i, 'https://')
+    .replace(/\/$/, '')
+    .toLowerCase();
+}
+
+/**
+ * Filter for the contacts a workflow referenced (older contacts only have workflow_id)
+ */
+export function workflowContactsFilter(workflowId) {
+  return { $or: [{ workflow_ids: workflowId }, { workflow_id: workflowId }] };
+}
+
+export class ContactResolver {
+  /**
+   * Resolve a found person to their canonical contact, creating it on first sighting
+   * @param {Object} data - Contact data from a people search
+   * @param {Object} sighting - Where it was found (ownerId, workflowId, jobId, source, searchQuery, costUsd, receiptId)
+   * @returns {Promise<Object>} - { contact, isNew, matchedOn }
+   */
+  async resolve(data, sighting = {}) {
+    let { match, matchedOn } = await this.findMatch(data, sighting.ownerId);
+    const entry = {
+      workflow_id: sighting.workflowId,
+      job_id: sighting.jobId,
+      source: sighting.source || data.source,
+      search_query: sighting.searchQuery || data.search_query,
+      cost_usd: sighting.costUsd,
+      receipt_id: sighting.receiptId,
+      seen_at: new Date()
+    };
+
+    if (!match) {
+      const created = await this.create(data, sighting, entry);
+      if (created.isNew) {
+        return { contact: created.contact, isNew: true, matchedOn: null };
+      }
+      // A concurrent workflow created this person first - add the sighting to theirs
+      match = created.contact;
+      matchedOn = 'linkedin';
+    }
+
+    const update = {
+      $push: { sightings: entry },
+      $addToSet: {},
+      $set: { ...this.missingFields(match, data), updated_at: new Date() }
+    };
+    if (sighting.workflowId) update.$addToSet.workflow_ids = sighting.workflowId;
+    if (sighting.jobId) update.$addToSet.job_ids = sighting.jobId;
+    if (Object.keys(update.$addToSet).length === 0) delete update.$addToSet;
+    if (!match.linkedin_key && data.linkedin_url) update.$set.linkedin_key = linkedInKey(data.linkedin_url);
+
+    const contact = await Contact.findByIdAndUpdate(match._id, update, { new: true });
+    console.log(`[Contacts] ${contact.name} matched existing contact on ${matchedOn} (${contact.sightings.length} sightings)`);
+
+    return { contact, isNew: false, matchedOn };
+  }
+
+  /**
+   * Create the canonical contact on a person's first sighting
+   * With a LinkedIn key this is an upsert on { owner_id, linkedin_key }, so two
+   * workflows finding the same person at once end up with one contact.
+   * @returns {Promise<Object>} - { contact, isNew } (isNew false when another workflow created it first)
+   */
+  async create(data, sighting, entry) {
+    const doc = {
+      ...data,
+      owner_id: sighting.ownerId || data.owner_id,
+      linkedin_key: linkedInKey(data.linkedin_url),
+      workflow_id: sighting.workflowId || data.workflow_id,
+      job_id: sighting.jobId || data.job_id,
+      cost_usd: sighting.costUsd ?? data.cost_usd,
+      receipt_id: sighting.receiptId || data.receipt_id,
+      workflow_ids: sighting.workflowId ? [sighting.workflowId] : [],
+      job_ids: sighting.jobId ? [sighting.jobId] : [],
+      sightings: [entry]
+    };
+
+    if (!doc.linkedin_key) {
+      return { contact: await Contact.create(doc), isNew: true };
+    }
+
+    const result = await Contact.findOneAndUpdate(
+      { owner_id: doc.owner_id ?? null, linkedin_key: doc.linkedin_key },
+      { $setOnInsert: doc },
+      { upsert: true, new: true, setDefaultsOnInsert: true, includeResultMetadata: true }
+    );
+    return { contact: result.value, isNew: !result.lastErrorObject?.updatedExisting };
+  }
+
+  /**
+   * Find the canonical contact for a person, strongest key first
+   * @param {Object} data - Contact data
+   * @param {string} ownerId - Only match this user's contacts
+   * @returns {Promise<Object>} - { match, matchedOn }
+   */
+  async findMatch(data, ownerId) {
+    const key = linkedInKey(data.linkedin_url);
+    const scope = ownedOnlyBy(ownerId);
+
+    if (key) {
+      const match = await Contact.findOne({ ...scope, linkedin_key: key }).sort({ created_at: 1 });
+      if (match) return { match, matchedOn: 'linkedin' };
+    }
+
+    if (data.email) {
+      const candidates = await Contact.find({ ...scope, email: exactMatch(data.email) }).sort({ created_at: 1 });
+      const match = candidates.find(c => this.sameProfile(c, key));
+      if (match) return { match, matchedOn: 'email' };
+    }
+
+    if (data.name && data.company) {
+      const candidates = await Contact.find({ ...scope, name: exactMatch(data.name), company: exactMatch(data.company) })
+        .sort({ created_at: 1 });
+      const match = candidates.find(c => this.sameProfile(c, key));
+      if (match) return { match, matchedOn: 'name_company' };
+    }
+
+    return { match: null, matchedOn: null };
+  }
+
+  /**
+   * Whether a candidate could be the same person (no conflicting LinkedIn profile)
+   */
+  sameProfile(candidate, key) {
+    return !key || !candidate.linkedin_key || candidate.linkedin_key === key;
+  }
+
+  /**
+   * Fields the new data has that the canonical contact is missing
+   */
+  missingFields(canonical, data) {
+    const fields = {};
+    for (const field of MERGEABLE_FIELDS) {
+      const value = data[field];
+      if (value !== undefined && value !== null && value !== '' && !canonical[field]) {
+        fields[field] = value;
+      }
+    }
+    return fields;
+  }
+
+  /**
+   * Fold existing duplicate contacts into one canonical contact each
+   * Backfills identity keys and history on older contacts first.
+   * @param {string} ownerId - Only merge this user's contacts
+   * @returns {Promise<Object>} - { contacts_scanned, duplicates_merged, merges: [{ canonical, duplicate, before }] }
+   *   (before: the canonical contact as it was before the duplicate was folded in)
+   */
+  async mergeAllDuplicates(ownerId) {
+    const contacts = await Contact.find(ownedOnlyBy(ownerId)).sort({ created_at: 1 });
+    const canonicalByKey = new Map();
+    const merges = [];
+
+    for (const contact of contacts) {
+      await this.backfill(contact);
+
+      const keys = [
+        contact.linkedin_key && `linkedin:${contact.linkedin_key}`,
+        contact.email && `email:${contact.email.toLowerCase()}`,
+        !contact.linkedin_key && contact.name && contact.company &&
+          `name:${contact.name.toLowerCase()}|${contact.company.toLowerCase()}`
+      ].filter(Boolean);
+
+      const canonical = keys.map(key => canonicalByKey.get(key))
+        .find(c => c && String(c._id) !== String(contact._id) && this.sameProfile(c, contact.linkedin_key));
+
+      if (canonical) {
+        const before = canonical.toObject();
+        await this.merge(canonical, contact);
+        merges.push({ canonical, duplicate: contact, before });
+      }
+
+      const target = canonical || contact;
+      for (const key of keys) {
+        if (!canonicalByKey.has(key)) canonicalByKey.set(key, target);
+      }
+    }
+
+    console.log(`[Contacts] Merged ${merges.length} duplicate contacts out of ${contacts.length}`);
+    return { contacts_scanned: contacts.length, duplicates_merged: merges.length, merges };
+  }
+
+  /**
+   * Get every user's contacts ready for the unique { owner_id, linkedin_key } index (run at startup, before syncIndexes):
+   * contacts saved before identity resolution get their LinkedIn key, and contacts that share a key are
+   * folded into the oldest one. Does nothing once there is nothing left to fix.
+   * @returns {Promise<Object>} - { keys_backfilled, duplicates_merged }
+   */
+  async migrateLinkedInKeys() {
+    let backfilled = 0;
+    const unkeyed = await Contact.find({ linkedin_url: { $nin: [null, ''] }, linkedin_key: null }).select('linkedin_url');
+    for (const contact of unkeyed) {
+      const key = linkedInKey(contact.linkedin_url);
+      if (!key) continue;
+      try {
+        await Contact.updateOne({ _id: contact._id }, { linkedin_key: key });
+        backfilled++;
+      } catch (error) {
+        // The unique index is already there and another contact holds the key - merge into it
+        if (error.code !== 11000) throw error;
+        const holder = await Contact.findOne({ owner_id: contact.owner_id ?? null, linkedin_key: key });
+        await this.merge(holder, await Contact.findById(contact._id));
+      }
+    }
+
+    const groups = await Contact.aggregate([
+      { $match: { linkedin_key: { $type: 'string' } } },
+      { $group: { _id: { owner_id: '$owner_id', linkedin_key: '$linkedin_key' }, ids: { $push: '$_id' } } },
+      { $match: { 'ids.1': { $exists: true } } }
+    ]).allowDiskUse(true);
+
+    let merged = 0;
+    for (const group of groups) {
+      const [canonical, ...duplicates] = await Contact.find({ _id: { $in: group.ids } }).sort({ created_at: 1 });
+      for (const duplicate of duplicates) {
+        await this.merge(canonical, duplicate);
+        merged++;
+      }
+    }
+
+    if (backfilled || merged) {
+      console.log(`[Contacts] LinkedIn keys: backfilled ${backfilled}, merged ${merged} contacts that shared one`);
+    }
+    return { keys_backfilled: backfilled, duplicates_merged: merged };
+  }
+
+  /**
+   * Give a contact created before identity resolution its key and history
+   */
+  async backfill(contact) {
+    let changed = false;
+
+    if (!contact.linkedin_key && contact.linkedin_url) {
+      contact.linkedin_key = linkedInKey(contact.linkedin_url);
+      changed = true;
+    }
+
+    if (!contact.sightings?.length) {
+      contact.sightings = [{
+        workflow_id: contact.workflow_id,
+        job_id: contact.job_id,
+        source: contact.source,
+        search_query: contact.search_query,
+        cost_usd: contact.cost_usd,
+        receipt_id: contact.receipt_id,
+        seen_at: contact.created_at
+      }];
+      if (contact.workflow_id && !contact.workflow_ids?.length) contact.workflow_ids = [contact.workflow_id];
+      if (contact.job_id && !contact.job_ids?.length) contact.job_ids = [contact.job_id];
+      changed = true;
+    }
+
+    if (!changed) return;
+    try {
+      await contact.save();
+    } catch (error) {
+      // Another contact already holds this LinkedIn key (duplicate key) - save the
+      // rest and leave the key in memory so the merge can fold the two together
+      if (error.code !== 11000 || !contact.isModified('linkedin_key')) throw error;
+      const key = contact.linkedin_key;
+      contact.linkedin_key = undefined;
+      await contact.save();
+      contact.linkedin_key = key;
+    }
+  }
+
+  /**
+   * Merge a duplicate into the canonical contact and repoint references to it
+   */
+  async merge(canonical, duplicate) {
+    Object.assign(canonical, this.missingFields(canonical, duplicate));
+    if (!canonical.linkedin_key && duplicate.linkedin_key) canonical.linkedin_key = duplicate.linkedin_key;
+
+    canonical.sightings.push(...duplicate.sightings.map(s => s.toObject?.() || s));
+    for (const id of duplicate.workflow_ids || []) canonical.workflow_ids.addToSet(id);
+    for (const id of duplicate.job_ids || []) canonical.job_ids.addToSet(id);
+    canonical.merged_from.addToSet(duplicate._id);
+    canonical.updated_at = new Date();
+
+    // The LinkedIn key is unique per owner, so the duplicate gives it up first
+    if (duplicate.linkedin_key) {
+      await Contact.updateOne({ _id: duplicate._id }, { $unset: { linkedin_key: 1 } });
+    }
+    await canonical.save();
+
+    await Email.updateMany({ contact_id: duplicate._id }, { contact_id: canonical._id });
+    await Workflow.updateMany({ contacts: duplicate._id }, { $set: { 'contacts.$': canonical._id } });
+    await Contact.deleteOne({ _id: duplicate._id });
+  }
+}
+
+function exactMatch(value) {
+  return new RegExp(`^${value.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+}
+
+export default ContactResolver;
@@ -0,0 +1,125 @@
+/**
+ * Cost Ledger - One Receipt for every paid provider call
+ *
+ * Searches, email lookups and verifications, resume parsing, message
+ * drafting and reply classification all record what they cost here, whether
+ * a route, a workflow or a background job made the call. A receipt names the
+ * cost category, the workflow, job and contact it was for, the quoted price
+ * next to what was actually paid, and how long the call took - so
+ * /api/receipts and /api/stats include agent runs, and a workflow's
+ * total_cost_usd and cost_breakdown are summed from its receipts (see
+ * workflowCosts) rather than kept by hand.
+ *
+ * Free calls (pattern guesses, mocks, cached verifications) leave no receipt.
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { Receipt, Workflow } from '../models/schemas.js';
+
+// Workflow cost_breakdown categories a receipt can be filed under
+export const COST_CATEGORIES = ['job_search', 'people_search', 'resume_parsing', 'person_enrichment', 'email_enrichment', 'email_generation', 'linkedin_generation', 'reply_classification'];
+
+export class CostLedger {
+  /**
+   * Record a paid call
+   * @param {Object} entry - Entry
+   * @param {string} entry.ownerId - Who paid
+   * @param {string} entry.category - Cost category (see COST_CATEGORIES)
+   * @param {string} entry.toolId - e.g. 'people-finder'
+   * @param {string} entry.toolName - Tool display name
+   * @param {string} entry.provider - Provider that served the call
+   * @param {number} entry.quotedUsd - Price quoted (or budgeted) before the call
+   * @param {number} entry.costUsd - What the call actually cost (default: the quote)
+   * @param {number} entry.latencyMs - How long the call took
+   * @param {string} entry.workflowId - Workflow the call was made for
+   * @param {string} entry.jobId - Job it was for
+   * @param {string} entry.contactId - Contact it was for
+   * @param {string} entry.offerId - Marketplace offer it paid
+   * @param {Object} entry.responseData - Provider response worth keeping
+   * @returns {Promise<Object|null>} - The receipt, or null for a free call
+   */
+  async record({ ownerId, category, toolId, toolName, provider, quotedUsd, costUsd, latencyMs, workflowId, jobId, contactId, offerId, responseData } = {}) {
+    const amount = costUsd ?? quotedUsd ?? 0;
+    if (!amount) {
+      return null;
+    }
+
+    const receipt = await Receipt.create({
+      owner_id: ownerId,
+      offer_id: offerId,
+      workflow_id: workflowId,
+      job_id: jobId,
+      contact_id: contactId,
+      category,
+      tool_id: toolId,
+      tool_name: toolName || toolId,
+      provider,
+      quoted_usd: quotedUsd,
+      amount_paid_usd: amount,
+      transaction_id: `tx_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+      response_data: responseData,
+      execution_time_ms: latencyMs
+    });
+
+    if (workflowId) {
+      console.log(`[Ledger] ${category} via ${provider}: $${amount.toFixed(4)} (quoted $${(quotedUsd ?? amount).toFixed(4)}) for workflow ${workflowId}`);
+    }
+    return receipt;
+  }
+
+  /**
+   * Make a call and record what it cost, timing it for the receipt
+   * @param {Object} entry - Receipt fields, as for record()
+   * @param {Function} call - Makes the provider call
+   * @param {Function} costOf - Actual cost from the call's result (default: the quote)
+   * @returns {Promise<Object>} - { result, receipt }
+   */
+  async track(entry, call, costOf = () => undefined) {
+    const startTime = Date.now();
+    const result = await call();
+    const receipt = await this.record({ ...entry, costUsd: costOf(result), latencyMs: Date.now() - startTime });
+    return { result, receipt };
+  }
+
+  /**
+   * A workflow's spend, summed from its receipts
+   * @param {string} workflowId - Workflow
+   * @returns {Promise<Object>} - { total_usd, breakdown: category -> usd }
+   */
+  async workflowCosts(workflowId) {
+    const rows = await Receipt.aggregate([
+      { $match: { workflow_id: new mongoose.Types.ObjectId(String(workflowId)) } },
+      { $group: { _id: '$category', total: { $sum: '$amount_paid_usd' } } }
+    ]);
+
+    const breakdown = Object.fromEntries(COST_CATEGORIES.map(category => [category, 0]));
+    let total = 0;
+    for (const row of rows) {
+      if (row._id in breakdown) breakdown[row._id] += row.total;
+      total += row.total;
+    }
+    return { total_usd: total, breakdown };
+  }
+
+  /**
+   * Write a workflow's spend from its receipts onto the workflow (for calls made outside its run, e.g. bounce handling)
+   */
+  async syncWorkflow(workflowId) {
+    const costs = await this.workflowCosts(workflowId);
+    await Workflow.findByIdAndUpdate(workflowId, { total_cost_usd: costs.total_usd, cost_breakdown: costs.breakdown });
+    return costs;
+  }
+}
+
+// Singleton instance
+let ledgerInstance = null;
+
+export function getCostLedger() {
+  if (!ledgerInstance) {
+    ledgerInstance = new CostLedger();
+  }
+  return ledgerInstance;
+}
+
+export default CostLedger;
@@ -0,0 +1,367 @@
+/**
+ * Credential Vault - Each user's own provider API keys and SMTP/IMAP login
+ *
+ * Credentials are stored per user and provider, encrypted at rest with the
+ * server's master key (CREDENTIALS_ENCRYPTION_KEY, see secrets.js). The API
+ * only ever returns masked hints of secret fields. env() turns a user's
+ * credentials into the same variables the services otherwise read from
+ * process.env, so userServices.js builds per-user services the same way the
+ * shared ones are built.
+ */
+
+import axios from 'axios';
+import nodemailer from 'nodemailer';
+import { ProviderCredential } from '../models/schemas.js';
+import { encryptSecret, decryptSecret } from './secrets.js';
+
+const TEST_TIMEOUT_MS = 10000;
+
+/**
+ * Providers a user can store credentials for. Each field maps to the env variable it replaces.
+ */
+export const CREDENTIAL_PROVIDERS = {
+  apify: {
+    label: 'Apify',
+    description: 'Job search and people search',
+    fields: [
+      { name: 'token', env: 'APIFY_TOKEN', secret: true, required: true },
+      { name: 'exa_api_key', env: 'EXA_API_KEY', secret: true }
+    ],
+    test: async ({ token }, http) => {
+      const response = await http.get('https://api.apify.com/v2/users/me', { params: { token }, timeout: TEST_TIMEOUT_MS });
+      return `Connected to Apify as ${response.data?.data?.username || 'your account'}`;
+    }
+  },
+  tomba: {
+    label: 'Tomba',
+    description: 'Email lookup and verification',
+    fields: [
+      { name: 'api_key', env: 'TOMBA_API_KEY', secret: true, required: true },
+      { name: 'api_secret', env: 'TOMBA_API_SECRET', secret: true, required: true }
+    ],
+    test: async ({ api_key, api_secret }, http) => {
+      const response = await http.get('https://api.tomba.io/v1/me', {
+        headers: { 'X-Tomba-Key': api_key, 'X-Tomba-Secret': api_secret },
+        timeout: TEST_TIMEOUT_MS
+      });
+      return `Connected to Tomba as ${response.data?.data?.email || 'your account'}`;
+    }
+  },
+  happenstance: {
+    label: 'Happenstance',
+    description: 'Person enrichment',
+    fields: [
+      { name: 'api_key', env: 'HAPPENSTANCE_API_KEY', secret: true, required: true }
+    ],
+    // There is no account endpoint: look up a research run that doesn't exist.
+    // A 404 means the key was accepted, a 401/403 means it wasn't.
+    test: async ({ api_key }, http) => {
+      try {
+        await http.get('https://api.happenstance.ai/research/connection-test', {
+          headers: { Authorization: `Bearer ${api_key}` },
+          timeout: TEST_TIMEOUT_MS
+        });
+      } catch (error) {
+        if (error.response?.status !== 404) throw error;
+      }
+      return 'Connected to Happenstance';
+    }
+  },
+  fireworks: {
+    label: 'Fireworks AI',
+    description: 'Resume parsing, drafting and reply classification',
+    fields: [
+      { name: 'api_key', env: 'FIREWORKS_API_KEY', secret: true, required: true }
+    ],
+    test: async ({ api_key }, http) => {
+      await http.get('https://api.fireworks.ai/inference/v1/models', {
+        headers: { Authorization: `Bearer ${api_key}` },
+        timeout: TEST_TIMEOUT_MS
+      });
+      return 'Connected to Fireworks AI';
+    }
+  },
+  smtp: {
+    label: 'SMTP',
+    description: 'Default mailbox for sending outreach, and its IMAP inbox for reply detection (sender identities are managed separately)',
+    fields: [
+      { name: 'host', env: 'SMTP_HOST', required: true },
+      { name: 'port', env: 'SMTP_PORT' },
+      { name: 'user', env: 'SMTP_USER', required: true },
+      { name: 'pass', env: 'SMTP_PASS', secret: true, required: true },
+      { name: 'from_name', env: 'SMTP_FROM_NAME' },
+      { name: 'from_email', env: 'SMTP_FROM_EMAIL' },
+      // Without an IMAP host, replies and bounces to this mailbox go undetected
+      { name: 'imap_host', env: 'IMAP_HOST' },
+      { name: 'imap_port', env: 'IMAP_PORT' },
+      { name: 'imap_user', env: 'IMAP_USER' }, // default: the SMTP user
+      { name: 'imap_pass', env: 'IMAP_PASS', secret: true } // default: the SMTP password
+    ],
+    test: async ({ host, port, user, pass }, http, createTransport) => {
+      const smtpPort = parseInt(port) || 587;
+      const transporter = createTransport({ host, port: smtpPort, secure: smtpPort === 465, auth: { user, pass } });
+      await transporter.verify();
+      return `Connected to ${host} as ${user}`;
+    }
+  }
+};
+
+// Every env variable a user's credentials can stand in for
+export const CREDENTIAL_ENV_KEYS = Object.values(CREDENTIAL_PROVIDERS).flatMap(definition => definition.fields.map(field => field.env));
+
+/**
+ * Masked form of a secret, e.g. "••••3f9a"
+ */
+export function maskSecret(value) {
+  const text = String(value);
+  return text.length > 8 ? `••••${text.slice(-4)}` : '••••';
+}
+
+export class CredentialVault {
+  /**
+   * @param {Object} options - Vault options
+   * @param {Object} options.http - HTTP client for connection tests (default: axios)
+   * @param {Function} options.createTransport - nodemailer transport factory for SMTP tests (replaceable for testing)
+   */
+  constructor(options = {}) {
+    this.http = options.http || axios;
+    this.createTransport = options.createTransport || nodemailer.createTransport.bind(nodemailer);
+  }
+
+  definition(provider) {
+    const definition = CREDENTIAL_PROVIDERS[provider];
+    if (!definition) {
+      throw new CredentialError(`Unknown provider: ${provider}. Use one of: ${Object.keys(CREDENTIAL_PROVIDERS).join(', ')}`, 404);
+    }
+    return definition;
+  }
+
+  /**
+   * Every provider with whether the user has credentials for it (secrets masked)
+   * @param {string} ownerId - User
+   * @returns {Promise<Object[]>}
+   */
+  async list(ownerId) {
+    const stored = await ProviderCredential.find({ owner_id: ownerId });
+    return Object.keys(CREDENTIAL_PROVIDERS).map(provider => this.describe(provider, stored.find(doc => doc.provider === provider)));
+  }
+
+  /**
+   * Save a user's credentials for a provider. Fields left out keep their stored value; an empty string clears one.
+   * @param {string} ownerId - User
+   * @param {string} provider - Provider id, e.g. 'tomba'
+   * @param {Object} values - Field values, e.g. { api_key, api_secret }
+   * @throws {CredentialError} - If the provider is unknown, a required field is missing or encryption isn't configured
+   */
+  async save(ownerId, provider, values = {}) {
+    const definition = this.definition(provider);
+    const existing = await ProviderCredential.findOne({ owner_id: ownerId, provider });
+    const merged = this.merge(definition, existing ? this.decrypt(existing) : {}, values);
+
+    const missing = definition.fields.filter(field => field.required && !merged[field.name]).map(field => field.name);
+    if (missing.length > 0) {
+      throw new CredentialError(`${definition.label} needs ${missing.join(', ')}`, 400);
+    }
+
+    const doc = await ProviderCredential.findOneAndUpdate(
+      { owner_id: ownerId, provider },
+      { values_encrypted: this.encrypt(merged), updated_at: new Date(), $unset: { last_test: 1 } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    console.log(`[Credentials] Saved ${definition.label} credentials for user ${ownerId}`);
+    return this.describe(provider, doc);
+  }
+
+  /**
+   * Delete a user's credentials for a provider (its services fall back to mocks)
+   * @throws {CredentialError} - If there were none
+   */
+  async remove(ownerId, provider) {
+    this.definition(provider);
+    const doc = await ProviderCredential.findOneAndDelete({ owner_id: ownerId, provider });
+    if (!doc) {
+      throw new CredentialError('No credentials stored for this provider', 404);
+    }
+    return this.describe(provider, null);
+  }
+
+  /**
+   * Check that credentials work by making a cheap call to the provider
+   * @param {string} ownerId - User
+   * @param {string} provider - Provider id
+   * @param {Object} values - Unsaved values to try (merged over the stored ones); omit to test what's stored
+   * @returns {Promise<Object>} - { success, message } or { success: false, error }
+   */
+  async test(ownerId, provider, values = null) {
+    const definition = this.definition(provider);
+    const existing = await ProviderCredential.findOne({ owner_id: ownerId, provider });
+    const stored = existing ? this.decrypt(existing) : {};
+    const candidate = values ? this.merge(definition, stored, values) : stored;
+
+    const missing = definition.fields.filter(field => field.required && !candidate[field.name]).map(field => field.name);
+    let result;
+    if (missing.length > 0) {
+      result = { success: false, error: `${definition.label} needs ${missing.join(', ')}` };
+    } else {
+      try {
+        result = { success: true, message: await definition.test(candidate, this.http, this.createTransport) };
+      } catch (error) {
+        const status = error.response?.status;
+        result = {
+          success: false,
+          error: status === 401 || status === 403
+            ? `${definition.label} rejected the credentials (${status})`
+            : `Could not connect to ${definition.label}: ${error.message}`
+        };
+      }
+    }
+
+    // Only a test of the stored credentials says anything about them
+    if (existing && !values) {
+      existing.last_test = { success: result.success, message: result.message || result.error, tested_at: new Date() };
+      await existing.save();
+    }
+
+    return result;
+  }
+
+  /**
+   * A user's credentials as env variables, e.g. { APIFY_TOKEN, TOMBA_API_KEY, ... }
+   * Credentials that can't be decrypted are skipped, so those services fall back to mocks.
+   * @param {string} ownerId - User
+   * @returns {Promise<Object>}
+   */
+  async env(ownerId) {
+    if (!ownerId) return {};
+
+    const env = {};
+    for (const doc of await ProviderCredential.find({ owner_id: ownerId })) {
+      const definition = CREDENTIAL_PROVIDERS[doc.provider];
+      if (!definition) continue;
+
+      try {
+        const values = this.decrypt(doc);
+        for (const field of definition.fields) {
+          if (values[field.name]) env[field.env] = String(values[field.name]);
+        }
+      } catch (error) {
+        console.warn(`[Credentials] Skipping ${definition.label} credentials for user ${ownerId}: ${error.message}`);
+      }
+    }
+    return env;
+  }
+
+  /**
+   * Every user's SMTP inbox that has IMAP set up, for the ReplyPoller
+   * Credentials that can't be decrypted are skipped.
+   * @returns {Promise<Object[]>} - [{ id, ownerId, host, port, secure, user, pass, addresses }]
+   */
+  async replyInboxes() {
+    const inboxes = [];
+    for (const doc of await ProviderCredential.find({ provider: 'smtp' })) {
+      try {
+        const values = this.decrypt(doc);
+        if (!values.imap_host) continue;
+
+        const port = parseInt(values.imap_port) || 993;
+        inboxes.push({
+          id: `smtp:${doc.owner_id}`,
+          ownerId: doc.owner_id,
+          host: values.imap_host,
+          port,
+          secure: port === 993,
+          user: values.imap_user || values.user,
+          pass: values.imap_pass || values.pass,
+          addresses: [values.user, values.from_email]
+        });
+      } catch (error) {
+        console.warn(`[Credentials] Skipping SMTP inbox of user ${doc.owner_id}: ${error.message}`);
+      }
+    }
+    return inboxes;
+  }
+
+  /**
+   * When a user's credentials last changed, to tell whether services built from them are stale
+   * @returns {Promise<string>}
+   */
+  async version(ownerId) {
+    if (!ownerId) return 'none';
+    const docs = await ProviderCredential.find({ owner_id: ownerId }).select('provider updated_at');
+    return docs.map(doc => `${doc.provider}:${doc.updated_at?.getTime()}`).sort().join(',');
+  }
+
+  /**
+   * Provider credentials safe to return from the API
+   */
+  describe(provider, doc) {
+    const definition = CREDENTIAL_PROVIDERS[provider];
+    let values = {};
+    let error = null;
+    if (doc) {
+      try {
+        values = this.decrypt(doc);
+      } catch (decryptError) {
+        error = decryptError.message;
+      }
+    }
+
+    return {
+      provider,
+      label: definition.label,
+      description: definition.description,
+      configured: !!doc && !error,
+      fields: definition.fields.map(field => ({
+        name: field.name,
+        env: field.env,
+        secret: !!field.secret,
+        required: !!field.required,
+        set: !!values[field.name],
+        value: values[field.name] ? (field.secret ? maskSecret(values[field.name]) : values[field.name]) : null
+      })),
+      last_test: doc?.last_test?.tested_at ? doc.last_test : null,
+      updated_at: doc?.updated_at || null,
+      ...(error ? { error } : {})
+    };
+  }
+
+  merge(definition, stored, values) {
+    const merged = { ...stored };
+    for (const field of definition.fields) {
+      const value = values[field.name];
+      if (value === undefined || value === null) continue;
+      if (value === '') {
+        delete merged[field.name];
+      } else {
+        merged[field.name] = typeof value === 'string' ? value.trim() : value;
+      }
+    }
+    return merged;
+  }
+
+  encrypt(values) {
+    try {
+      return encryptSecret(JSON.stringify(values));
+    } catch (error) {
+      throw new CredentialError(error.message, 400);
+    }
+  }
+
+  decrypt(doc) {
+    return JSON.parse(decryptSecret(doc.values_encrypted));
+  }
+}
+
+/**
+ * Credential request that can't be carried out, with the HTTP status to respond with
+ */
+export class CredentialError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'CredentialError';
+    this.statusCode = statusCode;
+  }
+}
+
+export default CredentialVault;
@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { buildCandidateProfile, formatCandidateProfile } from './candidateProfile.js';
 
 const FIREWORKS_API_URL = 'https://api.fireworks.ai/inference/v1/chat/completions';
 
@@ -21,16 +22,20 @@ export class EmailDrafterService {
 
   /**
    * Generate a personalized outreach email using streaming
+   * @param {Object} params - { resume (parsed Resume), resumeText (fallback), job, contact }
    */
   async generateEmail(params) {
-    const { resumeText, job, contact } = params;
+    const { resume, resumeText, job, contact } = params;
 
     if (!this.apiKey) {
       throw new Error('FIREWORKS_API_KEY not configured');
     }
 
     const systemPrompt = this.buildSystemPrompt();
-    const userPrompt = this.buildUserPromptFromRawResume(resumeText, job, contact);
+    const profile = buildCandidateProfile(resume, job);
+    const userPrompt = profile
+      ? this.buildUserPrompt(profile, job, contact)
+      : this.buildUserPromptFromRawResume(resumeText || resume?.raw_text || '', job, contact);
 
     console.log(`[EmailDrafter] Generating email for ${contact.name} at ${job.company_name}`);
 
@@ -87,6 +92,81 @@ export class EmailDrafterService {
     }
   }
 
+  /**
+   * Generate a follow-up to an unanswered email, using the thread so far as context
+   * @param {Object} params - { thread (sent Email documents, oldest first), job, contact, resumeContext, step, totalSteps }
+   * @returns {Promise<Object>} - { success, body, metadata }
+   */
+  async generateFollowUp(params) {
+    const { thread, job, contact, resumeContext, step, totalSteps } = params;
+
+    if (!this.apiKey) {
+      throw new Error('FIREWORKS_API_KEY not configured');
+    }
+
+    const systemPrompt = this.buildFollowUpSystemPrompt();
+    const userPrompt = this.buildFollowUpPrompt({ thread, job, contact, resumeContext, step, totalSteps });
+
+    console.log(`[EmailDrafter] Generating follow-up ${step}/${totalSteps} for ${contact.name} at ${job.company_name}`);
+
+    try {
+      const response = await axios.post(
+        FIREWORKS_API_URL,
+        {
+          model: this.model,
+          messages: [
+            { role: 'system', content: systemPrompt },
+            { role: 'user', content: userPrompt }
+          ],
+          max_tokens: 20000,
+          temperature: 0.7,
+          top_p: 0.9,
+          stream: true
+        },
+        {
+          headers: {
+            'Authorization': `Bearer ${this.apiKey}`,
+            'Content-Type': 'application/json'
+          },
+          responseType: 'stream'
+        }
+      );
+
+      const content = await this.collectStreamedResponse(response.data);
+      const { body } = this.parseEmailResponse(content);
+
+      const estimatedPromptTokens = Math.ceil((systemPrompt.length + userPrompt.length) / 4);
+      const estimatedCompletionTokens = Math.ceil(content.length / 4);
+      const cost = (estimatedPromptTokens * this.inputTokenCost) + (estimatedCompletionTokens * this.outputTokenCost);
+
+      return {
+        success: true,
+        body,
+        raw_response: content,
+        metadata: {
+          model: this.model,
+          prompt_tokens: estimatedPromptTokens,
+          completion_tokens: estimatedCompletionTokens,
+          cost_usd: Math.round(cost * 1000000) / 1000000
+        }
+      };
+
+    } catch (error) {
+      console.error('[EmailDrafter] Follow-up error:', error.response?.data || error.message);
+      throw new Error(`Follow-up generation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Estimate the cost of one generateEmail call before making it
+   * (typical prompt and completion sizes, same pricing as generateEmail)
+   */
+  estimateCost({ userPromptTokens = 700, completionTokens = 1500 } = {}) {
+    const promptTokens = Math.ceil(this.buildSystemPrompt().length / 4) + userPromptTokens;
+    const cost = (promptTokens * this.inputTokenCost) + (completionTokens * this.outputTokenCost);
+    return Math.round(cost * 1000000) / 1000000;
+  }
+
   /**
    * Collect and parse SSE stream response
    */
@@ -167,7 +247,81 @@ BODY:
   }
 
   /**
-   * Build user prompt using raw resume text (no parsing needed)
+   * Build the system prompt for follow-up generation
+   */
+  buildFollowUpSystemPrompt() {
+    return `You are a senior career coach. Write a short follow-up to a cold outreach email that got no reply. It is sent as a reply in the same thread, so the recipient can see the earlier messages below it.
+
+Hard requirements:
+- Body length: 40–90 words.
+- Do not repeat the earlier email. Add one new, concrete reason to talk (a different relevant outcome, skill, or detail from the job posting) drawn only from the provided context. Do NOT invent facts.
+- Keep the same clear, soft CTA: a 10–15 minute chat, or the best person to speak with.
+- If this is the final follow-up, say so politely and make it easy to close the loop (e.g. point to the right person, or "no worries if the timing isn't right").
+- Professional, warm, direct. No guilt, no pressure.
+
+Style rules:
+- Do NOT use: "just checking in", "circling back", "bumping this", "following up on my previous email", "I hope this email finds you well".
+- Do not use em dashes (—). Use commas, parentheses, or short sentences instead.
+
+Output format (exactly):
+BODY:
+<follow-up body, ending with a sign-off>`;
+  }
+
+  /**
+   * Build the follow-up prompt from the thread so far
+   */
+  buildFollowUpPrompt({ thread, job, contact, resumeContext, step, totalSteps }) {
+    const parts = [];
+
+    parts.push(`Write follow-up ${step} of ${totalSteps}${step === totalSteps ? ' (the final follow-up)' : ''} based on the following information:\n`);
+
+    if (resumeContext) {
+      parts.push('## CANDIDATE:');
+      if (resumeContext.name) parts.push(`Name: ${resumeContext.name}`);
+      if (resumeContext.current_title) parts.push(`Current Title: ${resumeContext.current_title}`);
+      if (resumeContext.skills?.length) parts.push(`Skills: ${resumeContext.skills.join(', ')}`);
+      if (resumeContext.summary) parts.push(`Summary: ${resumeContext.summary}`);
+      parts.push('');
+    }
+
+    this.appendJobAndRecipient(parts, job, contact);
+
+    parts.push('## THREAD SO FAR (oldest first, no replies received):');
+    for (const message of thread) {
+      const sentOn = message.sent_at ? new Date(message.sent_at).toDateString() : 'unsent';
+      parts.push(`--- ${message.sequence_step ? `Follow-up ${message.sequence_step}` : 'Initial email'} (${sentOn}) ---`);
+      if (!message.sequence_step && message.subject) parts.push(`Subject: ${message.subject}`);
+      parts.push(message.body || '');
+      parts.push('');
+    }
+
+    parts.push('Write the follow-up now.');
+
+    return parts.join('\n');
+  }
+
+  /**
+   * Build user prompt from the candidate profile selected for this job
+   */
+  buildUserPrompt(profile, job, contact) {
+    const parts = [];
+
+    parts.push('Write a personalized outreach email based on the following information:\n');
+
+    parts.push('## CANDIDATE BACKGROUND:');
+    parts.push(formatCandidateProfile(profile));
+    parts.push('');
+
+    this.appendJobAndRecipient(parts, job, contact);
+
+    parts.push('Write the email now. Base the credibility bullets on the most relevant highlights above.');
+
+    return parts.join('\n');
+  }
+
+  /**
+   * Build user prompt using raw resume text (used when the resume could not be parsed)
    */
   buildUserPromptFromRawResume(resumeText, job, contact) {
     const parts = [];
@@ -179,6 +333,17 @@ BODY:
     parts.push(resumeText.substring(0, 3000)); // Limit to avoid token overflow
     parts.push('');
 
+    this.appendJobAndRecipient(parts, job, contact);
+
+    parts.push('Write the email now. Extract relevant skills and experience from the resume to personalize the email.');
+
+    return parts.join('\n');
+  }
+
+  /**
+   * Append the target job and recipient sections to a prompt
+   */
+  appendJobAndRecipient(parts, job, contact) {
     // Job info
     parts.push('## TARGET JOB:');
     parts.push(`Title: ${job.title}`);
@@ -197,10 +362,6 @@ BODY:
     parts.push(`Company: ${contact.company}`);
     if (contact.snippet) parts.push(`Background: ${contact.snippet}`);
     parts.push('');
-
-    parts.push('Write the email now. Extract relevant skills and experience from the resume to personalize the email.');
-
-    return parts.join('\n');
   }
 
   /**
@@ -363,5 +524,54 @@ BODY:
   }
 }
 
+/**
+ * Mock Email Drafter - fills a template instead of calling Fireworks (no API key)
+ */
+export class MockEmailDrafterService {
+  constructor(senderName) {
+    this.senderName = senderName || process.env.SENDER_NAME || 'Bala';
+    this.model = 'mock-template';
+    console.log('[EmailDrafter] Using mock email drafter (Fireworks API key not configured)');
+  }
+
+  async generateEmail(params) {
+    const { resume, job, contact } = params;
+    const firstName = contact.name?.split(' ')[0] || 'there';
+    const title = resume?.current_title ? ` I'm currently working as ${resume.current_title}` : '';
+
+    return {
+      success: true,
+      subject: `${job.title} at ${job.company_name}`,
+      body: `Hi ${firstName},\n\nI came across the ${job.title} role at ${job.company_name} and would love to learn more.${title ? `${title}, and` : ' I'} think my background is a good fit.\n\nWould you be open to a quick chat?\n\nBest,\n${resume?.name || this.senderName}`,
+      raw_response: null,
+      metadata: { model: this.model, prompt_tokens: 0, completion_tokens: 0, cost_usd: 0 }
+    };
+  }
+
+  async generateFollowUp(params) {
+    const { contact, job } = params;
+    const firstName = contact?.name?.split(' ')[0] || 'there';
+
+    return {
+      success: true,
+      body: `Hi ${firstName},\n\nJust following up on my note about the ${job?.title || 'open'} role${job?.company_name ? ` at ${job.company_name}` : ''}. Happy to share more if it would help.\n\nBest,\n${this.senderName}`,
+      raw_response: null,
+      metadata: { model: this.model, prompt_tokens: 0, completion_tokens: 0, cost_usd: 0 }
+    };
+  }
+
+  estimateCost() {
+    return 0;
+  }
+
+  async generateBatch(resume, jobContactPairs) {
+    return Promise.all(jobContactPairs.map(async ({ job, contact }) => ({
+      job_id: job._id || job.job_id,
+      contact_id: contact._id,
+      ...await this.generateEmail({ resume, job, contact })
+    })));
+  }
+}
+
 export default EmailDrafterService;
 
@@ -0,0 +1,87 @@
+/**
+ * Email Pattern Guesser - Last-resort email lookup
+ *
+ * Guesses first.last@company-domain when no provider found an address.
+ * Free and offline, but low confidence, so it sits at the end of the
+ * email lookup fallback chain.
+ */
+
+export class EmailPatternGuesser {
+  constructor() {
+    this.name = 'Email Pattern Guesser';
+    this.type = 'email_lookup';
+    this.providerName = 'pattern-guess';
+    this.basePriceUsd = 0;
+    this.avgLatencyMs = 0;
+    this.reliabilityScore = 0.3;
+    this.confidence = 0.3;
+    this.capabilities = ['name_domain_email_guess'];
+  }
+
+  async getQuote(params = {}) {
+    return {
+      tool_id: 'email-pattern-guess',
+      tool_name: this.name,
+      provider: this.providerName,
+      price_usd: this.basePriceUsd,
+      latency_estimate_ms: this.avgLatencyMs,
+      reliability_score: this.reliabilityScore,
+      capabilities: this.capabilities,
+      params_received: params
+    };
+  }
+
+  /**
+   * Guess an email address
+   * @param {Object} params - { firstName, lastName } or { name }, plus { domain } or { company, companyUrl }
+   */
+  async execute(params) {
+    const nameParts = (params.name || '').trim().split(/\s+/);
+    const firstName = this.clean(params.firstName || nameParts[0]);
+    const lastName = this.clean(params.lastName || (nameParts.length > 1 ? nameParts[nameParts.length - 1] : ''));
+    const domain = params.domain || guessCompanyDomain(params.company, params.companyUrl);
+
+    if (!firstName || !domain) {
+      return { success: false, error: 'Name and company are required to guess an email' };
+    }
+
+    return {
+      success: true,
+      email: lastName ? `${firstName}.${lastName}@${domain}` : `${firstName}@${domain}`,
+      confidence: this.confidence,
+      source: this.providerName
+    };
+  }
+
+  async health() {
+    return { provider: this.providerName, configured: true, status: 'ok' };
+  }
+
+  clean(part) {
+    return (part || '').toLowerCase().normalize('NFD').replace(/[^a-z]/g, '');
+  }
+}
+
+/**
+ * Best guess at a company's email domain: its website host, else name.com
+ * @param {string} company - Company name
+ * @param {string} companyUrl - Company URL (LinkedIn company pages are ignored)
+ * @returns {string|null}
+ */
+export function guessCompanyDomain(company, companyUrl) {
+  if (companyUrl && !/linkedin\.com/i.test(companyUrl)) {
+    try {
+      return new URL(companyUrl.startsWith('http') ? companyUrl : `https://${companyUrl}`).hostname.replace(/^www\./, '');
+    } catch {
+      // Not a usable URL - fall back to the company name
+    }
+  }
+
+  const slug = (company || '')
+    .toLowerCase()
+    .replace(/\b(inc|llc|ltd|corp|corporation|co|gmbh)\b\.?/g, '')
+    .replace(/[^a-z0-9]/g, '');
+  return slug ? `${slug}.com` : null;
+}
+
+export default EmailPatternGuesser;
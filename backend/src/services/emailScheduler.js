@@ -0,0 +1,392 @@
+/**
+ * Email Scheduler - Sends drafted emails at their scheduled time
+ *
+ * Drafts are given a scheduled_at, optionally moved into the recipient's
+ * business hours using a time zone inferred from the contact or job
+ * location. A polling loop claims due emails and sends them through
+ * EmailSenderService, retrying failed sends with a backoff.
+ *
+ * Like the workflow queue, the schedule lives in MongoDB. Emails left
+ * "sending" by a previous process may already have gone out, so on start
+ * they're marked failed for the user to review instead of being retried.
+ */
+
+import { Email, Contact, Job } from '../models/schemas.js';
+import { inferTimeZone, isValidTimeZone, nextBusinessTime } from './timeZones.js';
+import { followUpStartFields } from './followUpSequencer.js';
+import { sentFromFields } from './emailSender.js';
+import { ownedOnlyBy } from './auth.js';
+
+// Statuses an email can be (re)scheduled from
+const SCHEDULABLE_STATUSES = ['draft', 'reviewed', 'held', 'scheduled', 'failed'];
+
+// Statuses shown in the send queue
+const QUEUE_STATUSES = ['scheduled', 'sending', 'held', 'failed'];
+
+export class EmailScheduler {
+  /**
+   * @param {Object} options - Scheduler options
+   * @param {Object} options.sender - EmailSenderService (or the mock) used to send
+   * @param {Object} options.services - UserServices to send each email with its owner's sender instead
+   * @param {number} options.pollIntervalMs - How often to look for due emails
+   * @param {number} options.batchSize - Max emails sent per poll
+   * @param {number} options.maxAttempts - Sends tried before an email is marked failed
+   * @param {number} options.retryDelayMs - Delay before retrying a failed send (multiplied by attempts)
+   */
+  constructor(options = {}) {
+    const {
+      sender,
+      pollIntervalMs = parseInt(process.env.EMAIL_SCHEDULER_INTERVAL_MS) || 30000,
+      batchSize = parseInt(process.env.EMAIL_SCHEDULER_BATCH_SIZE) || 10,
+      maxAttempts = parseInt(process.env.EMAIL_SEND_MAX_ATTEMPTS) || 3,
+      retryDelayMs = parseInt(process.env.EMAIL_SEND_RETRY_DELAY_MS) || 5 * 60 * 1000
+    } = options;
+
+    if (!sender && !options.services) {
+      throw new Error('EmailScheduler requires an email sender');
+    }
+
+    this.sender = sender;
+    this.services = options.services || null;
+    this.pollIntervalMs = pollIntervalMs;
+    this.batchSize = batchSize;
+    this.maxAttempts = maxAttempts;
+    this.retryDelayMs = retryDelayMs;
+    this.businessHours = {
+      start: parseInt(process.env.SEND_WINDOW_START_HOUR) || 9,
+      end: parseInt(process.env.SEND_WINDOW_END_HOUR) || 17
+    };
+    this.defaultTimeZone = options.defaultTimeZone || process.env.DEFAULT_SEND_TIMEZONE ||
+      Intl.DateTimeFormat().resolvedOptions().timeZone;
+    this.pollTimer = null;
+    this.ticking = false;
+  }
+
+  /**
+   * Start the polling loop, failing emails orphaned mid-send by a previous process
+   */
+  async start() {
+    if (this.pollTimer) return;
+
+    // The server may have accepted the message before the process died, so a retry could send it twice
+    const orphaned = await Email.updateMany(
+      { status: 'sending' },
+      { status: 'failed', 'schedule.last_error': 'Interrupted while sending - check the sent folder before sending again' }
+    );
+
+    if (orphaned.modifiedCount > 0) {
+      console.warn(`[Scheduler] Marked ${orphaned.modifiedCount} email(s) left sending by a previous process as failed`);
+    }
+
+    this.pollTimer = setInterval(() => this.tick(), this.pollIntervalMs);
+    console.log(`[Scheduler] Started (checking for due emails every ${Math.round(this.pollIntervalMs / 1000)}s)`);
+
+    this.tick();
+  }
+
+  /**
+   * Stop the polling loop
+   */
+  stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  /**
+   * Schedule a draft to be sent
+   * @param {string} emailId - Email document ID
+   * @param {Object} options - Options
+   * @param {string|Date} options.sendAt - Earliest send time (default: now)
+   * @param {boolean} options.businessHours - Only send during the recipient's business hours
+   * @param {string} options.timeZone - Override the inferred recipient time zone
+   * @param {string} options.ownerId - Only schedule the email if it belongs to this user
+   * @returns {Promise<Object>} - The scheduled Email
+   * @throws {EmailSchedulerError} - If the email can't be scheduled
+   */
+  async schedule(emailId, options = {}) {
+    const email = await Email.findOne({ _id: emailId, ...ownedOnlyBy(options.ownerId) });
+    if (!email) {
+      throw new EmailSchedulerError('Email not found', 404);
+    }
+    if (!SCHEDULABLE_STATUSES.includes(email.status)) {
+      throw new EmailSchedulerError(`Email is already ${email.status}`, 409);
+    }
+
+    if (!email.recipient_email && email.contact_id) {
+      const contact = await Contact.findById(email.contact_id);
+      email.recipient_email = contact?.email;
+    }
+    if (!email.recipient_email) {
+      throw new EmailSchedulerError('No recipient email address available. Please enrich the contact first.', 400);
+    }
+
+    const requestedAt = options.sendAt ? new Date(options.sendAt) : new Date();
+    if (isNaN(requestedAt.getTime())) {
+      throw new EmailSchedulerError('sendAt must be a valid date', 400);
+    }
+    if (options.timeZone && !isValidTimeZone(options.timeZone)) {
+      throw new EmailSchedulerError(`Unknown time zone: ${options.timeZone}`, 400);
+    }
+
+    const businessHours = options.businessHours ?? email.schedule?.business_hours ?? false;
+    let timeZone = null;
+    let scheduledAt = requestedAt;
+
+    if (businessHours) {
+      timeZone = options.timeZone || await this.recipientTimeZone(email) || this.defaultTimeZone;
+      scheduledAt = nextBusinessTime(requestedAt, timeZone, this.businessHours);
+    }
+
+    email.status = 'scheduled';
+    email.scheduled_at = scheduledAt;
+    email.schedule = {
+      business_hours: businessHours,
+      time_zone: timeZone,
+      requested_at: requestedAt,
+      attempts: 0,
+      last_error: null
+    };
+    await email.save();
+
+    console.log(`[Scheduler] Email to ${email.recipient_email} scheduled for ${scheduledAt.toISOString()}${timeZone ? ` (${timeZone} business hours)` : ''}`);
+    return email;
+  }
+
+  /**
+   * Schedule several drafts, spaced apart instead of a fixed delay between immediate sends
+   * @param {Array} emailIds - Email document IDs
+   * @param {Object} options - schedule() options plus spacingMinutes between consecutive sends
+   * @returns {Promise<Object>} - { scheduled, errors }
+   */
+  async scheduleMany(emailIds, options = {}) {
+    const { spacingMinutes = 0, ...scheduleOptions } = options;
+    const start = scheduleOptions.sendAt ? new Date(scheduleOptions.sendAt) : new Date();
+    const scheduled = [];
+    const errors = [];
+
+    for (const [i, emailId] of emailIds.entries()) {
+      try {
+        const sendAt = new Date(start.getTime() + i * spacingMinutes * 60 * 1000);
+        scheduled.push(await this.schedule(emailId, { ...scheduleOptions, sendAt }));
+      } catch (error) {
+        errors.push({ email_id: emailId, error: error.message });
+      }
+    }
+
+    return { scheduled, errors };
+  }
+
+  /**
+   * Move a scheduled (or failed) email to a new time
+   * @throws {EmailSchedulerError} - If the email isn't on the schedule
+   */
+  async reschedule(emailId, options = {}) {
+    const email = await Email.findOne({ _id: emailId, ...ownedOnlyBy(options.ownerId) }).select('status');
+    if (!email) {
+      throw new EmailSchedulerError('Email not found', 404);
+    }
+    if (!['scheduled', 'failed'].includes(email.status)) {
+      throw new EmailSchedulerError(`Only scheduled or failed emails can be rescheduled (email is ${email.status})`, 409);
+    }
+
+    return this.schedule(emailId, options);
+  }
+
+  /**
+   * Take an email off the schedule, returning it to draft
+   * @throws {EmailSchedulerError} - If the email isn't on the schedule
+   */
+  async cancel(emailId, ownerId) {
+    const email = await Email.findOneAndUpdate(
+      { _id: emailId, ...ownedOnlyBy(ownerId), status: { $in: ['scheduled', 'held', 'failed'] } },
+      { status: 'draft', $unset: { scheduled_at: 1 } },
+      { new: true }
+    );
+
+    if (!email) {
+      const existing = await Email.findOne({ _id: emailId, ...ownedOnlyBy(ownerId) }).select('status');
+      if (!existing) {
+        throw new EmailSchedulerError('Email not found', 404);
+      }
+      throw new EmailSchedulerError(`Email is ${existing.status}, not scheduled`, 409);
+    }
+
+    console.log(`[Scheduler] Cancelled scheduled email to ${email.recipient_email}`);
+    return email;
+  }
+
+  /**
+   * Emails in the send queue, next due first
+   * @param {Object} filter - { status, workflowId, limit, ownerId }
+   */
+  async list({ status, workflowId, limit = 100, ownerId } = {}) {
+    const query = { ...ownedOnlyBy(ownerId), status: status || { $in: QUEUE_STATUSES } };
+    if (workflowId) query.workflow_id = workflowId;
+
+    return Email.find(query)
+      .select('-linkedin_inmail -linkedin_connection_request -resume_context')
+      .populate('job_id', 'title company_name location')
+      .populate('contact_id', 'name title company location')
+      .sort({ scheduled_at: 1 })
+      .limit(limit);
+  }
+
+  /**
+   * Recipient time zone inferred from the contact's location, then the job's
+   */
+  async recipientTimeZone(email) {
+    const [contact, job] = await Promise.all([
+      email.contact_id ? Contact.findById(email.contact_id).select('location') : null,
+      email.job_id ? Job.findById(email.job_id).select('location') : null
+    ]);
+
+    return inferTimeZone(contact?.location) || inferTimeZone(job?.location);
+  }
+
+  /**
+   * Claim due emails and send them
+   */
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      for (let i = 0; i < this.batchSize; i++) {
+        const email = await Email.findOneAndUpdate(
+          { status: 'scheduled', scheduled_at: { $lte: new Date() } },
+          { status: 'sending', $inc: { 'schedule.attempts': 1 } },
+          { sort: { scheduled_at: 1 }, new: true }
+        );
+
+        if (!email) break;
+
+        try {
+          await this.send(email);
+        } catch (error) {
+          // Recording the outcome failed: don't leave the email stuck in 'sending', and
+          // don't put it back on the schedule either, since it may have gone out
+          console.error(`[Scheduler] Send of email ${email._id} failed:`, error.message);
+          await Email.findByIdAndUpdate(email._id, { status: 'failed', 'schedule.last_error': error.message })
+            .catch(updateError => console.error(`[Scheduler] Could not mark email ${email._id} failed:`, updateError.message));
+        }
+      }
+    } catch (error) {
+      console.error('[Scheduler] Tick failed:', error.message);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Send one claimed email and record the outcome
+   */
+  async send(email) {
+    const contact = email.contact_id ? await Contact.findById(email.contact_id) : null;
+    const to = email.recipient_email || contact?.email;
+
+    let result;
+    try {
+      const sender = this.services ? (await this.services.forUser(email.owner_id)).emailSender : this.sender;
+      result = await sender.sendEmail({
+        to,
+        subject: email.subject,
+        body: email.body,
+        linkedinUrl: contact?.linkedin_url,
+        company: email.recipient_company || contact?.company,
+        inReplyTo: email.in_reply_to,
+        references: email.references,
+        emailId: email._id,
+        approved: !!email.approval?.approved_at,
+        senderIdentityId: email.sender_identity_id,
+        sameSender: !!email.thread_root_id,
+        ownerId: email.owner_id,
+        contactId: email.contact_id,
+        jobId: email.job_id,
+        audit: { actorType: 'system', via: 'scheduler' }
+      });
+    } catch (error) {
+      // Nothing was sent (e.g. the user's credentials couldn't be loaded) - retry like any failed send
+      result = { success: false, error: error.message };
+    }
+
+    if (result.success) {
+      const sentAt = new Date();
+      await Email.findByIdAndUpdate(email._id, {
+        status: 'sent',
+        sent_at: sentAt,
+        recipient_email: to,
+        'schedule.last_error': null,
+        send_result: {
+          message_id: result.messageId,
+          response: result.response
+        },
+        ...sentFromFields(result),
+        ...followUpStartFields(email, sentAt)
+      });
+      console.log(`[Scheduler] Sent scheduled email to ${to}`);
+      return;
+    }
+
+    const attempts = email.schedule?.attempts || 1;
+    const retry = !result.suppressed && !result.bounced && !result.undeliverable && !result.held && !result.claimed && attempts < this.maxAttempts;
+
+    if (result.capped) {
+      // Every mailbox is at today's cap: try again tomorrow without using up an attempt
+      let retryAt = new Date();
+      retryAt.setUTCHours(24, 0, 0, 0);
+      if (email.schedule?.business_hours && email.schedule.time_zone) {
+        retryAt = nextBusinessTime(retryAt, email.schedule.time_zone, this.businessHours);
+      }
+
+      await Email.findByIdAndUpdate(email._id, {
+        status: 'scheduled',
+        scheduled_at: retryAt,
+        'schedule.attempts': Math.max(0, attempts - 1),
+        'schedule.last_error': result.error
+      });
+      console.warn(`[Scheduler] ${result.error} - email to ${to} moved to ${retryAt.toISOString()}`);
+    } else if (result.held) {
+      // Stays off the schedule until the user approves sending to a risky address
+      await Email.findByIdAndUpdate(email._id, {
+        status: 'held',
+        approval: { required: true, reason: result.error },
+        'schedule.last_error': result.error
+      });
+      console.warn(`[Scheduler] Holding email to ${to} for approval: ${result.error}`);
+    } else if (retry) {
+      let retryAt = new Date(Date.now() + this.retryDelayMs * attempts);
+      if (email.schedule?.business_hours && email.schedule.time_zone) {
+        retryAt = nextBusinessTime(retryAt, email.schedule.time_zone, this.businessHours);
+      }
+
+      await Email.findByIdAndUpdate(email._id, {
+        status: 'scheduled',
+        scheduled_at: retryAt,
+        'schedule.last_error': result.error
+      });
+      console.warn(`[Scheduler] Send to ${to} failed (attempt ${attempts}/${this.maxAttempts}), retrying at ${retryAt.toISOString()}: ${result.error}`);
+    } else {
+      // A rejected recipient is recorded as bounced (by the BounceHandler, when the sender has one)
+      await Email.findByIdAndUpdate(email._id, {
+        status: result.bounced ? 'bounced' : 'failed',
+        'schedule.last_error': result.error
+      });
+      console.error(`[Scheduler] Giving up on email to ${to}: ${result.error}`);
+    }
+  }
+}
+
+/**
+ * Scheduling request that can't be carried out, with the HTTP status to respond with
+ */
+export class EmailSchedulerError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'EmailSchedulerError';
+    this.statusCode = statusCode;
+  }
+}
+
+export default EmailScheduler;
@@ -1,11 +1,128 @@
 /**
  * Email Sender Service - Send emails via SMTP
  * 
- * Supports Gmail, SendGrid, Mailgun, or any SMTP provider
+ * Supports Gmail, SendGrid, Mailgun, or any SMTP provider. When the user
+ * sending has sender identities set up (SenderPool), emails rotate across
+ * their mailboxes within each one's daily cap; otherwise the SMTP_* account
+ * is used.
+ * 
+ * Every send is checked against the do-not-contact list first, and addresses
+ * that hard-bounced before aren't sent to again. With an EmailVerifier,
+ * undeliverable addresses are refused and risky ones held until approved.
+ * With a WorkspaceService, people a teammate has claimed for the same job
+ * are refused, and sending claims them for the sender. With an AuditLog,
+ * every email sent is recorded.
+ * Recipients the SMTP server rejects are recorded as bounces through the
+ * BounceHandler. With an EmailTracker, drafted emails get open and click
+ * tracking.
  */
 
 import nodemailer from 'nodemailer';
-import { Email } from '../models/schemas.js';
+import { Email, Contact } from '../models/schemas.js';
+import { SuppressionList } from './suppressionList.js';
+import { followUpStartFields } from './followUpSequencer.js';
+import { classifyBounce } from './bounceHandler.js';
+import { ownedOnlyBy } from './auth.js';
+
+/**
+ * Hard gate: a failed send result if the recipient is on the do-not-contact list, otherwise null
+ */
+async function checkSuppression(suppressionList, { to, linkedinUrl, company, ownerId }) {
+  const { suppressed, reason } = await suppressionList.check({ email: to, linkedinUrl, company, ownerId });
+  if (!suppressed) {
+    return null;
+  }
+
+  console.warn(`[EmailSender] Not sending to ${to}: ${reason}`);
+  return { success: false, suppressed: true, error: `Recipient is ${reason}` };
+}
+
+/**
+ * Hard gate: a failed send result if the address hard-bounced before (for one of the user's contacts), otherwise null
+ */
+async function checkBounced(to, ownerId) {
+  const contact = await Contact.findOne({ ...ownedOnlyBy(ownerId), 'invalid_emails.email': to?.toLowerCase() }).select('name');
+  if (!contact) {
+    return null;
+  }
+
+  console.warn(`[EmailSender] Not sending to ${to}: address bounced before`);
+  return { success: false, bounced: true, error: `${to} hard-bounced before - find another address for ${contact.name || 'this contact'}` };
+}
+
+/**
+ * Gate on the recipient's verification result (see EmailVerifier.check), or null without a verifier.
+ * A paid verification is recorded for the sender, contact and job.
+ */
+async function checkVerification(verifier, to, { approved, ownerId, contactId, jobId }) {
+  return verifier ? verifier.check(to, { approved, receipt: { ownerId, contactId, jobId } }) : null;
+}
+
+/**
+ * Hard gate: a failed send result if a teammate claimed the contact for the same job (see WorkspaceService), otherwise null
+ */
+async function checkClaim(workspaces, { contactId, jobId, ownerId }) {
+  const conflict = workspaces ? await workspaces.conflictingClaim({ ownerId, contactId, jobId }) : null;
+  if (!conflict) {
+    return null;
+  }
+
+  console.warn(`[EmailSender] Not sending to contact ${contactId}: claimed by ${conflict.claimedBy}`);
+  return { success: false, claimed: true, error: `${conflict.claim.contact_name || 'This contact'} is claimed by ${conflict.claimedBy}${conflict.claim.job_title ? ` for ${conflict.claim.job_title}` : ''}` };
+}
+
+/**
+ * Once an email is out: claim the contact for the sender (see WorkspaceService) and record the send in the audit log.
+ * Failures are logged, not thrown - the email was sent, and must not be marked failed and sent again.
+ */
+async function recordSent(sender, { ownerId, contactId, jobId, emailId, to, audit, metadata }) {
+  try {
+    await sender.workspaces?.claimSent({ ownerId, contactId, jobId });
+  } catch (error) {
+    console.error(`[EmailSender] Sent to ${to}, but claiming the contact failed:`, error.message);
+  }
+
+  try {
+    await sender.audit?.record({
+      ...audit,
+      action: 'email.sent',
+      ownerId,
+      target: { type: 'Email', id: emailId, label: to },
+      metadata
+    });
+  } catch (error) {
+    console.error(`[EmailSender] Sent to ${to}, but recording it in the audit log failed:`, error.message);
+  }
+}
+
+/**
+ * Email fields recording which mailbox a successful send went out from
+ */
+export function sentFromFields(result) {
+  return {
+    sent_from: result.from,
+    ...(result.senderIdentityId ? { sender_identity_id: result.senderIdentityId } : {})
+  };
+}
+
+/**
+ * Bounce details for a recipient the SMTP server rejected, or null for other failures
+ */
+function smtpRejection(error) {
+  const rejected = error.code === 'EENVELOPE' || error.command === 'RCPT TO';
+  if (!rejected || !error.responseCode) {
+    return null;
+  }
+
+  const statusCode = error.response?.match(/\b([45]\.\d{1,3}\.\d{1,3})\b/)?.[1] || null;
+  return {
+    type: classifyBounce(statusCode, error.responseCode),
+    source: 'smtp',
+    status_code: statusCode,
+    smtp_code: error.responseCode,
+    diagnostic: error.response
+  };
+}
 
 export class EmailSenderService {
   constructor(config = {}) {
@@ -18,6 +135,13 @@ export class EmailSenderService {
       fromEmail = process.env.SMTP_FROM_EMAIL || process.env.SMTP_USER
     } = config;
 
+    this.suppressionList = config.suppressionList || new SuppressionList();
+    this.bounceHandler = config.bounceHandler || null;
+    this.verifier = config.verifier || null;
+    this.workspaces = config.workspaces || null;
+    this.audit = config.audit || null;
+    this.tracker = config.tracker || null;
+    this.identities = config.identities || null;
     this.fromName = fromName;
     this.fromEmail = fromEmail;
     this.isConfigured = !!(host && user && pass);
@@ -46,13 +170,29 @@ export class EmailSenderService {
    * @param {string} params.body - Email body (plain text)
    * @param {string} params.html - Email body (HTML, optional)
    * @param {string} params.replyTo - Reply-to address (optional)
-   * @returns {Promise<Object>} - Send result
+   * @param {string} params.linkedinUrl - Recipient LinkedIn URL, for the do-not-contact check (optional)
+   * @param {string} params.company - Recipient company, for the do-not-contact check (optional)
+   * @param {string} params.inReplyTo - Message-ID this email replies to, to keep follow-ups in one thread (optional)
+   * @param {Array} params.references - Message-IDs of earlier emails in the thread (optional)
+   * @param {string} params.emailId - Email document being sent, so a rejected recipient and opens/clicks are recorded on it (optional)
+   * @param {boolean} params.approved - The user approved sending to a risky address (optional)
+   * @param {string} params.senderIdentityId - Sender identity the email is assigned to (optional)
+   * @param {boolean} params.sameSender - Only send from senderIdentityId, e.g. a follow-up in its thread (optional)
+   * @param {string} params.ownerId - User sending: their do-not-contact list and sender identities apply (optional)
+   * @param {string} params.contactId - Contact the email is to, for workspace claims (optional)
+   * @param {string} params.jobId - Job the email is about, for workspace claims (optional)
+   * @param {Object} params.audit - How the send is recorded in the audit log, e.g. { actorType: 'system', via: 'scheduler' } (optional)
+   * @returns {Promise<Object>} - Send result (suppressed: true if blocked by the do-not-contact list,
+   *   claimed: true if a teammate claimed the contact for this job,
+   *   bounced: true if the address hard-bounced now or before, undeliverable: true if it failed verification,
+   *   held: true if it verified as risky and the send wasn't approved, capped: true if no identity has room today)
    */
-  async sendEmail({ to, subject, body, html, replyTo }) {
-    if (!this.isConfigured) {
+  async sendEmail({ to, subject, body, html, replyTo, linkedinUrl, company, inReplyTo, references, emailId, approved, senderIdentityId, sameSender, ownerId, contactId, jobId, audit }) {
+    const useIdentities = !!this.identities && !!ownerId && await this.identities.hasIdentities(ownerId);
+    if (!this.isConfigured && !useIdentities) {
       return { 
         success: false, 
-        error: 'Email service not configured. Please set SMTP_HOST, SMTP_USER, and SMTP_PASS environment variables.' 
+        error: 'Email service not configured. Please set SMTP_HOST, SMTP_USER, and SMTP_PASS environment variables, or add a sender identity.' 
       };
     }
 
@@ -60,37 +200,83 @@ export class EmailSenderService {
       return { success: false, error: 'Recipient (to), subject, and body are required' };
     }
 
-    console.log(`[EmailSender] Sending email to: ${to}`);
+    const blocked = await checkSuppression(this.suppressionList, { to, linkedinUrl, company, ownerId }) || await checkBounced(to, ownerId) ||
+      await checkClaim(this.workspaces, { contactId, jobId, ownerId }) || await checkVerification(this.verifier, to, { approved, ownerId, contactId, jobId });
+    if (blocked) {
+      return blocked;
+    }
+
+    let identity = null;
+    if (useIdentities) {
+      identity = await this.identities.pick({ preferredId: senderIdentityId, strict: !!sameSender && !!senderIdentityId, ownerId });
+      if (!identity) {
+        console.warn(`[EmailSender] Not sending to ${to}: sender identities are at their daily cap`);
+        return {
+          success: false,
+          capped: true,
+          error: sameSender ? "This thread's sender identity has reached its daily cap" : 'Every sender identity has reached its daily cap'
+        };
+      }
+    }
+
+    const fromName = identity ? identity.from_name || this.fromName : this.fromName;
+    const fromEmail = identity ? identity.from_email : this.fromEmail;
+    const text = identity?.signature ? `${body}\n\n${identity.signature}` : body;
 
+    console.log(`[EmailSender] Sending email to: ${to}${identity ? ` from ${fromEmail}` : ''}`);
+
+    let info;
     try {
+      const htmlBody = html ? html + (identity?.signature ? this.textToHtml(identity.signature) : '') : this.textToHtml(text);
       const mailOptions = {
-        from: `"${this.fromName}" <${this.fromEmail}>`,
+        from: `"${fromName}" <${fromEmail}>`,
         to,
         subject,
-        text: body,
-        html: html || this.textToHtml(body),
-        replyTo: replyTo || this.fromEmail
+        text,
+        html: this.tracker ? await this.tracker.instrument(emailId, htmlBody) : htmlBody,
+        replyTo: replyTo || identity?.reply_to || fromEmail
       };
+      if (inReplyTo) {
+        mailOptions.inReplyTo = inReplyTo;
+        mailOptions.references = references?.length ? references : [inReplyTo];
+      }
 
-      const info = await this.transporter.sendMail(mailOptions);
-
+      const transporter = identity ? this.identities.transport(identity) : this.transporter;
+      info = await transporter.sendMail(mailOptions);
       console.log(`[EmailSender] Email sent successfully. Message ID: ${info.messageId}`);
-
-      return {
-        success: true,
-        messageId: info.messageId,
-        response: info.response,
-        accepted: info.accepted,
-        rejected: info.rejected
-      };
-
     } catch (error) {
       console.error('[EmailSender] Failed to send email:', error.message);
+      if (identity) {
+        await this.identities.release(identity._id);
+      }
+
+      const bounce = smtpRejection(error);
+      if (bounce?.type === 'hard') {
+        await this.bounceHandler?.recordBounce({ emailId, ownerId, recipient: to, bounce });
+      }
+
       return {
         success: false,
-        error: `Failed to send email: ${error.message}`
+        bounced: bounce?.type === 'hard',
+        bounce,
+        error: bounce ? `Recipient rejected: ${error.response}` : `Failed to send email: ${error.message}`
       };
     }
+
+    await recordSent(this, {
+      ownerId, contactId, jobId, emailId, to, audit,
+      metadata: { to, from: fromEmail, subject, message_id: info.messageId, sender_identity_id: identity?._id, contact_id: contactId, job_id: jobId }
+    });
+
+    return {
+      success: true,
+      messageId: info.messageId,
+      response: info.response,
+      accepted: info.accepted,
+      rejected: info.rejected,
+      senderIdentityId: identity?._id || null,
+      from: fromEmail
+    };
   }
 
   /**
@@ -111,23 +297,46 @@ export class EmailSenderService {
         return { success: false, error: 'Recipient email address is missing' };
       }
 
+      const contact = email.contact_id ? await Contact.findById(email.contact_id) : null;
+
       // Send the email
       const result = await this.sendEmail({
         to: email.recipient_email,
         subject: email.subject,
         body: email.body,
-        replyTo: options.replyTo
+        replyTo: options.replyTo,
+        linkedinUrl: contact?.linkedin_url,
+        company: email.recipient_company || contact?.company,
+        inReplyTo: email.in_reply_to,
+        references: email.references,
+        emailId,
+        approved: !!email.approval?.approved_at,
+        senderIdentityId: email.sender_identity_id,
+        sameSender: !!email.thread_root_id,
+        ownerId: email.owner_id,
+        contactId: email.contact_id,
+        jobId: email.job_id
       });
 
+      if (result.held) {
+        await Email.findByIdAndUpdate(emailId, {
+          status: 'held',
+          approval: { required: true, reason: result.error }
+        });
+      }
+
       if (result.success) {
-        // Update email status in database
+        // Update email status in database (and start its follow-up sequence)
+        const sentAt = new Date();
         await Email.findByIdAndUpdate(emailId, {
           status: 'sent',
-          sent_at: new Date(),
+          sent_at: sentAt,
           send_result: {
             message_id: result.messageId,
             response: result.response
-          }
+          },
+          ...sentFromFields(result),
+          ...followUpStartFields(email, sentAt)
         });
       }
 
@@ -142,30 +351,48 @@ export class EmailSenderService {
   /**
    * Send multiple emails in batch
    * @param {Array} emails - Array of email objects (to, subject, body)
-   * @param {Object} options - Options (delay between sends)
+   * @param {Object} options - Options (delay between sends, ownerId of the user sending)
    * @returns {Promise<Object>} - Batch send results
    */
   async sendBatch(emails, options = {}) {
-    const { delay = 1000 } = options;
+    const { delay = 1000, ownerId } = options;
     const results = {
       total: emails.length,
       sent: 0,
       failed: 0,
+      suppressed: 0,
+      held: 0,
+      capped: 0,
       details: []
     };
 
     for (const email of emails) {
-      const result = await this.sendEmail(email);
+      const result = await this.sendEmail({ ...email, ownerId });
       
       results.details.push({
         to: email.to,
         success: result.success,
         error: result.error,
+        suppressed: result.suppressed,
+        bounced: result.bounced,
+        undeliverable: result.undeliverable,
+        held: result.held,
+        capped: result.capped,
+        from: result.from,
         messageId: result.messageId
       });
 
       if (result.success) {
         results.sent++;
+      } else if (result.suppressed) {
+        results.suppressed++;
+        continue;
+      } else if (result.held) {
+        results.held++;
+        continue;
+      } else if (result.capped) {
+        results.capped++;
+        continue;
       } else {
         results.failed++;
       }
@@ -182,9 +409,10 @@ export class EmailSenderService {
   /**
    * Verify SMTP configuration by sending a test email
    * @param {string} testEmail - Email address to send test to
+   * @param {string} ownerId - User sending the test
    * @returns {Promise<Object>} - Verification result
    */
-  async verifyConfiguration(testEmail) {
+  async verifyConfiguration(testEmail, ownerId) {
     if (!this.isConfigured) {
       return { 
         success: false, 
@@ -202,7 +430,8 @@ export class EmailSenderService {
         const result = await this.sendEmail({
           to: testEmail,
           subject: 'IntroLink Email Test',
-          body: 'This is a test email from IntroLink to verify your email configuration is working correctly.\n\nIf you received this, your SMTP settings are configured correctly!'
+          body: 'This is a test email from IntroLink to verify your email configuration is working correctly.\n\nIf you received this, your SMTP settings are configured correctly!',
+          ownerId
         });
         
         return {
@@ -237,6 +466,9 @@ export class EmailSenderService {
       .replace(/</g, '&lt;')
       .replace(/>/g, '&gt;');
     
+    // Turn URLs into links (so clicks can be tracked)
+    html = html.replace(/\bhttps?:\/\/[^\s<"]*[^\s<".,;:!?)']/g, url => `<a href="${url}">${url}</a>`);
+
     // Convert line breaks to <br>
     html = html.replace(/\n/g, '<br>\n');
     
@@ -260,12 +492,22 @@ export class EmailSenderService {
  * Mock Email Sender for testing
  */
 export class MockEmailSenderService {
-  constructor() {
+  constructor(config = {}) {
+    this.suppressionList = config.suppressionList || new SuppressionList();
+    this.verifier = config.verifier || null;
+    this.workspaces = config.workspaces || null;
+    this.audit = config.audit || null;
     this.sentEmails = [];
     console.log('[EmailSender] Using mock email sender for testing');
   }
 
-  async sendEmail({ to, subject, body }) {
+  async sendEmail({ to, subject, body, linkedinUrl, company, emailId, approved, ownerId, contactId, jobId, audit }) {
+    const blocked = await checkSuppression(this.suppressionList, { to, linkedinUrl, company, ownerId }) || await checkBounced(to, ownerId) ||
+      await checkClaim(this.workspaces, { contactId, jobId, ownerId }) || await checkVerification(this.verifier, to, { approved, ownerId, contactId, jobId });
+    if (blocked) {
+      return blocked;
+    }
+
     console.log(`[MockEmailSender] Would send email to: ${to}`);
     console.log(`[MockEmailSender] Subject: ${subject}`);
     
@@ -278,6 +520,10 @@ export class MockEmailSenderService {
     };
 
     this.sentEmails.push({ to, subject, body, ...mockResult });
+    await recordSent(this, {
+      ownerId, contactId, jobId, emailId, to, audit,
+      metadata: { to, subject, message_id: mockResult.messageId, contact_id: contactId, job_id: jobId, mock: true }
+    });
     
     return mockResult;
   }
@@ -291,16 +537,43 @@ export class MockEmailSenderService {
   }
 
   async sendBatch(emails, options = {}) {
+    const { ownerId } = options;
     const results = {
       total: emails.length,
-      sent: emails.length,
+      sent: 0,
       failed: 0,
-      details: emails.map(e => ({
-        to: e.to,
-        success: true,
-        messageId: `mock-batch-${Date.now()}`
-      }))
+      suppressed: 0,
+      held: 0,
+      capped: 0,
+      details: []
     };
+
+    for (const email of emails) {
+      const result = await this.sendEmail({ ...email, ownerId });
+      results.details.push({
+        to: email.to,
+        success: result.success,
+        error: result.error,
+        suppressed: result.suppressed,
+        bounced: result.bounced,
+        undeliverable: result.undeliverable,
+        held: result.held,
+        capped: result.capped,
+        from: result.from,
+        messageId: result.messageId
+      });
+      if (result.success) {
+        results.sent++;
+      } else if (result.suppressed) {
+        results.suppressed++;
+      } else if (result.held) {
+        results.held++;
+      } else if (result.capped) {
+        results.capped++;
+      } else {
+        results.failed++;
+      }
+    }
     return results;
   }
 
@@ -0,0 +1,151 @@
+/**
+ * Email Tracking - Open and click tracking for sent outreach
+ *
+ * Before a tracked email is sent its HTML gets a 1x1 pixel (/t/o/:token)
+ * and every link is rewritten to redirect through /t/c/:token, where the
+ * click token is the email's token plus the link's index. Links are stored
+ * on the Email, so the redirect only ever goes to a URL we sent.
+ *
+ * Tracking needs a public URL recipients' mail clients can reach
+ * (TRACKING_BASE_URL), and can be switched off for everyone with
+ * EMAIL_TRACKING_ENABLED=false or per email.
+ */
+
+import crypto from 'crypto';
+import { Email } from '../models/schemas.js';
+import { ownedOnlyBy } from './auth.js';
+
+// Events kept per email (counts and timestamps cover the rest)
+const MAX_EVENTS = 100;
+
+// 1x1 transparent GIF
+export const TRACKING_PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+export class EmailTracker {
+  /**
+   * @param {Object} options - Tracking options
+   * @param {boolean} options.enabled - Global switch (default: EMAIL_TRACKING_ENABLED, on)
+   * @param {string} options.baseUrl - Public URL of this server, e.g. https://introlink.example.com (default: TRACKING_BASE_URL)
+   */
+  constructor(options = {}) {
+    const {
+      enabled = process.env.EMAIL_TRACKING_ENABLED !== 'false',
+      baseUrl = process.env.TRACKING_BASE_URL
+    } = options;
+
+    this.enabled = enabled;
+    this.baseUrl = baseUrl ? baseUrl.replace(/\/+$/, '') : null;
+  }
+
+  get isEnabled() {
+    return this.enabled && !!this.baseUrl;
+  }
+
+  /**
+   * Add the pixel and rewrite links in an email's HTML, saving the token and links on the Email
+   * @param {string} emailId - Email document being sent
+   * @param {string} html - HTML body
+   * @returns {Promise<string>} - Tracked HTML, or the HTML unchanged if tracking is off for this email
+   */
+  async instrument(emailId, html) {
+    if (!this.isEnabled || !emailId || !html) return html;
+
+    const email = await Email.findById(emailId).select('tracking.enabled');
+    if (!email || email.tracking?.enabled === false) return html;
+
+    const token = crypto.randomBytes(16).toString('hex');
+    const links = [];
+
+    let tracked = html.replace(/href=(["'])(https?:\/\/[^"']+)\1/gi, (match, quote, url) => {
+      links.push({ url: url.replace(/&amp;/g, '&') });
+      return `href=${quote}${this.baseUrl}/t/c/${token}-${links.length - 1}${quote}`;
+    });
+
+    const pixel = `<img src="${this.baseUrl}/t/o/${token}" width="1" height="1" alt="" style="display:block;width:1px;height:1px;border:0;" />`;
+    tracked = /<\/div>\s*$/.test(tracked) ? tracked.replace(/<\/div>\s*$/, `${pixel}</div>`) : tracked + pixel;
+
+    await Email.findByIdAndUpdate(emailId, {
+      'tracking.enabled': true,
+      'tracking.token': token,
+      'tracking.links': links
+    });
+
+    return tracked;
+  }
+
+  /**
+   * Record an open from the pixel
+   * @param {string} token - Email tracking token
+   * @param {Object} context - { userAgent }
+   */
+  async recordOpen(token, context = {}) {
+    if (!this.enabled) return null;
+    return this.record({ 'tracking.token': token }, 'open', context);
+  }
+
+  /**
+   * Record a click and return where to send the recipient
+   * @param {string} clickToken - Email tracking token and link index, e.g. "3f2a...-0"
+   * @param {Object} context - { userAgent }
+   * @returns {Promise<string|null>} - Original URL, or null if the token is unknown
+   */
+  async recordClick(clickToken, context = {}) {
+    const match = clickToken.match(/^([a-f0-9]+)-(\d+)$/);
+    if (!match) return null;
+
+    const [, token, index] = match;
+    const email = await Email.findOne({ 'tracking.token': token }).select('tracking.links');
+    const url = email?.tracking?.links?.[parseInt(index)]?.url;
+    if (!url) return null;
+
+    if (this.enabled) {
+      await this.record({ _id: email._id }, 'click', { ...context, url });
+    }
+    return url;
+  }
+
+  /**
+   * Bump the counter and timestamps for an open or click and append the event
+   */
+  async record(filter, type, { userAgent, url } = {}) {
+    const now = new Date();
+    const counter = type === 'open' ? 'opens' : 'clicks';
+    const first = type === 'open' ? 'first_opened_at' : 'first_clicked_at';
+    const last = type === 'open' ? 'last_opened_at' : 'last_clicked_at';
+
+    const email = await Email.findOneAndUpdate(
+      filter,
+      {
+        $inc: { [`tracking.${counter}`]: 1 },
+        $set: { [`tracking.${last}`]: now },
+        $push: {
+          'tracking.events': {
+            $each: [{ type, url, user_agent: userAgent?.slice(0, 300), at: now }],
+            $slice: -MAX_EVENTS
+          }
+        }
+      },
+      { new: true }
+    ).select('tracking.first_opened_at tracking.first_clicked_at recipient_email');
+
+    if (email && !email.tracking?.[first]) {
+      await Email.updateOne({ _id: email._id, [`tracking.${first}`]: null }, { [`tracking.${first}`]: now });
+      console.log(`[Tracking] ${email.recipient_email} ${type === 'open' ? 'opened' : 'clicked a link in'} an email`);
+    }
+    return email;
+  }
+
+  /**
+   * Turn tracking on or off for one email (applies to its next send)
+   * @param {string} ownerId - Only change the user's own email
+   */
+  async setEnabled(emailId, enabled, ownerId) {
+    return Email.findOneAndUpdate({ _id: emailId, ...ownedOnlyBy(ownerId) }, { 'tracking.enabled': !!enabled }, { new: true }).select('tracking');
+  }
+
+  getStatus() {
+    return { enabled: this.isEnabled, base_url: this.baseUrl };
+  }
+}
+
+export default EmailTracker;
@@ -0,0 +1,195 @@
+/**
+ * Email Verifier - Checks addresses are deliverable before drafting and sending
+ *
+ * Runs Tomba's email verifier and caches the outcome per address, so the
+ * same address is only paid for once (until the result goes stale):
+ * - deliverable   - sent as normal
+ * - risky         - accept-all, disposable and similar: held until the user approves the send
+ * - undeliverable - never drafted for or sent to
+ * - unknown       - the verifier couldn't tell: sent as normal
+ *
+ * The orchestrator verifies each contact after email enrichment, and
+ * EmailSenderService checks every recipient again right before sending.
+ * Paid verifications made for a user get a receipt in the cost ledger.
+ */
+
+import { EmailVerification, Contact } from '../models/schemas.js';
+import { getCostLedger } from './costLedger.js';
+
+export const VERIFICATION_RESULTS = ['deliverable', 'risky', 'undeliverable', 'unknown'];
+
+/**
+ * Whether a verification result should hold the send for manual approval
+ * @param {Object} verification - { result, is_disposable }
+ * @returns {boolean}
+ */
+export function needsApproval(verification) {
+  return verification?.result === 'risky' || (verification?.result !== 'undeliverable' && !!verification?.is_disposable);
+}
+
+export class EmailVerifier {
+  /**
+   * @param {Object} options - Verifier options
+   * @param {Object} options.verifier - Provider with verifyEmail(email), e.g. TombaEnricher (or its mock)
+   * @param {boolean} options.enabled - Verify at all (default: EMAIL_VERIFICATION_ENABLED, on)
+   * @param {boolean} options.holdRisky - Hold risky addresses for approval (default: EMAIL_VERIFICATION_HOLD_RISKY, on)
+   * @param {number} options.maxAgeDays - Re-verify cached results older than this (default: EMAIL_VERIFICATION_MAX_AGE_DAYS, 90)
+   * @param {number} options.costUsd - Cost of one verification (default: EMAIL_VERIFICATION_COST_USD, 0.01; free for the mock)
+   * @param {Object} options.ledger - CostLedger that paid verifications are recorded in
+   */
+  constructor(options = {}) {
+    const {
+      verifier = null,
+      enabled = process.env.EMAIL_VERIFICATION_ENABLED !== 'false',
+      holdRisky = process.env.EMAIL_VERIFICATION_HOLD_RISKY !== 'false',
+      maxAgeDays = parseInt(process.env.EMAIL_VERIFICATION_MAX_AGE_DAYS) || 90
+    } = options;
+
+    this.verifier = verifier?.verifyEmail ? verifier : null;
+    this.enabled = enabled;
+    this.holdRisky = holdRisky;
+    this.maxAgeDays = maxAgeDays;
+    this.isMock = !!this.verifier?.providerName?.endsWith('-mock');
+    this.costUsd = options.costUsd ?? (this.isMock ? 0 : parseFloat(process.env.EMAIL_VERIFICATION_COST_USD) || 0.01);
+    this.ledger = options.ledger || getCostLedger();
+  }
+
+  get isEnabled() {
+    return this.enabled && !!this.verifier;
+  }
+
+  /**
+   * Cached verification for an address, if there is a fresh one
+   * @param {string} email - Address
+   * @returns {Promise<Object|null>}
+   */
+  async getCached(email) {
+    const address = email?.trim().toLowerCase();
+    if (!address) return null;
+
+    const cutoff = new Date(Date.now() - this.maxAgeDays * 24 * 60 * 60 * 1000);
+    return EmailVerification.findOne({ email: address, verified_at: { $gte: cutoff } });
+  }
+
+  /**
+   * Verify an address, from the cache when possible
+   * @param {string} email - Address to verify
+   * @param {Object} options - { force: skip the cache,
+   *   receipt: { ownerId, workflowId, jobId, contactId } to record a paid verification in the cost ledger for }
+   * @returns {Promise<Object|null>} - { email, result, is_disposable, is_webmail, source, verified_at, cached, cost_usd },
+   *   or null if verification is off or the verifier failed
+   */
+  async verify(email, options = {}) {
+    const address = email?.trim().toLowerCase();
+    if (!this.isEnabled || !address) return null;
+
+    if (!options.force) {
+      const cached = await this.getCached(address);
+      if (cached) {
+        return { ...cached.toObject(), cached: true, cost_usd: 0 };
+      }
+    }
+
+    const startTime = Date.now();
+    const response = await this.verifier.verifyEmail(address);
+    const latencyMs = Date.now() - startTime;
+    if (!response.success) {
+      // Don't cache provider failures, and don't block outreach because the verifier is down
+      console.warn(`[Verifier] Could not verify ${address}: ${response.error}`);
+      return null;
+    }
+
+    const fields = {
+      result: VERIFICATION_RESULTS.includes(response.result) ? response.result : 'unknown',
+      is_disposable: !!response.is_disposable,
+      is_webmail: !!response.is_webmail,
+      mx_records: !!response.mx_records,
+      source: response.source,
+      cost_usd: this.costUsd,
+      verified_at: new Date()
+    };
+
+    // The cache is shared by every user, so made-up results stay out of it
+    if (this.isMock) {
+      return { email: address, ...fields, cached: false, cost_usd: 0 };
+    }
+
+    const verification = await EmailVerification.findOneAndUpdate(
+      { email: address },
+      fields,
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    console.log(`[Verifier] ${address}: ${verification.result}${verification.is_disposable ? ' (disposable)' : ''}`);
+    if (options.receipt?.ownerId) {
+      await this.ledger.record({
+        ...options.receipt,
+        category: 'email_enrichment',
+        toolId: 'email-verifier',
+        toolName: 'Email Verifier',
+        provider: this.verifier.providerName || 'tomba',
+        quotedUsd: this.costUsd,
+        latencyMs
+      });
+    }
+    return { ...verification.toObject(), cached: false, cost_usd: this.costUsd };
+  }
+
+  /**
+   * Verify a contact's address and store the result on the contact
+   * @param {Object} contact - Contact document with an email
+   * @param {Object} options - verify() options
+   * @returns {Promise<Object|null>} - { contact (updated), verification }, or null if nothing was verified
+   */
+  async verifyContact(contact, options = {}) {
+    if (!contact?.email || contact.email_status === 'invalid') return null;
+
+    const verification = await this.verify(contact.email, options);
+    if (!verification) return null;
+
+    const updated = await Contact.findByIdAndUpdate(
+      contact._id,
+      {
+        email_status: verification.result,
+        email_verification: {
+          result: verification.result,
+          is_disposable: verification.is_disposable,
+          is_webmail: verification.is_webmail,
+          source: verification.source,
+          verified_at: verification.verified_at
+        },
+        updated_at: new Date()
+      },
+      { new: true }
+    );
+
+    return { contact: updated, verification };
+  }
+
+  /**
+   * Hard gate for a send: a failed send result if the address is undeliverable,
+   * or risky and not approved, otherwise null
+   * @param {string} to - Recipient
+   * @param {Object} options - { approved: the user approved sending to this address anyway,
+   *   receipt: who a paid verification is recorded for (see verify) }
+   */
+  async check(to, options = {}) {
+    const verification = await this.verify(to, { receipt: options.receipt });
+    if (!verification) return null;
+
+    if (verification.result === 'undeliverable') {
+      console.warn(`[Verifier] Not sending to ${to}: address is undeliverable`);
+      return { success: false, undeliverable: true, verification, error: `${to} failed verification (undeliverable)` };
+    }
+
+    if (this.holdRisky && needsApproval(verification) && !options.approved) {
+      const reason = verification.is_disposable ? 'a disposable address' : 'risky';
+      console.warn(`[Verifier] Holding email to ${to} for approval: ${reason}`);
+      return { success: false, held: true, verification, error: `${to} is ${reason} - approve the email to send it anyway` };
+    }
+
+    return null;
+  }
+}
+
+export default EmailVerifier;
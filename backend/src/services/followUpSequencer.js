@@ -0,0 +1,401 @@
+/**
+ * Follow-Up Sequencer - Multi-step follow-ups for unanswered outreach
+ *
+ * Once an initial email is sent, its sequence becomes active: after each
+ * configured number of business days (default 4 and 10) without a reply,
+ * EmailDrafterService writes a follow-up from the thread so far, and it is
+ * handed to the EmailScheduler as a reply in the same thread.
+ *
+ * Every step is its own Email document (sequence_step 1, 2, ...) pointing at
+ * the initial email (thread_root_id); the sequence state lives on the initial
+ * email. A sequence stops as soon as any email to the contact is marked
+ * responded, its address hard-bounces, or the contact is on the do-not-contact list.
+ * Drafting a follow-up is a paid call: its receipt is filed under the initial
+ * email's workflow.
+ */
+
+import { Email, Contact, Job } from '../models/schemas.js';
+import { getCostLedger } from './costLedger.js';
+
+/**
+ * Business days after the initial send for each follow-up step
+ */
+export function followUpDelays() {
+  const setting = process.env.FOLLOW_UP_BUSINESS_DAYS ?? '4,10';
+  return setting.split(',')
+    .map(days => parseInt(days))
+    .filter(days => days > 0);
+}
+
+/**
+ * Date a number of business days (Mon-Fri) after another
+ */
+export function addBusinessDays(date, days) {
+  const result = new Date(date);
+  let added = 0;
+  while (added < days) {
+    result.setUTCDate(result.getUTCDate() + 1);
+    const day = result.getUTCDay();
+    if (day !== 0 && day !== 6) added++;
+  }
+  return result;
+}
+
+/**
+ * Fields that start the follow-up sequence when an email is sent
+ * (nothing for follow-ups themselves, or when follow-ups are disabled)
+ * @param {Object} email - Email document being marked sent
+ * @param {Date} sentAt - When it was sent
+ * @returns {Object} - Update fields to merge into the "sent" update
+ */
+export function followUpStartFields(email, sentAt) {
+  const delays = followUpDelays();
+  if (email.sequence_step || email.sequence?.status || delays.length === 0) {
+    return {};
+  }
+
+  return {
+    sequence: {
+      status: 'active',
+      current_step: 0,
+      next_step_at: addBusinessDays(sentAt, delays[0])
+    }
+  };
+}
+
+/**
+ * Stop a sequence and cancel its follow-ups that haven't gone out yet
+ * (a plain function so services without a sequencer, like bounce handling, can stop one too)
+ * @param {string} emailId - Any email in the thread
+ * @param {string} reason - responded, suppressed, bounced, cancelled
+ * @returns {Promise<Object|null>} - The initial email, or null if it has no active sequence
+ */
+export async function stopSequence(emailId, reason) {
+  const email = await Email.findById(emailId).select('thread_root_id');
+  if (!email) return null;
+
+  const rootId = email.thread_root_id || email._id;
+  const root = await Email.findOneAndUpdate(
+    { _id: rootId, 'sequence.status': 'active' },
+    {
+      'sequence.status': 'stopped',
+      'sequence.stop_reason': reason,
+      'sequence.stopped_at': new Date(),
+      'sequence.next_step_at': null
+    },
+    { new: true }
+  );
+
+  const cancelled = await Email.updateMany(
+    { thread_root_id: rootId, status: { $in: ['draft', 'reviewed', 'held', 'scheduled', 'failed'] } },
+    { status: 'draft', $unset: { scheduled_at: 1 }, 'schedule.last_error': `Sequence stopped (${reason})` }
+  );
+
+  if (root) {
+    console.log(`[FollowUps] Sequence to ${root.recipient_email} stopped (${reason})${cancelled.modifiedCount ? `, ${cancelled.modifiedCount} follow-up(s) unscheduled` : ''}`);
+  }
+  return root;
+}
+
+export class FollowUpSequencer {
+  /**
+   * @param {Object} options - Sequencer options
+   * @param {Object} options.drafter - EmailDrafterService used to write follow-ups
+   * @param {Object} options.services - UserServices to write each follow-up with its owner's drafter instead
+   * @param {Object} options.scheduler - EmailScheduler that sends them
+   * @param {Object} options.suppressionList - SuppressionList checked before each step
+   * @param {number} options.pollIntervalMs - How often to look for due follow-ups
+   */
+  constructor(options = {}) {
+    const {
+      drafter,
+      scheduler,
+      suppressionList,
+      pollIntervalMs = parseInt(process.env.FOLLOW_UP_INTERVAL_MS) || 15 * 60 * 1000
+    } = options;
+
+    if ((!drafter && !options.services) || !scheduler || !suppressionList) {
+      throw new Error('FollowUpSequencer requires a drafter, scheduler and suppression list');
+    }
+
+    this.drafter = drafter;
+    this.services = options.services || null;
+    this.ledger = options.ledger || getCostLedger();
+    this.scheduler = scheduler;
+    this.suppressionList = suppressionList;
+    this.pollIntervalMs = pollIntervalMs;
+    this.pollTimer = null;
+    this.ticking = false;
+  }
+
+  /**
+   * Start the polling loop
+   */
+  start() {
+    if (this.pollTimer) return;
+
+    this.pollTimer = setInterval(() => this.tick(), this.pollIntervalMs);
+    console.log(`[FollowUps] Started (steps after ${followUpDelays().join(', ') || 'none'} business days)`);
+
+    this.tick();
+  }
+
+  /**
+   * Stop the polling loop
+   */
+  stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  /**
+   * Advance every sequence with a step due
+   */
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      const due = await Email.find({
+        'sequence.status': 'active',
+        'sequence.next_step_at': { $lte: new Date() }
+      }).sort({ 'sequence.next_step_at': 1 }).limit(20);
+
+      for (const root of due) {
+        try {
+          await this.advance(root);
+        } catch (error) {
+          console.error(`[FollowUps] Failed to advance sequence for ${root.recipient_email}:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.error('[FollowUps] Tick failed:', error.message);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Draft and schedule the next follow-up of a sequence, or stop it
+   * @param {Object} root - Initial Email document with an active sequence
+   */
+  async advance(root) {
+    const delays = followUpDelays();
+    const step = (root.sequence.current_step || 0) + 1;
+
+    if (step > delays.length) {
+      await Email.findByIdAndUpdate(root._id, { 'sequence.status': 'completed', 'sequence.next_step_at': null });
+      return;
+    }
+
+    const stopReason = await this.stopReason(root);
+    if (stopReason) {
+      await this.stopSequence(root._id, stopReason);
+      return;
+    }
+
+    const [contact, job, thread] = await Promise.all([
+      root.contact_id ? Contact.findById(root.contact_id) : null,
+      root.job_id ? Job.findById(root.job_id) : null,
+      this.getThread(root._id)
+    ]);
+
+    // A step still waiting to go out (or that failed) holds the sequence back
+    const pending = thread.find(message => message.sequence_step > 0 && message.status !== 'sent');
+    if (pending) {
+      console.log(`[FollowUps] Waiting on follow-up ${pending.sequence_step} to ${root.recipient_email} (${pending.status})`);
+      await Email.findByIdAndUpdate(root._id, { 'sequence.next_step_at': addBusinessDays(new Date(), 1) });
+      return;
+    }
+
+    const sent = thread.filter(message => message.status === 'sent' || message.status === 'responded');
+    let result;
+    try {
+      const drafter = this.services ? (await this.services.forUser(root.owner_id)).emailDrafter : this.drafter;
+      ({ result } = await this.ledger.track({
+        ownerId: root.owner_id,
+        workflowId: root.workflow_id,
+        jobId: root.job_id,
+        contactId: root.contact_id,
+        category: 'email_generation',
+        toolId: 'email-drafter',
+        toolName: 'Email Drafter (follow-up)',
+        provider: 'fireworks',
+        quotedUsd: drafter.estimateCost()
+      }, () => drafter.generateFollowUp({
+        thread: sent,
+        job: job || { title: root.job_context?.title, company_name: root.job_context?.company, description_snippet: root.job_context?.description_snippet },
+        contact: contact || { name: root.recipient_name, title: root.recipient_title, company: root.recipient_company },
+        resumeContext: root.resume_context,
+        step,
+        totalSteps: delays.length
+      }), draft => draft.metadata?.cost_usd || 0));
+    } catch (error) {
+      // Try again the next business day rather than on every poll
+      await Email.findByIdAndUpdate(root._id, { 'sequence.next_step_at': addBusinessDays(new Date(), 1) });
+      throw error;
+    }
+    if (root.workflow_id && result.metadata?.cost_usd) {
+      await this.ledger.syncWorkflow(root.workflow_id);
+    }
+
+    const messageIds = sent.map(message => message.send_result?.message_id).filter(Boolean);
+    const followUp = await Email.create({
+      owner_id: root.owner_id,
+      workflow_id: root.workflow_id,
+      job_id: root.job_id,
+      contact_id: root.contact_id,
+      recipient_name: root.recipient_name,
+      recipient_email: root.recipient_email,
+      recipient_title: root.recipient_title,
+      recipient_company: root.recipient_company,
+      subject: /^re:/i.test(root.subject || '') ? root.subject : `Re: ${root.subject || ''}`.trim(),
+      body: result.body,
+      model_used: result.metadata?.model,
+      prompt_tokens: result.metadata?.prompt_tokens,
+      completion_tokens: result.metadata?.completion_tokens,
+      generation_cost_usd: result.metadata?.cost_usd,
+      job_context: root.job_context,
+      resume_context: root.resume_context,
+      sequence_step: step,
+      thread_root_id: root._id,
+      in_reply_to: messageIds[messageIds.length - 1],
+      references: messageIds,
+      approval: root.approval, // approving the first email approves its follow-ups
+      sender_identity_id: root.sender_identity_id, // follow-ups go out from the same mailbox
+      ...(root.tracking?.enabled === false ? { tracking: { enabled: false } } : {})
+    });
+
+    await this.scheduler.schedule(followUp._id, { businessHours: !!root.schedule?.business_hours, ownerId: root.owner_id });
+
+    const nextDelay = delays[step];
+    await Email.findByIdAndUpdate(root._id, {
+      'sequence.current_step': step,
+      'sequence.status': nextDelay ? 'active' : 'completed',
+      'sequence.next_step_at': nextDelay ? addBusinessDays(root.sent_at || new Date(), nextDelay) : null
+    });
+
+    console.log(`[FollowUps] Follow-up ${step}/${delays.length} to ${root.recipient_email} drafted and scheduled`);
+  }
+
+  /**
+   * Why a sequence should not continue, if it shouldn't
+   */
+  async stopReason(root) {
+    const responded = await Email.findOne({
+      status: 'responded',
+      $or: [
+        { _id: root._id },
+        { thread_root_id: root._id },
+        ...(root.contact_id ? [{ contact_id: root.contact_id }] : [])
+      ]
+    });
+    if (responded) {
+      return 'responded';
+    }
+
+    const bounced = await Email.exists({
+      'bounce.type': 'hard',
+      $or: [{ _id: root._id }, { thread_root_id: root._id }]
+    });
+    if (bounced) {
+      return 'bounced';
+    }
+
+    const contact = root.contact_id ? await Contact.findById(root.contact_id) : null;
+    const { suppressed } = contact
+      ? await this.suppressionList.checkContact(contact)
+      : await this.suppressionList.check({ email: root.recipient_email, company: root.recipient_company, ownerId: root.owner_id });
+    return suppressed ? 'suppressed' : null;
+  }
+
+  /**
+   * Stop a sequence and cancel its follow-ups that haven't gone out yet
+   */
+  async stopSequence(emailId, reason) {
+    return stopSequence(emailId, reason);
+  }
+
+  /**
+   * Restart a sequence stopped by a reply that turned out not to be one (e.g. an out-of-office)
+   * @param {string} emailId - Any email in the thread
+   * @param {Date} resumeAt - When the next step is due, and unsent follow-ups go out
+   * @returns {Promise<Object|null>} - The initial email, or null if its sequence wasn't stopped by a reply
+   */
+  async resumeSequence(emailId, resumeAt) {
+    const email = await Email.findById(emailId).select('thread_root_id');
+    if (!email) return null;
+
+    const rootId = email.thread_root_id || email._id;
+    const root = await Email.findOneAndUpdate(
+      { _id: rootId, 'sequence.status': 'stopped', 'sequence.stop_reason': 'responded' },
+      {
+        'sequence.status': 'active',
+        'sequence.stop_reason': null,
+        'sequence.stopped_at': null,
+        'sequence.next_step_at': resumeAt
+      },
+      { new: true }
+    );
+
+    const unscheduled = await Email.find({
+      thread_root_id: rootId,
+      status: 'draft',
+      'schedule.last_error': 'Sequence stopped (responded)'
+    });
+    for (const followUp of unscheduled) {
+      await this.scheduler.schedule(followUp._id, { sendAt: resumeAt, ownerId: followUp.owner_id });
+    }
+
+    if (root || unscheduled.length > 0) {
+      console.log(`[FollowUps] Sequence thread ${rootId} resumed from ${resumeAt.toISOString()}`);
+    }
+    return root;
+  }
+
+  /**
+   * Stop the sequences of every email to a contact (e.g. they replied to one of them)
+   */
+  async stopForContact(contactId, reason) {
+    const roots = await Email.find({ contact_id: contactId, 'sequence.status': 'active' }).select('_id');
+    for (const root of roots) {
+      await this.stopSequence(root._id, reason);
+    }
+    return roots.length;
+  }
+
+  /**
+   * Initial email and its follow-ups, oldest step first
+   */
+  async getThread(rootId) {
+    return Email.find({ $or: [{ _id: rootId }, { thread_root_id: rootId }] }).sort({ sequence_step: 1 });
+  }
+
+  /**
+   * Every sequence for a contact, with its steps
+   * @returns {Promise<Array>} - [{ root_email_id, job, status, stop_reason, next_step_at, steps }]
+   */
+  async getContactSequences(contactId) {
+    const emails = await Email.find({ contact_id: contactId })
+      .select('-linkedin_inmail -linkedin_connection_request -resume_context')
+      .populate('job_id', 'title company_name')
+      .sort({ sequence_step: 1, created_at: 1 });
+
+    const delays = followUpDelays();
+    return emails
+      .filter(email => !email.sequence_step)
+      .map(root => ({
+        root_email_id: root._id,
+        job: root.job_id,
+        status: root.sequence?.status || (root.status === 'sent' || root.status === 'responded' ? 'not_started' : 'awaiting_send'),
+        stop_reason: root.sequence?.stop_reason,
+        next_step_at: root.sequence?.next_step_at,
+        total_steps: delays.length + 1,
+        steps: emails.filter(email => email._id.equals(root._id) || email.thread_root_id?.equals(root._id))
+      }));
+  }
+}
+
+export default FollowUpSequencer;
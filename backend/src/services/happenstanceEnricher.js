@@ -19,6 +19,23 @@ export class HappenstanceEnricher {
     this.basePriceUsd = 0.02; // $0.02 per person enrichment
     this.avgLatencyMs = 5000;
     this.reliabilityScore = 0.90;
+    this.capabilities = [
+      'email_lookup',
+      'social_profiles',
+      'company_info',
+      'professional_background'
+    ];
+  }
+
+  /**
+   * Report whether the provider can take requests
+   */
+  async health() {
+    return {
+      provider: this.providerName,
+      configured: !!this.apiKey,
+      status: this.apiKey ? 'ok' : 'unconfigured'
+    };
   }
 
   /**
@@ -35,18 +52,27 @@ export class HappenstanceEnricher {
       price_usd: Math.round(price * 1000) / 1000,
       latency_estimate_ms: this.avgLatencyMs * numContacts,
       reliability_score: this.reliabilityScore,
-      capabilities: [
-        'email_lookup',
-        'social_profiles',
-        'company_info',
-        'professional_background'
-      ],
+      capabilities: this.capabilities,
       params_received: {
         num_contacts: numContacts
       }
     };
   }
 
+  /**
+   * Execute an enrichment
+   * @param {Object} params - { contacts } to enrich, or { linkedinUrl } / { name, company } to look up one person
+   */
+  async execute(params) {
+    if (params.contacts) {
+      return { success: true, contacts: await this.enrichContacts(params.contacts, { parallel: true }) };
+    }
+    if (params.linkedinUrl) {
+      return { success: true, ...(await this.lookupByLinkedIn(params.linkedinUrl)) };
+    }
+    return { success: true, ...(await this.lookupByNameAndCompany(params.name, params.company)) };
+  }
+
   /**
    * Create a research request for a person
    */
@@ -321,6 +347,11 @@ export class MockHappenstanceEnricher {
     this.basePriceUsd = 100.00; // High price so real provider is preferred
     this.avgLatencyMs = 300;
     this.reliabilityScore = 0.99;
+    this.capabilities = ['email_lookup', 'company_info'];
+  }
+
+  async health() {
+    return { provider: this.providerName, configured: true, status: 'ok' };
   }
 
   async getQuote(params) {
@@ -331,10 +362,21 @@ export class MockHappenstanceEnricher {
       price_usd: this.basePriceUsd,
       latency_estimate_ms: this.avgLatencyMs,
       reliability_score: this.reliabilityScore,
+      capabilities: this.capabilities,
       params_received: params
     };
   }
 
+  async execute(params) {
+    if (params.contacts) {
+      return { success: true, contacts: await this.enrichContacts(params.contacts) };
+    }
+    if (params.linkedinUrl) {
+      return { success: true, ...(await this.lookupByLinkedIn(params.linkedinUrl)) };
+    }
+    return { success: true, ...(await this.lookupByNameAndCompany(params.name, params.company)) };
+  }
+
   async enrichContact(contact) {
     await new Promise(resolve => setTimeout(resolve, 200));
 
@@ -20,6 +20,27 @@ export class JobFinderTool {
     this.basePriceUsd = 0.02; // $0.02 per search
     this.avgLatencyMs = 5000;
     this.reliabilityScore = 0.94;
+    this.capabilities = [
+      'job_title_search',
+      'company_filter',
+      'location_filter',
+      'seniority_level',
+      'work_arrangement',
+      'easy_apply_filter',
+      'salary_info',
+      'ai_enrichments'
+    ];
+  }
+
+  /**
+   * Report whether the provider can take requests
+   */
+  async health() {
+    return {
+      provider: this.providerName,
+      configured: !!this.apiToken,
+      status: this.apiToken ? 'ok' : 'unconfigured'
+    };
   }
 
   /**
@@ -45,16 +66,7 @@ export class JobFinderTool {
       price_usd: Math.round(price * 1000) / 1000,
       latency_estimate_ms: this.avgLatencyMs,
       reliability_score: this.reliabilityScore,
-      capabilities: [
-        'job_title_search',
-        'company_filter',
-        'location_filter',
-        'seniority_level',
-        'work_arrangement',
-        'easy_apply_filter',
-        'salary_info',
-        'ai_enrichments'
-      ],
+      capabilities: this.capabilities,
       params_received: {
         keywords: params.keywords,
         location: params.location,
@@ -285,7 +297,9 @@ export class JobFinderTool {
 
     } catch (error) {
       console.error('[JobFinder] Error:', error.response?.data || error.message);
-      throw new Error(`Job search failed: ${error.message}`);
+      const searchError = new Error(`Job search failed: ${error.message}`);
+      searchError.statusCode = error.response?.status;
+      throw searchError;
     }
   }
 
@@ -471,6 +485,11 @@ export class MockJobFinderTool {
     this.basePriceUsd = 100.00; // Expensive fallback - real Apify provider will be preferred
     this.avgLatencyMs = 500;
     this.reliabilityScore = 0.99;
+    this.capabilities = ['job_title_search', 'company_filter', 'location_filter', 'work_arrangement'];
+  }
+
+  async health() {
+    return { provider: this.providerName, configured: true, status: 'ok' };
   }
 
   async getQuote(params) {
@@ -481,6 +500,7 @@ export class MockJobFinderTool {
       price_usd: this.basePriceUsd,
       latency_estimate_ms: this.avgLatencyMs,
       reliability_score: this.reliabilityScore,
+      capabilities: this.capabilities,
       params_received: params
     };
   }
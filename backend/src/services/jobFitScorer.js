@@ -0,0 +1,247 @@
+/**
+ * Job Fit Scorer - Scores how well a job fits the candidate's parsed resume
+ *
+ * Compares a Job against the structured Resume on five criteria:
+ * - Skills: job skills (or skills named in the posting) the candidate has
+ * - Experience: candidate years vs years_experience_required
+ * - Seniority: job seniority_level vs the candidate's level
+ * - Salary: job salary range vs the candidate's minimum (if set)
+ * - Visa: visa_sponsorship vs whether the candidate needs it (if set)
+ *
+ * Criteria the job posting doesn't cover are left out of the weighted score
+ * rather than counted against the job. Scoring is rule-based, so it costs
+ * nothing and runs before any paid contact search.
+ */
+
+// Weight of each criterion in the overall score
+const WEIGHTS = {
+  skills: 40,
+  experience: 25,
+  seniority: 15,
+  salary: 10,
+  visa: 10
+};
+
+// Seniority ladder shared by LinkedIn job levels and resume titles
+const SENIORITY_LEVELS = [
+  { rank: 0, pattern: /intern/ },
+  { rank: 1, pattern: /entry|junior|graduate/ },
+  { rank: 2, pattern: /associate/ },
+  { rank: 3, pattern: /mid|senior|staff|lead/ },
+  { rank: 4, pattern: /director|principal|head/ },
+  { rank: 5, pattern: /executive|\bvp\b|vice president|chief|\bc[a-z]o\b/ }
+];
+
+export class JobFitScorer {
+  /**
+   * @param {Object} options - Options (threshold: minimum score 0-100 to pursue a job)
+   */
+  constructor(options = {}) {
+    const envThreshold = parseInt(process.env.AGENT_MIN_FIT_SCORE);
+    this.threshold = options.threshold ?? (Number.isNaN(envThreshold) ? 50 : envThreshold);
+  }
+
+  /**
+   * Score one job against a parsed resume
+   * @param {Object} job - Job data
+   * @param {Object} resume - Parsed Resume document
+   * @param {Object} preferences - Candidate preferences (minSalary, needsVisaSponsorship, minFitScore)
+   * @returns {Object} - { fit_score, fit_status, fit_explanation, fit_details }
+   */
+  score(job, resume, preferences = {}) {
+    if (!resume?.parsed_at) {
+      return {
+        fit_score: null,
+        fit_status: 'unscored',
+        fit_explanation: 'Resume was not parsed, so fit could not be scored'
+      };
+    }
+
+    const threshold = preferences.minFitScore ?? this.threshold;
+    const criteria = {
+      skills: this.scoreSkills(job, resume),
+      experience: this.scoreExperience(job, resume),
+      seniority: this.scoreSeniority(job, resume),
+      salary: this.scoreSalary(job, preferences),
+      visa: this.scoreVisa(job, preferences)
+    };
+
+    // Weighted average over the criteria the posting lets us judge
+    let weighted = 0;
+    let totalWeight = 0;
+    for (const [name, result] of Object.entries(criteria)) {
+      if (result.score === null) continue;
+      weighted += result.score * WEIGHTS[name];
+      totalWeight += WEIGHTS[name];
+    }
+
+    const disqualified = Object.values(criteria).some(result => result.disqualifies);
+    const fitScore = disqualified ? 0 : (totalWeight ? Math.round((weighted / totalWeight) * 100) : 50);
+    const fitStatus = fitScore >= threshold ? 'qualified' : 'below_threshold';
+
+    const reasons = Object.values(criteria).map(result => result.reason).filter(Boolean);
+
+    return {
+      fit_score: fitScore,
+      fit_status: fitStatus,
+      fit_explanation: `${fitScore}/100 (${fitStatus === 'qualified' ? 'meets' : 'below'} threshold ${threshold}). ${reasons.join('. ')}.`,
+      fit_details: {
+        skills: criteria.skills.score,
+        experience: criteria.experience.score,
+        seniority: criteria.seniority.score,
+        salary: criteria.salary.score,
+        visa: criteria.visa.score,
+        matched_skills: criteria.skills.matched || [],
+        missing_skills: criteria.skills.missing || []
+      }
+    };
+  }
+
+  /**
+   * Share of the job's skills the candidate has
+   */
+  scoreSkills(job, resume) {
+    const candidateSkills = [...(resume.technical_skills || []), ...(resume.skills || [])]
+      .map(skill => skill.toLowerCase());
+
+    if (candidateSkills.length === 0) {
+      return { score: null, reason: 'Resume lists no skills' };
+    }
+
+    if (job.skills?.length) {
+      const matched = job.skills.filter(skill => candidateSkills.includes(skill.toLowerCase()));
+      const missing = job.skills.filter(skill => !matched.includes(skill));
+      return {
+        score: matched.length / job.skills.length,
+        matched,
+        missing,
+        reason: `Has ${matched.length} of ${job.skills.length} listed skills${missing.length ? ` (missing ${missing.slice(0, 3).join(', ')})` : ''}`
+      };
+    }
+
+    // No skills list - look for the candidate's skills in the posting text
+    const postingText = `${job.title || ''} ${job.description || job.description_snippet || ''}`.toLowerCase();
+    if (!postingText.trim()) {
+      return { score: null };
+    }
+
+    const matched = [...new Set(candidateSkills)].filter(skill => this.mentions(postingText, skill));
+    return {
+      score: Math.min(1, matched.length / 3),
+      matched,
+      reason: matched.length
+        ? `Posting mentions ${matched.slice(0, 4).join(', ')}`
+        : 'Posting mentions none of the candidate\'s skills'
+    };
+  }
+
+  /**
+   * Candidate years vs years required (full marks at or above the requirement)
+   */
+  scoreExperience(job, resume) {
+    const required = job.years_experience_required;
+    const years = resume.years_of_experience;
+
+    if (!required || years === undefined || years === null) {
+      return { score: null };
+    }
+
+    if (years >= required) {
+      return { score: 1, reason: `${years} years of experience meets the ${required} required` };
+    }
+
+    return {
+      score: Math.max(0, years / required),
+      reason: `${years} years of experience, ${required} required`
+    };
+  }
+
+  /**
+   * Distance between job level and candidate level on the seniority ladder
+   */
+  scoreSeniority(job, resume) {
+    const jobRank = this.seniorityRank(job.seniority_level);
+    if (jobRank === null) {
+      return { score: null };
+    }
+
+    const candidateRank = this.candidateSeniorityRank(resume);
+    const gap = Math.abs(jobRank - candidateRank);
+    const score = [1, 0.6, 0.2][gap] ?? 0;
+
+    return {
+      score,
+      reason: gap === 0
+        ? `Seniority (${job.seniority_level}) matches`
+        : `Seniority (${job.seniority_level}) is ${jobRank > candidateRank ? 'above' : 'below'} the candidate's level`
+    };
+  }
+
+  /**
+   * Job salary range vs the candidate's minimum
+   */
+  scoreSalary(job, preferences) {
+    const minSalary = preferences.minSalary;
+    const jobMax = job.salary_max || job.salary_min;
+
+    if (!minSalary || !jobMax) {
+      return { score: null };
+    }
+
+    if (jobMax >= minSalary) {
+      return { score: 1, reason: `Salary up to ${jobMax} meets the ${minSalary} minimum` };
+    }
+
+    return {
+      score: Math.max(0, jobMax / minSalary),
+      reason: `Salary up to ${jobMax} is below the ${minSalary} minimum`
+    };
+  }
+
+  /**
+   * Visa sponsorship, only judged when the candidate needs it
+   */
+  scoreVisa(job, preferences) {
+    if (!preferences.needsVisaSponsorship || job.visa_sponsorship === null || job.visa_sponsorship === undefined) {
+      return { score: null };
+    }
+
+    return job.visa_sponsorship
+      ? { score: 1, reason: 'Offers visa sponsorship' }
+      : { score: 0, disqualifies: true, reason: 'Does not sponsor visas' };
+  }
+
+  /**
+   * Map a seniority label to its highest matching rank, or null if unknown
+   */
+  seniorityRank(label) {
+    if (!label) return null;
+    const normalized = label.toLowerCase();
+    const ranks = SENIORITY_LEVELS.filter(l => l.pattern.test(normalized)).map(l => l.rank);
+    return ranks.length ? Math.max(...ranks) : null;
+  }
+
+  /**
+   * Candidate level from current title, falling back to years of experience
+   */
+  candidateSeniorityRank(resume) {
+    const titleRank = this.seniorityRank(resume.current_title);
+    if (titleRank !== null) return titleRank;
+
+    const years = resume.years_of_experience || 0;
+    if (years < 2) return 1;
+    if (years < 5) return 2;
+    if (years < 12) return 3;
+    return 4;
+  }
+
+  /**
+   * Whether a skill appears in text as a whole word
+   */
+  mentions(text, skill) {
+    const escaped = skill.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^a-z0-9])${escaped}($|[^a-z0-9])`).test(text);
+  }
+}
+
+export default JobFitScorer;
@@ -0,0 +1,224 @@
+/**
+ * Job Resolver - Cross-search job deduplication
+ *
+ * The same posting comes back from overlapping searches and later workflows.
+ * Each job found is resolved to one canonical Job, matched on:
+ * 1. LinkedIn job ID (job_id)
+ * 2. Apply URL, without query string or trailing slash (apply_url_key)
+ * 3. Fingerprint of normalized title + company + city (fingerprint)
+ *
+ * A repeat sighting refreshes fetched_at and adds the workflow to
+ * seen_in_workflows instead of inserting another Job. Jobs are resolved
+ * within one user's data (owner_id).
+ */
+
+import { Job, Email } from '../models/schemas.js';
+import { ownedOnlyBy } from './auth.js';
+
+// Title words that vary between re-posts of the same job
+const TITLE_SYNONYMS = [
+  [/\bsr\b\.?/g, 'senior'],
+  [/\bjr\b\.?/g, 'junior'],
+  [/\beng\b\.?/g, 'engineer'],
+  [/\bswe\b/g, 'software engineer'],
+  [/\bmgr\b\.?/g, 'manager']
+];
+
+// Email statuses that mean the user already reached out about a job
+const CONTACTED_STATUSES = ['sent', 'responded'];
+
+/**
+ * Identity keys for a job
+ * @param {Object} job - Job data
+ * @returns {Object} - { job_id, apply_url_key, fingerprint } (null when unknown)
+ */
+export function jobIdentityKeys(job) {
+  return {
+    job_id: job.job_id ? String(job.job_id) : null,
+    apply_url_key: applyUrlKey(job.apply_url),
+    fingerprint: jobFingerprint(job)
+  };
+}
+
+/**
+ * Apply URL without scheme, www, query string, fragment or trailing slash
+ */
+export function applyUrlKey(url) {
+  if (!url) return null;
+  return url.trim()
+    .split(/[?#]/)[0]
+    .replace(/^https?:\/\//i, '')
+    .replace(/^www\./i, '')
+    .replace(/\/+$/, '')
+    .toLowerCase() || null;
+}
+
+/**
+ * Fuzzy title|company|city key, tolerant of abbreviations, punctuation and company suffixes
+ */
+export function jobFingerprint(job) {
+  if (!job.title || !job.company_name) return null;
+
+  let title = job.title.toLowerCase().replace(/\(.*?\)/g, ' ');
+  for (const [pattern, replacement] of TITLE_SYNONYMS) {
+    title = title.replace(pattern, replacement);
+  }
+
+  const company = job.company_name.toLowerCase()
+    .replace(/\b(inc|llc|ltd|corp|corporation|co|gmbh)\b\.?/g, '');
+
+  // City only - "San Francisco, CA" and "San Francisco Bay Area" differ in the rest
+  const city = (job.location || '').toLowerCase().split(',')[0].replace(/\b(bay area|metropolitan area|area)\b/g, '');
+
+  return [title, company, city].map(part => part.replace(/[^a-z0-9]+/g, ' ').trim()).join('|');
+}
+
+/**
+ * Filter for the jobs a workflow found (older jobs only have workflow_id)
+ */
+export function workflowJobsFilter(workflowId) {
+  return { $or: [{ seen_in_workflows: workflowId }, { workflow_id: workflowId }] };
+}
+
+export class JobResolver {
+  /**
+   * Resolve a found job to its canonical Job, creating it on first sighting
+   * @param {Object} data - Job data from a job search
+   * @param {Object} sighting - Where it was found (ownerId, workflowId, source, costUsd, receiptId)
+   * @returns {Promise<Object>} - { job, isNew, matchedOn }
+   */
+  async resolve(data, sighting = {}) {
+    const keys = jobIdentityKeys(data);
+    let { match, matchedOn } = await this.findMatch(keys, sighting.ownerId);
+    const now = new Date();
+
+    if (!match) {
+      try {
+        const job = await Job.create({
+          ...data,
+          ...keys,
+          owner_id: sighting.ownerId || data.owner_id,
+          workflow_id: sighting.workflowId || data.workflow_id,
+          seen_in_workflows: sighting.workflowId ? [sighting.workflowId] : [],
+          source: sighting.source || data.source,
+          cost_usd: sighting.costUsd ?? data.cost_usd,
+          receipt_id: sighting.receiptId || data.receipt_id,
+          fetched_at: now,
+          times_seen: 1
+        });
+        return { job, isNew: true, matchedOn: null };
+      } catch (error) {
+        // A concurrent workflow created the same posting first (duplicate key) - count this as a sighting of it
+        if (error.code !== 11000) throw error;
+        ({ match, matchedOn } = await this.findMatch(keys, sighting.ownerId));
+        if (!match) throw error;
+      }
+    }
+
+    // Refresh what the posting says now, but keep the original identity and cost provenance
+    const { _id, owner_id, job_id, workflow_id, cost_usd, receipt_id, created_at, ...fresh } = data;
+    const update = {
+      $set: {
+        ...stripEmpty(fresh),
+        ...stripEmpty(keys),
+        fetched_at: now
+      },
+      $inc: { times_seen: 1 }
+    };
+    if (sighting.workflowId) {
+      update.$addToSet = { seen_in_workflows: sighting.workflowId };
+    }
+
+    let job;
+    try {
+      job = await Job.findByIdAndUpdate(match._id, update, { new: true });
+    } catch (error) {
+      // The posting's new apply URL or fingerprint already belongs to another job - keep this job's keys
+      if (error.code !== 11000) throw error;
+      delete update.$set.apply_url_key;
+      delete update.$set.fingerprint;
+      job = await Job.findByIdAndUpdate(match._id, update, { new: true });
+    }
+    console.log(`[Jobs] ${job.title} at ${job.company_name} matched existing job on ${matchedOn} (seen ${job.times_seen} times)`);
+
+    return { job, isNew: false, matchedOn };
+  }
+
+  /**
+   * Find the canonical job, strongest key first
+   * @param {Object} keys - jobIdentityKeys()
+   * @param {string} ownerId - Only match this user's jobs
+   * @returns {Promise<Object>} - { match, matchedOn }
+   */
+  async findMatch(keys, ownerId) {
+    for (const field of ['job_id', 'apply_url_key', 'fingerprint']) {
+      if (!keys[field]) continue;
+      const match = await Job.findOne({ ...ownedOnlyBy(ownerId), [field]: keys[field] }).sort({ created_at: 1 });
+      if (match) return { match, matchedOn: field };
+    }
+    return { match: null, matchedOn: null };
+  }
+
+  /**
+   * Get every user's jobs ready for the unique { owner_id, apply_url_key } and { owner_id, fingerprint }
+   * indexes (run at startup, before syncIndexes): jobs saved before identity resolution get their keys,
+   * and when several of a user's jobs share a key only the oldest keeps it. findMatch already resolves
+   * to the oldest, so the later copies stay as they are (receipts, workflows and emails still point at
+   * them) and just stop claiming the key. Does nothing once there is nothing left to fix.
+   * @returns {Promise<Object>} - { keys_backfilled, keys_released }
+   */
+  async migrateIdentityKeys() {
+    let backfilled = 0;
+    const unkeyed = await Job.find({ $or: [{ apply_url_key: null, apply_url: { $nin: [null, ''] } }, { fingerprint: null }] })
+      .select('title company_name location apply_url apply_url_key fingerprint');
+    for (const job of unkeyed) {
+      const keys = jobIdentityKeys(job);
+      for (const field of ['apply_url_key', 'fingerprint']) {
+        if (job[field] || !keys[field]) continue;
+        try {
+          await Job.updateOne({ _id: job._id }, { [field]: keys[field] });
+          backfilled++;
+        } catch (error) {
+          // The unique index is already there and an older job holds the key
+          if (error.code !== 11000) throw error;
+        }
+      }
+    }
+
+    let released = 0;
+    for (const field of ['apply_url_key', 'fingerprint']) {
+      const groups = await Job.aggregate([
+        { $match: { [field]: { $type: 'string' } } },
+        { $sort: { created_at: 1 } },
+        { $group: { _id: { owner_id: '$owner_id', key: `$${field}` }, ids: { $push: '$_id' } } },
+        { $match: { 'ids.1': { $exists: true } } }
+      ]).allowDiskUse(true);
+
+      for (const group of groups) {
+        const result = await Job.updateMany({ _id: { $in: group.ids.slice(1) } }, { $unset: { [field]: 1 } });
+        released += result.modifiedCount;
+      }
+    }
+
+    if (backfilled || released) {
+      console.log(`[Jobs] Identity keys: backfilled ${backfilled}, released ${released} held by newer copies of a job`);
+    }
+    return { keys_backfilled: backfilled, keys_released: released };
+  }
+
+  /**
+   * Ids of the given jobs the user already emailed about (in any workflow)
+   * @param {Array} jobIds - Job ids to check
+   * @returns {Promise<Set<string>>}
+   */
+  async contactedJobIds(jobIds) {
+    const emails = await Email.find({ job_id: { $in: jobIds }, status: { $in: CONTACTED_STATUSES } }).select('job_id');
+    return new Set(emails.map(e => String(e.job_id)));
+  }
+}
+
+function stripEmpty(obj) {
+  return Object.fromEntries(Object.entries(obj).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+}
+
+export default JobResolver;
@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { buildCandidateProfile, formatCandidateProfile } from './candidateProfile.js';
 
 const FIREWORKS_API_URL = 'https://api.fireworks.ai/inference/v1/chat/completions';
 
@@ -40,14 +41,14 @@ export class LinkedInDrafterService {
    * InMails can be up to 1900 characters
    */
   async generateInMail(params) {
-    const { resumeText, job, contact } = params;
+    const { resume, resumeText, job, contact } = params;
 
     if (!this.apiKey) {
       throw new Error('FIREWORKS_API_KEY not configured');
     }
 
     const systemPrompt = this.buildInMailSystemPrompt();
-    const userPrompt = this.buildUserPrompt(resumeText, job, contact);
+    const userPrompt = this.buildUserPrompt(resume, resumeText, job, contact);
 
     console.log(`[LinkedInDrafter] Generating InMail for ${contact.name} at ${job.company_name}`);
 
@@ -111,14 +112,14 @@ export class LinkedInDrafterService {
    * Connection requests are limited to 300 characters
    */
   async generateConnectionRequest(params) {
-    const { resumeText, job, contact } = params;
+    const { resume, resumeText, job, contact } = params;
 
     if (!this.apiKey) {
       throw new Error('FIREWORKS_API_KEY not configured');
     }
 
     const systemPrompt = this.buildConnectionRequestSystemPrompt();
-    const userPrompt = this.buildUserPrompt(resumeText, job, contact);
+    const userPrompt = this.buildUserPrompt(resume, resumeText, job, contact);
 
     console.log(`[LinkedInDrafter] Generating connection request for ${contact.name}`);
 
@@ -176,6 +177,18 @@ export class LinkedInDrafterService {
     }
   }
 
+  /**
+   * Estimate the cost of one generateAll call (InMail + connection request) before making it
+   */
+  estimateCost({ userPromptTokens = 500 } = {}) {
+    const inmailTokens = Math.ceil(this.buildInMailSystemPrompt().length / 4) + userPromptTokens;
+    const connectionTokens = Math.ceil(this.buildConnectionRequestSystemPrompt().length / 4) + userPromptTokens;
+    const completionTokens = 800 + 300; // InMail + connection request
+
+    const cost = ((inmailTokens + connectionTokens) * this.inputTokenCost) + (completionTokens * this.outputTokenCost);
+    return Math.round(cost * 1000000) / 1000000;
+  }
+
   /**
    * Build system prompt for InMail generation
    */
@@ -231,15 +244,20 @@ MESSAGE: <connection request under 300 characters>`;
   /**
    * Build user prompt with context
    */
-  buildUserPrompt(resumeText, job, contact) {
+  buildUserPrompt(resume, resumeText, job, contact) {
     const parts = [];
 
     parts.push('Write a LinkedIn message based on the following:\n');
 
     // Candidate info (condensed for LinkedIn)
     parts.push('## CANDIDATE SUMMARY:');
-    // Extract first 1500 chars of resume for context
-    parts.push(resumeText.substring(0, 1500));
+    const profile = buildCandidateProfile(resume, job, { maxHighlights: 2, maxSkills: 5 });
+    if (profile) {
+      parts.push(formatCandidateProfile(profile));
+    } else {
+      // Resume was not parsed - extract first 1500 chars of raw text for context
+      parts.push((resumeText || resume?.raw_text || '').substring(0, 1500));
+    }
     parts.push('');
 
     // Job info
@@ -382,5 +400,57 @@ MESSAGE: <connection request under 300 characters>`;
   }
 }
 
+/**
+ * Mock LinkedIn Drafter - fills templates instead of calling Fireworks (no API key)
+ */
+export class MockLinkedInDrafterService {
+  constructor() {
+    this.model = 'mock-template';
+    console.log('[LinkedInDrafter] Using mock LinkedIn drafter (Fireworks API key not configured)');
+  }
+
+  async generateAll(params) {
+    const [inmail, connectionRequest] = await Promise.all([
+      this.generateInMail(params),
+      this.generateConnectionRequest(params)
+    ]);
+
+    return { inmail, connectionRequest, totalCost: 0 };
+  }
+
+  async generateInMail(params) {
+    const { resume, job, contact } = params;
+    const firstName = contact.name?.split(' ')[0] || 'there';
+    const body = `Hi ${firstName},\n\nI'm interested in the ${job.title} role at ${job.company_name} and would appreciate a few minutes to learn more about the team.\n\nThanks,\n${resume?.name || ''}`.trim();
+
+    return {
+      success: true,
+      type: 'inmail',
+      subject: `${job.title} at ${job.company_name}`,
+      body,
+      characterCount: body.length,
+      metadata: { model: this.model, prompt_tokens: 0, completion_tokens: 0, cost_usd: 0 }
+    };
+  }
+
+  async generateConnectionRequest(params) {
+    const { job, contact } = params;
+    const firstName = contact.name?.split(' ')[0] || 'there';
+    const message = `Hi ${firstName}, I'm exploring the ${job.title} role at ${job.company_name} and would love to connect.`.slice(0, 300);
+
+    return {
+      success: true,
+      type: 'connection_request',
+      message,
+      characterCount: message.length,
+      metadata: { model: this.model, prompt_tokens: 0, completion_tokens: 0, cost_usd: 0 }
+    };
+  }
+
+  estimateCost() {
+    return 0;
+  }
+}
+
 export default LinkedInDrafterService;
 
@@ -13,7 +13,7 @@ const ACTOR_ID = 'fantastic-jobs~exa-ai-people-search';
 export class PeopleFinderTool {
   constructor(apifyToken, exaApiKey) {
     this.apifyToken = apifyToken;
-    this.exaApiKey = exaApiKey || process.env.EXA_API_KEY;
+    this.exaApiKey = exaApiKey ?? process.env.EXA_API_KEY;
     this.name = 'People Finder';
     this.type = 'people_search';
     this.providerName = 'apify-exa';
@@ -22,6 +22,23 @@ export class PeopleFinderTool {
     this.basePriceUsd = 0.015; // $0.015 per search
     this.avgLatencyMs = 3000;
     this.reliabilityScore = 0.92;
+    this.capabilities = [
+      'linkedin_profiles',
+      'role_titles',
+      'company_affiliation',
+      'public_contact_info'
+    ];
+  }
+
+  /**
+   * Report whether the provider can take requests
+   */
+  async health() {
+    return {
+      provider: this.providerName,
+      configured: !!this.apifyToken,
+      status: this.apifyToken ? 'ok' : 'unconfigured'
+    };
   }
 
   /**
@@ -48,12 +65,7 @@ export class PeopleFinderTool {
       price_usd: Math.round(price * 1000) / 1000, // Round to 3 decimals
       latency_estimate_ms: this.avgLatencyMs,
       reliability_score: this.reliabilityScore,
-      capabilities: [
-        'linkedin_profiles',
-        'role_titles',
-        'company_affiliation',
-        'public_contact_info'
-      ],
+      capabilities: this.capabilities,
       params_received: {
         query: params.query,
         company: params.company,
@@ -145,7 +157,9 @@ export class PeopleFinderTool {
 
     } catch (error) {
       console.error('[PeopleFinder] Error:', error.response?.data || error.message);
-      throw new Error(`People search failed: ${error.message}`);
+      const searchError = new Error(`People search failed: ${error.message}`);
+      searchError.statusCode = error.response?.status;
+      throw searchError;
     }
   }
 
@@ -311,6 +325,11 @@ export class MockPeopleFinderTool {
     this.basePriceUsd = 100.00; // Expensive fallback - real Apify provider will be preferred
     this.avgLatencyMs = 500;
     this.reliabilityScore = 0.99;
+    this.capabilities = ['linkedin_profiles', 'role_titles', 'company_affiliation'];
+  }
+
+  async health() {
+    return { provider: this.providerName, configured: true, status: 'ok' };
   }
 
   async getQuote(params) {
@@ -321,6 +340,7 @@ export class MockPeopleFinderTool {
       price_usd: this.basePriceUsd,
       latency_estimate_ms: this.avgLatencyMs,
       reliability_score: this.reliabilityScore,
+      capabilities: this.capabilities,
       params_received: params
     };
   }
@@ -0,0 +1,189 @@
+/**
+ * Provider Chain - Fallback across providers, guarded by circuit breakers
+ *
+ * A chain tries its providers in order until one returns an acceptable
+ * result (e.g. Tomba, then Happenstance, then pattern guessing for emails).
+ * Each provider has a circuit breaker: repeated failures, or any 429, open
+ * the breaker and the provider is skipped until a cooldown has passed. After
+ * the cooldown one trial request is let through (half-open); success closes
+ * the breaker, failure opens it again.
+ */
+
+export class CircuitBreaker {
+  /**
+   * @param {string} provider - Provider id
+   * @param {Object} options - Options (failureThreshold, cooldownMs)
+   */
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.failureThreshold = options.failureThreshold || parseInt(process.env.PROVIDER_FAILURE_THRESHOLD) || 3;
+    this.cooldownMs = options.cooldownMs || parseInt(process.env.PROVIDER_COOLDOWN_MS) || 60000;
+
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    this.lastFailureAt = null;
+    this.totalFailures = 0;
+    this.totalSuccesses = 0;
+    this.rateLimitHits = 0;
+  }
+
+  /**
+   * Whether a request may go to the provider right now
+   */
+  canRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.state = 'half_open';
+      console.log(`[Breaker] ${this.provider} half-open - allowing a trial request`);
+    }
+    return this.state !== 'open';
+  }
+
+  recordSuccess() {
+    if (this.state !== 'closed') {
+      console.log(`[Breaker] ${this.provider} closed`);
+    }
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.totalSuccesses++;
+  }
+
+  /**
+   * @param {string} message - Failure description
+   * @param {boolean} rateLimited - Provider answered 429 (opens the breaker immediately)
+   */
+  recordFailure(message, rateLimited = false) {
+    this.consecutiveFailures++;
+    this.totalFailures++;
+    this.lastError = message;
+    this.lastFailureAt = new Date();
+    if (rateLimited) this.rateLimitHits++;
+
+    if (rateLimited || this.state === 'half_open' || this.consecutiveFailures >= this.failureThreshold) {
+      if (this.state !== 'open') {
+        console.warn(`[Breaker] ${this.provider} opened${rateLimited ? ' (rate limited)' : ` after ${this.consecutiveFailures} failures`}: ${message}`);
+      }
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Current state for health reporting
+   */
+  snapshot() {
+    this.canRequest();
+    return {
+      state: this.state,
+      consecutive_failures: this.consecutiveFailures,
+      total_failures: this.totalFailures,
+      total_successes: this.totalSuccesses,
+      rate_limit_hits: this.rateLimitHits,
+      last_error: this.lastError,
+      last_failure_at: this.lastFailureAt,
+      retry_at: this.state === 'open' ? new Date(this.openedAt + this.cooldownMs) : null
+    };
+  }
+}
+
+export class ProviderChain {
+  /**
+   * @param {string} type - Provider type the chain serves
+   * @param {Object[]} links - [{ id, provider, breaker, limiter }] in order of preference
+   */
+  constructor(type, links) {
+    this.type = type;
+    this.links = links;
+  }
+
+  get providerIds() {
+    return this.links.map(link => link.id);
+  }
+
+  /**
+   * The most a request can cost: the highest quote among the chain's providers,
+   * since a failure can hand it to any fallback and the one that serves it is billed
+   * @param {Object} params - Request parameters passed to provider.getQuote
+   * @returns {Promise<number>} - USD
+   */
+  async quote(params) {
+    let highest = 0;
+    for (const { provider } of this.links) {
+      if (typeof provider.getQuote !== 'function') continue;
+      const quote = await provider.getQuote(params);
+      highest = Math.max(highest, quote?.price_usd || 0);
+    }
+    return highest;
+  }
+
+  /**
+   * Execute on the first provider that gives an acceptable result
+   * @param {Object} params - Request parameters passed to provider.execute
+   * @param {Object} options - Options
+   * @param {Function} options.accept - (result) => true if the result is good enough to stop
+   * @param {Function} options.wrap - (limiterKey, fn) => Promise, e.g. a concurrency limiter
+   * @returns {Promise<Object>} - { result, provider, attempts }; result is null if no provider had an acceptable answer.
+   *   Each attempt is { provider, error, failed } - failed is false when the provider answered but the result wasn't accepted
+   * @throws {ProviderChainError} - If every provider failed or was skipped
+   */
+  async execute(params, options = {}) {
+    const { accept = () => true, wrap = (key, fn) => fn() } = options;
+    const attempts = [];
+    let answered = false;
+
+    for (const { id, provider, breaker, limiter } of this.links) {
+      if (!breaker.canRequest()) {
+        attempts.push({ provider: id, failed: true, error: 'circuit open' });
+        continue;
+      }
+
+      try {
+        const result = await wrap(limiter, () => provider.execute(params));
+
+        if (result?.provider_error) {
+          breaker.recordFailure(result.error, !!result.rate_limited);
+          attempts.push({ provider: id, failed: true, error: result.error });
+          continue;
+        }
+
+        breaker.recordSuccess();
+        answered = true;
+
+        if (accept(result)) {
+          if (attempts.some(a => a.failed)) {
+            console.log(`[Providers] ${this.type} served by fallback ${id} after: ${attempts.map(a => `${a.provider} (${a.error})`).join(', ')}`);
+          }
+          return { result, provider, attempts };
+        }
+        attempts.push({ provider: id, failed: false, error: result?.error || 'no result' });
+      } catch (error) {
+        breaker.recordFailure(error.message, isRateLimitError(error));
+        attempts.push({ provider: id, failed: true, error: error.message });
+      }
+    }
+
+    if (!answered) {
+      throw new ProviderChainError(this.type, attempts);
+    }
+    return { result: null, provider: null, attempts };
+  }
+}
+
+/**
+ * Every provider in a chain failed or had an open circuit
+ */
+export class ProviderChainError extends Error {
+  constructor(type, attempts) {
+    super(`All ${type} providers failed: ${attempts.map(a => `${a.provider} (${a.error})`).join(', ') || 'none available'}`);
+    this.name = 'ProviderChainError';
+    this.attempts = attempts;
+  }
+}
+
+function isRateLimitError(error) {
+  return error.statusCode === 429 || error.response?.status === 429;
+}
+
+export default ProviderChain;
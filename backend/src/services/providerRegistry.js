@@ -0,0 +1,309 @@
+/**
+ * Provider Registry - One place that builds and hands out data providers
+ *
+ * Every provider implements the same interface:
+ * - getQuote(params)  - price, latency and reliability for a request
+ * - execute(params)   - run the request
+ * - capabilities      - list of what the provider can do
+ * - health()          - whether the provider can take requests
+ *
+ * Providers are grouped by type (job_search, people_search, email_lookup,
+ * person_enrichment). For each type the active provider is picked from config
+ * (e.g. JOB_SEARCH_PROVIDER=apify-linkedin-jobs), falling back to the first
+ * configured real provider and then the mock. Instances are built once per
+ * registry; each user gets a registry over their own credentials (see
+ * userServices.js).
+ *
+ * Each type also has a fallback chain: the active provider followed by the
+ * providers listed in <TYPE>_FALLBACK (e.g. EMAIL_LOOKUP_FALLBACK). Every
+ * provider has one circuit breaker, shared by all chains it appears in.
+ *
+ * To add a source, write its provider module and add a definition below.
+ */
+
+import { PeopleFinderTool, MockPeopleFinderTool } from './peopleFinder.js';
+import { JobFinderTool, MockJobFinderTool } from './jobFinder.js';
+import { TombaEnricher, MockTombaEnricher } from './tombaEnricher.js';
+import { HappenstanceEnricher, MockHappenstanceEnricher } from './happenstanceEnricher.js';
+import { EmailPatternGuesser } from './emailPatternGuesser.js';
+import { CircuitBreaker, ProviderChain } from './providerChain.js';
+
+export const PROVIDER_TYPES = ['job_search', 'people_search', 'email_lookup', 'person_enrichment'];
+
+// Fallbacks tried after the active provider when <TYPE>_FALLBACK is not set
+const DEFAULT_FALLBACKS = {
+  job_search: [],
+  people_search: [],
+  email_lookup: ['happenstance-ai', 'pattern-guess'],
+  person_enrichment: []
+};
+
+// Provider definitions, in order of preference within each type
+const PROVIDER_DEFINITIONS = [
+  {
+    id: 'apify-linkedin-jobs',
+    type: 'job_search',
+    limiter: 'apify',
+    isConfigured: (env) => !!env.APIFY_TOKEN,
+    create: (env) => new JobFinderTool(env.APIFY_TOKEN)
+  },
+  {
+    id: 'mock-job-provider',
+    type: 'job_search',
+    mock: true,
+    create: () => new MockJobFinderTool()
+  },
+  {
+    id: 'apify-exa',
+    type: 'people_search',
+    limiter: 'apify',
+    isConfigured: (env) => !!env.APIFY_TOKEN,
+    create: (env) => new PeopleFinderTool(env.APIFY_TOKEN, env.EXA_API_KEY || '')
+  },
+  {
+    id: 'mock-provider',
+    type: 'people_search',
+    mock: true,
+    create: () => new MockPeopleFinderTool()
+  },
+  {
+    id: 'tomba-enricher',
+    type: 'email_lookup',
+    limiter: 'tomba',
+    isConfigured: (env) => !!(env.TOMBA_API_KEY && env.TOMBA_API_SECRET),
+    create: (env) => new TombaEnricher(env.TOMBA_API_KEY, env.TOMBA_API_SECRET)
+  },
+  {
+    id: 'tomba-enricher-mock',
+    type: 'email_lookup',
+    mock: true,
+    create: () => new MockTombaEnricher()
+  },
+  {
+    id: 'pattern-guess',
+    type: 'email_lookup',
+    fallbackOnly: true, // Never picked as the active provider, only used in fallback chains
+    create: () => new EmailPatternGuesser()
+  },
+  {
+    id: 'happenstance-ai',
+    type: 'person_enrichment',
+    limiter: 'happenstance',
+    isConfigured: (env) => !!env.HAPPENSTANCE_API_KEY,
+    create: (env) => new HappenstanceEnricher(env.HAPPENSTANCE_API_KEY)
+  },
+  {
+    id: 'mock-enricher',
+    type: 'person_enrichment',
+    mock: true,
+    create: () => new MockHappenstanceEnricher()
+  }
+];
+
+export class ProviderRegistry {
+  /**
+   * @param {Object} env - Environment to read credentials and selection from (default: process.env)
+   */
+  constructor(env = process.env) {
+    this.env = env;
+    this.definitions = [...PROVIDER_DEFINITIONS];
+
+    // provider id -> instance, built on first use
+    this.instances = new Map();
+
+    // type -> selected provider id
+    this.selected = new Map();
+
+    // provider id -> CircuitBreaker
+    this.breakers = new Map();
+  }
+
+  /**
+   * Add a provider definition (id, type, isConfigured(env), create(env), mock, limiter, fallbackOnly)
+   */
+  register(definition) {
+    if (!PROVIDER_TYPES.includes(definition.type)) {
+      throw new Error(`Unknown provider type: ${definition.type}`);
+    }
+    this.definitions = this.definitions.filter(d => d.id !== definition.id);
+    this.definitions.push(definition);
+    this.selected.delete(definition.type);
+  }
+
+  /**
+   * The active provider for a type
+   * @param {string} type - Provider type
+   * @returns {Object} - Provider instance
+   */
+  get(type) {
+    if (!this.selected.has(type)) {
+      this.selected.set(type, this.select(type));
+    }
+    return this.instance(this.selected.get(type));
+  }
+
+  /**
+   * Every usable provider for a type (configured real providers and mocks)
+   * @param {string} type - Provider type
+   * @returns {Object[]} - Provider instances, in order of preference
+   */
+  list(type) {
+    return this.definitions
+      .filter(d => d.type === type && this.isUsable(d))
+      .map(d => this.instance(d.id));
+  }
+
+  /**
+   * Fallback chain for a type: the active provider, then its configured fallbacks
+   * @param {string} type - Provider type
+   * @returns {ProviderChain}
+   */
+  chain(type) {
+    const configKey = `${type.toUpperCase()}_FALLBACK`;
+    const fallbackIds = this.env[configKey] !== undefined
+      ? this.env[configKey].split(',').map(id => id.trim()).filter(Boolean)
+      : DEFAULT_FALLBACKS[type] || [];
+
+    this.get(type);
+    const ids = [this.selected.get(type)];
+    for (const id of fallbackIds) {
+      const definition = this.definition(id);
+      if (!definition) {
+        console.warn(`[Providers] ${configKey} lists unknown provider ${id}`);
+      } else if (this.isUsable(definition) && !ids.includes(id)) {
+        ids.push(id);
+      }
+    }
+
+    return new ProviderChain(type, ids.map(id => ({
+      id,
+      provider: this.instance(id),
+      breaker: this.breaker(id),
+      limiter: this.definition(id).limiter
+    })));
+  }
+
+  /**
+   * Circuit breaker for a provider
+   */
+  breaker(id) {
+    if (!this.breakers.has(id)) {
+      this.breakers.set(id, new CircuitBreaker(id));
+    }
+    return this.breakers.get(id);
+  }
+
+  /**
+   * Health and circuit breaker state of every usable provider, plus each type's fallback chain
+   * @returns {Promise<Object>} - { status, providers, chains }
+   */
+  async health() {
+    const providers = await Promise.all(this.definitions.filter(d => this.isUsable(d)).map(async (d) => {
+      const health = await this.instance(d.id).health()
+        .catch(error => ({ provider: d.id, status: 'error', error: error.message }));
+      const circuit = this.breaker(d.id).snapshot();
+      return {
+        id: d.id,
+        type: d.type,
+        mock: !!d.mock,
+        status: circuit.state === 'open' ? 'unavailable' : health.status,
+        health,
+        circuit
+      };
+    }));
+
+    const chains = Object.fromEntries(PROVIDER_TYPES.map(type => [type, this.chain(type).providerIds]));
+
+    // Degraded when a type has no provider with a closed or half-open circuit
+    const degraded = Object.values(chains).some(ids => ids.every(id => this.breaker(id).snapshot().state === 'open'));
+
+    return { status: degraded ? 'degraded' : 'ok', providers, chains };
+  }
+
+  /**
+   * Whether the active provider for a type is a mock
+   */
+  isMock(type) {
+    this.get(type);
+    return !!this.definition(this.selected.get(type)).mock;
+  }
+
+  /**
+   * Describe every registered provider: type, capabilities, whether it is usable and selected
+   * @returns {Promise<Object[]>}
+   */
+  async describe() {
+    return Promise.all(this.definitions.map(async (d) => {
+      const usable = this.isUsable(d);
+      const provider = usable ? this.instance(d.id) : null;
+      return {
+        id: d.id,
+        type: d.type,
+        name: provider?.name || d.id,
+        mock: !!d.mock,
+        configured: usable,
+        selected: usable && this.get(d.type) === provider,
+        capabilities: provider?.capabilities || [],
+        health: provider
+          ? await provider.health().catch(error => ({ provider: d.id, status: 'error', error: error.message }))
+          : { provider: d.id, configured: false, status: 'unconfigured' }
+      };
+    }));
+  }
+
+  /**
+   * Pick the provider for a type: the configured choice, else the first usable real provider, else the mock
+   */
+  select(type) {
+    const candidates = this.definitions.filter(d => d.type === type);
+    if (candidates.length === 0) {
+      throw new Error(`No providers registered for ${type}`);
+    }
+
+    const configKey = `${type.toUpperCase()}_PROVIDER`;
+    const requested = this.env[configKey];
+
+    if (requested && requested !== 'auto') {
+      const choice = requested === 'mock'
+        ? candidates.find(d => d.mock)
+        : candidates.find(d => d.id === requested);
+
+      if (choice && this.isUsable(choice)) {
+        console.log(`[Providers] ${type}: ${choice.id} (${configKey})`);
+        return choice.id;
+      }
+      console.warn(`[Providers] ${configKey}=${requested} is not ${choice ? 'configured' : 'a known provider'} - choosing automatically`);
+    }
+
+    const choice = candidates.find(d => !d.mock && !d.fallbackOnly && this.isUsable(d)) || candidates.find(d => d.mock);
+    console.log(`[Providers] ${type}: ${choice.id}${choice.mock ? ' (mock)' : ''}`);
+    return choice.id;
+  }
+
+  isUsable(definition) {
+    return definition.mock || !definition.isConfigured || definition.isConfigured(this.env);
+  }
+
+  definition(id) {
+    return this.definitions.find(d => d.id === id);
+  }
+
+  instance(id) {
+    if (!this.instances.has(id)) {
+      this.instances.set(id, this.definition(id).create(this.env));
+    }
+    return this.instances.get(id);
+  }
+}
+
+// Singleton instance
+let registryInstance = null;
+
+export function getProviderRegistry() {
+  if (!registryInstance) {
+    registryInstance = new ProviderRegistry();
+  }
+  return registryInstance;
+}
+
+export default ProviderRegistry;
@@ -0,0 +1,205 @@
+/**
+ * Quote Marketplace - Sweeps quotes from competing providers and pays for one
+ *
+ * A sweep asks every provider registered for a category (e.g. people_finder)
+ * for a quote and stores each one as a pending Offer that expires after a
+ * short TTL. All offers from one sweep share a sweep_id, so paying one offer
+ * rejects the others. Paying executes the request on the offer's provider and
+ * records a Receipt linked to the offer (through the cost ledger).
+ */
+
+import crypto from 'crypto';
+import { Offer } from '../models/schemas.js';
+import { ownedOnlyBy } from './auth.js';
+import { getCostLedger } from './costLedger.js';
+
+// Cost category of each marketplace category, for receipts
+const COST_CATEGORY = { people_finder: 'people_search', job_finder: 'job_search' };
+
+export class QuoteMarketplace {
+  /**
+   * @param {Object} options - Options
+   * @param {number} options.offerTtlMs - How long a quote stays valid
+   * @param {CostLedger} options.ledger - Where receipts are recorded (default: the shared ledger)
+   */
+  constructor(options = {}) {
+    this.offerTtlMs = options.offerTtlMs || (parseInt(process.env.OFFER_TTL_SECONDS) || 300) * 1000;
+    this.ledger = options.ledger || getCostLedger();
+
+    // category -> [provider tool]
+    this.providers = new Map();
+  }
+
+  /**
+   * Register the providers that compete in a category
+   * @param {string} category - e.g. 'people_finder', 'job_finder'
+   * @param {Object[]} providers - Tools implementing getQuote(params) and execute(params)
+   */
+  register(category, providers) {
+    this.providers.set(category, providers.filter(Boolean));
+  }
+
+  /**
+   * Collect a quote from every provider in a category and persist them as offers
+   * @param {string} category - Provider category
+   * @param {Object} params - Request parameters, stored on each offer for execution
+   * @param {Object} options - { ownerId: user the offers are for, providers: compete these instead of the registered ones }
+   * @returns {Promise<Object>} - { sweep_id, offers (cheapest first), best_offer, errors }
+   */
+  async sweep(category, params, options = {}) {
+    const providers = options.providers || this.providers.get(category);
+    if (!providers?.length) {
+      throw new Error(`No providers registered for ${category}`);
+    }
+
+    await this.expireStaleOffers();
+
+    const sweepId = `sweep_${crypto.randomUUID()}`;
+    const expiresAt = new Date(Date.now() + this.offerTtlMs);
+
+    const results = await Promise.allSettled(providers.map(provider => provider.getQuote(params)));
+
+    const offers = [];
+    const errors = [];
+    for (let i = 0; i < results.length; i++) {
+      const result = results[i];
+      if (result.status === 'rejected') {
+        errors.push({ provider: providers[i].providerName, error: result.reason?.message });
+        continue;
+      }
+
+      const quote = result.value;
+      offers.push(await Offer.create({
+        owner_id: options.ownerId,
+        sweep_id: sweepId,
+        category,
+        tool_id: quote.tool_id,
+        tool_name: quote.tool_name || providers[i].name,
+        provider: providers[i].providerName,
+        price_usd: quote.price_usd,
+        latency_estimate_ms: quote.latency_estimate_ms,
+        reliability_score: quote.reliability_score,
+        quote_expires_at: expiresAt,
+        request_params: params
+      }));
+    }
+
+    offers.sort((a, b) => a.price_usd - b.price_usd);
+
+    console.log(`[Marketplace] ${category} sweep ${sweepId}: ${offers.length} offers${errors.length ? `, ${errors.length} failed` : ''}`);
+
+    return {
+      sweep_id: sweepId,
+      offers,
+      best_offer: offers[0] || null,
+      errors
+    };
+  }
+
+  /**
+   * Accept an offer: execute it on its provider, reject competing offers, record the receipt
+   * @param {string} offerId - Offer to pay
+   * @param {Object} options - { ownerId: only pay the offer if it belongs to this user,
+   *   providers: category -> providers to execute on instead of the registered ones }
+   * @returns {Promise<Object>} - { offer, receipt, result }
+   */
+  async pay(offerId, options = {}) {
+    const offer = await Offer.findOneAndUpdate(
+      { _id: offerId, ...ownedOnlyBy(options.ownerId), status: 'pending', quote_expires_at: { $gt: new Date() } },
+      { status: 'accepted' },
+      { new: true }
+    );
+
+    if (!offer) {
+      throw await this.unpayableOfferError(offerId, options.ownerId);
+    }
+
+    const provider = this.findProvider(offer, options.providers);
+    if (!provider) {
+      await Offer.updateOne({ _id: offer._id }, { status: 'pending' });
+      throw new MarketplaceError(`Provider for ${offer.tool_id} is no longer available`, 409);
+    }
+
+    // Reject the competing offers up front so two offers of a sweep can't both be paid
+    const competing = await Offer.find({ sweep_id: offer.sweep_id, _id: { $ne: offer._id }, status: 'pending' }).select('_id');
+    const competingIds = competing.map(o => o._id);
+    await Offer.updateMany({ _id: { $in: competingIds } }, { status: 'rejected' });
+
+    const startTime = Date.now();
+    let result;
+    try {
+      result = await provider.execute(offer.request_params || {});
+    } catch (error) {
+      // Nothing was bought - put the sweep back as it was
+      await Offer.updateMany({ _id: { $in: [offer._id, ...competingIds] } }, { status: 'pending' });
+      throw new MarketplaceError(`Execution failed: ${error.message}`, 502);
+    }
+    const executionTime = Date.now() - startTime;
+
+    const receipt = await this.ledger.record({
+      ownerId: offer.owner_id,
+      offerId: offer._id,
+      category: COST_CATEGORY[offer.category],
+      toolId: offer.tool_id,
+      toolName: offer.tool_name,
+      provider: offer.provider,
+      quotedUsd: offer.price_usd,
+      responseData: result,
+      latencyMs: executionTime
+    });
+
+    console.log(`[Marketplace] Paid offer ${offer._id} (${offer.provider}, $${offer.price_usd}) - rejected ${competingIds.length} competing`);
+
+    return { offer, receipt, result };
+  }
+
+  /**
+   * Provider in the offer's category that issued its quote
+   */
+  findProvider(offer, providersByCategory) {
+    const providers = providersByCategory?.[offer.category] || this.providers.get(offer.category) || [];
+    return providers.find(p => p.providerName === offer.provider) || null;
+  }
+
+  /**
+   * Work out why an offer can't be paid (and expire it if its quote ran out)
+   */
+  async unpayableOfferError(offerId, ownerId) {
+    const existing = await Offer.findOne({ _id: offerId, ...ownedOnlyBy(ownerId) });
+    if (!existing) {
+      return new MarketplaceError('Offer not found', 404);
+    }
+
+    if (existing.status === 'pending') {
+      existing.status = 'expired';
+      await existing.save();
+      return new MarketplaceError('Offer has expired - run a new sweep', 410);
+    }
+
+    return new MarketplaceError(`Offer is already ${existing.status}`, existing.status === 'expired' ? 410 : 409);
+  }
+
+  /**
+   * Mark pending offers whose quote has run out as expired
+   */
+  async expireStaleOffers() {
+    const result = await Offer.updateMany(
+      { status: 'pending', quote_expires_at: { $lte: new Date() } },
+      { status: 'expired' }
+    );
+    return result.modifiedCount;
+  }
+}
+
+/**
+ * Error with the HTTP status the API should answer with
+ */
+export class MarketplaceError extends Error {
+  constructor(message, statusCode = 500) {
+    super(message);
+    this.name = 'MarketplaceError';
+    this.statusCode = statusCode;
+  }
+}
+
+export default QuoteMarketplace;
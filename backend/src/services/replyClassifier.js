@@ -0,0 +1,213 @@
+import axios from 'axios';
+
+const FIREWORKS_API_URL = 'https://api.fireworks.ai/inference/v1/chat/completions';
+
+export const REPLY_INTENTS = ['interested', 'referral', 'not_hiring', 'out_of_office', 'unsubscribe', 'other'];
+
+/**
+ * Reply Classifier Service - Uses Fireworks AI to work out what a reply means
+ *
+ * Labels a reply to outreach with one intent (interested, referral,
+ * not_hiring, out_of_office, unsubscribe, other) and extracts the details
+ * needed to act on it: who a referral points to, or when an out-of-office
+ * sender is back.
+ */
+export class ReplyClassifierService {
+  constructor(apiKey) {
+    this.apiKey = apiKey || process.env.FIREWORKS_API_KEY;
+    this.model = 'accounts/fireworks/models/glm-4p7';
+
+    // Pricing (approximate - Fireworks pricing varies)
+    this.inputTokenCost = 0.0000002;
+    this.outputTokenCost = 0.0000002;
+  }
+
+  /**
+   * Classify a reply
+   * @param {Object} params - { reply ({ from, subject, text, received_at }), email (the Email it replies to) }
+   * @returns {Promise<Object>} - { success, intent, confidence, summary, referral, return_date, metadata }
+   */
+  async classify(params) {
+    const { reply, email } = params;
+
+    if (!this.apiKey) {
+      throw new Error('FIREWORKS_API_KEY not configured');
+    }
+
+    const systemPrompt = this.buildSystemPrompt();
+    const userPrompt = this.buildUserPrompt(reply, email);
+
+    console.log(`[ReplyClassifier] Classifying reply from ${reply.from}`);
+
+    try {
+      const response = await axios.post(
+        FIREWORKS_API_URL,
+        {
+          model: this.model,
+          messages: [
+            { role: 'system', content: systemPrompt },
+            { role: 'user', content: userPrompt }
+          ],
+          max_tokens: 2000,
+          temperature: 0.1,
+          response_format: { type: 'json_object' }
+        },
+        {
+          headers: {
+            'Authorization': `Bearer ${this.apiKey}`,
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+
+      const result = response.data;
+      const content = result.choices[0]?.message?.content || '{}';
+
+      let parsed;
+      try {
+        parsed = JSON.parse(content);
+      } catch {
+        const match = content.match(/\{[\s\S]*\}/);
+        parsed = match ? JSON.parse(match[0]) : null;
+      }
+      if (!parsed) {
+        throw new Error('Classifier did not return JSON');
+      }
+
+      const promptTokens = result.usage?.prompt_tokens || Math.ceil((systemPrompt.length + userPrompt.length) / 4);
+      const completionTokens = result.usage?.completion_tokens || Math.ceil(content.length / 4);
+      const cost = (promptTokens * this.inputTokenCost) + (completionTokens * this.outputTokenCost);
+
+      const classification = this.postProcess(parsed, reply);
+      console.log(`[ReplyClassifier] Reply from ${reply.from}: ${classification.intent} (${classification.confidence})`);
+
+      return {
+        success: true,
+        ...classification,
+        metadata: {
+          model: this.model,
+          prompt_tokens: promptTokens,
+          completion_tokens: completionTokens,
+          cost_usd: Math.round(cost * 1000000) / 1000000
+        }
+      };
+
+    } catch (error) {
+      console.error('[ReplyClassifier] Error:', error.response?.data || error.message);
+      throw new Error(`Reply classification failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validate the model's output, dropping anything that doesn't fit the intent
+   */
+  postProcess(parsed, reply) {
+    const intent = REPLY_INTENTS.includes(parsed.intent) ? parsed.intent : 'other';
+    const confidence = Math.min(1, Math.max(0, Number(parsed.confidence) || 0));
+
+    let referral = null;
+    if (intent === 'referral' && parsed.referral) {
+      const email = typeof parsed.referral.email === 'string' && /^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(parsed.referral.email.trim())
+        ? parsed.referral.email.trim().toLowerCase()
+        : null;
+      referral = {
+        name: parsed.referral.name || null,
+        email: email !== reply.from ? email : null,
+        title: parsed.referral.title || null,
+        company: parsed.referral.company || null,
+        linkedin_url: parsed.referral.linkedin_url || null
+      };
+      if (!referral.name && !referral.email) referral = null;
+    }
+
+    let returnDate = null;
+    if (intent === 'out_of_office' && parsed.return_date) {
+      const date = new Date(parsed.return_date);
+      returnDate = isNaN(date.getTime()) ? null : date;
+    }
+
+    return {
+      intent,
+      confidence,
+      summary: parsed.summary || null,
+      referral,
+      return_date: returnDate
+    };
+  }
+
+  /**
+   * Build the system prompt for reply classification
+   */
+  buildSystemPrompt() {
+    return `You classify replies to a job seeker's cold outreach emails. You MUST respond with ONLY a JSON object, no other text.
+
+Intents (pick exactly one):
+- "interested": wants to talk, asks for a resume/availability, or moves the conversation forward
+- "referral": points the sender to someone else (another recruiter, the hiring manager, a colleague)
+- "not_hiring": declines, the role is filled or closed, or no openings
+- "out_of_office": an automatic away/vacation/leave reply
+- "unsubscribe": asks not to be contacted again, or to be removed from a list
+- "other": anything else (questions, unclear, unrelated)
+
+Respond with:
+{
+  "intent": "one of the intents above",
+  "confidence": 0.0-1.0,
+  "summary": "one sentence on what the reply says",
+  "referral": { "name": "...", "email": "...", "title": "...", "company": "...", "linkedin_url": "..." } or null,
+  "return_date": "YYYY-MM-DD" or null
+}
+
+Rules:
+- Only fill "referral" for referral replies, and only with details written in the reply - use null for anything not stated.
+- Only fill "return_date" for out-of-office replies that give a date back.
+- If a reply both refers and declines, prefer "referral".`;
+  }
+
+  /**
+   * Build the user prompt: the original email and the reply
+   */
+  buildUserPrompt(reply, email) {
+    return `ORIGINAL EMAIL (sent to ${email?.recipient_name || 'the recipient'}${email?.recipient_company ? ` at ${email.recipient_company}` : ''}):
+Subject: ${email?.subject || ''}
+${email?.body || ''}
+
+REPLY (from ${reply.from}${reply.received_at ? `, received ${new Date(reply.received_at).toISOString().slice(0, 10)}` : ''}):
+Subject: ${reply.subject || ''}
+${reply.text || ''}`;
+  }
+}
+
+// Keyword rules for the mock classifier, checked in order
+const MOCK_INTENT_PATTERNS = [
+  ['unsubscribe', /unsubscribe|remove me|stop (emailing|contacting)|do not contact/i],
+  ['out_of_office', /out of (the )?office|on (vacation|leave)|auto(matic)?[- ]?reply/i],
+  ['not_hiring', /not hiring|no (open )?(roles|positions|openings)|position (has been|was) filled|not a fit/i],
+  ['referral', /reach out to|contact (my colleague|our)|cc'?ing|best person/i],
+  ['interested', /interested|let'?s (chat|talk|connect)|schedule|available|call/i]
+];
+
+/**
+ * Mock Reply Classifier - matches keywords instead of calling Fireworks (no API key)
+ */
+export class MockReplyClassifierService extends ReplyClassifierService {
+  constructor() {
+    super(null);
+    this.model = 'mock-keywords';
+    console.log('[ReplyClassifier] Using mock reply classifier (Fireworks API key not configured)');
+  }
+
+  async classify(params) {
+    const { reply } = params;
+    const text = `${reply.subject || ''}\n${reply.text || ''}`;
+    const match = MOCK_INTENT_PATTERNS.find(([, pattern]) => pattern.test(text));
+
+    return {
+      success: true,
+      ...this.postProcess({ intent: match ? match[0] : 'other', confidence: match ? 0.5 : 0.2 }, reply),
+      metadata: { model: this.model, prompt_tokens: 0, completion_tokens: 0, cost_usd: 0 }
+    };
+  }
+}
+
+export default ReplyClassifierService;
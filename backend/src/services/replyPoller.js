@@ -0,0 +1,512 @@
+/**
+ * Reply Poller - Detects replies to sent outreach by polling IMAP inboxes
+ *
+ * Incoming messages are matched to sent emails by their In-Reply-To and
+ * References headers (against the stored send_result.message_id), falling
+ * back to the sender's address. A matched email is marked responded with the
+ * reply text saved, and its follow-up sequence is stopped. With a ReplyTriage,
+ * each reply is then classified and acted on; with a BounceHandler, delivery
+ * failure notices in the same inbox are recorded as bounces.
+ *
+ * Two kinds of inbox are checked:
+ * - the server's, configured alongside SMTP: IMAP_HOST, plus IMAP_USER/IMAP_PASS
+ *   (defaulting to SMTP_USER/SMTP_PASS). It is shared, so a reply found there
+ *   can belong to any user. IMAP_PORT and IMAP_SECURE point it at a local IMAP
+ *   server for testing.
+ * - each user's own, from the `inboxes` option: their SMTP login's and sender
+ *   identities' IMAP settings (see UserServices.replyInboxes). Only that
+ *   user's emails are matched against what arrives there.
+ */
+
+import { ImapFlow } from 'imapflow';
+import { simpleParser } from 'mailparser';
+import { Email } from '../models/schemas.js';
+import { ownedByOrAll } from './auth.js';
+
+// Senders whose messages are delivery notices rather than replies
+const AUTOMATED_SENDERS = /^(mailer-daemon|postmaster)@/i;
+const DELIVERY_NOTICE_SUBJECTS = /undeliver|delivery (status notification|has failed|failure)|returned mail|failure notice/i;
+
+// Reply text kept per email
+const MAX_REPLY_LENGTH = 10000;
+
+// Polls a message can fail in before it's skipped
+const MAX_MESSAGE_ATTEMPTS = 3;
+
+/**
+ * Message-IDs in a header value, normalized to "<id>"
+ * @param {string|Array} value - In-Reply-To / References value(s)
+ * @returns {Array<string>}
+ */
+export function parseMessageIds(value) {
+  const values = Array.isArray(value) ? value : [value];
+  const ids = [];
+
+  for (const item of values) {
+    if (!item) continue;
+    const found = String(item).match(/<[^<>\s]+>/g) || String(item).split(/\s+/).filter(Boolean).map(id => `<${id}>`);
+    ids.push(...found);
+  }
+
+  return [...new Set(ids)];
+}
+
+/**
+ * The new part of a reply, without the quoted original ("On ... wrote:" and "> " lines)
+ */
+export function stripQuotedReply(text) {
+  if (!text) return '';
+
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  const kept = [];
+
+  for (const line of lines) {
+    if (/^On .+wrote:\s*$/.test(line.trim()) || /^-{2,}\s*Original Message\s*-{2,}/i.test(line.trim())) break;
+    if (/^>/.test(line)) continue;
+    kept.push(line);
+  }
+
+  return kept.join('\n').trim() || text.trim();
+}
+
+export class ReplyPoller {
+  /**
+   * @param {Object} options - Poller options
+   * @param {Object} options.sequencer - FollowUpSequencer whose sequences stop on a reply
+   * @param {Object} options.triage - ReplyTriage that classifies each new reply (optional)
+   * @param {Object} options.bounces - BounceHandler that records delivery failure notices (optional)
+   * @param {Function} options.inboxes - async () => users' inboxes [{ id, ownerId, host, port, secure, user, pass, addresses }] (optional)
+   * @param {number} options.pollIntervalMs - How often to check the inboxes
+   * @param {number} options.lookbackDays - How far back the first check of an inbox looks
+   * @param {Function} options.createClient - () => ImapFlow-compatible client for the server's inbox (default: from IMAP_* env vars)
+   * @param {Function} options.createInboxClient - (inbox) => ImapFlow-compatible client for a user's inbox (default: ImapFlow)
+   */
+  constructor(options = {}) {
+    const {
+      sequencer,
+      host = process.env.IMAP_HOST,
+      port = process.env.IMAP_PORT || 993,
+      secure = process.env.IMAP_SECURE !== 'false',
+      user = process.env.IMAP_USER || process.env.SMTP_USER,
+      pass = process.env.IMAP_PASS || process.env.SMTP_PASS,
+      mailbox = process.env.IMAP_MAILBOX || 'INBOX',
+      pollIntervalMs = parseInt(process.env.IMAP_POLL_INTERVAL_MS) || 60000,
+      lookbackDays = parseInt(process.env.IMAP_LOOKBACK_DAYS) || 14
+    } = options;
+
+    this.sequencer = sequencer;
+    this.triage = options.triage || null;
+    this.bounces = options.bounces || null;
+    this.userInboxes = options.inboxes || null;
+    this.mailbox = mailbox;
+    this.pollIntervalMs = pollIntervalMs;
+    this.lookbackDays = lookbackDays;
+    this.isConfigured = !!(options.createClient || (host && user && pass));
+
+    // The server's shared inbox
+    this.serverInbox = this.isConfigured ? {
+      id: 'server',
+      ownerId: null,
+      addresses: [user, process.env.SMTP_FROM_EMAIL],
+      createClient: options.createClient || (() => imapClient({ host, port, secure, user, pass }))
+    } : null;
+
+    this.createInboxClient = options.createInboxClient || imapClient;
+
+    // inbox id -> { ownerId, addresses, uidValidity, lastUid, failedUids, lastPollAt, lastError }
+    // (the position is reset, and the lookback used again, if UIDVALIDITY changes)
+    this.inboxStates = new Map();
+    this.lastPollAt = null;
+    this.lastError = null;
+    this.pollTimer = null;
+    this.ticking = false;
+
+    if (this.isConfigured) {
+      console.log(`[Replies] Configured with IMAP host: ${host || 'custom client'}`);
+    }
+  }
+
+  /**
+   * Start the polling loop (does nothing without the server's inbox or users' inboxes)
+   */
+  start() {
+    if (this.pollTimer || (!this.isConfigured && !this.userInboxes)) return;
+
+    this.pollTimer = setInterval(() => this.tick(), this.pollIntervalMs);
+    console.log(`[Replies] Started (checking ${this.mailbox} every ${Math.round(this.pollIntervalMs / 1000)}s)`);
+
+    this.tick();
+  }
+
+  /**
+   * Stop the polling loop
+   */
+  stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  /**
+   * Check the inboxes, unless the previous check is still running
+   */
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      await this.poll();
+    } catch (error) {
+      this.lastError = error.message;
+      console.error('[Replies] Poll failed:', error.message);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * The inboxes to check: the server's, and every user's (or only one user's)
+   * @param {string} ownerId - Only this user's own inboxes (optional)
+   * @returns {Promise<Object[]>} - [{ id, ownerId, addresses, createClient }]
+   */
+  async listInboxes(ownerId) {
+    const users = this.userInboxes ? await this.userInboxes() : [];
+    const own = ownerId ? users.filter(inbox => String(inbox.ownerId) === String(ownerId)) : users;
+
+    return [
+      ...(this.serverInbox ? [this.serverInbox] : []),
+      ...own.map(inbox => ({ ...inbox, createClient: () => this.createInboxClient(inbox) }))
+    ];
+  }
+
+  /**
+   * Check the inboxes once for new replies
+   * @param {Object} options - { ownerId: only check the server's inbox and this user's own }
+   * @returns {Promise<Object>} - { checked, matched: [{ email_id, owner_id, from, matched_by, intent }], bounced: [{ email_id, owner_id, recipient, type }] }
+   */
+  async poll({ ownerId } = {}) {
+    const inboxes = await this.listInboxes(ownerId);
+    if (inboxes.length === 0) {
+      throw new Error('IMAP not configured. Add an IMAP host to your SMTP settings or sender identities, or set IMAP_HOST for the server.');
+    }
+
+    const result = { checked: 0, matched: [], bounced: [] };
+    const failures = [];
+
+    for (const inbox of inboxes) {
+      const state = this.inboxState(inbox);
+      try {
+        const { checked, matched, bounced } = await this.pollInbox(inbox, state);
+        result.checked += checked;
+        result.matched.push(...matched);
+        result.bounced.push(...bounced);
+        state.lastPollAt = new Date();
+        state.lastError = null;
+      } catch (error) {
+        // One user's broken login doesn't stop the other inboxes being checked
+        state.lastError = error.message;
+        failures.push(error);
+        console.error(`[Replies] Poll of inbox ${inbox.id} failed:`, error.message);
+      }
+    }
+
+    // Forget inboxes that were removed
+    if (!ownerId) {
+      const ids = new Set(inboxes.map(inbox => inbox.id));
+      for (const id of this.inboxStates.keys()) {
+        if (!ids.has(id)) this.inboxStates.delete(id);
+      }
+    }
+
+    if (failures.length === inboxes.length) {
+      throw failures[0];
+    }
+
+    this.lastPollAt = new Date();
+    this.lastError = this.inboxStates.get('server')?.lastError || null;
+    if (result.matched.length > 0) {
+      console.log(`[Replies] ${result.matched.length} new repl${result.matched.length === 1 ? 'y' : 'ies'} detected`);
+    }
+    if (result.bounced.length > 0) {
+      console.log(`[Replies] ${result.bounced.length} bounce${result.bounced.length === 1 ? '' : 's'} recorded`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Where polling an inbox got to
+   */
+  inboxState(inbox) {
+    let state = this.inboxStates.get(inbox.id);
+    if (!state) {
+      state = { uidValidity: null, lastUid: 0, failedUids: new Map(), lastPollAt: null, lastError: null };
+      this.inboxStates.set(inbox.id, state);
+    }
+    state.ownerId = inbox.ownerId;
+    state.addresses = inbox.addresses.filter(Boolean).map(address => address.toLowerCase());
+    return state;
+  }
+
+  /**
+   * Check one inbox for new replies and delivery notices
+   */
+  async pollInbox(inbox, state) {
+    const client = inbox.createClient();
+    await client.connect();
+
+    const matched = [];
+    const notices = [];
+    const bounced = [];
+    let checked = 0;
+
+    // lastUid only moves past a message once it, and every message before it, has been handled
+    const pending = [];
+    const done = new Set();
+    const finish = (uid) => {
+      done.add(uid);
+      state.failedUids.delete(uid);
+      while (pending.length > 0 && done.has(pending[0])) {
+        state.lastUid = pending.shift();
+      }
+    };
+    const fail = (message, error) => {
+      const attempts = (state.failedUids.get(message.uid) || 0) + 1;
+      console.error(`[Replies] Failed to process message ${message.uid} from ${message.from} (attempt ${attempts}):`, error.message);
+      if (attempts >= MAX_MESSAGE_ATTEMPTS) {
+        console.warn(`[Replies] Skipping message ${message.uid} after ${attempts} failed attempts`);
+        finish(message.uid);
+      } else {
+        state.failedUids.set(message.uid, attempts);
+      }
+    };
+
+    try {
+      const lock = await client.getMailboxLock(this.mailbox);
+      try {
+        const messages = await this.fetchNewMessages(client, state);
+        checked = messages.length;
+        pending.push(...messages.map(message => message.uid));
+
+        for (const message of messages) {
+          try {
+            if (this.bounces && (AUTOMATED_SENDERS.test(message.from || '') || DELIVERY_NOTICE_SUBJECTS.test(message.subject || ''))) {
+              const notice = await client.fetchOne(String(message.uid), { source: true }, { uid: true });
+              if (notice?.source) {
+                notices.push({ message, source: notice.source });
+              } else {
+                finish(message.uid);
+              }
+              continue;
+            }
+
+            const match = await this.matchReply(message, state);
+            if (match) {
+              // Only download the bodies of messages that are replies
+              const full = await client.fetchOne(String(message.uid), { source: true }, { uid: true });
+              const parsed = full?.source ? await simpleParser(full.source) : null;
+
+              const email = await this.recordReply(match.email, {
+                message_id: message.messageId,
+                from: message.from,
+                subject: message.subject,
+                text: stripQuotedReply(parsed?.text || '').slice(0, MAX_REPLY_LENGTH),
+                received_at: message.date || new Date(),
+                matched_by: match.matchedBy
+              });
+
+              if (email) {
+                matched.push({ email_id: email._id, owner_id: email.owner_id, from: message.from, matched_by: match.matchedBy });
+              }
+            }
+            finish(message.uid);
+          } catch (error) {
+            fail(message, error);
+          }
+        }
+      } finally {
+        lock.release();
+      }
+    } finally {
+      await client.logout().catch(() => {});
+    }
+
+    // Bounces (which may re-run email lookups) and classification happen once the mailbox is released
+    for (const { message, source } of notices) {
+      try {
+        const bounce = await this.bounces.processDsn(source, message.messageId, state.ownerId);
+        if (bounce) bounced.push(bounce);
+        finish(message.uid);
+      } catch (error) {
+        fail(message, error);
+      }
+    }
+
+    if (this.triage) {
+      for (const reply of matched) {
+        try {
+          reply.intent = (await this.triage.triage(reply.email_id)).intent;
+        } catch (error) {
+          console.error(`[Replies] Failed to classify reply from ${reply.from}:`, error.message);
+        }
+      }
+    }
+
+    return { checked, matched, bounced };
+  }
+
+  /**
+   * Envelopes of messages that arrived in an inbox after the last one handled,
+   * oldest first (or within the lookback window, on the first poll)
+   */
+  async fetchNewMessages(client, state) {
+    const { uidValidity, uidNext } = client.mailbox;
+
+    let range;
+    let afterUid = 0;
+    if (state.uidValidity === uidValidity) {
+      afterUid = state.lastUid;
+      // Nothing has arrived since (and "N:*" on an empty mailbox is an error)
+      if (uidNext && afterUid + 1 >= uidNext) return [];
+      range = `${afterUid + 1}:*`;
+    } else {
+      const since = new Date(Date.now() - this.lookbackDays * 24 * 60 * 60 * 1000);
+      const uids = await client.search({ since }, { uid: true });
+      state.uidValidity = uidValidity;
+      state.failedUids.clear();
+      if (!uids || uids.length === 0) {
+        state.lastUid = Math.max(0, (uidNext || 1) - 1);
+        return [];
+      }
+      // pollInbox moves it up to the newest message as each is handled
+      state.lastUid = Math.min(...uids) - 1;
+      range = uids.join(',');
+    }
+
+    const fetched = await client.fetchAll(range, { uid: true, envelope: true, headers: ['references'] }, { uid: true });
+    return fetched
+      // "N:*" always includes the newest message, even when it was seen already
+      .filter(message => message.uid > afterUid)
+      .sort((a, b) => a.uid - b.uid)
+      .map(message => ({
+        uid: message.uid,
+        messageId: message.envelope?.messageId,
+        inReplyTo: message.envelope?.inReplyTo,
+        references: message.headers ? message.headers.toString().replace(/^references:/i, '') : null,
+        from: message.envelope?.from?.[0]?.address?.toLowerCase(),
+        subject: message.envelope?.subject,
+        date: message.envelope?.date ? new Date(message.envelope.date) : null
+      }));
+  }
+
+  /**
+   * The sent email a message replies to, if any
+   * @param {Object} message - { messageId, inReplyTo, references, from, date }
+   * @param {Object} inbox - { ownerId: the user whose inbox it arrived in (none for the server's), addresses: the inbox's own }
+   * @returns {Promise<Object|null>} - { email, matchedBy: 'headers' | 'sender' }
+   */
+  async matchReply(message, { ownerId, addresses = [] } = {}) {
+    if (!message.from || addresses.includes(message.from) || AUTOMATED_SENDERS.test(message.from)) {
+      return null;
+    }
+
+    // Already recorded by an earlier poll
+    if (message.messageId && await Email.exists({ 'reply.message_id': message.messageId })) {
+      return null;
+    }
+
+    const scope = ownedByOrAll(ownerId);
+    const ids = parseMessageIds([message.inReplyTo, message.references]);
+    if (ids.length > 0) {
+      const candidates = await Email.find({
+        ...scope,
+        'send_result.message_id': { $in: ids.flatMap(id => [id, id.slice(1, -1)]) }
+      });
+      // Prefer the most recent email in the thread (In-Reply-To is listed first)
+      const email = ids.map(id => candidates.find(candidate => parseMessageIds(candidate.send_result.message_id)[0] === id)).find(Boolean);
+      if (email) {
+        return { email, matchedBy: 'headers' };
+      }
+    }
+
+    // Fall back to the sender's address. In the shared inbox, only when a single user has
+    // emailed it - one user's reply must never be filed against another's email.
+    const bySender = {
+      recipient_email: new RegExp(`^${message.from.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i'),
+      status: { $in: ['sent', 'responded'] },
+      ...(message.date ? { sent_at: { $lte: message.date } } : {})
+    };
+    let owner = ownerId;
+    if (!owner) {
+      const owners = await Email.distinct('owner_id', bySender);
+      if (owners.length !== 1) {
+        if (owners.length > 1) console.warn(`[Replies] Not matching ${message.from} by address: emailed by ${owners.length} users`);
+        return null;
+      }
+      owner = owners[0];
+    }
+
+    const email = await Email.findOne({ ...bySender, owner_id: owner }).sort({ sent_at: -1 });
+    return email ? { email, matchedBy: 'sender' } : null;
+  }
+
+  /**
+   * Mark an email responded, save the reply and stop follow-ups to the contact
+   * @returns {Promise<Object|null>} - The updated email, or null if it already had this reply
+   */
+  async recordReply(email, reply) {
+    const updated = await Email.findOneAndUpdate(
+      { _id: email._id, 'reply.message_id': { $ne: reply.message_id } },
+      { status: 'responded', responded_at: reply.received_at, reply },
+      { new: true }
+    );
+    if (!updated) return null;
+
+    console.log(`[Replies] ${reply.from} replied to "${email.subject}" (matched by ${reply.matched_by})`);
+
+    if (this.sequencer) {
+      await this.sequencer.stopSequence(email._id, 'responded');
+      if (email.contact_id) {
+        await this.sequencer.stopForContact(email.contact_id, 'responded');
+      }
+    }
+
+    return updated;
+  }
+
+  /**
+   * Poller state for the status endpoint
+   * @param {string} ownerId - Include this user's own inboxes
+   */
+  getStatus(ownerId) {
+    const inboxes = [...this.inboxStates.entries()]
+      .filter(([, state]) => ownerId && state.ownerId && String(state.ownerId) === String(ownerId))
+      .map(([id, state]) => ({ id, addresses: state.addresses, last_poll_at: state.lastPollAt, last_error: state.lastError }));
+
+    return {
+      configured: this.isConfigured || inboxes.length > 0,
+      running: !!this.pollTimer,
+      mailbox: this.mailbox,
+      last_poll_at: this.lastPollAt,
+      last_error: this.lastError,
+      inboxes
+    };
+  }
+}
+
+/**
+ * ImapFlow client for an inbox's login
+ */
+function imapClient({ host, port, secure, user, pass }) {
+  return new ImapFlow({
+    host,
+    port: parseInt(port),
+    secure,
+    auth: { user, pass },
+    tls: { rejectUnauthorized: process.env.IMAP_TLS_REJECT_UNAUTHORIZED !== 'false' },
+    logger: false
+  });
+}
+
+export default ReplyPoller;
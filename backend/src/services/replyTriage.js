@@ -0,0 +1,143 @@
+/**
+ * Reply Triage - Classifies detected replies and acts on them
+ *
+ * - referral      - the referred person becomes a Contact (referred_by the replier)
+ * - unsubscribe   - the sender goes on the do-not-contact list
+ * - out_of_office - not a real response: the email goes back to sent and its
+ *                   follow-up sequence resumes after the return date
+ * Other intents are recorded for the user to follow up on.
+ */
+
+import { Email, Contact } from '../models/schemas.js';
+import { addBusinessDays } from './followUpSequencer.js';
+import { getCostLedger } from './costLedger.js';
+
+export class ReplyTriage {
+  /**
+   * @param {Object} options - Triage options
+   * @param {Object} options.classifier - ReplyClassifierService
+   * @param {Object} options.services - UserServices to classify each reply with its owner's classifier instead
+   * @param {Object} options.contactResolver - ContactResolver that referrals are resolved through
+   * @param {Object} options.suppressionList - SuppressionList that unsubscribes are added to
+   * @param {Object} options.sequencer - FollowUpSequencer resumed after out-of-office replies
+   * @param {Object} options.ledger - CostLedger each classification is recorded in
+   */
+  constructor({ classifier, services, contactResolver, suppressionList, sequencer, ledger }) {
+    this.classifier = classifier;
+    this.services = services || null;
+    this.contactResolver = contactResolver;
+    this.suppressionList = suppressionList;
+    this.sequencer = sequencer;
+    this.ledger = ledger || getCostLedger();
+  }
+
+  /**
+   * Classify an email's reply, save the result and act on it
+   * @param {string} emailId - Email with a reply
+   * @returns {Promise<Object>} - The saved classification
+   */
+  async triage(emailId) {
+    const email = await Email.findById(emailId);
+    if (!email?.reply?.message_id && !email?.reply?.text) {
+      throw new Error('Email has no reply to classify');
+    }
+
+    let result;
+    try {
+      const classifier = this.services ? (await this.services.forUser(email.owner_id)).replyClassifier : this.classifier;
+      ({ result } = await this.ledger.track({
+        ownerId: email.owner_id,
+        workflowId: email.workflow_id,
+        jobId: email.job_id,
+        contactId: email.contact_id,
+        category: 'reply_classification',
+        toolId: 'reply-classifier',
+        toolName: 'Reply Classifier',
+        provider: 'fireworks'
+      }, () => classifier.classify({ reply: email.reply, email }), classified => classified.metadata?.cost_usd || 0));
+    } catch (error) {
+      await Email.findByIdAndUpdate(email._id, { 'reply.classification.error': error.message });
+      throw error;
+    }
+    if (email.workflow_id && result.metadata?.cost_usd) {
+      await this.ledger.syncWorkflow(email.workflow_id);
+    }
+
+    const classification = {
+      intent: result.intent,
+      confidence: result.confidence,
+      summary: result.summary,
+      referral: result.referral,
+      return_date: result.return_date,
+      model: result.metadata?.model,
+      cost_usd: result.metadata?.cost_usd,
+      classified_at: new Date(),
+      error: null
+    };
+
+    if (result.intent === 'referral' && result.referral) {
+      classification.referral_contact_id = await this.addReferral(email, result.referral);
+    } else if (result.intent === 'unsubscribe') {
+      classification.suppression_id = await this.unsubscribe(email);
+    }
+
+    const update = { 'reply.classification': classification };
+    if (result.intent === 'out_of_office') {
+      update.status = 'sent';
+    }
+    await Email.findByIdAndUpdate(email._id, update);
+
+    if (result.intent === 'out_of_office') {
+      // Follow up the business day after they're back (or in a week, if they didn't say)
+      const resumeAt = addBusinessDays(result.return_date || new Date(), result.return_date ? 1 : 5);
+      await this.sequencer.resumeSequence(email._id, resumeAt);
+    }
+
+    return classification;
+  }
+
+  /**
+   * Create (or find) the contact a reply referred to
+   * @returns {Promise<Object|null>} - Contact ID
+   */
+  async addReferral(email, referral) {
+    const referrer = email.contact_id ? await Contact.findById(email.contact_id).select('name company') : null;
+
+    const { contact, isNew } = await this.contactResolver.resolve({
+      name: referral.name || referral.email,
+      email: referral.email,
+      title: referral.title,
+      company: referral.company || email.recipient_company || referrer?.company,
+      linkedin_url: referral.linkedin_url,
+      email_source: referral.email ? 'referral' : undefined,
+      source: 'referral',
+      referred_by: { contact_id: email.contact_id, email_id: email._id }
+    }, {
+      ownerId: email.owner_id,
+      workflowId: email.workflow_id,
+      jobId: email.job_id,
+      source: 'referral',
+      costUsd: 0
+    });
+
+    console.log(`[Replies] ${referrer?.name || email.reply.from} referred ${contact.name}${isNew ? ' (new contact)' : ''}`);
+    return contact._id;
+  }
+
+  /**
+   * Put an unsubscribing sender on the do-not-contact list
+   * @returns {Promise<Object>} - DoNotContact entry ID
+   */
+  async unsubscribe(email) {
+    const entry = await this.suppressionList.add({
+      type: 'email',
+      value: email.reply.from || email.recipient_email,
+      reason: 'asked to unsubscribe',
+      source: 'reply',
+      ownerId: email.owner_id
+    });
+    return entry._id;
+  }
+}
+
+export default ReplyTriage;
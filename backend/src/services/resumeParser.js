@@ -100,6 +100,15 @@ export class ResumeParserService {
     }
   }
 
+  /**
+   * Estimate the cost of parsing a resume before making the call
+   */
+  estimateCost(resumeText = '', { completionTokens = 1500 } = {}) {
+    const promptTokens = Math.ceil((this.buildSystemPrompt().length + resumeText.length) / 4);
+    const cost = (promptTokens * this.inputTokenCost) + (completionTokens * this.outputTokenCost);
+    return Math.round(cost * 1000000) / 1000000;
+  }
+
   /**
    * Build the system prompt for resume parsing
    */
@@ -321,5 +330,38 @@ Rules:
   }
 }
 
+/**
+ * Mock Resume Parser - pulls out contact details with regexes instead of calling Fireworks (no API key)
+ */
+export class MockResumeParserService extends ResumeParserService {
+  constructor() {
+    super(null);
+    this.model = 'mock-regex';
+    console.log('[ResumeParser] Using mock resume parser (Fireworks API key not configured)');
+  }
+
+  async parseResume(resumeText) {
+    const lines = (resumeText || '').split('\n').map(line => line.trim()).filter(Boolean);
+
+    const structured = this.postProcess({
+      name: lines[0] && lines[0].length < 60 && !lines[0].includes('@') ? lines[0] : null,
+      email: resumeText.match(/[^\s@]+@[^\s@]+\.[^\s@]+/)?.[0] || null,
+      phone: resumeText.match(/\+?\d[\d\s().-]{8,}\d/)?.[0] || null,
+      linkedin_url: resumeText.match(/(?:https?:\/\/)?(?:www\.)?linkedin\.com\/in\/[\w-]+/i)?.[0] || null
+    });
+
+    return {
+      success: true,
+      data: structured,
+      raw_text: resumeText,
+      metadata: { model: this.model, prompt_tokens: 0, completion_tokens: 0, cost_usd: 0 }
+    };
+  }
+
+  estimateCost() {
+    return 0;
+  }
+}
+
 export default ResumeParserService;
 
@@ -0,0 +1,74 @@
+/**
+ * Secrets - Encryption at rest for stored credentials (SMTP passwords, API keys)
+ *
+ * AES-256-GCM with a key derived from CREDENTIALS_ENCRYPTION_KEY. Stored
+ * values look like "enc:v1:<iv>:<auth tag>:<ciphertext>" (base64 parts), so
+ * a value that was never encrypted is easy to spot. Without the key,
+ * credentials can't be saved or read - they are never stored in plain text.
+ */
+
+import crypto from 'crypto';
+
+const PREFIX = 'enc:v1:';
+const KEY_SALT = 'introlink-credentials';
+
+let cachedKey = null;
+let cachedSecret = null;
+
+/**
+ * 32-byte key derived from the configured secret
+ * @throws {Error} - If CREDENTIALS_ENCRYPTION_KEY isn't set
+ */
+function encryptionKey() {
+  const secret = process.env.CREDENTIALS_ENCRYPTION_KEY;
+  if (!secret) {
+    throw new Error('CREDENTIALS_ENCRYPTION_KEY is not configured - it is required to store credentials');
+  }
+  if (secret !== cachedSecret) {
+    cachedKey = crypto.scryptSync(secret, KEY_SALT, 32);
+    cachedSecret = secret;
+  }
+  return cachedKey;
+}
+
+/**
+ * Whether credentials can be encrypted and decrypted
+ */
+export function isEncryptionConfigured() {
+  return !!process.env.CREDENTIALS_ENCRYPTION_KEY;
+}
+
+/**
+ * Encrypt a secret for storage
+ * @param {string} plaintext - Secret to encrypt
+ * @returns {string} - "enc:v1:..." value
+ */
+export function encryptSecret(plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return PREFIX + [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+}
+
+/**
+ * Decrypt a stored secret
+ * @param {string} stored - Value from encryptSecret
+ * @returns {string} - The plaintext
+ * @throws {Error} - If the value isn't encrypted, or the key is wrong
+ */
+export function decryptSecret(stored) {
+  if (typeof stored !== 'string' || !stored.startsWith(PREFIX)) {
+    throw new Error('Stored credential is not encrypted');
+  }
+
+  const [iv, tag, ciphertext] = stored.slice(PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  try {
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+  } catch {
+    throw new Error('Stored credential could not be decrypted - has CREDENTIALS_ENCRYPTION_KEY changed?');
+  }
+}
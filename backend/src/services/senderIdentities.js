@@ -0,0 +1,359 @@
+/**
+ * Sender Identities - SMTP mailboxes that outreach rotates across
+ *
+ * Each identity belongs to one user and is its own SMTP account with a from
+ * address, signature and daily send cap. New mailboxes can warm up: the cap
+ * starts low and rises each day until it reaches the daily cap. Drafts are
+ * assigned one of their owner's identities round-robin; at send time the
+ * assigned identity is used if it has room today, otherwise the least
+ * recently used identity that does. Follow-ups always go out from the
+ * mailbox that started the thread.
+ *
+ * An identity with an IMAP inbox is polled for replies and bounces like the
+ * server's own mailbox (see ReplyPoller). SMTP and IMAP passwords are
+ * encrypted at rest (see secrets.js) and never returned by the API.
+ */
+
+import nodemailer from 'nodemailer';
+import { SenderIdentity, Email } from '../models/schemas.js';
+import { encryptSecret, decryptSecret } from './secrets.js';
+import { ownedOnlyBy } from './auth.js';
+
+// Fields the API may set (smtp and imap are handled separately)
+const EDITABLE_FIELDS = ['name', 'from_name', 'from_email', 'reply_to', 'signature', 'daily_cap', 'active'];
+
+/**
+ * Today's date key (UTC)
+ */
+export function usageDate(now = new Date()) {
+  return now.toISOString().slice(0, 10);
+}
+
+/**
+ * Sends an identity may make today, after warm-up
+ * @param {Object} identity - SenderIdentity
+ * @param {Date} now - Current time
+ * @returns {number}
+ */
+export function effectiveCap(identity, now = new Date()) {
+  const dailyCap = identity.daily_cap ?? 50;
+  if (!identity.warmup?.enabled) return dailyCap;
+
+  const startedAt = identity.warmup.started_at || identity.created_at || now;
+  const days = Math.max(0, Math.floor((now - new Date(startedAt)) / (24 * 60 * 60 * 1000)));
+  return Math.min(dailyCap, (identity.warmup.start_cap ?? 5) + days * (identity.warmup.daily_increase ?? 5));
+}
+
+/**
+ * Identity safe to return from the API, with today's usage
+ */
+export function publicIdentity(identity, now = new Date()) {
+  const { smtp = {}, imap, usage, ...rest } = identity.toObject ? identity.toObject() : identity;
+  const sentToday = usage?.date === usageDate(now) ? usage.count : 0;
+  const cap = effectiveCap(identity, now);
+
+  return {
+    ...rest,
+    smtp: { host: smtp.host, port: smtp.port, secure: smtp.secure, user: smtp.user, has_password: !!smtp.pass_encrypted },
+    imap: imap?.host ? { host: imap.host, port: imap.port, secure: imap.secure, user: imap.user, has_password: !!imap.pass_encrypted } : null,
+    usage: { date: usageDate(now), sent: sentToday, cap, remaining: Math.max(0, cap - sentToday) }
+  };
+}
+
+export class SenderPool {
+  /**
+   * @param {Object} options - Pool options
+   * @param {Function} options.createTransport - nodemailer transport factory (replaceable for testing)
+   */
+  constructor(options = {}) {
+    this.createTransport = options.createTransport || nodemailer.createTransport.bind(nodemailer);
+
+    // identity id -> { updatedAt, transporter }
+    this.transports = new Map();
+  }
+
+  /**
+   * Whether a user has any identity set up to send
+   */
+  async hasIdentities(ownerId) {
+    return !!await SenderIdentity.exists({ ...ownedOnlyBy(ownerId), active: true });
+  }
+
+  async list(ownerId) {
+    const identities = await SenderIdentity.find(ownedOnlyBy(ownerId)).sort({ created_at: 1 });
+    return identities.map(identity => publicIdentity(identity));
+  }
+
+  async get(id, ownerId) {
+    const identity = await SenderIdentity.findOne({ _id: id, ...ownedOnlyBy(ownerId) });
+    if (!identity) {
+      throw new SenderIdentityError('Sender identity not found', 404);
+    }
+    return identity;
+  }
+
+  /**
+   * Add an identity
+   * @param {Object} data - { name, from_name, from_email, reply_to, signature, daily_cap, active,
+   *   smtp: { host, port, secure, user, pass }, imap: { host, port, secure, user, pass } (optional, login defaults to smtp's),
+   *   warmup: { enabled, start_cap, daily_increase } }
+   * @param {string} ownerId - User the identity belongs to
+   * @throws {SenderIdentityError} - If required fields are missing
+   */
+  async create(data = {}, ownerId) {
+    const { smtp = {} } = data;
+    if (!data.from_email || !smtp.host || !smtp.user || !smtp.pass) {
+      throw new SenderIdentityError('from_email and smtp.host, smtp.user and smtp.pass are required', 400);
+    }
+
+    const identity = new SenderIdentity({
+      ...this.pickEditable(data),
+      owner_id: ownerId,
+      smtp: {
+        host: smtp.host,
+        port: parseInt(smtp.port) || 587,
+        secure: smtp.secure,
+        user: smtp.user,
+        pass_encrypted: this.encrypt(smtp.pass)
+      },
+      ...(data.imap?.host ? { imap: this.imapFields(data.imap) } : {}),
+      warmup: data.warmup?.enabled ? { ...data.warmup, started_at: data.warmup.started_at || new Date() } : data.warmup
+    });
+    await identity.save();
+
+    console.log(`[Senders] Added sender identity ${identity.from_email}${identity.warmup?.enabled ? ' (warming up)' : ''}`);
+    return publicIdentity(identity);
+  }
+
+  /**
+   * Update an identity; the SMTP and IMAP passwords only change if given, and imap: null removes the inbox
+   * @throws {SenderIdentityError} - If the identity doesn't exist
+   */
+  async update(id, data = {}, ownerId) {
+    const identity = await this.get(id, ownerId);
+
+    Object.assign(identity, this.pickEditable(data));
+    if (data.smtp) {
+      for (const field of ['host', 'port', 'secure', 'user']) {
+        if (data.smtp[field] !== undefined) identity.smtp[field] = data.smtp[field];
+      }
+      if (data.smtp.pass) identity.smtp.pass_encrypted = this.encrypt(data.smtp.pass);
+    }
+    if (data.imap === null) {
+      identity.set('imap', undefined);
+    } else if (data.imap) {
+      for (const [field, value] of Object.entries(this.imapFields(data.imap))) {
+        identity.set(`imap.${field}`, value);
+      }
+    }
+    if (data.warmup) {
+      const startsNow = data.warmup.enabled && !identity.warmup?.enabled;
+      identity.warmup = {
+        ...(identity.warmup?.toObject?.() || {}),
+        ...data.warmup,
+        ...(startsNow && !data.warmup.started_at ? { started_at: new Date() } : {})
+      };
+    }
+    identity.updated_at = new Date();
+    await identity.save();
+
+    this.transports.delete(String(identity._id));
+    return publicIdentity(identity);
+  }
+
+  /**
+   * Remove an identity. Emails assigned to it are rotated to another identity when sent.
+   */
+  async remove(id, ownerId) {
+    const identity = await SenderIdentity.findOneAndDelete({ _id: id, ...ownedOnlyBy(ownerId) });
+    if (!identity) {
+      throw new SenderIdentityError('Sender identity not found', 404);
+    }
+
+    this.transports.delete(String(id));
+    await Email.updateMany(
+      { sender_identity_id: id, status: { $nin: ['sent', 'responded', 'bounced'] } },
+      { $unset: { sender_identity_id: 1 } }
+    );
+    return publicIdentity(identity);
+  }
+
+  /**
+   * Assign a draft to the user's next identity, round-robin
+   * @param {string} emailId - Email document ID
+   * @param {string} ownerId - User the email belongs to
+   * @returns {Promise<Object|null>} - The identity, or null if there are none
+   */
+  async assign(emailId, ownerId) {
+    const identity = await SenderIdentity.findOneAndUpdate(
+      { ...ownedOnlyBy(ownerId), active: true },
+      { last_assigned_at: new Date() },
+      { sort: { last_assigned_at: 1, created_at: 1 }, new: true }
+    );
+    if (!identity) return null;
+
+    await Email.findByIdAndUpdate(emailId, { sender_identity_id: identity._id });
+    return identity;
+  }
+
+  /**
+   * Claim one of today's sends for an identity, if it's under its cap
+   * @returns {Promise<Object|null>} - The identity, or null if it's capped or inactive
+   */
+  async reserve(identity, now = new Date()) {
+    const today = usageDate(now);
+
+    // Start a new day's count
+    await SenderIdentity.updateOne(
+      { _id: identity._id, 'usage.date': { $ne: today } },
+      { usage: { date: today, count: 0 } }
+    );
+
+    return SenderIdentity.findOneAndUpdate(
+      { _id: identity._id, active: true, 'usage.date': today, 'usage.count': { $lt: effectiveCap(identity, now) } },
+      { $inc: { 'usage.count': 1 }, last_used_at: now },
+      { new: true }
+    );
+  }
+
+  /**
+   * Give back a send claimed by reserve() that didn't go out
+   */
+  async release(identityId) {
+    await SenderIdentity.updateOne(
+      { _id: identityId, 'usage.date': usageDate(), 'usage.count': { $gt: 0 } },
+      { $inc: { 'usage.count': -1 } }
+    );
+  }
+
+  /**
+   * Pick the identity to send from and claim a send on it
+   * @param {Object} options - { preferredId: the email's assigned identity, strict: only that identity (follow-ups),
+   *   ownerId: only this user's identities }
+   * @returns {Promise<Object|null>} - The identity, or null if every candidate is at its cap today
+   */
+  async pick({ preferredId, strict = false, ownerId } = {}) {
+    if (preferredId) {
+      const preferred = await SenderIdentity.findOne({ _id: preferredId, ...ownedOnlyBy(ownerId) });
+      if (preferred?.active) {
+        const reserved = await this.reserve(preferred);
+        if (reserved || strict) return reserved;
+      }
+    }
+
+    // Least recently used first, so sends spread across mailboxes
+    const candidates = await SenderIdentity.find({ ...ownedOnlyBy(ownerId), active: true, ...(preferredId ? { _id: { $ne: preferredId } } : {}) })
+      .sort({ last_used_at: 1, created_at: 1 });
+    for (const candidate of candidates) {
+      const reserved = await this.reserve(candidate);
+      if (reserved) return reserved;
+    }
+    return null;
+  }
+
+  /**
+   * nodemailer transport for an identity, cached until the identity changes
+   */
+  transport(identity) {
+    const id = String(identity._id);
+    const updatedAt = identity.updated_at?.getTime?.() || 0;
+    const cached = this.transports.get(id);
+    if (cached && cached.updatedAt === updatedAt) {
+      return cached.transporter;
+    }
+
+    const port = identity.smtp.port || 587;
+    const transporter = this.createTransport({
+      host: identity.smtp.host,
+      port,
+      secure: identity.smtp.secure ?? port === 465,
+      auth: {
+        user: identity.smtp.user,
+        pass: decryptSecret(identity.smtp.pass_encrypted)
+      }
+    });
+    this.transports.set(id, { updatedAt, transporter });
+    return transporter;
+  }
+
+  /**
+   * Check an identity's SMTP login
+   * @returns {Promise<Object>} - { success, error }
+   */
+  async verify(id, ownerId) {
+    const identity = await this.get(id, ownerId);
+    try {
+      await this.transport(identity).verify();
+      return { success: true, message: `Connected to ${identity.smtp.host} as ${identity.smtp.user}` };
+    } catch (error) {
+      return { success: false, error: `SMTP verification failed: ${error.message}` };
+    }
+  }
+
+  /**
+   * Every identity's IMAP inbox, for the ReplyPoller
+   * Identities whose passwords can't be decrypted are skipped.
+   * @returns {Promise<Object[]>} - [{ id, ownerId, host, port, secure, user, pass, addresses }]
+   */
+  async replyInboxes() {
+    const identities = await SenderIdentity.find({ 'imap.host': { $type: 'string', $ne: '' } });
+    const inboxes = [];
+
+    for (const identity of identities) {
+      try {
+        const port = identity.imap.port || 993;
+        inboxes.push({
+          id: `identity:${identity._id}`,
+          ownerId: identity.owner_id,
+          host: identity.imap.host,
+          port,
+          secure: identity.imap.secure ?? port === 993,
+          user: identity.imap.user || identity.smtp.user,
+          pass: decryptSecret(identity.imap.pass_encrypted || identity.smtp.pass_encrypted),
+          addresses: [identity.from_email, identity.smtp.user, identity.reply_to]
+        });
+      } catch (error) {
+        console.warn(`[Senders] Skipping inbox of ${identity.from_email}: ${error.message}`);
+      }
+    }
+    return inboxes;
+  }
+
+  /**
+   * Stored form of an identity's imap settings (the password encrypted)
+   */
+  imapFields({ host, port, secure, user, pass }) {
+    const fields = {};
+    if (host !== undefined) fields.host = host;
+    if (port !== undefined) fields.port = parseInt(port) || 993;
+    if (secure !== undefined) fields.secure = secure;
+    if (user !== undefined) fields.user = user;
+    if (pass) fields.pass_encrypted = this.encrypt(pass);
+    return fields;
+  }
+
+  pickEditable(data) {
+    return Object.fromEntries(EDITABLE_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]]));
+  }
+
+  encrypt(pass) {
+    try {
+      return encryptSecret(pass);
+    } catch (error) {
+      throw new SenderIdentityError(error.message, 400);
+    }
+  }
+}
+
+/**
+ * Sender identity request that can't be carried out, with the HTTP status to respond with
+ */
+export class SenderIdentityError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'SenderIdentityError';
+    this.statusCode = statusCode;
+  }
+}
+
+export default SenderPool;
@@ -0,0 +1,224 @@
+/**
+ * Suppression List - Do-not-contact registry for outreach
+ *
+ * Entries block outreach by:
+ * - email    - one address
+ * - domain   - every address at a domain (and its subdomains)
+ * - linkedin - one LinkedIn profile
+ * - company  - everyone at a company, e.g. the user's current employer
+ *
+ * Each user has their own list (owner_id). The orchestrator checks contacts
+ * before enriching and drafting, and EmailSenderService checks recipients
+ * again right before sending.
+ */
+
+import { DoNotContact, Email } from '../models/schemas.js';
+import { linkedInKey } from './contactResolver.js';
+import { ownedOnlyBy } from './auth.js';
+
+export const SUPPRESSION_TYPES = ['email', 'domain', 'linkedin', 'company'];
+
+// Email statuses that mean a contact was already reached
+const CONTACTED_STATUSES = ['sent', 'responded'];
+
+/**
+ * Normalized matching key for an entry value
+ * @param {string} type - Entry type
+ * @param {string} value - Value as entered
+ * @returns {string|null}
+ */
+export function suppressionKey(type, value) {
+  if (!value || typeof value !== 'string') return null;
+  const trimmed = value.trim();
+
+  switch (type) {
+    case 'email':
+      return trimmed.toLowerCase() || null;
+    case 'domain':
+      return trimmed.toLowerCase()
+        .replace(/^.*@/, '')
+        .replace(/^https?:\/\//, '')
+        .replace(/^www\./, '')
+        .split(/[/?#]/)[0] || null;
+    case 'linkedin':
+      return linkedInKey(trimmed);
+    case 'company':
+      return trimmed.toLowerCase()
+        .replace(/\b(inc|llc|ltd|corp|corporation|co|gmbh)\b\.?/g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim() || null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Domain of an email address and its parent domains (mail.acme.com -> mail.acme.com, acme.com)
+ */
+function emailDomains(email) {
+  const domain = suppressionKey('domain', email);
+  if (!domain) return [];
+
+  const parts = domain.split('.');
+  const domains = [];
+  for (let i = 0; i < parts.length - 1; i++) {
+    domains.push(parts.slice(i).join('.'));
+  }
+  return domains;
+}
+
+export class SuppressionList {
+  /**
+   * Add an entry (re-adding an existing one updates its reason)
+   * @param {Object} entry - { type, value, reason, source, ownerId }
+   * @returns {Promise<Object>} - DoNotContact document
+   * @throws {SuppressionError} - If the type or value is invalid
+   */
+  async add({ type, value, reason, source = 'manual', ownerId }) {
+    if (!SUPPRESSION_TYPES.includes(type)) {
+      throw new SuppressionError(`type must be one of: ${SUPPRESSION_TYPES.join(', ')}`, 400);
+    }
+
+    const key = suppressionKey(type, value);
+    if (!key) {
+      throw new SuppressionError(`A valid ${type} value is required`, 400);
+    }
+
+    const entry = await DoNotContact.findOneAndUpdate(
+      { owner_id: ownerId, type, key },
+      {
+        $set: { value: value.trim(), reason, source, updated_at: new Date() },
+        $setOnInsert: { created_at: new Date() }
+      },
+      { new: true, upsert: true }
+    );
+
+    console.log(`[Suppression] Added ${type}: ${key}${reason ? ` (${reason})` : ''}`);
+    return entry;
+  }
+
+  /**
+   * Update an entry's value or reason
+   * @throws {SuppressionError} - If the entry doesn't exist or the value is invalid
+   */
+  async update(id, { value, reason }, ownerId) {
+    const entry = await DoNotContact.findOne({ _id: id, ...ownedOnlyBy(ownerId) });
+    if (!entry) {
+      throw new SuppressionError('Do-not-contact entry not found', 404);
+    }
+
+    if (value !== undefined) {
+      const key = suppressionKey(entry.type, value);
+      if (!key) {
+        throw new SuppressionError(`A valid ${entry.type} value is required`, 400);
+      }
+      entry.value = value.trim();
+      entry.key = key;
+    }
+    if (reason !== undefined) entry.reason = reason;
+    entry.updated_at = new Date();
+
+    return entry.save();
+  }
+
+  /**
+   * Remove an entry
+   * @returns {Promise<Object|null>} - The removed entry
+   */
+  async remove(id, ownerId) {
+    const entry = await DoNotContact.findOneAndDelete({ _id: id, ...ownedOnlyBy(ownerId) });
+    if (entry) {
+      console.log(`[Suppression] Removed ${entry.type}: ${entry.key}`);
+    }
+    return entry;
+  }
+
+  /**
+   * List entries, newest first
+   * @param {Object} filter - { type, search, ownerId }
+   */
+  async list({ type, search, ownerId } = {}) {
+    const query = ownedOnlyBy(ownerId);
+    if (type) query.type = type;
+    if (search) query.value = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    return DoNotContact.find(query).sort({ created_at: -1 });
+  }
+
+  /**
+   * Find the entry that blocks a recipient, if any
+   * @param {Object} target - { email, linkedinUrl, company, ownerId (whose list to check; without one, only entries with no owner) }
+   * @returns {Promise<Object>} - { suppressed, entry, reason }
+   */
+  async check({ email, linkedinUrl, company, ownerId }) {
+    const conditions = [];
+
+    const emailKey = suppressionKey('email', email);
+    if (emailKey) {
+      conditions.push({ type: 'email', key: emailKey });
+      conditions.push({ type: 'domain', key: { $in: emailDomains(emailKey) } });
+    }
+
+    const profileKey = suppressionKey('linkedin', linkedinUrl);
+    if (profileKey) conditions.push({ type: 'linkedin', key: profileKey });
+
+    const companyKey = suppressionKey('company', company);
+    if (companyKey) conditions.push({ type: 'company', key: companyKey });
+
+    if (conditions.length === 0) {
+      return { suppressed: false, entry: null, reason: null };
+    }
+
+    const entry = await DoNotContact.findOne({ ...ownedOnlyBy(ownerId), $or: conditions });
+    if (!entry) {
+      return { suppressed: false, entry: null, reason: null };
+    }
+
+    return {
+      suppressed: true,
+      entry,
+      reason: `on the do-not-contact list (${entry.type}: ${entry.value}${entry.reason ? ` - ${entry.reason}` : ''})`
+    };
+  }
+
+  /**
+   * Whether outreach to a contact should be skipped
+   * @param {Object} contact - Contact document (checked against its owner's list)
+   * @param {Object} options - { skipContacted: also skip contacts already emailed in any workflow }
+   * @returns {Promise<Object>} - { suppressed, entry, reason }
+   */
+  async checkContact(contact, options = {}) {
+    const result = await this.check({
+      email: contact.email,
+      linkedinUrl: contact.linkedin_url,
+      company: contact.company,
+      ownerId: contact.owner_id
+    });
+    if (result.suppressed || !options.skipContacted || !contact._id) {
+      return result;
+    }
+
+    const previous = await Email.findOne({ contact_id: contact._id, status: { $in: CONTACTED_STATUSES } });
+    if (previous) {
+      return {
+        suppressed: true,
+        entry: null,
+        reason: `already emailed${previous.sent_at ? ` on ${previous.sent_at.toISOString().slice(0, 10)}` : ''}`
+      };
+    }
+
+    return result;
+  }
+}
+
+/**
+ * Invalid suppression request, with the HTTP status to respond with
+ */
+export class SuppressionError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'SuppressionError';
+    this.statusCode = statusCode;
+  }
+}
+
+export default SuppressionList;
@@ -0,0 +1,221 @@
+/**
+ * Time Zones - Infer a recipient's time zone from a location string and find
+ * the next moment inside their business hours
+ *
+ * Locations come from LinkedIn-style text ("San Francisco, CA",
+ * "London, England, United Kingdom", "Bengaluru, Karnataka, India"), so
+ * inference is keyword based: city first, then US state, then country.
+ */
+
+// Cities and metro areas (matched as whole words, lowercase)
+const CITY_ZONES = {
+  'san francisco': 'America/Los_Angeles',
+  'bay area': 'America/Los_Angeles',
+  'silicon valley': 'America/Los_Angeles',
+  'san jose': 'America/Los_Angeles',
+  'palo alto': 'America/Los_Angeles',
+  'mountain view': 'America/Los_Angeles',
+  'menlo park': 'America/Los_Angeles',
+  'sunnyvale': 'America/Los_Angeles',
+  'oakland': 'America/Los_Angeles',
+  'los angeles': 'America/Los_Angeles',
+  'san diego': 'America/Los_Angeles',
+  'seattle': 'America/Los_Angeles',
+  'bellevue': 'America/Los_Angeles',
+  'redmond': 'America/Los_Angeles',
+  'vancouver': 'America/Vancouver',
+  'phoenix': 'America/Phoenix',
+  'denver': 'America/Denver',
+  'boulder': 'America/Denver',
+  'salt lake city': 'America/Denver',
+  'austin': 'America/Chicago',
+  'dallas': 'America/Chicago',
+  'houston': 'America/Chicago',
+  'chicago': 'America/Chicago',
+  'minneapolis': 'America/Chicago',
+  'nashville': 'America/Chicago',
+  'new york': 'America/New_York',
+  'nyc': 'America/New_York',
+  'brooklyn': 'America/New_York',
+  'boston': 'America/New_York',
+  'cambridge, ma': 'America/New_York',
+  'washington, dc': 'America/New_York',
+  'philadelphia': 'America/New_York',
+  'atlanta': 'America/New_York',
+  'miami': 'America/New_York',
+  'raleigh': 'America/New_York',
+  'pittsburgh': 'America/New_York',
+  'toronto': 'America/Toronto',
+  'montreal': 'America/Toronto',
+  'mexico city': 'America/Mexico_City',
+  'sao paulo': 'America/Sao_Paulo',
+  'london': 'Europe/London',
+  'dublin': 'Europe/Dublin',
+  'paris': 'Europe/Paris',
+  'berlin': 'Europe/Berlin',
+  'munich': 'Europe/Berlin',
+  'amsterdam': 'Europe/Amsterdam',
+  'madrid': 'Europe/Madrid',
+  'barcelona': 'Europe/Madrid',
+  'lisbon': 'Europe/Lisbon',
+  'zurich': 'Europe/Zurich',
+  'stockholm': 'Europe/Stockholm',
+  'warsaw': 'Europe/Warsaw',
+  'tel aviv': 'Asia/Jerusalem',
+  'dubai': 'Asia/Dubai',
+  'bangalore': 'Asia/Kolkata',
+  'bengaluru': 'Asia/Kolkata',
+  'mumbai': 'Asia/Kolkata',
+  'hyderabad': 'Asia/Kolkata',
+  'pune': 'Asia/Kolkata',
+  'delhi': 'Asia/Kolkata',
+  'singapore': 'Asia/Singapore',
+  'hong kong': 'Asia/Hong_Kong',
+  'tokyo': 'Asia/Tokyo',
+  'seoul': 'Asia/Seoul',
+  'sydney': 'Australia/Sydney',
+  'melbourne': 'Australia/Melbourne',
+  'auckland': 'Pacific/Auckland'
+};
+
+// US state codes, used when the city isn't known ("Springfield, IL")
+const US_STATE_ZONES = {
+  'America/Los_Angeles': ['ca', 'wa', 'or', 'nv'],
+  'America/Phoenix': ['az'],
+  'America/Denver': ['co', 'ut', 'nm', 'mt', 'id', 'wy'],
+  'America/Chicago': ['tx', 'il', 'mn', 'wi', 'mo', 'ia', 'la', 'ok', 'ks', 'ne', 'tn', 'al', 'ms', 'ar', 'nd', 'sd'],
+  'America/New_York': ['ny', 'ma', 'nj', 'pa', 'ga', 'fl', 'nc', 'sc', 'va', 'dc', 'md', 'oh', 'mi', 'ct', 'ri', 'nh', 'vt', 'me', 'de', 'wv', 'in', 'ky'],
+  'Pacific/Honolulu': ['hi'],
+  'America/Anchorage': ['ak']
+};
+
+const COUNTRY_ZONES = {
+  'united kingdom': 'Europe/London',
+  'england': 'Europe/London',
+  'scotland': 'Europe/London',
+  'uk': 'Europe/London',
+  'ireland': 'Europe/Dublin',
+  'france': 'Europe/Paris',
+  'germany': 'Europe/Berlin',
+  'netherlands': 'Europe/Amsterdam',
+  'spain': 'Europe/Madrid',
+  'portugal': 'Europe/Lisbon',
+  'switzerland': 'Europe/Zurich',
+  'sweden': 'Europe/Stockholm',
+  'poland': 'Europe/Warsaw',
+  'israel': 'Asia/Jerusalem',
+  'united arab emirates': 'Asia/Dubai',
+  'india': 'Asia/Kolkata',
+  'singapore': 'Asia/Singapore',
+  'japan': 'Asia/Tokyo',
+  'south korea': 'Asia/Seoul',
+  'australia': 'Australia/Sydney',
+  'new zealand': 'Pacific/Auckland',
+  'canada': 'America/Toronto',
+  'mexico': 'America/Mexico_City',
+  'brazil': 'America/Sao_Paulo'
+};
+
+/**
+ * Best-guess IANA time zone for a location string
+ * @param {string} location - e.g. "Austin, TX" or "Remote"
+ * @returns {string|null} - e.g. "America/Chicago", or null if it can't be inferred
+ */
+export function inferTimeZone(location) {
+  if (!location || typeof location !== 'string') return null;
+  const text = location.toLowerCase();
+
+  for (const [city, zone] of Object.entries(CITY_ZONES)) {
+    if (containsWord(text, city)) return zone;
+  }
+
+  // State codes only count as a trailing ", XX" part, so "in" or "me" inside words don't match
+  const parts = text.split(',').map(part => part.trim());
+  for (const part of parts.slice(1)) {
+    for (const [zone, states] of Object.entries(US_STATE_ZONES)) {
+      if (states.includes(part)) return zone;
+    }
+  }
+
+  for (const [country, zone] of Object.entries(COUNTRY_ZONES)) {
+    if (containsWord(text, country)) return zone;
+  }
+
+  return null;
+}
+
+/**
+ * Whether a time zone name is valid for Intl
+ */
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * The earliest time at or after `date` that falls on a weekday within business hours in `timeZone`
+ * @param {Date} date - Earliest acceptable time
+ * @param {string} timeZone - IANA time zone
+ * @param {Object} hours - { start, end } local hours, e.g. { start: 9, end: 17 }
+ * @returns {Date}
+ */
+export function nextBusinessTime(date, timeZone, hours = {}) {
+  const { start = 9, end = 17 } = hours;
+
+  // Work in the recipient's wall-clock time (held in the UTC fields of a Date)
+  const offset = timeZoneOffsetMs(date, timeZone);
+  const wall = new Date(date.getTime() + offset);
+
+  for (let i = 0; i < 8; i++) {
+    const day = wall.getUTCDay();
+    const hour = wall.getUTCHours() + wall.getUTCMinutes() / 60;
+
+    if (day !== 0 && day !== 6) {
+      if (hour < start) {
+        wall.setUTCHours(start, 0, 0, 0);
+        break;
+      }
+      if (hour < end) break;
+    }
+
+    wall.setUTCDate(wall.getUTCDate() + 1);
+    wall.setUTCHours(start, 0, 0, 0);
+  }
+
+  if (wall.getTime() === date.getTime() + offset) {
+    return date;
+  }
+
+  // Convert back, using the offset at the target time in case DST changed in between
+  const estimate = new Date(wall.getTime() - offset);
+  return new Date(wall.getTime() - timeZoneOffsetMs(estimate, timeZone));
+}
+
+/**
+ * Offset of a time zone from UTC at a given instant, in milliseconds
+ */
+function timeZoneOffsetMs(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }).formatToParts(date).map(part => [part.type, part.value])
+  );
+
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+function containsWord(text, phrase) {
+  return new RegExp(`(^|[^a-z])${phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}($|[^a-z])`).test(text);
+}
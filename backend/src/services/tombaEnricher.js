@@ -16,7 +16,49 @@ export class TombaEnricher {
     this.apiKey = apiKey;
     this.apiSecret = apiSecret;
     this.baseUrl = 'https://api.tomba.io/v1';
+    this.name = 'Tomba Email Finder';
+    this.type = 'email_lookup';
     this.providerName = 'tomba-enricher';
+
+    // Pricing model (per lookup)
+    this.basePriceUsd = 0.01;
+    this.avgLatencyMs = 1500;
+    this.reliabilityScore = 0.9;
+    this.capabilities = ['linkedin_email_lookup', 'name_domain_email_lookup', 'email_verification'];
+  }
+
+  /**
+   * Get a quote for an email lookup
+   */
+  async getQuote(params = {}) {
+    return {
+      tool_id: 'tomba-email-lookup',
+      tool_name: this.name,
+      provider: this.providerName,
+      price_usd: this.basePriceUsd,
+      latency_estimate_ms: this.avgLatencyMs,
+      reliability_score: this.reliabilityScore,
+      capabilities: this.capabilities,
+      params_received: params
+    };
+  }
+
+  /**
+   * Execute an email lookup
+   * @param {Object} params - { linkedinUrl } or { firstName, lastName, domain }
+   */
+  async execute(params) {
+    if (params.linkedinUrl) {
+      return this.findEmailByLinkedIn(params.linkedinUrl);
+    }
+    return this.findEmailByNameDomain(params.firstName, params.lastName, params.domain);
+  }
+
+  /**
+   * Report whether the provider can take requests
+   */
+  async health() {
+    return { provider: this.providerName, configured: true, status: 'ok' };
   }
 
   /**
@@ -78,17 +120,18 @@ export class TombaEnricher {
       
       console.error(`[Tomba] Error looking up ${normalizedUrl}:`, errorMessage);
       
-      // Handle specific error codes
+      // Handle specific error codes (provider_error marks failures of Tomba itself, not a missing email)
       if (statusCode === 404) {
         return { success: false, error: 'LinkedIn profile not found or no email available' };
       } else if (statusCode === 401) {
-        return { success: false, error: 'Invalid Tomba API credentials' };
+        return { success: false, provider_error: true, error: 'Invalid Tomba API credentials' };
       } else if (statusCode === 429) {
-        return { success: false, error: 'Rate limit exceeded. Please try again later.' };
+        return { success: false, provider_error: true, rate_limited: true, error: 'Rate limit exceeded. Please try again later.' };
       }
       
       return { 
         success: false, 
+        provider_error: true,
         error: `Email lookup failed: ${errorMessage}` 
       };
     }
@@ -140,9 +183,19 @@ export class TombaEnricher {
       return { success: false, error: 'No email found' };
 
     } catch (error) {
+      const statusCode = error.response?.status;
       const errorMessage = error.response?.data?.errors?.[0]?.message || error.message;
       console.error(`[Tomba] Error:`, errorMessage);
-      return { success: false, error: `Email lookup failed: ${errorMessage}` };
+
+      if (statusCode === 404) {
+        return { success: false, error: 'No email found' };
+      }
+      return {
+        success: false,
+        provider_error: true,
+        rate_limited: statusCode === 429,
+        error: `Email lookup failed: ${errorMessage}`
+      };
     }
   }
 
@@ -248,6 +301,13 @@ export class TombaEnricher {
    * Normalize LinkedIn URL to standard format
    */
   normalizeLinkedInUrl(url) {
+    return TombaEnricher.normalizeLinkedInUrl(url);
+  }
+
+  /**
+   * Normalize LinkedIn URL to standard format (usable without Tomba credentials)
+   */
+  static normalizeLinkedInUrl(url) {
     if (!url) return url;
     
     // Remove trailing slash
@@ -270,7 +330,41 @@ export class TombaEnricher {
  */
 export class MockTombaEnricher {
   constructor() {
+    this.name = 'Tomba Email Finder (Mock)';
+    this.type = 'email_lookup';
     this.providerName = 'tomba-enricher-mock';
+    this.basePriceUsd = 100.00; // High price so real provider is preferred
+    this.avgLatencyMs = 100;
+    this.reliabilityScore = 0.99;
+    this.capabilities = ['linkedin_email_lookup', 'name_domain_email_lookup', 'email_verification'];
+  }
+
+  async getQuote(params = {}) {
+    return {
+      tool_id: 'tomba-email-lookup-mock',
+      tool_name: this.name,
+      provider: this.providerName,
+      price_usd: this.basePriceUsd,
+      latency_estimate_ms: this.avgLatencyMs,
+      reliability_score: this.reliabilityScore,
+      capabilities: this.capabilities,
+      params_received: params
+    };
+  }
+
+  async execute(params) {
+    if (params.linkedinUrl) {
+      return this.findEmailByLinkedIn(params.linkedinUrl);
+    }
+    return this.findEmailByNameDomain(params.firstName, params.lastName, params.domain);
+  }
+
+  async health() {
+    return { provider: this.providerName, configured: true, status: 'ok' };
+  }
+
+  normalizeLinkedInUrl(url) {
+    return TombaEnricher.normalizeLinkedInUrl(url);
   }
 
   async findEmailByLinkedIn(linkedinUrl) {
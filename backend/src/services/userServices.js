@@ -0,0 +1,180 @@
+/**
+ * User Services - The providers, drafters and sender one user's requests and workflows run with
+ *
+ * Each user brings their own provider keys (see credentialVault.js), so the
+ * tools that spend money are built per user from their credentials: a
+ * ProviderRegistry over their keys for job search, people search, email
+ * lookup and enrichment, the Fireworks drafters, parser and classifier, and
+ * an EmailSenderService on their SMTP login or sender identities. Anything a
+ * user has no key for falls back to its mock.
+ *
+ * The server's own keys in .env are only used when SHARED_CREDENTIALS_ENABLED
+ * is on (e.g. a single-user install); they then fill in for keys the user
+ * hasn't set.
+ *
+ * Bundles are cached per user and rebuilt when their credentials or sender
+ * identities change.
+ */
+
+import { ProviderRegistry } from './providerRegistry.js';
+import { CredentialVault, CREDENTIAL_ENV_KEYS } from './credentialVault.js';
+import { ResumeParserService, MockResumeParserService } from './resumeParser.js';
+import { EmailDrafterService, MockEmailDrafterService } from './emailDrafter.js';
+import { LinkedInDrafterService, MockLinkedInDrafterService } from './linkedinDrafter.js';
+import { ReplyClassifierService, MockReplyClassifierService } from './replyClassifier.js';
+import { EmailSenderService, MockEmailSenderService } from './emailSender.js';
+import { EmailVerifier } from './emailVerifier.js';
+import { SuppressionList } from './suppressionList.js';
+
+export class UserServices {
+  /**
+   * @param {Object} options - Options
+   * @param {CredentialVault} options.vault - Where users' credentials are stored
+   * @param {boolean} options.sharedCredentials - Fill in missing keys from the server's env
+   *   (default: SHARED_CREDENTIALS_ENABLED, off)
+   */
+  constructor(options = {}) {
+    this.vault = options.vault || new CredentialVault();
+    this.sharedCredentials = options.sharedCredentials ?? process.env.SHARED_CREDENTIALS_ENABLED === 'true';
+
+    // Passed to every email sender (see configure)
+    this.suppressionList = new SuppressionList();
+    this.bounceHandler = null;
+    this.tracker = null;
+    this.identities = null;
+    this.workspaces = null;
+    this.audit = null;
+
+    // owner id -> { stamp, services }
+    this.cache = new Map();
+  }
+
+  /**
+   * Set what every user's email sender shares: the do-not-contact list, bounce handling,
+   * open/click tracking, the sender identity pool, workspace claims and the audit log
+   * @param {Object} options - { suppressionList, bounceHandler, tracker, identities, workspaces, audit }
+   */
+  configure({ suppressionList, bounceHandler, tracker, identities, workspaces, audit } = {}) {
+    if (suppressionList) this.suppressionList = suppressionList;
+    if (bounceHandler) this.bounceHandler = bounceHandler;
+    if (tracker) this.tracker = tracker;
+    if (identities) this.identities = identities;
+    if (workspaces) this.workspaces = workspaces;
+    if (audit) this.audit = audit;
+    this.cache.clear();
+  }
+
+  /**
+   * The services a user's requests and workflows run with
+   * @param {string} ownerId - User (omit for data saved before accounts existed)
+   * @returns {Promise<Object>} - { providers, jobFinder, peopleFinder, personEnricher, emailEnricher, jobSearchChain,
+   *   peopleSearchChain, emailLookupChain, emailVerifier, resumeParser, emailDrafter, linkedinDrafter,
+   *   replyClassifier, emailSender }
+   */
+  async forUser(ownerId) {
+    const key = ownerId ? String(ownerId) : 'none';
+    const [version, hasIdentities] = await Promise.all([
+      this.vault.version(ownerId),
+      this.identities && ownerId ? this.identities.hasIdentities(ownerId) : false
+    ]);
+    const stamp = `${version}|${hasIdentities}`;
+
+    const cached = this.cache.get(key);
+    if (cached && cached.stamp === stamp) {
+      return cached.services;
+    }
+
+    const services = this.build(await this.env(ownerId), { hasIdentities });
+    this.cache.set(key, { stamp, services });
+    console.log(`[Services] Built services for user ${key}: ${services.emailLookupChain.providerIds.join(' -> ')}` +
+      `${services.emailDrafter instanceof MockEmailDrafterService ? ', mock drafters' : ''}` +
+      `${services.emailSender instanceof MockEmailSenderService ? ', mock sender' : ''}`);
+    return services;
+  }
+
+  /**
+   * Every user's inboxes to check for replies and bounces: their SMTP login's and their sender identities'
+   * (where IMAP is set up) - see ReplyPoller
+   * @returns {Promise<Object[]>} - [{ id, ownerId, host, port, secure, user, pass, addresses }]
+   */
+  async replyInboxes() {
+    const [logins, identities] = await Promise.all([
+      this.vault.replyInboxes(),
+      this.identities ? this.identities.replyInboxes() : []
+    ]);
+    return [...logins, ...identities];
+  }
+
+  /**
+   * Env a user's services are built from: the server's settings with the user's credentials in place of its keys
+   */
+  async env(ownerId) {
+    const base = this.sharedCredentials
+      ? { ...process.env }
+      : Object.fromEntries(Object.entries(process.env).filter(([name]) => !CREDENTIAL_ENV_KEYS.includes(name)));
+    return { ...base, ...await this.vault.env(ownerId) };
+  }
+
+  /**
+   * Build a set of services from an env
+   * @param {Object} env - Credentials and settings
+   * @param {Object} options - { hasIdentities: the user has sender identities to send from }
+   */
+  build(env, { hasIdentities = false } = {}) {
+    const providers = new ProviderRegistry(env);
+    const emailEnricher = providers.get('email_lookup');
+    const emailVerifier = new EmailVerifier({ verifier: emailEnricher });
+
+    const fireworksKey = env.FIREWORKS_API_KEY;
+    const senderOptions = {
+      suppressionList: this.suppressionList,
+      bounceHandler: this.bounceHandler,
+      verifier: emailVerifier,
+      workspaces: this.workspaces,
+      audit: this.audit
+    };
+    const smtpConfigured = !!(env.SMTP_HOST && env.SMTP_USER && env.SMTP_PASS);
+
+    return {
+      providers,
+      jobFinder: providers.get('job_search'),
+      peopleFinder: providers.get('people_search'),
+      personEnricher: providers.get('person_enrichment'),
+      emailEnricher,
+      jobSearchChain: providers.chain('job_search'),
+      peopleSearchChain: providers.chain('people_search'),
+      emailLookupChain: providers.chain('email_lookup'),
+      emailVerifier,
+      resumeParser: fireworksKey ? new ResumeParserService(fireworksKey) : new MockResumeParserService(),
+      emailDrafter: fireworksKey ? new EmailDrafterService(fireworksKey) : new MockEmailDrafterService(),
+      linkedinDrafter: fireworksKey ? new LinkedInDrafterService(fireworksKey) : new MockLinkedInDrafterService(),
+      replyClassifier: fireworksKey ? new ReplyClassifierService(fireworksKey) : new MockReplyClassifierService(),
+      // null rather than undefined, so the sender doesn't fall back to the server's SMTP settings
+      emailSender: smtpConfigured || hasIdentities
+        ? new EmailSenderService({
+          ...senderOptions,
+          host: env.SMTP_HOST || null,
+          port: env.SMTP_PORT || 587,
+          user: env.SMTP_USER || null,
+          pass: env.SMTP_PASS || null,
+          fromName: env.SMTP_FROM_NAME || 'IntroLink',
+          fromEmail: env.SMTP_FROM_EMAIL || env.SMTP_USER || null,
+          tracker: this.tracker,
+          identities: this.identities
+        })
+        : new MockEmailSenderService(senderOptions)
+    };
+  }
+}
+
+// Singleton instance
+let servicesInstance = null;
+
+export function getUserServices() {
+  if (!servicesInstance) {
+    servicesInstance = new UserServices();
+  }
+  return servicesInstance;
+}
+
+export default UserServices;
@@ -0,0 +1,154 @@
+/**
+ * Workflow Event Stream - Relays orchestrator events to Server-Sent Events clients
+ *
+ * Every event emitted by the AgentOrchestrator for a workflow gets an id and
+ * is kept in a bounded in-memory buffer, so a client that reconnects with
+ * Last-Event-ID can replay what it missed. Ids are built from the emit time
+ * (milliseconds * 1000 plus a sequence number), so they keep increasing
+ * across a server restart instead of starting over at 1.
+ *
+ * The orchestrator's 'error' event goes out as 'workflow_error': EventSource
+ * fires its own 'error' event (with no data) whenever the connection drops.
+ */
+
+import { EventEmitter } from 'events';
+
+// Orchestrator events relayed to clients
+export const WORKFLOW_EVENTS = [
+  'progress',
+  'job_found',
+  'contact_found',
+  'contact_enriched',
+  'email_drafted',
+  'complete',
+  'error'
+];
+
+// SSE event name for an orchestrator event, where it differs
+const SSE_EVENT_NAMES = {
+  error: 'workflow_error'
+};
+
+// Events after which the workflow will not emit anything else
+const TERMINAL_EVENTS = ['complete', 'error'];
+
+export class WorkflowEventStream extends EventEmitter {
+  /**
+   * @param {EventEmitter} orchestrator - Source of workflow events
+   * @param {Object} options - Options (bufferSize per workflow, retentionMs after a workflow ends)
+   */
+  constructor(orchestrator, options = {}) {
+    super();
+    this.setMaxListeners(0); // one listener per connected client
+
+    this.bufferSize = options.bufferSize || 500;
+    this.retentionMs = options.retentionMs || 10 * 60 * 1000;
+
+    // workflowId -> { lastId, events: [{ id, event, data }] }
+    this.buffers = new Map();
+
+    // Last id handed out (ids are shared across workflows so they stay unique)
+    this.lastId = 0;
+
+    for (const event of WORKFLOW_EVENTS) {
+      orchestrator.on(event, (payload) => this.record(event, payload));
+    }
+  }
+
+  /**
+   * Buffer an orchestrator event and publish it to subscribers
+   */
+  record(event, payload) {
+    const workflowId = payload?.workflowId?.toString();
+    if (!workflowId) return;
+
+    let buffer = this.buffers.get(workflowId);
+    if (!buffer) {
+      buffer = { events: [], expiryTimer: null };
+      this.buffers.set(workflowId, buffer);
+    }
+
+    const entry = {
+      id: this.nextId(),
+      event: SSE_EVENT_NAMES[event] || event,
+      data: { ...payload, workflowId, timestamp: new Date().toISOString() }
+    };
+
+    buffer.events.push(entry);
+    if (buffer.events.length > this.bufferSize) {
+      buffer.events.shift();
+    }
+
+    // Keep a finished workflow's events around briefly for late reconnects
+    const finished = TERMINAL_EVENTS.includes(event) || payload.status === 'cancelled';
+    if (finished && !buffer.expiryTimer) {
+      buffer.expiryTimer = setTimeout(() => this.buffers.delete(workflowId), this.retentionMs);
+      buffer.expiryTimer.unref?.();
+    } else if (!finished && buffer.expiryTimer) {
+      // Workflow was resumed
+      clearTimeout(buffer.expiryTimer);
+      buffer.expiryTimer = null;
+    }
+
+    this.emit(workflowId, entry);
+  }
+
+  /**
+   * Next event id: the current time in milliseconds * 1000, bumped by one
+   * when several events land in the same millisecond
+   */
+  nextId() {
+    this.lastId = Math.max(this.lastId + 1, Date.now() * 1000);
+    return this.lastId;
+  }
+
+  /**
+   * Buffered events for a workflow with an id greater than lastEventId
+   */
+  getEventsSince(workflowId, lastEventId = 0) {
+    const buffer = this.buffers.get(workflowId);
+    if (!buffer) return [];
+    return buffer.events.filter(entry => entry.id > lastEventId);
+  }
+
+  /**
+   * Serve an SSE connection for one workflow
+   * @param {string} workflowId - Workflow to stream
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  handleConnection(workflowId, req, res) {
+    const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId) || 0;
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+
+    const send = (entry) => {
+      res.write(`id: ${entry.id}\nevent: ${entry.event}\ndata: ${JSON.stringify(entry.data)}\n\n`);
+    };
+
+    // Replay anything the client missed
+    const missed = this.getEventsSince(workflowId, lastEventId);
+    missed.forEach(send);
+
+    this.on(workflowId, send);
+
+    // Comment lines keep proxies from closing an idle connection
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      this.off(workflowId, send);
+    });
+
+    console.log(`[Events] Client subscribed to ${workflowId} (replayed ${missed.length} events)`);
+  }
+}
+
+export default WorkflowEventStream;
@@ -0,0 +1,311 @@
+/**
+ * Workflow Queue - Durable, Mongo-backed queue for agent workflows
+ *
+ * Workflows are enqueued as QueueEntry documents and claimed by a polling
+ * worker up to a global concurrency limit. Entries are ordered by priority
+ * (highest first) and then by enqueue time, so a burst of workflows is
+ * processed fairly instead of all hitting the providers at once.
+ *
+ * Because the queue lives in MongoDB, entries survive restarts: anything left
+ * "running" by a previous process is put back in line on start.
+ */
+
+import os from 'os';
+import { QueueEntry } from '../models/schemas.js';
+
+export class WorkflowQueue {
+  /**
+   * @param {Object} options - Queue options
+   * @param {Function} options.handler - async (workflowId) => void, runs one workflow
+   * @param {number} options.maxConcurrent - Max workflows running at once
+   * @param {number} options.pollIntervalMs - How often to look for queued entries
+   */
+  constructor(options = {}) {
+    const {
+      handler,
+      maxConcurrent = parseInt(process.env.QUEUE_MAX_CONCURRENT_WORKFLOWS) || 2,
+      pollIntervalMs = parseInt(process.env.QUEUE_POLL_INTERVAL_MS) || 2000
+    } = options;
+
+    if (typeof handler !== 'function') {
+      throw new Error('WorkflowQueue requires a handler function');
+    }
+
+    this.handler = handler;
+    this.maxConcurrent = maxConcurrent;
+    this.pollIntervalMs = pollIntervalMs;
+    this.workerId = `${os.hostname()}-${process.pid}`;
+    this.pollTimer = null;
+    this.ticking = false;
+  }
+
+  /**
+   * Start the polling worker, re-queueing entries orphaned by a previous process
+   */
+  async start() {
+    if (this.pollTimer) return;
+
+    const orphaned = await QueueEntry.updateMany(
+      { status: 'running' },
+      { status: 'queued', locked_by: null, started_at: null }
+    );
+
+    if (orphaned.modifiedCount > 0) {
+      console.log(`[Queue] Re-queued ${orphaned.modifiedCount} workflow(s) left running by a previous process`);
+    }
+
+    this.pollTimer = setInterval(() => this.tick(), this.pollIntervalMs);
+    console.log(`[Queue] Worker started (max ${this.maxConcurrent} concurrent workflows)`);
+
+    this.tick();
+  }
+
+  /**
+   * Stop the polling worker (running workflows are left to finish)
+   */
+  stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  /**
+   * Add a workflow to the queue (idempotent per workflow)
+   * @param {string} workflowId - Workflow document ID
+   * @param {Object} options - Options (priority: higher runs first)
+   * @returns {Promise<Object>} - The queue entry
+   */
+  async enqueue(workflowId, options = {}) {
+    const { priority = 0 } = options;
+
+    const entry = await QueueEntry.findOneAndUpdate(
+      { workflow_id: workflowId, status: { $nin: ['queued', 'running'] } },
+      {
+        workflow_id: workflowId,
+        priority,
+        status: 'queued',
+        enqueued_at: new Date(),
+        started_at: null,
+        finished_at: null,
+        locked_by: null,
+        last_error: null
+      },
+      { new: true }
+    ) || await QueueEntry.findOneAndUpdate(
+      { workflow_id: workflowId },
+      { $setOnInsert: { priority, status: 'queued', enqueued_at: new Date() } },
+      { new: true, upsert: true }
+    );
+
+    console.log(`[Queue] Workflow ${workflowId} is ${entry.status} (priority ${entry.priority})`);
+
+    // Try to start it right away if there is capacity
+    this.tick();
+
+    return entry;
+  }
+
+  /**
+   * Remove a queued workflow from the line
+   * @returns {Promise<boolean>} - Whether a queued entry was cancelled
+   */
+  async cancel(workflowId) {
+    const result = await QueueEntry.updateOne(
+      { workflow_id: workflowId, status: 'queued' },
+      { status: 'cancelled', finished_at: new Date() }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Get a workflow's queue entry and its position in line
+   * @returns {Promise<Object|null>} - { status, priority, position, ... } or null if never queued
+   */
+  async getStatus(workflowId) {
+    const entry = await QueueEntry.findOne({ workflow_id: workflowId }).lean();
+    if (!entry) return null;
+
+    let position = null;
+    if (entry.status === 'queued') {
+      // Entries ahead: higher priority, or same priority enqueued earlier
+      const ahead = await QueueEntry.countDocuments({
+        status: 'queued',
+        $or: [
+          { priority: { $gt: entry.priority } },
+          { priority: entry.priority, enqueued_at: { $lt: entry.enqueued_at } }
+        ]
+      });
+      position = ahead + 1;
+    }
+
+    return {
+      status: entry.status,
+      priority: entry.priority,
+      position,
+      attempts: entry.attempts,
+      enqueued_at: entry.enqueued_at,
+      started_at: entry.started_at,
+      finished_at: entry.finished_at,
+      last_error: entry.last_error
+    };
+  }
+
+  /**
+   * List queued and running entries in processing order
+   * @param {Object} options - { workflowIds: only list these workflows (positions still count every entry) }
+   */
+  async list({ workflowIds } = {}) {
+    const [running, queued] = await Promise.all([
+      QueueEntry.find({ status: 'running' }).sort({ started_at: 1 }).lean(),
+      QueueEntry.find({ status: 'queued' }).sort({ priority: -1, enqueued_at: 1 }).lean()
+    ]);
+
+    const listed = workflowIds ? new Set(workflowIds.map(String)) : null;
+    const include = entry => !listed || listed.has(String(entry.workflow_id));
+
+    return {
+      max_concurrent: this.maxConcurrent,
+      running: running.filter(include),
+      queued: queued.map((entry, i) => ({ ...entry, position: i + 1 })).filter(include)
+    };
+  }
+
+  /**
+   * Claim queued entries while there is capacity and hand them to the handler
+   */
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      let running = await QueueEntry.countDocuments({ status: 'running' });
+
+      while (running < this.maxConcurrent) {
+        const entry = await QueueEntry.findOneAndUpdate(
+          { status: 'queued' },
+          {
+            status: 'running',
+            started_at: new Date(),
+            locked_by: this.workerId,
+            $inc: { attempts: 1 }
+          },
+          { sort: { priority: -1, enqueued_at: 1 }, new: true }
+        );
+
+        if (!entry) break;
+
+        running++;
+        this.runEntry(entry);
+      }
+    } catch (error) {
+      console.error('[Queue] Tick failed:', error.message);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Run one claimed entry and record how it finished
+   */
+  async runEntry(entry) {
+    const workflowId = entry.workflow_id.toString();
+    console.log(`[Queue] Starting workflow ${workflowId} (attempt ${entry.attempts})`);
+
+    let update;
+    try {
+      await this.handler(workflowId);
+      update = { status: 'completed', finished_at: new Date() };
+    } catch (error) {
+      update = { status: 'failed', finished_at: new Date(), last_error: error.message };
+    }
+
+    try {
+      await QueueEntry.updateOne({ _id: entry._id, status: 'running' }, update);
+    } catch (error) {
+      console.error(`[Queue] Failed to update entry for ${workflowId}:`, error.message);
+    }
+
+    // A slot just freed up
+    this.tick();
+  }
+}
+
+/**
+ * Concurrency Limiter - Caps in-flight calls per provider
+ *
+ * Limits come from a "name=limit" list, e.g. "apify=2,tomba=2,fireworks=4".
+ * Providers without a configured limit run unthrottled.
+ */
+export class ConcurrencyLimiter {
+  constructor(limits = ConcurrencyLimiter.parseLimits(process.env.QUEUE_PROVIDER_CONCURRENCY)) {
+    this.limits = limits;
+    this.active = {};
+    this.waiting = {};
+  }
+
+  /**
+   * Parse "apify=2,tomba=2" into { apify: 2, tomba: 2 }
+   */
+  static parseLimits(spec) {
+    const limits = { apify: 2, tomba: 2, happenstance: 2, fireworks: 4 };
+    if (!spec) return limits;
+
+    for (const part of spec.split(',')) {
+      const [name, value] = part.split('=').map(s => s.trim());
+      const limit = parseInt(value);
+      if (name && limit > 0) {
+        limits[name] = limit;
+      }
+    }
+    return limits;
+  }
+
+  /**
+   * Run fn once the provider has a free slot
+   * @param {string} provider - Provider key (e.g. 'apify')
+   * @param {Function} fn - async function making the provider call
+   */
+  async run(provider, fn) {
+    const limit = this.limits[provider];
+    if (!limit) {
+      return fn();
+    }
+
+    this.active[provider] = this.active[provider] || 0;
+    this.waiting[provider] = this.waiting[provider] || [];
+
+    if (this.active[provider] >= limit) {
+      // Wait for a finishing call to hand over its slot
+      await new Promise(resolve => this.waiting[provider].push(resolve));
+    } else {
+      this.active[provider]++;
+    }
+
+    try {
+      return await fn();
+    } finally {
+      const next = this.waiting[provider].shift();
+      if (next) {
+        next();
+      } else {
+        this.active[provider]--;
+      }
+    }
+  }
+
+  /**
+   * Current usage per provider
+   */
+  getStats() {
+    return Object.fromEntries(
+      Object.entries(this.limits).map(([provider, limit]) => [provider, {
+        limit,
+        active: this.active[provider] || 0,
+        waiting: this.waiting[provider]?.length || 0
+      }])
+    );
+  }
+}
+
+export default WorkflowQueue;
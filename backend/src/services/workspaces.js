@@ -0,0 +1,627 @@
+/**
+ * Workspaces - Teams that share their contacts and companies
+ *
+ * A workspace is a group of users with one of four roles: the owner (one per
+ * workspace) and admins manage the members, members can also claim contacts,
+ * and viewers can only look. Everyone in a workspace sees the contacts and
+ * companies any teammate has found, so nobody pays to find or enrich the same
+ * recruiter twice.
+ *
+ * A claim marks a person as being contacted by one teammate about one job
+ * (or about every job). While it stands, the email sender refuses to send to
+ * that person about that job from anyone else in the workspace. Sending an
+ * email claims the person automatically. Teammates each have their own Contact
+ * and Job documents, so claims match people on their LinkedIn URL (or email)
+ * and jobs on their apply URL (or title|company|city fingerprint).
+ *
+ * Spend adds up each member's Receipts, which cover every paid call their workflows made.
+ */
+
+import { Workspace, ContactClaim, User, Contact, Job, Receipt } from '../models/schemas.js';
+import { COST_CATEGORIES } from './costLedger.js';
+import { linkedInKey } from './contactResolver.js';
+import { applyUrlKey, jobFingerprint } from './jobResolver.js';
+
+export const WORKSPACE_ROLES = ['owner', 'admin', 'member', 'viewer'];
+
+// What each role may do
+export const ROLE_PERMISSIONS = {
+  owner: ['view', 'claim', 'view_spend', 'view_activity', 'manage_members', 'manage_workspace'],
+  admin: ['view', 'claim', 'view_spend', 'view_activity', 'manage_members'],
+  member: ['view', 'claim'],
+  viewer: ['view']
+};
+
+const POOL_LIMIT = 500;
+
+/**
+ * Whether a role has a permission
+ */
+export function can(role, permission) {
+  return !!ROLE_PERMISSIONS[role]?.includes(permission);
+}
+
+/**
+ * Identity of a person across teammates' contacts: LinkedIn URL, else email
+ * @returns {string|null}
+ */
+export function personKey(contact) {
+  return contact.linkedin_key || linkedInKey(contact.linkedin_url) || contact.email?.trim().toLowerCase() || null;
+}
+
+/**
+ * Identity of a job across teammates' jobs: apply URL, else fingerprint ('' without a job)
+ * @returns {string}
+ */
+export function jobKey(job) {
+  if (!job) return '';
+  return job.apply_url_key || applyUrlKey(job.apply_url) || job.fingerprint || jobFingerprint(job) || '';
+}
+
+export class WorkspaceService {
+  /**
+   * Workspaces a user belongs to, with their role in each
+   */
+  async list(userId) {
+    const workspaces = await Workspace.find({ 'members.user_id': userId }).sort({ created_at: 1 });
+    return workspaces.map(workspace => ({
+      _id: workspace._id,
+      name: workspace.name,
+      role: this.roleOf(workspace, userId),
+      member_count: workspace.members.length,
+      created_at: workspace.created_at
+    }));
+  }
+
+  /**
+   * Load a workspace the user belongs to
+   * @param {string} workspaceId - Workspace
+   * @param {string} userId - User asking
+   * @param {string} permission - What they want to do (see ROLE_PERMISSIONS)
+   * @returns {Promise<Object>} - { workspace, role }
+   * @throws {WorkspaceError} - 404 if it doesn't exist or they aren't a member, 403 if their role doesn't allow it
+   */
+  async get(workspaceId, userId, permission = 'view') {
+    const workspace = await Workspace.findOne({ _id: workspaceId, 'members.user_id': userId });
+    if (!workspace) {
+      throw new WorkspaceError('Workspace not found', 404);
+    }
+
+    const role = this.roleOf(workspace, userId);
+    if (!can(role, permission)) {
+      throw new WorkspaceError(`A workspace ${role} can't do this`, 403);
+    }
+    return { workspace, role };
+  }
+
+  /**
+   * Create a workspace with the user as its owner
+   * @throws {WorkspaceError} - If the name is missing
+   */
+  async create(userId, { name } = {}) {
+    if (!name?.trim()) {
+      throw new WorkspaceError('name is required', 400);
+    }
+
+    const workspace = await Workspace.create({
+      name: name.trim(),
+      owner_id: userId,
+      members: [{ user_id: userId, role: 'owner', added_by: userId }]
+    });
+    console.log(`[Workspaces] Created workspace "${workspace.name}"`);
+    return this.describe(workspace, userId);
+  }
+
+  async rename(workspaceId, userId, { name } = {}) {
+    if (!name?.trim()) {
+      throw new WorkspaceError('name is required', 400);
+    }
+    const { workspace } = await this.get(workspaceId, userId, 'manage_workspace');
+    workspace.name = name.trim();
+    workspace.updated_at = new Date();
+    await workspace.save();
+    return this.describe(workspace, userId);
+  }
+
+  /**
+   * Delete a workspace and its claims (members keep their own data)
+   */
+  async remove(workspaceId, userId) {
+    const { workspace } = await this.get(workspaceId, userId, 'manage_workspace');
+    await ContactClaim.deleteMany({ workspace_id: workspace._id });
+    await workspace.deleteOne();
+    console.log(`[Workspaces] Deleted workspace "${workspace.name}"`);
+  }
+
+  /**
+   * Add an existing account to a workspace
+   * @param {Object} data - { email, role } (role: admin, member or viewer; default member)
+   * @throws {WorkspaceError} - If there's no such account, they're already a member or the role isn't allowed
+   */
+  async addMember(workspaceId, userId, { email, role = 'member' } = {}) {
+    const { workspace, role: actorRole } = await this.get(workspaceId, userId, 'manage_members');
+    this.checkAssignable(role, actorRole);
+
+    const user = email ? await User.findOne({ email: email.trim().toLowerCase() }) : null;
+    if (!user) {
+      throw new WorkspaceError('No account with this email - they need to sign up first', 404);
+    }
+    if (this.roleOf(workspace, user._id)) {
+      throw new WorkspaceError(`${user.email} is already a member`, 409);
+    }
+
+    workspace.members.push({ user_id: user._id, role, added_by: userId });
+    workspace.updated_at = new Date();
+    await workspace.save();
+
+    console.log(`[Workspaces] Added ${user.email} to "${workspace.name}" as ${role}`);
+    return this.describe(workspace, userId);
+  }
+
+  /**
+   * Change a member's role. Making someone the owner hands the workspace over (the old owner becomes an admin).
+   * Only the owner can make or unmake admins.
+   */
+  async updateMember(workspaceId, userId, memberId, { role } = {}) {
+    const { workspace, role: actorRole } = await this.get(workspaceId, userId, 'manage_members');
+    const member = this.member(workspace, memberId);
+
+    if (member.role === 'owner') {
+      throw new WorkspaceError("The owner's role can't be changed - make another member the owner instead", 400);
+    }
+
+    if (role === 'owner') {
+      if (actorRole !== 'owner') {
+        throw new WorkspaceError('Only the owner can hand over the workspace', 403);
+      }
+      this.member(workspace, userId).role = 'admin';
+      workspace.owner_id = member.user_id;
+    } else {
+      this.checkAssignable(role, actorRole);
+      if (member.role === 'admin' && actorRole !== 'owner') {
+        throw new WorkspaceError('Only the owner can change an admin', 403);
+      }
+    }
+
+    member.role = role;
+    workspace.updated_at = new Date();
+    await workspace.save();
+    return this.describe(workspace, userId);
+  }
+
+  /**
+   * Remove a member (anyone but the owner can also leave on their own). Their claims are released.
+   */
+  async removeMember(workspaceId, userId, memberId) {
+    const leaving = String(memberId) === String(userId);
+    const { workspace, role: actorRole } = await this.get(workspaceId, userId, leaving ? 'view' : 'manage_members');
+    const member = this.member(workspace, memberId);
+
+    if (member.role === 'owner') {
+      throw new WorkspaceError('The owner can\'t leave - hand the workspace over or delete it', 400);
+    }
+    if (!leaving && member.role === 'admin' && actorRole !== 'owner') {
+      throw new WorkspaceError('Only the owner can remove an admin', 403);
+    }
+
+    workspace.members.pull(member._id);
+    workspace.updated_at = new Date();
+    await workspace.save();
+    const released = await ContactClaim.deleteMany({ workspace_id: workspace._id, user_id: member.user_id });
+
+    console.log(`[Workspaces] Removed a member from "${workspace.name}" (${released.deletedCount} claims released)`);
+    return leaving ? null : this.describe(workspace, userId);
+  }
+
+  /**
+   * Workspace with its members' names and emails
+   */
+  async describe(workspace, userId) {
+    const users = await User.find({ _id: { $in: this.memberIds(workspace) } }).select('email name');
+    const byId = new Map(users.map(user => [String(user._id), user]));
+
+    return {
+      _id: workspace._id,
+      name: workspace.name,
+      owner_id: workspace.owner_id,
+      role: this.roleOf(workspace, userId),
+      members: workspace.members.map(member => ({
+        user_id: member.user_id,
+        email: byId.get(String(member.user_id))?.email,
+        name: byId.get(String(member.user_id))?.name,
+        role: member.role,
+        added_at: member.added_at
+      })),
+      created_at: workspace.created_at
+    };
+  }
+
+  /**
+   * People every member has found, one entry per person, with who found them and any claims on them
+   * @param {Object} options - { company: only people at this company (case-insensitive) }
+   * @returns {Promise<Object[]>}
+   */
+  async contacts(workspaceId, userId, { company } = {}) {
+    const { workspace } = await this.get(workspaceId, userId);
+    const filter = { owner_id: { $in: this.memberIds(workspace) } };
+    if (company) {
+      filter.company = new RegExp(`^${company.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+    }
+
+    const found = await Contact.find(filter).sort({ created_at: -1 }).limit(POOL_LIMIT);
+    const people = new Map();
+    for (const contact of found) {
+      const key = personKey(contact) || `contact:${contact._id}`;
+      const person = people.get(key);
+      if (!person) {
+        people.set(key, {
+          person_key: key,
+          name: contact.name,
+          title: contact.title,
+          company: contact.company,
+          linkedin_url: contact.linkedin_url,
+          email: contact.email,
+          email_verification: contact.email_verification?.result,
+          found_by: [contact.owner_id],
+          contact_ids: [contact._id],
+          last_found_at: contact.created_at
+        });
+        continue;
+      }
+
+      // Fill in what the first copy lacks (e.g. an email only one teammate enriched)
+      for (const field of ['title', 'company', 'linkedin_url', 'email']) {
+        if (!person[field] && contact[field]) person[field] = contact[field];
+      }
+      if (!person.found_by.some(id => String(id) === String(contact.owner_id))) person.found_by.push(contact.owner_id);
+      person.contact_ids.push(contact._id);
+    }
+
+    const claims = await this.claimsByPerson(workspace, [...people.keys()]);
+    const names = await this.memberNames(workspace);
+    return [...people.values()].map(person => ({
+      ...person,
+      found_by: person.found_by.map(id => ({ user_id: id, name: names.get(String(id)) })),
+      claims: (claims.get(person.person_key) || []).map(claim => this.publicClaim(claim, names, userId))
+    }));
+  }
+
+  /**
+   * Companies the members have found jobs or people at, busiest first
+   * @returns {Promise<Object[]>} - [{ name, jobs, contacts, claims, found_by, last_seen_at }]
+   */
+  async companies(workspaceId, userId) {
+    const { workspace } = await this.get(workspaceId, userId);
+    const memberIds = this.memberIds(workspace);
+    const byCompany = (field) => [
+      { $match: { owner_id: { $in: memberIds }, [field]: { $nin: [null, ''] } } },
+      { $group: { _id: { $toLower: `$${field}` }, name: { $first: `$${field}` }, count: { $sum: 1 }, owners: { $addToSet: '$owner_id' }, last_seen_at: { $max: '$created_at' } } }
+    ];
+
+    const [jobs, contacts, claims, names] = await Promise.all([
+      Job.aggregate(byCompany('company_name')),
+      Contact.aggregate(byCompany('company')),
+      ContactClaim.aggregate([
+        { $match: { workspace_id: workspace._id, company: { $nin: [null, ''] } } },
+        { $group: { _id: { $toLower: '$company' }, count: { $sum: 1 } } }
+      ]),
+      this.memberNames(workspace)
+    ]);
+
+    const companies = new Map();
+    const entry = (row) => {
+      if (!companies.has(row._id)) {
+        companies.set(row._id, { name: row.name, jobs: 0, contacts: 0, claims: 0, found_by: new Set(), last_seen_at: null });
+      }
+      return companies.get(row._id);
+    };
+    for (const [rows, field] of [[jobs, 'jobs'], [contacts, 'contacts']]) {
+      for (const row of rows) {
+        const company = entry(row);
+        company[field] = row.count;
+        row.owners.forEach(id => company.found_by.add(String(id)));
+        if (!company.last_seen_at || row.last_seen_at > company.last_seen_at) company.last_seen_at = row.last_seen_at;
+      }
+    }
+    for (const row of claims) {
+      if (companies.has(row._id)) companies.get(row._id).claims = row.count;
+    }
+
+    return [...companies.values()]
+      .map(company => ({ ...company, found_by: [...company.found_by].map(id => ({ user_id: id, name: names.get(id) })) }))
+      .sort((a, b) => (b.jobs + b.contacts) - (a.jobs + a.contacts));
+  }
+
+  /**
+   * Every claim in a workspace, newest first
+   */
+  async claims(workspaceId, userId) {
+    const { workspace } = await this.get(workspaceId, userId);
+    const [claims, names] = await Promise.all([
+      ContactClaim.find({ workspace_id: workspace._id }).sort({ claimed_at: -1 }),
+      this.memberNames(workspace)
+    ]);
+    return claims.map(claim => this.publicClaim(claim, names, userId));
+  }
+
+  /**
+   * Claim a person (optionally about one job) for the user
+   * @param {Object} data - { contact_id, job_id } - any teammate's copy of the contact and job
+   * @throws {WorkspaceError} - If the contact can't be identified or a teammate already claimed them
+   */
+  async claim(workspaceId, userId, { contact_id: contactId, job_id: jobId } = {}) {
+    const { workspace } = await this.get(workspaceId, userId, 'claim');
+    const memberIds = this.memberIds(workspace);
+
+    const contact = contactId ? await Contact.findOne({ _id: contactId, owner_id: { $in: memberIds } }) : null;
+    if (!contact) {
+      throw new WorkspaceError('Contact not found in this workspace', 404);
+    }
+    const job = jobId ? await Job.findOne({ _id: jobId, owner_id: { $in: memberIds } }) : null;
+    if (jobId && !job) {
+      throw new WorkspaceError('Job not found in this workspace', 404);
+    }
+
+    const keys = { person: personKey(contact), job: jobKey(job) };
+    if (!keys.person) {
+      throw new WorkspaceError('This contact has no LinkedIn URL or email to claim them by', 400);
+    }
+
+    // A claim for every job overlaps every claim on the person; a job claim overlaps the same job and every-job claims
+    const names = await this.memberNames(workspace);
+    const overlapping = await ContactClaim.findOne({
+      workspace_id: workspace._id,
+      person_key: keys.person,
+      user_id: { $ne: userId },
+      ...(keys.job ? { job_key: { $in: [keys.job, ''] } } : {})
+    });
+    if (overlapping) {
+      throw new WorkspaceError(`Already claimed by ${names.get(String(overlapping.user_id)) || 'a teammate'}`, 409);
+    }
+
+    const claim = await ContactClaim.findOneAndUpdate(
+      { workspace_id: workspace._id, person_key: keys.person, job_key: keys.job },
+      { $setOnInsert: { user_id: userId, ...this.claimDetails(contact, job), source: 'manual' } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+    console.log(`[Workspaces] ${contact.name || keys.person} claimed in "${workspace.name}"${job ? ` for ${job.title}` : ''}`);
+    return this.publicClaim(claim, names, userId);
+  }
+
+  /**
+   * Release a claim (the teammate who made it, or an admin)
+   * @returns {Promise<Object>} - The released claim
+   */
+  async release(workspaceId, userId, claimId) {
+    const { workspace, role } = await this.get(workspaceId, userId);
+    const claim = await ContactClaim.findOne({ _id: claimId, workspace_id: workspace._id });
+    if (!claim) {
+      throw new WorkspaceError('Claim not found', 404);
+    }
+    if (String(claim.user_id) !== String(userId) && !can(role, 'manage_members')) {
+      throw new WorkspaceError('Only the teammate who claimed this contact or an admin can release it', 403);
+    }
+    await claim.deleteOne();
+    return claim;
+  }
+
+  /**
+   * A teammate's claim that stops the user emailing a contact about a job, or null
+   * @param {Object} params - { ownerId: user sending, contactId, jobId: their Contact and Job (job optional) }
+   * @returns {Promise<Object|null>} - { claim, claimedBy }
+   */
+  async conflictingClaim({ ownerId, contactId, jobId }) {
+    if (!ownerId || !contactId) return null;
+
+    const workspaces = await Workspace.find({ 'members.user_id': ownerId }).select('_id');
+    if (workspaces.length === 0) return null;
+
+    const [contact, job] = await Promise.all([
+      Contact.findById(contactId),
+      jobId ? Job.findById(jobId) : null
+    ]);
+    const person = contact && personKey(contact);
+    if (!person) return null;
+
+    const key = jobKey(job);
+    const claim = await ContactClaim.findOne({
+      workspace_id: { $in: workspaces.map(workspace => workspace._id) },
+      person_key: person,
+      job_key: { $in: key ? [key, ''] : [''] },
+      user_id: { $ne: ownerId }
+    });
+    if (!claim) return null;
+
+    const claimer = await User.findById(claim.user_id).select('email name');
+    return { claim, claimedBy: claimer?.name || claimer?.email || 'a teammate' };
+  }
+
+  /**
+   * Claim a contact for the user in each workspace where they can, after emailing them about a job.
+   * Existing claims are left as they are.
+   */
+  async claimSent({ ownerId, contactId, jobId }) {
+    if (!ownerId || !contactId) return;
+
+    const workspaces = await Workspace.find({ 'members.user_id': ownerId });
+    const claimable = workspaces.filter(workspace => can(this.roleOf(workspace, ownerId), 'claim'));
+    if (claimable.length === 0) return;
+
+    const [contact, job] = await Promise.all([
+      Contact.findById(contactId),
+      jobId ? Job.findById(jobId) : null
+    ]);
+    const person = contact && personKey(contact);
+    if (!person) return;
+
+    for (const workspace of claimable) {
+      try {
+        await ContactClaim.updateOne(
+          { workspace_id: workspace._id, person_key: person, job_key: jobKey(job) },
+          { $setOnInsert: { user_id: ownerId, ...this.claimDetails(contact, job), source: 'sent', claimed_at: new Date() } },
+          { upsert: true }
+        );
+      } catch (error) {
+        // A teammate claimed them at the same moment (duplicate key) - theirs stands
+        if (error.code !== 11000) throw error;
+      }
+    }
+  }
+
+  /**
+   * Teammates' and the user's claims on their own contacts, by contact id (for marking "claimed by" in lists)
+   * @param {string} userId - User
+   * @param {Object[]} contacts - Their Contact documents
+   * @returns {Promise<Map>} - contact id -> [claim]
+   */
+  async claimsForContacts(userId, contacts) {
+    const result = new Map();
+    const workspaces = await Workspace.find({ 'members.user_id': userId });
+    if (workspaces.length === 0 || contacts.length === 0) return result;
+
+    const keys = new Map(contacts.map(contact => [String(contact._id), personKey(contact)]).filter(([, key]) => key));
+    const claims = await ContactClaim.find({
+      workspace_id: { $in: workspaces.map(workspace => workspace._id) },
+      person_key: { $in: [...new Set(keys.values())] }
+    });
+    if (claims.length === 0) return result;
+
+    const names = new Map();
+    for (const workspace of workspaces) {
+      for (const [id, name] of await this.memberNames(workspace)) names.set(id, name);
+    }
+    for (const [contactId, key] of keys) {
+      const matching = claims.filter(claim => claim.person_key === key);
+      if (matching.length > 0) result.set(contactId, matching.map(claim => this.publicClaim(claim, names, userId)));
+    }
+    return result;
+  }
+
+  /**
+   * Spend per member, provider, cost category and day, from the members' receipts: direct searches
+   * and enrichments, plus every paid call made by their workflows (see costLedger.js)
+   * @param {Object} options - { days: how far back to look (default 30) }
+   */
+  async spend(workspaceId, userId, { days = 30 } = {}) {
+    const { workspace } = await this.get(workspaceId, userId, 'view_spend');
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const match = { $match: { owner_id: { $in: this.memberIds(workspace) }, created_at: { $gte: since } } };
+    const day = { $dateToString: { format: '%Y-%m-%d', date: '$created_at' } };
+    const inWorkflow = { $gt: ['$workflow_id', null] };
+
+    const [byMember, byProvider, byCategory, byDay, names] = await Promise.all([
+      Receipt.aggregate([match, {
+        $group: {
+          _id: '$owner_id',
+          searches_usd: { $sum: { $cond: [inWorkflow, 0, '$amount_paid_usd'] } },
+          searches: { $sum: { $cond: [inWorkflow, 0, 1] } },
+          workflows_usd: { $sum: { $cond: [inWorkflow, '$amount_paid_usd', 0] } },
+          workflows: { $addToSet: '$workflow_id' }
+        }
+      }]),
+      Receipt.aggregate([match, { $group: { _id: '$provider', total: { $sum: '$amount_paid_usd' }, count: { $sum: 1 } } }, { $sort: { total: -1 } }]),
+      Receipt.aggregate([match, { $group: { _id: '$category', total: { $sum: '$amount_paid_usd' } } }]),
+      Receipt.aggregate([match, { $group: { _id: day, total: { $sum: '$amount_paid_usd' } } }, { $sort: { _id: 1 } }]),
+      this.memberNames(workspace)
+    ]);
+
+    const members = workspace.members.map(member => {
+      const row = byMember.find(entry => String(entry._id) === String(member.user_id));
+      return {
+        user_id: member.user_id,
+        name: names.get(String(member.user_id)),
+        role: member.role,
+        searches_usd: row?.searches_usd || 0,
+        searches: row?.searches || 0,
+        workflows_usd: row?.workflows_usd || 0,
+        workflows: row ? row.workflows.filter(Boolean).length : 0,
+        total_usd: (row?.searches_usd || 0) + (row?.workflows_usd || 0)
+      };
+    }).sort((a, b) => b.total_usd - a.total_usd);
+
+    return {
+      days,
+      since,
+      total_usd: members.reduce((sum, member) => sum + member.total_usd, 0),
+      members,
+      by_provider: byProvider.map(row => ({ provider: row._id, total_usd: row.total, count: row.count })),
+      by_category: Object.fromEntries(COST_CATEGORIES.map(category =>
+        [category, byCategory.find(row => row._id === category)?.total || 0])),
+      daily: byDay.map(row => ({ date: row._id, total_usd: row.total }))
+    };
+  }
+
+  roleOf(workspace, userId) {
+    return workspace.members.find(member => String(member.user_id) === String(userId))?.role || null;
+  }
+
+  member(workspace, memberId) {
+    const member = workspace.members.find(entry => String(entry.user_id) === String(memberId));
+    if (!member) {
+      throw new WorkspaceError('Member not found', 404);
+    }
+    return member;
+  }
+
+  memberIds(workspace) {
+    return workspace.members.map(member => member.user_id);
+  }
+
+  /**
+   * user id -> display name (name, else email)
+   */
+  async memberNames(workspace) {
+    const users = await User.find({ _id: { $in: this.memberIds(workspace) } }).select('email name');
+    return new Map(users.map(user => [String(user._id), user.name || user.email]));
+  }
+
+  /**
+   * Roles an admin or owner can give out (owner is handed over with updateMember)
+   */
+  checkAssignable(role, actorRole) {
+    if (!['admin', 'member', 'viewer'].includes(role)) {
+      throw new WorkspaceError('role must be one of: admin, member, viewer', 400);
+    }
+    if (role === 'admin' && actorRole !== 'owner') {
+      throw new WorkspaceError('Only the owner can make someone an admin', 403);
+    }
+  }
+
+  claimDetails(contact, job) {
+    return {
+      contact_id: contact._id,
+      job_id: job?._id,
+      contact_name: contact.name,
+      company: job?.company_name || contact.company,
+      job_title: job?.title
+    };
+  }
+
+  publicClaim(claim, names, userId) {
+    return {
+      _id: claim._id,
+      workspace_id: claim.workspace_id,
+      person_key: claim.person_key,
+      contact_name: claim.contact_name,
+      company: claim.company,
+      job_title: claim.job_title || null, // null: claimed for every job
+      claimed_by: { user_id: claim.user_id, name: names.get(String(claim.user_id)) },
+      mine: String(claim.user_id) === String(userId),
+      source: claim.source,
+      claimed_at: claim.claimed_at
+    };
+  }
+}
+
+/**
+ * Workspace request that can't be carried out, with the HTTP status to respond with
+ */
+export class WorkspaceError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'WorkspaceError';
+    this.statusCode = statusCode;
+  }
+}
+
+export default WorkspaceService;
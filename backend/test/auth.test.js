@@ -0,0 +1,45 @@
+import { test, describe, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { User } from '../src/models/schemas.js';
+import { AuthService, ownedOnlyBy, ownedByOrAll } from '../src/services/auth.js';
+
+describe('owner filters', () => {
+  test('ownedOnlyBy never widens to every user', () => {
+    assert.deepEqual(ownedOnlyBy('user-1'), { owner_id: 'user-1' });
+    assert.deepEqual(ownedOnlyBy(undefined), { owner_id: null });
+  });
+
+  test('ownedByOrAll widens only when asked to without a user', () => {
+    assert.deepEqual(ownedByOrAll('user-1'), { owner_id: 'user-1' });
+    assert.deepEqual(ownedByOrAll(undefined), {});
+  });
+});
+
+describe('AuthService.middleware', () => {
+  afterEach(() => mock.restoreAll());
+
+  const run = async (auth, req) => {
+    let status = null;
+    let nextCalled = false;
+    const res = { status: (code) => { status = code; return { json: () => {} }; } };
+    await auth.middleware()({ method: 'GET', baseUrl: '/api', query: {}, get: () => '', ...req }, res, () => { nextCalled = true; });
+    return { status, nextCalled };
+  };
+
+  test('takes ?access_token= only on the workflow stream', async () => {
+    const user = { _id: 'user-1', token_version: 0 };
+    mock.method(User, 'findById', async () => user);
+    const auth = new AuthService({ secret: 'test-secret' });
+    const token = auth.issueToken(user);
+
+    const stream = await run(auth, { path: '/agent/stream/wf-1', query: { access_token: token } });
+    assert.equal(stream.nextCalled, true);
+
+    const elsewhere = await run(auth, { path: '/email/scheduled', query: { access_token: token } });
+    assert.equal(elsewhere.nextCalled, false);
+    assert.equal(elsewhere.status, 401);
+
+    const header = await run(auth, { path: '/email/scheduled', get: () => `Bearer ${token}` });
+    assert.equal(header.nextCalled, true);
+  });
+});
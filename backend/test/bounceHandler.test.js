@@ -0,0 +1,102 @@
+import { test, describe, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Email, Contact } from '../src/models/schemas.js';
+import { BounceHandler, parseBounce, classifyBounce } from '../src/services/bounceHandler.js';
+
+const DSN = [
+  'From: Mail Delivery System <mailer-daemon@mail.me>',
+  'Subject: Undelivered Mail Returned to Sender',
+  'Content-Type: multipart/report; report-type=delivery-status; boundary="b"',
+  '',
+  '--b',
+  'Content-Type: message/delivery-status',
+  '',
+  'Final-Recipient: rfc822; Jo@Acme.com',
+  'Action: failed',
+  'Status: 5.1.1',
+  'Diagnostic-Code: smtp; 550 5.1.1 <jo@acme.com>: Recipient address rejected:',
+  '    User unknown in virtual mailbox table',
+  '',
+  '--b',
+  'Content-Type: text/rfc822-headers',
+  '',
+  'Message-ID: <sent-1@mail.me>',
+  'Subject: Hello',
+  '--b--'
+].join('\r\n');
+
+describe('classifyBounce', () => {
+  test('5.x.x statuses are hard, except mailbox full and message too big', () => {
+    assert.equal(classifyBounce('5.1.1', 550), 'hard');
+    assert.equal(classifyBounce('5.2.2', 552), 'soft');
+    assert.equal(classifyBounce('5.3.4', 552), 'soft');
+    assert.equal(classifyBounce('4.4.1', 421), 'soft');
+  });
+
+  test('falls back to the SMTP reply code', () => {
+    assert.equal(classifyBounce(null, 550), 'hard');
+    assert.equal(classifyBounce(null, 552), 'soft');
+    assert.equal(classifyBounce(null, 451), 'soft');
+  });
+});
+
+describe('parseBounce', () => {
+  test('reads an RFC 3464 delivery status report', () => {
+    assert.deepEqual(parseBounce(Buffer.from(DSN)), {
+      recipient: 'jo@acme.com',
+      original_message_id: '<sent-1@mail.me>',
+      status_code: '5.1.1',
+      smtp_code: 550,
+      diagnostic: '550 5.1.1 <jo@acme.com>: Recipient address rejected: User unknown in virtual mailbox table',
+      type: 'hard'
+    });
+  });
+
+  test('ignores delayed deliveries', () => {
+    assert.equal(parseBounce(DSN.replace('Action: failed', 'Action: delayed')), null);
+  });
+
+  test('reads a prose non-delivery report', () => {
+    const ndr = [
+      'From: postmaster@outlook.com',
+      'Subject: Undeliverable: Hello',
+      '',
+      "Delivery has failed to these recipients or groups:",
+      '',
+      'jo@acme.com',
+      "The email address you entered couldn't be found. 550 5.1.10 RESOLVER.ADR.RecipientNotFound"
+    ].join('\r\n');
+
+    const bounce = parseBounce(ndr);
+    assert.equal(bounce.recipient, 'jo@acme.com');
+    assert.equal(bounce.status_code, '5.1.10');
+    assert.equal(bounce.smtp_code, 550);
+    assert.equal(bounce.type, 'hard');
+  });
+
+  test('returns null for an ordinary message', () => {
+    assert.equal(parseBounce('From: jo@acme.com\r\nSubject: Re: Hello\r\n\r\nSounds good'), null);
+  });
+});
+
+describe('BounceHandler.recordBounce', () => {
+  afterEach(() => mock.restoreAll());
+
+  const bounce = { type: 'soft', source: 'smtp', smtp_code: 452 };
+
+  test('does nothing without an owner', async () => {
+    const findOne = mock.method(Email, 'findOne', async () => null);
+    const find = mock.method(Contact, 'find', async () => []);
+
+    await new BounceHandler().recordBounce({ emailId: 'email-1', recipient: 'jo@acme.com', bounce: { ...bounce, type: 'hard' } });
+    assert.equal(findOne.mock.callCount(), 0);
+    assert.equal(find.mock.callCount(), 0);
+  });
+
+  test("only loads the owner's email", async () => {
+    const findOne = mock.method(Email, 'findOne', async () => null);
+
+    await new BounceHandler().recordBounce({ emailId: 'email-1', ownerId: 'user-1', recipient: 'jo@acme.com', bounce });
+    assert.deepEqual(findOne.mock.calls[0].arguments[0], { _id: 'email-1', owner_id: 'user-1' });
+  });
+});
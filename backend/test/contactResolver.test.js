@@ -0,0 +1,35 @@
+import { test, describe, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Contact } from '../src/models/schemas.js';
+import { ContactResolver, linkedInKey } from '../src/services/contactResolver.js';
+
+describe('linkedInKey', () => {
+  test('normalizes scheme, www, query string, trailing slash and case', () => {
+    assert.equal(linkedInKey('http://linkedin.com/in/Jo-Smith/?trk=x'), linkedInKey('https://www.linkedin.com/in/jo-smith'));
+  });
+});
+
+describe('ContactResolver.migrateLinkedInKeys', () => {
+  afterEach(() => mock.restoreAll());
+
+  test('backfills missing keys and folds contacts sharing a key into the oldest', async () => {
+    const oldest = { _id: 'c1' };
+    const newer = { _id: 'c2' };
+    mock.method(Contact, 'find', (filter) => filter.linkedin_url
+      ? { select: async () => [{ _id: 'c3', linkedin_url: 'https://linkedin.com/in/jo/' }] }
+      : { sort: async () => [oldest, newer] });
+    const updates = mock.method(Contact, 'updateOne', async () => ({ modifiedCount: 1 }));
+    mock.method(Contact, 'aggregate', () => ({
+      allowDiskUse: async () => [{ _id: { owner_id: 'user-1', linkedin_key: 'https://www.linkedin.com/in/jo' }, ids: ['c1', 'c2'] }]
+    }));
+
+    const resolver = new ContactResolver();
+    const merges = [];
+    resolver.merge = async (canonical, duplicate) => merges.push([canonical._id, duplicate._id]);
+
+    const result = await resolver.migrateLinkedInKeys();
+    assert.deepEqual(result, { keys_backfilled: 1, duplicates_merged: 1 });
+    assert.deepEqual(updates.mock.calls[0].arguments, [{ _id: 'c3' }, { linkedin_key: 'https://www.linkedin.com/in/jo' }]);
+    assert.deepEqual(merges, [['c1', 'c2']]);
+  });
+});
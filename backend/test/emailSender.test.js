@@ -0,0 +1,28 @@
+import { test, describe, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Contact } from '../src/models/schemas.js';
+import { EmailSenderService } from '../src/services/emailSender.js';
+
+describe('EmailSenderService.sendEmail', () => {
+  afterEach(() => mock.restoreAll());
+
+  test('reports a sent email as sent even when recording it fails', async () => {
+    mock.method(Contact, 'findOne', () => ({ select: async () => null }));
+    const sender = new EmailSenderService({
+      host: 'smtp.mail.me',
+      user: 'me',
+      pass: 'x',
+      suppressionList: { check: async () => ({ suppressed: false }) },
+      workspaces: {
+        conflictingClaim: async () => null,
+        claimSent: async () => { throw new Error('connection reset'); }
+      },
+      audit: { record: async () => { throw new Error('connection reset'); } }
+    });
+    sender.transporter = { sendMail: async () => ({ messageId: '<sent-1@mail.me>', response: '250 OK', accepted: ['jo@acme.com'], rejected: [] }) };
+
+    const result = await sender.sendEmail({ to: 'jo@acme.com', subject: 'Hello', body: 'Hi Jo', ownerId: 'user-1', contactId: 'contact-1', jobId: 'job-1' });
+    assert.equal(result.success, true);
+    assert.equal(result.messageId, '<sent-1@mail.me>');
+  });
+});
@@ -0,0 +1,47 @@
+import { test, describe, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { EmailVerification } from '../src/models/schemas.js';
+import { EmailVerifier } from '../src/services/emailVerifier.js';
+
+function verifierWithLedger(cached = null) {
+  const receipts = [];
+  mock.method(EmailVerification, 'findOne', async () => cached);
+  mock.method(EmailVerification, 'findOneAndUpdate', async (filter, fields) => ({
+    toObject: () => ({ email: filter.email, ...fields })
+  }));
+  const verifier = new EmailVerifier({
+    verifier: { providerName: 'tomba', verifyEmail: async () => ({ success: true, result: 'deliverable' }) },
+    costUsd: 0.01,
+    ledger: { record: async (entry) => { receipts.push(entry); return entry; } }
+  });
+  return { verifier, receipts };
+}
+
+describe('EmailVerifier.check', () => {
+  afterEach(() => mock.restoreAll());
+
+  test('records a paid send-time verification for the sender, contact and job', async () => {
+    const { verifier, receipts } = verifierWithLedger();
+
+    const blocked = await verifier.check('jo@acme.com', { receipt: { ownerId: 'user-1', contactId: 'contact-1', jobId: 'job-1' } });
+    assert.equal(blocked, null);
+    assert.equal(receipts.length, 1);
+    assert.equal(receipts[0].ownerId, 'user-1');
+    assert.equal(receipts[0].contactId, 'contact-1');
+    assert.equal(receipts[0].category, 'email_enrichment');
+    assert.equal(receipts[0].provider, 'tomba');
+    assert.equal(receipts[0].quotedUsd, 0.01);
+  });
+
+  test('records nothing for a cached result or without an owner', async () => {
+    const cached = { toObject: () => ({ email: 'jo@acme.com', result: 'deliverable' }) };
+    const { verifier, receipts } = verifierWithLedger(cached);
+    await verifier.check('jo@acme.com', { receipt: { ownerId: 'user-1' } });
+
+    const uncached = verifierWithLedger();
+    await uncached.verifier.check('jo@acme.com');
+
+    assert.equal(receipts.length, 0);
+    assert.equal(uncached.receipts.length, 0);
+  });
+});
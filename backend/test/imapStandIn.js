@@ -0,0 +1,87 @@
+/**
+ * IMAP stand-in - an in-memory mailbox with the parts of the ImapFlow client
+ * ReplyPoller uses, passed to it as createClient
+ */
+
+/**
+ * @param {Array<Object>} messages - { from, subject, text, messageId, inReplyTo, references, date }
+ * @returns {Object} - { createClient, deliver, loggedOut }
+ */
+export function createImapStandIn(messages = []) {
+  const mailbox = { uidValidity: 1n, uidNext: 1, messages: [] };
+  const state = { loggedOut: 0 };
+
+  const deliver = (message) => {
+    const uid = mailbox.uidNext++;
+    mailbox.messages.push({
+      uid,
+      date: new Date(),
+      messageId: `<msg-${uid}@stand-in>`,
+      ...message
+    });
+  };
+  messages.forEach(deliver);
+
+  const source = (message) => Buffer.from([
+    `From: ${message.from}`,
+    `Subject: ${message.subject || ''}`,
+    `Message-ID: ${message.messageId}`,
+    ...(message.inReplyTo ? [`In-Reply-To: ${message.inReplyTo}`] : []),
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    message.text || ''
+  ].join('\r\n'));
+
+  // "N:*" or "1,2,3"
+  const inRange = (range) => {
+    if (range.endsWith(':*')) {
+      const from = parseInt(range);
+      const matching = mailbox.messages.filter(message => message.uid >= from);
+      // Like a real server, "N:*" returns the newest message even when N is past it
+      return matching.length ? matching : mailbox.messages.slice(-1);
+    }
+    const uids = range.split(',').map(Number);
+    return mailbox.messages.filter(message => uids.includes(message.uid));
+  };
+
+  const createClient = () => ({
+    get mailbox() {
+      return { uidValidity: mailbox.uidValidity, uidNext: mailbox.uidNext };
+    },
+    async connect() {},
+    async logout() {
+      state.loggedOut++;
+    },
+    async getMailboxLock() {
+      return { release() {} };
+    },
+    async search({ since }) {
+      return mailbox.messages.filter(message => message.date >= since).map(message => message.uid);
+    },
+    async fetchAll(range) {
+      return inRange(range).map(message => ({
+        uid: message.uid,
+        envelope: {
+          messageId: message.messageId,
+          inReplyTo: message.inReplyTo,
+          from: [{ address: message.from }],
+          subject: message.subject,
+          date: message.date
+        },
+        headers: message.references ? Buffer.from(`References: ${message.references}`) : null
+      }));
+    },
+    async fetchOne(uid) {
+      const message = mailbox.messages.find(candidate => candidate.uid === Number(uid));
+      return message ? { uid: message.uid, source: source(message) } : null;
+    }
+  });
+
+  return {
+    createClient,
+    deliver,
+    get loggedOut() {
+      return state.loggedOut;
+    }
+  };
+}
@@ -0,0 +1,50 @@
+import { test, describe, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Job } from '../src/models/schemas.js';
+import { JobResolver, jobIdentityKeys } from '../src/services/jobResolver.js';
+
+describe('jobIdentityKeys', () => {
+  test('builds all three keys', () => {
+    assert.deepEqual(jobIdentityKeys({
+      job_id: 4012345,
+      apply_url: 'https://www.Acme.com/jobs/123/?utm_source=linkedin',
+      title: 'Sr. Software Eng',
+      company_name: 'Acme, Inc.',
+      location: 'San Francisco, CA'
+    }), {
+      job_id: '4012345',
+      apply_url_key: 'acme.com/jobs/123',
+      fingerprint: 'senior software engineer|acme|san francisco'
+    });
+  });
+
+  test('gives re-posts of the same job the same fingerprint', () => {
+    const a = jobIdentityKeys({ title: 'Senior Software Engineer (Remote)', company_name: 'Acme Corp', location: 'San Francisco Bay Area' });
+    const b = jobIdentityKeys({ title: 'Sr Software Engineer', company_name: 'acme', location: 'San Francisco, CA' });
+    assert.equal(a.fingerprint, b.fingerprint);
+  });
+
+  test('leaves out keys it has no data for', () => {
+    assert.deepEqual(jobIdentityKeys({ title: 'Engineer' }), { job_id: null, apply_url_key: null, fingerprint: null });
+  });
+});
+
+describe('JobResolver.migrateIdentityKeys', () => {
+  afterEach(() => mock.restoreAll());
+
+  test('backfills missing keys and leaves a shared key only on the oldest job', async () => {
+    mock.method(Job, 'find', () => ({
+      select: async () => [{ _id: 'j3', title: 'Engineer', company_name: 'Acme', location: 'Austin, TX', apply_url: 'https://acme.com/jobs/9' }]
+    }));
+    const updates = mock.method(Job, 'updateOne', async () => ({ modifiedCount: 1 }));
+    mock.method(Job, 'aggregate', (pipeline) => ({
+      allowDiskUse: async () => pipeline[0].$match.apply_url_key ? [{ _id: { owner_id: 'user-1', key: 'acme.com/jobs/1' }, ids: ['j1', 'j2'] }] : []
+    }));
+    const unsets = mock.method(Job, 'updateMany', async () => ({ modifiedCount: 1 }));
+
+    const result = await new JobResolver().migrateIdentityKeys();
+    assert.deepEqual(result, { keys_backfilled: 2, keys_released: 1 });
+    assert.deepEqual(updates.mock.calls.map(call => call.arguments[1]), [{ apply_url_key: 'acme.com/jobs/9' }, { fingerprint: 'engineer|acme|austin' }]);
+    assert.deepEqual(unsets.mock.calls[0].arguments, [{ _id: { $in: ['j2'] } }, { $unset: { apply_url_key: 1 } }]);
+  });
+});
@@ -0,0 +1,168 @@
+import { test, describe, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Email } from '../src/models/schemas.js';
+import { ReplyPoller, parseMessageIds, stripQuotedReply } from '../src/services/replyPoller.js';
+import { createImapStandIn } from './imapStandIn.js';
+
+describe('parseMessageIds', () => {
+  test('normalizes bare and bracketed ids from several headers', () => {
+    assert.deepEqual(parseMessageIds(['<a@x.com>', 'b@x.com c@x.com']), ['<a@x.com>', '<b@x.com>', '<c@x.com>']);
+  });
+
+  test('drops duplicates and empty values', () => {
+    assert.deepEqual(parseMessageIds([null, '<a@x.com> <a@x.com>', undefined]), ['<a@x.com>']);
+  });
+
+  test('reads a single header value', () => {
+    assert.deepEqual(parseMessageIds('<a@x.com>\r\n <b@x.com>'), ['<a@x.com>', '<b@x.com>']);
+  });
+});
+
+describe('stripQuotedReply', () => {
+  test('cuts the quoted original at "On ... wrote:"', () => {
+    const text = 'Thanks, happy to chat.\r\n\r\nOn Mon, Jan 6, 2025 at 9:00 AM Sam <sam@x.com> wrote:\r\n> Hi there';
+    assert.equal(stripQuotedReply(text), 'Thanks, happy to chat.');
+  });
+
+  test('drops "> " lines and Outlook originals', () => {
+    const text = 'Sounds good\n> quoted\nSee you then\n-----Original Message-----\nFrom: Sam';
+    assert.equal(stripQuotedReply(text), 'Sounds good\nSee you then');
+  });
+
+  test('keeps the whole text when everything is quoted', () => {
+    assert.equal(stripQuotedReply('> only quoted'), '> only quoted');
+    assert.equal(stripQuotedReply(''), '');
+  });
+});
+
+describe('ReplyPoller against an IMAP stand-in', () => {
+  afterEach(() => mock.restoreAll());
+
+  test('records a reply matched by its In-Reply-To header, once', async () => {
+    const sent = { _id: 'email-1', owner_id: 'user-1', subject: 'Hello', contact_id: 'contact-1', send_result: { message_id: '<sent-1@mail.me>' } };
+    mock.method(Email, 'exists', async () => null);
+    mock.method(Email, 'find', async () => [sent]);
+    const updates = mock.method(Email, 'findOneAndUpdate', async (filter, update) => ({ ...sent, ...update }));
+
+    const stops = [];
+    const sequencer = {
+      stopSequence: async (id, reason) => stops.push(['email', id, reason]),
+      stopForContact: async (id, reason) => stops.push(['contact', id, reason])
+    };
+
+    const imap = createImapStandIn([{
+      from: 'jo@acme.com',
+      subject: 'Re: Hello',
+      inReplyTo: '<sent-1@mail.me>',
+      text: 'Yes, let us talk.\n\nOn Tue, Jo wrote:\n> Hello'
+    }]);
+    const poller = new ReplyPoller({ sequencer, createClient: imap.createClient });
+
+    const result = await poller.poll();
+    assert.equal(result.checked, 1);
+    assert.deepEqual(result.matched, [{ email_id: 'email-1', owner_id: 'user-1', from: 'jo@acme.com', matched_by: 'headers' }]);
+    assert.equal(updates.mock.calls[0].arguments[1].reply.text, 'Yes, let us talk.');
+    assert.deepEqual(stops, [['email', 'email-1', 'responded'], ['contact', 'contact-1', 'responded']]);
+    assert.equal(imap.loggedOut, 1);
+
+    // The next poll only looks at messages that arrived since
+    const again = await poller.poll();
+    assert.equal(again.checked, 0);
+  });
+
+  test('matches by sender address only when one user emailed it', async () => {
+    const sent = { _id: 'email-3', owner_id: 'user-1', subject: 'Hello' };
+    mock.method(Email, 'exists', async () => null);
+    const owners = mock.method(Email, 'distinct', async () => ['user-1']);
+    const findOne = mock.method(Email, 'findOne', () => ({ sort: async () => sent }));
+
+    const poller = new ReplyPoller({ createClient: createImapStandIn().createClient });
+    const message = { from: 'jo@acme.com', date: new Date() };
+
+    assert.deepEqual(await poller.matchReply(message), { email: sent, matchedBy: 'sender' });
+    assert.equal(findOne.mock.calls[0].arguments[0].owner_id, 'user-1');
+
+    owners.mock.mockImplementation(async () => ['user-1', 'user-2']);
+    assert.equal(await poller.matchReply(message), null);
+    assert.equal(findOne.mock.callCount(), 1);
+  });
+
+  test("checks users' own inboxes, matching only their emails", async () => {
+    const sent = { _id: 'email-4', owner_id: 'user-2', subject: 'Hi', send_result: { message_id: '<sent-4@mail.me>' } };
+    mock.method(Email, 'exists', async () => null);
+    const find = mock.method(Email, 'find', async () => [sent]);
+    mock.method(Email, 'findOneAndUpdate', async (filter, update) => ({ ...sent, ...update }));
+
+    const imap = createImapStandIn([
+      { from: 'sam@beta.io', subject: 'Re: Hi', inReplyTo: '<sent-4@mail.me>', text: 'Sure' },
+      { from: 'me@mail.me', subject: 'Note to self', text: 'Not a reply' }
+    ]);
+    const inbox = { id: 'identity:1', ownerId: 'user-2', host: 'imap.mail.me', user: 'me', pass: 'x', addresses: ['me@mail.me'] };
+    const poller = new ReplyPoller({
+      inboxes: async () => [inbox],
+      createInboxClient: (target) => {
+        assert.equal(target.host, 'imap.mail.me');
+        return imap.createClient();
+      }
+    });
+
+    assert.equal(poller.isConfigured, false);
+    const result = await poller.poll({ ownerId: 'user-2' });
+    assert.equal(result.checked, 2);
+    assert.deepEqual(result.matched.map(reply => reply.email_id), ['email-4']);
+    assert.equal(find.mock.calls[0].arguments[0].owner_id, 'user-2');
+    assert.equal(poller.getStatus('user-2').inboxes[0].id, 'identity:1');
+    assert.deepEqual(poller.getStatus('user-1').inboxes, []);
+
+    await assert.rejects(poller.poll({ ownerId: 'user-1' }), /IMAP not configured/);
+  });
+
+  test('hands delivery notices to the bounce handler instead of matching them', async () => {
+    mock.method(Email, 'exists', async () => null);
+    const find = mock.method(Email, 'find', async () => []);
+
+    const notices = [];
+    const bounces = {
+      processDsn: async (source, messageId) => {
+        notices.push(messageId);
+        return { email_id: 'email-2', type: 'hard' };
+      }
+    };
+
+    const imap = createImapStandIn([{ from: 'mailer-daemon@mail.me', subject: 'Undeliverable: Hello', text: 'Delivery failed' }]);
+    const poller = new ReplyPoller({ bounces, createClient: imap.createClient });
+
+    const result = await poller.poll();
+    assert.equal(notices.length, 1);
+    assert.deepEqual(result.bounced, [{ email_id: 'email-2', type: 'hard' }]);
+    assert.equal(find.mock.callCount(), 0);
+  });
+
+  test('keeps going past a message that fails, and retries it on the next poll', async () => {
+    const sent = { _id: 'email-5', owner_id: 'user-1', subject: 'Hello', send_result: { message_id: '<sent-5@mail.me>' } };
+    const recorded = new Set();
+    mock.method(Email, 'exists', async (filter) => recorded.has(filter['reply.message_id']));
+    mock.method(Email, 'find', async () => [sent]);
+    mock.method(Email, 'findOneAndUpdate', async (filter, update) => {
+      if (update.reply.from === 'jo@acme.com' && recorded.size === 0) throw new Error('write conflict');
+      recorded.add(update.reply.message_id);
+      return { ...sent, ...update };
+    });
+
+    const imap = createImapStandIn([
+      { from: 'jo@acme.com', subject: 'Re: Hello', inReplyTo: '<sent-5@mail.me>', text: 'Yes' },
+      { from: 'sam@beta.io', subject: 'Re: Hello', inReplyTo: '<sent-5@mail.me>', text: 'Also yes' }
+    ]);
+    const poller = new ReplyPoller({ createClient: imap.createClient });
+
+    const first = await poller.poll();
+    assert.deepEqual(first.matched.map(reply => reply.from), ['sam@beta.io']);
+
+    const second = await poller.poll();
+    assert.equal(second.checked, 2);
+    assert.deepEqual(second.matched.map(reply => reply.from), ['jo@acme.com']);
+
+    const third = await poller.poll();
+    assert.equal(third.checked, 0);
+  });
+});
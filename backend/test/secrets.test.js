@@ -0,0 +1,55 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { encryptSecret, decryptSecret } from '../src/services/secrets.js';
+
+describe('encryptSecret / decryptSecret', () => {
+  const original = process.env.CREDENTIALS_ENCRYPTION_KEY;
+  before(() => {
+    process.env.CREDENTIALS_ENCRYPTION_KEY = 'test-key';
+  });
+  after(() => {
+    if (original === undefined) delete process.env.CREDENTIALS_ENCRYPTION_KEY;
+    else process.env.CREDENTIALS_ENCRYPTION_KEY = original;
+  });
+
+  test('round-trips a secret', () => {
+    const stored = encryptSecret('smtp-password');
+    assert.match(stored, /^enc:v1:/);
+    assert.ok(!stored.includes('smtp-password'));
+    assert.equal(decryptSecret(stored), 'smtp-password');
+  });
+
+  test('uses a fresh IV for every value', () => {
+    assert.notEqual(encryptSecret('same'), encryptSecret('same'));
+  });
+
+  test('rejects values that were never encrypted', () => {
+    assert.throws(() => decryptSecret('smtp-password'), /not encrypted/);
+  });
+
+  test('rejects a tampered value', () => {
+    const stored = encryptSecret('smtp-password');
+    const parts = stored.split(':');
+    parts[4] = Buffer.from('tampered').toString('base64');
+    assert.throws(() => decryptSecret(parts.join(':')), /could not be decrypted/);
+  });
+
+  test('fails when the key has changed', () => {
+    const stored = encryptSecret('smtp-password');
+    process.env.CREDENTIALS_ENCRYPTION_KEY = 'other-key';
+    try {
+      assert.throws(() => decryptSecret(stored), /could not be decrypted/);
+    } finally {
+      process.env.CREDENTIALS_ENCRYPTION_KEY = 'test-key';
+    }
+  });
+
+  test('needs CREDENTIALS_ENCRYPTION_KEY', () => {
+    delete process.env.CREDENTIALS_ENCRYPTION_KEY;
+    try {
+      assert.throws(() => encryptSecret('smtp-password'), /CREDENTIALS_ENCRYPTION_KEY is not configured/);
+    } finally {
+      process.env.CREDENTIALS_ENCRYPTION_KEY = 'test-key';
+    }
+  });
+});
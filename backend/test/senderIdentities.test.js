@@ -0,0 +1,29 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { effectiveCap } from '../src/services/senderIdentities.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('effectiveCap', () => {
+  const now = new Date('2025-01-20T12:00:00Z');
+
+  test('is the daily cap without warm-up', () => {
+    assert.equal(effectiveCap({ daily_cap: 80 }, now), 80);
+    assert.equal(effectiveCap({}, now), 50);
+  });
+
+  test('ramps up from the warm-up start cap', () => {
+    const identity = { daily_cap: 80, warmup: { enabled: true, started_at: new Date(now - 3 * DAY), start_cap: 10, daily_increase: 5 } };
+    assert.equal(effectiveCap(identity, now), 25);
+  });
+
+  test('never goes above the daily cap', () => {
+    const identity = { daily_cap: 40, warmup: { enabled: true, started_at: new Date(now - 30 * DAY) } };
+    assert.equal(effectiveCap(identity, now), 40);
+  });
+
+  test('starts warm-up from the identity creation date', () => {
+    const identity = { daily_cap: 50, created_at: new Date(now - 2 * DAY), warmup: { enabled: true } };
+    assert.equal(effectiveCap(identity, now), 15);
+  });
+});
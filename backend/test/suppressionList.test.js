@@ -0,0 +1,33 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { suppressionKey } from '../src/services/suppressionList.js';
+
+describe('suppressionKey', () => {
+  test('lowercases emails', () => {
+    assert.equal(suppressionKey('email', ' Jo@Acme.COM '), 'jo@acme.com');
+  });
+
+  test('reduces domains, addresses and URLs to the host', () => {
+    assert.equal(suppressionKey('domain', 'Acme.com'), 'acme.com');
+    assert.equal(suppressionKey('domain', 'jo@mail.acme.com'), 'mail.acme.com');
+    assert.equal(suppressionKey('domain', 'https://www.acme.com/careers?x=1'), 'acme.com');
+  });
+
+  test('normalizes LinkedIn profile URLs', () => {
+    assert.equal(
+      suppressionKey('linkedin', 'http://linkedin.com/in/Jo-Smith/?trk=abc'),
+      suppressionKey('linkedin', 'https://www.linkedin.com/in/jo-smith')
+    );
+  });
+
+  test('drops company suffixes and punctuation', () => {
+    assert.equal(suppressionKey('company', 'Acme, Inc.'), 'acme');
+    assert.equal(suppressionKey('company', 'Acme Corp'), 'acme');
+  });
+
+  test('returns null for empty values and unknown types', () => {
+    assert.equal(suppressionKey('email', '  '), null);
+    assert.equal(suppressionKey('email', null), null);
+    assert.equal(suppressionKey('phone', '555-0100'), null);
+  });
+});
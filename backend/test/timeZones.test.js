@@ -0,0 +1,35 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { nextBusinessTime } from '../src/services/timeZones.js';
+
+describe('nextBusinessTime', () => {
+  test('keeps a time already within business hours', () => {
+    const date = new Date('2025-01-08T15:30:00Z'); // Wednesday 10:30 in New York
+    assert.equal(nextBusinessTime(date, 'America/New_York'), date);
+  });
+
+  test('moves an early-morning time to the start of the day', () => {
+    const date = new Date('2025-01-08T11:00:00Z'); // 06:00 in New York
+    assert.equal(nextBusinessTime(date, 'America/New_York').toISOString(), '2025-01-08T14:00:00.000Z');
+  });
+
+  test('moves an evening time to the next morning', () => {
+    const date = new Date('2025-01-08T23:00:00Z'); // 18:00 in New York
+    assert.equal(nextBusinessTime(date, 'America/New_York').toISOString(), '2025-01-09T14:00:00.000Z');
+  });
+
+  test('skips the weekend', () => {
+    const date = new Date('2025-01-10T23:00:00Z'); // Friday 18:00 in New York
+    assert.equal(nextBusinessTime(date, 'America/New_York').toISOString(), '2025-01-13T14:00:00.000Z');
+  });
+
+  test('uses the offset at the target time across a DST change', () => {
+    const date = new Date('2025-03-07T23:00:00Z'); // Friday 18:00 EST, DST starts Sunday
+    assert.equal(nextBusinessTime(date, 'America/New_York').toISOString(), '2025-03-10T13:00:00.000Z');
+  });
+
+  test('honours custom hours', () => {
+    const date = new Date('2025-01-08T07:00:00Z'); // 08:00 in Berlin
+    assert.equal(nextBusinessTime(date, 'Europe/Berlin', { start: 10, end: 16 }).toISOString(), '2025-01-08T09:00:00.000Z');
+  });
+});
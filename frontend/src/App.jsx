@@ -1,17 +1,28 @@
-import { useState } from 'react'
+import { useState, useEffect } from 'react'
 import Header from './components/Header'
 import JobFinder from './components/JobFinder'
 import PeopleFinder from './components/PeopleFinder'
 import Dashboard from './components/Dashboard'
 import AgentWorkflow from './components/AgentWorkflow'
+import Login from './components/Login'
+import Settings from './components/Settings'
+import Team from './components/Team'
 import { WorkflowProvider } from './context/WorkflowContext'
 import { ThemeProvider, useTheme } from './context/ThemeContext'
+import { AuthProvider, useAuth } from './context/AuthContext'
 
 function AppContent() {
   const [activeTab, setActiveTab] = useState('agent')
   const [savedJobs, setSavedJobs] = useState([])
   const [savedContacts, setSavedContacts] = useState([])
   const { isDark } = useTheme()
+  const { user, loading } = useAuth()
+
+  // Results found this session belong to whoever was logged in
+  useEffect(() => {
+    setSavedJobs([])
+    setSavedContacts([])
+  }, [user?._id])
 
   const handleJobsFound = (jobs) => {
     setSavedJobs(prev => [...jobs, ...prev])
@@ -33,24 +44,39 @@ function AppContent() {
         <Header activeTab={activeTab} setActiveTab={setActiveTab} />
         
         <main className="max-w-7xl mx-auto px-6 py-8">
-          {activeTab === 'agent' && (
-            <AgentWorkflow />
-          )}
-          
-          {activeTab === 'jobs' && (
-            <JobFinder onJobsFound={handleJobsFound} />
-          )}
-          
-          {activeTab === 'people' && (
-            <PeopleFinder onContactsFound={handleContactsFound} />
-          )}
-          
-          {activeTab === 'dashboard' && (
-            <Dashboard 
-              jobs={savedJobs} 
-              contacts={savedContacts} 
-              onNavigateToAgent={() => setActiveTab('agent')}
-            />
+          {!user && !loading && <Login />}
+
+          {/* Remounted per user so one account's workflow never shows for another */}
+          {user && (
+            <WorkflowProvider key={user._id}>
+              {activeTab === 'agent' && (
+                <AgentWorkflow />
+              )}
+              
+              {activeTab === 'jobs' && (
+                <JobFinder onJobsFound={handleJobsFound} />
+              )}
+              
+              {activeTab === 'people' && (
+                <PeopleFinder onContactsFound={handleContactsFound} />
+              )}
+              
+              {activeTab === 'dashboard' && (
+                <Dashboard 
+                  jobs={savedJobs} 
+                  contacts={savedContacts} 
+                  onNavigateToAgent={() => setActiveTab('agent')}
+                />
+              )}
+
+              {activeTab === 'team' && (
+                <Team />
+              )}
+
+              {activeTab === 'settings' && (
+                <Settings />
+              )}
+            </WorkflowProvider>
           )}
         </main>
       </div>
@@ -61,9 +87,9 @@ function AppContent() {
 function App() {
   return (
     <ThemeProvider>
-      <WorkflowProvider>
+      <AuthProvider>
         <AppContent />
-      </WorkflowProvider>
+      </AuthProvider>
     </ThemeProvider>
   )
 }
@@ -1,6 +1,7 @@
 import { useState, useEffect, useRef } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
 import { useWorkflow } from '../context/WorkflowContext'
+import { apiFetch } from '../context/AuthContext'
 
 export default function AgentWorkflow() {
   // Use workflow context for persistence across navigation
@@ -25,6 +26,12 @@ export default function AgentWorkflow() {
   const [seniorityLevel, setSeniorityLevel] = useState(() => localStorage.getItem('introlink_seniority_level') || '')
   const [maxJobsPerRole, setMaxJobsPerRole] = useState(() => parseInt(localStorage.getItem('introlink_max_jobs')) || 5)
   const [maxContactsPerJob, setMaxContactsPerJob] = useState(() => parseInt(localStorage.getItem('introlink_max_contacts')) || 3)
+  const [minFitScore, setMinFitScore] = useState(() => localStorage.getItem('introlink_min_fit_score') || '')
+  const [minSalary, setMinSalary] = useState(() => localStorage.getItem('introlink_min_salary') || '')
+  const [needsVisaSponsorship, setNeedsVisaSponsorship] = useState(() => localStorage.getItem('introlink_needs_visa') === 'true')
+  const [skipContactedJobs, setSkipContactedJobs] = useState(() => localStorage.getItem('introlink_skip_contacted') !== 'false')
+  const [maxBudgetUsd, setMaxBudgetUsd] = useState(() => localStorage.getItem('introlink_max_budget') || '')
+  const [estimate, setEstimate] = useState(null)
   
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
@@ -72,6 +79,77 @@ export default function AgentWorkflow() {
     localStorage.setItem('introlink_max_contacts', maxContactsPerJob.toString())
   }, [maxContactsPerJob])
 
+  useEffect(() => {
+    localStorage.setItem('introlink_min_fit_score', minFitScore)
+  }, [minFitScore])
+
+  useEffect(() => {
+    localStorage.setItem('introlink_min_salary', minSalary)
+  }, [minSalary])
+
+  useEffect(() => {
+    localStorage.setItem('introlink_needs_visa', needsVisaSponsorship.toString())
+  }, [needsVisaSponsorship])
+
+  useEffect(() => {
+    localStorage.setItem('introlink_skip_contacted', skipContactedJobs.toString())
+  }, [skipContactedJobs])
+
+  useEffect(() => {
+    localStorage.setItem('introlink_max_budget', maxBudgetUsd)
+  }, [maxBudgetUsd])
+
+  // Build the workflow request from the form (shared by start and estimate)
+  const buildWorkflowParams = () => {
+    const roles = targetRoles.split(',').map(r => r.trim()).filter(Boolean)
+    const locations = targetLocations.split(',').map(l => l.trim()).filter(Boolean)
+    const companies = targetCompanies.split(',').map(c => c.trim()).filter(Boolean)
+
+    return {
+      resumeText,
+      targetRoles: roles,
+      targetCompanies: companies.length > 0 ? companies : undefined,
+      targetLocations: locations.length > 0 ? locations : undefined,
+      preferences: {
+        workArrangement: workArrangement || undefined,
+        seniorityLevel: seniorityLevel || undefined,
+        maxJobsPerRole,
+        maxContactsPerJob,
+        minFitScore: minFitScore !== '' ? parseInt(minFitScore) : undefined,
+        minSalary: minSalary ? parseInt(minSalary) : undefined,
+        needsVisaSponsorship,
+        skipContactedJobs
+      },
+      maxBudgetUsd: maxBudgetUsd ? parseFloat(maxBudgetUsd) : undefined
+    }
+  }
+
+  // Refresh the pre-flight cost estimate when the form changes
+  useEffect(() => {
+    const params = buildWorkflowParams()
+    if (params.targetRoles.length === 0 || isWorkflowRunning) {
+      setEstimate(null)
+      return
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const res = await apiFetch('/api/agent/estimate', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(params)
+        })
+        if (res.ok) {
+          setEstimate(await res.json())
+        }
+      } catch (err) {
+        console.error('Estimate error:', err)
+      }
+    }, 500)
+
+    return () => clearTimeout(timer)
+  }, [resumeText, targetRoles, targetCompanies, targetLocations, workArrangement, seniorityLevel, maxJobsPerRole, maxContactsPerJob, maxBudgetUsd, isWorkflowRunning])
+
   // Handle file upload
   const handleFileUpload = async (e) => {
     const file = e.target.files?.[0]
@@ -104,7 +182,7 @@ export default function AgentWorkflow() {
         const formData = new FormData()
         formData.append('resume', file)
 
-        const res = await fetch('/api/resume/upload', {
+        const res = await apiFetch('/api/resume/upload', {
           method: 'POST',
           body: formData
         })
@@ -133,7 +211,7 @@ export default function AgentWorkflow() {
     }
   }
 
-  // Polling is now handled by WorkflowContext
+  // Live status updates are handled by WorkflowContext
 
   const handleStartWorkflow = async () => {
     if (!resumeText.trim()) {
@@ -141,8 +219,8 @@ export default function AgentWorkflow() {
       return
     }
 
-    const roles = targetRoles.split(',').map(r => r.trim()).filter(Boolean)
-    if (roles.length === 0) {
+    const params = buildWorkflowParams()
+    if (params.targetRoles.length === 0) {
       setError('Please enter at least one target role')
       return
     }
@@ -151,21 +229,7 @@ export default function AgentWorkflow() {
     setError(null)
 
     try {
-      const locations = targetLocations.split(',').map(l => l.trim()).filter(Boolean)
-      const companies = targetCompanies.split(',').map(c => c.trim()).filter(Boolean)
-      
-      await contextStartWorkflow({
-        resumeText,
-        targetRoles: roles,
-        targetCompanies: companies.length > 0 ? companies : undefined,
-        targetLocations: locations.length > 0 ? locations : undefined,
-        preferences: {
-          workArrangement: workArrangement || undefined,
-          seniorityLevel: seniorityLevel || undefined,
-          maxJobsPerRole,
-          maxContactsPerJob
-        }
-      })
+      await contextStartWorkflow(params)
     } catch (err) {
       setError(err.message)
     } finally {
@@ -193,6 +257,7 @@ export default function AgentWorkflow() {
   const getStepLabel = (step) => {
     const labels = {
       'initialized': 'Initializing...',
+      'queued': 'Waiting in queue...',
       'parsing_resume': 'Parsing resume...',
       'searching_jobs': 'Searching for jobs...',
       'finding_contacts': 'Finding contacts...',
@@ -409,6 +474,93 @@ export default function AgentWorkflow() {
               </div>
             </div>
 
+            {/* Fit Row - jobs scoring below the minimum skip contact search */}
+            <div className="grid grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <label className="block text-sm font-medium text-ink-300">Minimum Fit Score</label>
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  value={minFitScore}
+                  onChange={(e) => setMinFitScore(e.target.value)}
+                  placeholder="Default (50)"
+                  className="w-full input-dark"
+                  disabled={loading || isWorkflowRunning}
+                />
+              </div>
+              <div className="space-y-2">
+                <label className="block text-sm font-medium text-ink-300">Minimum Salary</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="5000"
+                  value={minSalary}
+                  onChange={(e) => setMinSalary(e.target.value)}
+                  placeholder="Any"
+                  className="w-full input-dark"
+                  disabled={loading || isWorkflowRunning}
+                />
+              </div>
+            </div>
+            <label className="flex items-center gap-2 text-sm text-ink-300 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={needsVisaSponsorship}
+                onChange={(e) => setNeedsVisaSponsorship(e.target.checked)}
+                className="accent-volt-500"
+                disabled={loading || isWorkflowRunning}
+              />
+              I need visa sponsorship
+            </label>
+            <label className="flex items-center gap-2 text-sm text-ink-300 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={skipContactedJobs}
+                onChange={(e) => setSkipContactedJobs(e.target.checked)}
+                className="accent-volt-500"
+                disabled={loading || isWorkflowRunning}
+              />
+              Skip jobs I've already contacted
+            </label>
+
+            {/* Budget Row */}
+            <div className="space-y-2">
+              <label className="block text-sm font-medium text-ink-300">Max Budget (USD)</label>
+              <input
+                type="number"
+                min="0"
+                step="0.5"
+                value={maxBudgetUsd}
+                onChange={(e) => setMaxBudgetUsd(e.target.value)}
+                placeholder="No limit"
+                className="w-full input-dark"
+                disabled={loading || isWorkflowRunning}
+              />
+            </div>
+
+            {/* Pre-flight Cost Estimate */}
+            {estimate && !isWorkflowRunning && !results && (
+              <div className={`p-3 rounded-xl border space-y-2 ${
+                estimate.within_budget ? 'bg-ink-900/50 border-ink-800' : 'bg-amber-500/10 border-amber-500/30'
+              }`}>
+                <div className="flex justify-between items-center">
+                  <span className="text-xs text-ink-500 uppercase tracking-wide">Estimated Cost (max)</span>
+                  <span className="font-mono text-sm font-bold text-volt-400">${estimate.total_usd.toFixed(4)}</span>
+                </div>
+                <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs text-ink-400">
+                  <span>Jobs: <span className="font-mono text-ink-300">${estimate.breakdown.job_search.toFixed(4)}</span></span>
+                  <span>People: <span className="font-mono text-ink-300">${estimate.breakdown.people_search.toFixed(4)}</span></span>
+                  <span>Emails lookup: <span className="font-mono text-ink-300">${estimate.breakdown.email_enrichment.toFixed(4)}</span></span>
+                  <span>Drafting: <span className="font-mono text-ink-300">${(estimate.breakdown.email_generation + estimate.breakdown.linkedin_generation + estimate.breakdown.resume_parsing).toFixed(4)}</span></span>
+                </div>
+                <p className="text-xs text-ink-500">
+                  Up to {estimate.assumptions.max_jobs} jobs and {estimate.assumptions.max_contacts} contacts.
+                  {!estimate.within_budget && ' Over budget: steps will be skipped once the budget is reached.'}
+                </p>
+              </div>
+            )}
+
             {/* Error */}
             <AnimatePresence>
               {error && (
@@ -493,6 +645,14 @@ export default function AgentWorkflow() {
                   </span>
                 </div>
 
+                {/* Queue Position */}
+                {status.workflow?.status === 'queued' && status.queue?.position && (
+                  <div className="p-3 rounded-xl bg-pulse-500/10 border border-pulse-500/20 flex items-center justify-between">
+                    <span className="text-sm text-pulse-400">Waiting for a free slot</span>
+                    <span className="font-mono text-sm text-white">#{status.queue.position} in queue</span>
+                  </div>
+                )}
+
                 {/* Pipeline Steps Visualization */}
                 <WorkflowPipelineSteps 
                   currentStep={status.workflow?.progress?.current_step}
@@ -555,6 +715,12 @@ export default function AgentWorkflow() {
                         </div>
                       </div>
                     )}
+                    {status.workflow?.budget?.max_usd && (
+                      <div className={`text-xs ${status.workflow.budget.exhausted ? 'text-amber-400' : 'text-ink-500'}`}>
+                        Budget ${status.workflow.budget.max_usd.toFixed(2)} (estimated ${(status.workflow.budget.estimated_usd || 0).toFixed(4)})
+                        {status.workflow.budget.exhausted && `: ${status.workflow.budget.skipped_steps} step(s) skipped to stay within budget`}
+                      </div>
+                    )}
                   </div>
                 )}
 
@@ -737,9 +903,9 @@ function ResultsSection({ results }) {
   const [selectedJob, setSelectedJob] = useState(null)
   const [selectedContact, setSelectedContact] = useState(null)
 
-  // Get contacts for a specific job
+  // Get contacts for a specific job (a contact found for several jobs lists them all in job_ids)
   const getContactsForJob = (jobId) => {
-    return results.contacts?.filter(c => c.job_id === jobId || c.job_id?._id === jobId) || []
+    return results.contacts?.filter(c => c.job_id === jobId || c.job_id?._id === jobId || c.job_ids?.includes(jobId)) || []
   }
 
   // Get email for a specific contact
@@ -829,6 +995,11 @@ function ResultsSection({ results }) {
                 {selectedJob.description_snippet && (
                   <p className="text-sm text-ink-400 mt-3 line-clamp-2">{selectedJob.description_snippet}</p>
                 )}
+                {selectedJob.fit_explanation && (
+                  <p className="text-xs text-ink-500 mt-2">
+                    <span className="text-volt-400 font-medium">Fit:</span> {selectedJob.fit_explanation}
+                  </p>
+                )}
               </div>
               {selectedJob.linkedin_url && (
                 <a
@@ -911,6 +1082,11 @@ function JobCard({ job, contactCount, emailCount, onClick }) {
           <div className="text-white font-medium">{job.title}</div>
           <div className="text-sm text-ink-400">{job.company_name}</div>
           <div className="flex items-center gap-2 text-xs text-ink-500 mt-2">
+            {job.fit_score != null && (
+              <span className={job.fit_status === 'qualified' ? 'tag-volt' : 'tag-gray'} title={job.fit_explanation}>
+                Fit {job.fit_score}
+              </span>
+            )}
             {job.location && <span>{job.location}</span>}
             {job.work_arrangement && <span className="tag-green">{job.work_arrangement}</span>}
           </div>
@@ -6,7 +6,8 @@ export default function ContactCard({ contact, compact = false }) {
     linkedin_url,
     email,
     snippet,
-    relevance_score
+    relevance_score,
+    claims = []
   } = contact
 
   const getInitials = (name) => {
@@ -76,6 +77,23 @@ export default function ContactCard({ contact, compact = false }) {
             )}
           </div>
 
+          {/* Workspace claims - a teammate reaching out to this person */}
+          {claims.length > 0 && (
+            <div className="flex flex-wrap gap-1.5 mb-3">
+              {claims.map(claim => (
+                <span
+                  key={claim._id}
+                  className={`text-xs px-2 py-0.5 rounded-full border ${
+                    claim.mine ? 'bg-volt-500/10 border-volt-500/20 text-volt-400' : 'bg-signal-500/10 border-signal-500/20 text-signal-400'
+                  }`}
+                >
+                  Claimed by {claim.mine ? 'you' : claim.claimed_by?.name || 'a teammate'}
+                  {claim.job_title ? ` for ${claim.job_title}` : ''}
+                </span>
+              ))}
+            </div>
+          )}
+
           {/* Snippet */}
           {snippet && (
             <p className="text-sm text-ink-400 mb-4 line-clamp-2">
@@ -2,6 +2,7 @@ import { useState, useEffect, useCallback } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
 import { useWorkflow } from '../context/WorkflowContext'
 import { useTheme } from '../context/ThemeContext'
+import { apiFetch } from '../context/AuthContext'
 import JobCard from './JobCard'
 import ContactCard from './ContactCard'
 
@@ -10,6 +11,7 @@ export default function Dashboard({ jobs: propJobs, contacts: propContacts, onNa
   const [jobs, setJobs] = useState(propJobs || [])
   const [contacts, setContacts] = useState(propContacts || [])
   const [receipts, setReceipts] = useState([])
+  const [sendQueue, setSendQueue] = useState([])
   const [workflows, setWorkflows] = useState([])
   const [stats, setStats] = useState({ jobs: 0, contacts: 0, receipts: 0, totalSpent: 0 })
   
@@ -18,7 +20,8 @@ export default function Dashboard({ jobs: propJobs, contacts: propContacts, onNa
   const [loadingJobs, setLoadingJobs] = useState(false)
   const [loadingContacts, setLoadingContacts] = useState(false)
   const [loadingReceipts, setLoadingReceipts] = useState(false)
-  const [loadedSections, setLoadedSections] = useState({ workflows: false, jobs: false, contacts: false, receipts: false })
+  const [loadingQueue, setLoadingQueue] = useState(false)
+  const [loadedSections, setLoadedSections] = useState({ workflows: false, jobs: false, contacts: false, receipts: false, queue: false })
   
   const [activeView, setActiveView] = useState('workflows')
   
@@ -46,13 +49,15 @@ export default function Dashboard({ jobs: propJobs, contacts: propContacts, onNa
       fetchContacts()
     } else if (activeView === 'receipts' && !loadedSections.receipts) {
       fetchReceipts()
+    } else if (activeView === 'queue' && !loadedSections.queue) {
+      fetchSendQueue()
     }
   }, [activeView, loadedSections])
 
   const fetchStats = async () => {
     try {
       // Fetch just counts for stats - much faster
-      const res = await fetch('/api/stats')
+      const res = await apiFetch('/api/stats')
       if (res.ok) {
         const data = await res.json()
         setStats(data)
@@ -65,7 +70,7 @@ export default function Dashboard({ jobs: propJobs, contacts: propContacts, onNa
   const fetchWorkflows = async () => {
     setLoadingWorkflows(true)
     try {
-      const res = await fetch('/api/agent/workflows?limit=20')
+      const res = await apiFetch('/api/agent/workflows?limit=20')
       const data = await res.json()
       setWorkflows(data.workflows || [])
       setLoadedSections(prev => ({ ...prev, workflows: true }))
@@ -79,7 +84,7 @@ export default function Dashboard({ jobs: propJobs, contacts: propContacts, onNa
   const fetchJobs = async () => {
     setLoadingJobs(true)
     try {
-      const res = await fetch('/api/jobs?limit=50')
+      const res = await apiFetch('/api/jobs?limit=50&sort=fit')
       const data = await res.json()
       setJobs(data.jobs || [])
       setLoadedSections(prev => ({ ...prev, jobs: true }))
@@ -93,7 +98,7 @@ export default function Dashboard({ jobs: propJobs, contacts: propContacts, onNa
   const fetchContacts = async () => {
     setLoadingContacts(true)
     try {
-      const res = await fetch('/api/contacts?limit=50')
+      const res = await apiFetch('/api/contacts?limit=50')
       const data = await res.json()
       setContacts(data.contacts || [])
       setLoadedSections(prev => ({ ...prev, contacts: true }))
@@ -107,7 +112,7 @@ export default function Dashboard({ jobs: propJobs, contacts: propContacts, onNa
   const fetchReceipts = async () => {
     setLoadingReceipts(true)
     try {
-      const res = await fetch('/api/receipts?limit=30')
+      const res = await apiFetch('/api/receipts?limit=30')
       const data = await res.json()
       setReceipts(data.receipts || [])
       setLoadedSections(prev => ({ ...prev, receipts: true }))
@@ -118,18 +123,33 @@ export default function Dashboard({ jobs: propJobs, contacts: propContacts, onNa
     }
   }
 
+  const fetchSendQueue = async () => {
+    setLoadingQueue(true)
+    try {
+      const res = await apiFetch('/api/email/scheduled')
+      const data = await res.json()
+      setSendQueue(data.emails || [])
+      setLoadedSections(prev => ({ ...prev, queue: true }))
+    } catch (error) {
+      console.error('Failed to fetch send queue:', error)
+    } finally {
+      setLoadingQueue(false)
+    }
+  }
+
   const refreshCurrentView = useCallback(() => {
     if (activeView === 'workflows') fetchWorkflows()
     else if (activeView === 'jobs') fetchJobs()
     else if (activeView === 'contacts') fetchContacts()
     else if (activeView === 'receipts') fetchReceipts()
+    else if (activeView === 'queue') fetchSendQueue()
     fetchStats()
   }, [activeView])
 
   const fetchWorkflowDetails = async (workflowId) => {
     setLoadingDetails(true)
     try {
-      const res = await fetch(`/api/agent/results/${workflowId}`)
+      const res = await apiFetch(`/api/agent/results/${workflowId}`)
       if (res.ok) {
         const data = await res.json()
         setWorkflowDetails(data)
@@ -191,6 +211,7 @@ export default function Dashboard({ jobs: propJobs, contacts: propContacts, onNa
   const getStatusBadge = (status) => {
     const badges = {
       'pending': 'tag-gray',
+      'queued': 'tag-gray',
       'parsing_resume': 'tag-purple',
       'searching_jobs': 'tag-blue',
       'finding_contacts': 'tag-purple',
@@ -205,6 +226,7 @@ export default function Dashboard({ jobs: propJobs, contacts: propContacts, onNa
   const getStatusLabel = (status) => {
     const labels = {
       'pending': 'Pending',
+      'queued': 'Queued',
       'parsing_resume': 'Parsing Resume',
       'searching_jobs': 'Searching Jobs',
       'finding_contacts': 'Finding Contacts',
@@ -318,7 +340,9 @@ export default function Dashboard({ jobs: propJobs, contacts: propContacts, onNa
           { id: 'workflows', icon: WorkflowIcon, label: 'Workflows' },
           { id: 'jobs', icon: JobIcon, label: 'Jobs' },
           { id: 'contacts', icon: PeopleIcon, label: 'Contacts' },
-          { id: 'receipts', icon: CostIcon, label: 'Receipts' }
+          { id: 'receipts', icon: CostIcon, label: 'Receipts' },
+          { id: 'queue', icon: ClockIcon, label: 'Send Queue' },
+          { id: 'activity', icon: ActivityIcon, label: 'Activity' }
         ].map((view) => (
           <button
             key={view.id}
@@ -470,7 +494,10 @@ export default function Dashboard({ jobs: propJobs, contacts: propContacts, onNa
                       <th className="pb-3 font-medium">Transaction ID</th>
                       <th className="pb-3 font-medium">Provider</th>
                       <th className="pb-3 font-medium">Tool</th>
+                      <th className="pb-3 font-medium">For</th>
+                      <th className="pb-3 font-medium">Quoted</th>
                       <th className="pb-3 font-medium">Amount</th>
+                      <th className="pb-3 font-medium">Latency</th>
                       <th className="pb-3 font-medium">Date</th>
                     </tr>
                   </thead>
@@ -485,9 +512,19 @@ export default function Dashboard({ jobs: propJobs, contacts: propContacts, onNa
                         </td>
                         <td className="py-4 text-ink-300">{receipt.provider}</td>
                         <td className="py-4 text-white">{receipt.tool_name}</td>
+                        <td className="py-4 text-ink-300">
+                          {receipt.category?.replace(/_/g, ' ') || '—'}
+                          <div className="text-xs text-ink-500">{receipt.workflow_id ? 'Workflow' : 'Direct'}</div>
+                        </td>
+                        <td className="py-4 font-mono text-ink-400">
+                          {receipt.quoted_usd != null ? `$${receipt.quoted_usd.toFixed(4)}` : '—'}
+                        </td>
                         <td className="py-4 font-mono text-volt-400">
                           ${receipt.amount_paid_usd?.toFixed(4)}
                         </td>
+                        <td className="py-4 text-ink-400">
+                          {receipt.execution_time_ms != null ? `${(receipt.execution_time_ms / 1000).toFixed(1)}s` : '—'}
+                        </td>
                         <td className="py-4 text-ink-400">
                           {new Date(receipt.created_at).toLocaleDateString()}
                         </td>
@@ -501,6 +538,19 @@ export default function Dashboard({ jobs: propJobs, contacts: propContacts, onNa
             )}
           </div>
         )}
+
+        {activeView === 'queue' && (
+          <SendQueueView
+            emails={sendQueue}
+            loading={loadingQueue}
+            onRefresh={fetchSendQueue}
+            isDark={isDark}
+          />
+        )}
+
+        {activeView === 'activity' && (
+          <ActivityView isDark={isDark} />
+        )}
       </div>
     </div>
   )
@@ -624,6 +674,452 @@ function WorkflowCard({ workflow, isActive, onView, getStatusBadge, getStatusLab
   )
 }
 
+const QUEUE_STATUS_BADGES = { scheduled: 'tag-blue', sending: 'tag-volt', held: 'tag-signal', failed: 'tag-red' }
+
+// Value for a datetime-local input, in the browser's time zone
+function toLocalInputValue(date) {
+  const d = new Date(date)
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16)
+}
+
+function SendQueueView({ emails, loading, onRefresh, isDark = true }) {
+  const [editingId, setEditingId] = useState(null)
+  const [sendAt, setSendAt] = useState('')
+  const [businessHours, setBusinessHours] = useState(false)
+  const [busyId, setBusyId] = useState(null)
+  const [error, setError] = useState(null)
+
+  const startEditing = (email) => {
+    setEditingId(email._id)
+    setSendAt(toLocalInputValue(email.scheduled_at || Date.now()))
+    setBusinessHours(!!email.schedule?.business_hours)
+    setError(null)
+  }
+
+  const updateSchedule = async (emailId, method, body, url = `/api/email/scheduled/${emailId}`) => {
+    setBusyId(emailId)
+    setError(null)
+    try {
+      const res = await apiFetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+      })
+      const data = await res.json()
+      if (!res.ok) {
+        setError(data.error || 'Failed to update scheduled send')
+        return
+      }
+      setEditingId(null)
+      onRefresh()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="font-display text-lg font-semibold text-white flex items-center gap-2">
+          <ClockIcon className="w-5 h-5 text-signal-400" />
+          Scheduled Sends
+        </h3>
+        <button onClick={onRefresh} className="btn-ghost text-sm">
+          <RefreshIcon className="w-4 h-4" />
+          Refresh
+        </button>
+      </div>
+
+      {error && (
+        <div className="text-sm text-red-400 bg-red-500/10 px-4 py-2 rounded-lg">{error}</div>
+      )}
+
+      {loading ? (
+        <LoadingCards count={3} isDark={isDark} />
+      ) : emails.length > 0 ? (
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead>
+              <tr className="text-left text-sm text-ink-400 border-b border-ink-800">
+                <th className="pb-3 font-medium">Recipient</th>
+                <th className="pb-3 font-medium">Subject</th>
+                <th className="pb-3 font-medium">Send At</th>
+                <th className="pb-3 font-medium">Status</th>
+                <th className="pb-3 font-medium"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {emails.map((email) => (
+                <tr key={email._id} className="border-b border-ink-900 text-sm align-top">
+                  <td className="py-4 pr-4">
+                    <div className="text-white">{email.recipient_name || email.recipient_email}</div>
+                    <div className="text-xs text-ink-500">{email.recipient_email}</div>
+                    {email.recipient_company && <div className="text-xs text-ink-500">{email.recipient_company}</div>}
+                  </td>
+                  <td className="py-4 pr-4 text-ink-300 max-w-xs truncate">{email.subject}</td>
+                  <td className="py-4 pr-4">
+                    {editingId === email._id ? (
+                      <div className="space-y-2">
+                        <input
+                          type="datetime-local"
+                          value={sendAt}
+                          onChange={(e) => setSendAt(e.target.value)}
+                          className="input-dark text-sm"
+                        />
+                        <label className="flex items-center gap-2 text-xs text-ink-300 cursor-pointer">
+                          <input
+                            type="checkbox"
+                            checked={businessHours}
+                            onChange={(e) => setBusinessHours(e.target.checked)}
+                            className="accent-volt-500"
+                          />
+                          Recipient business hours
+                        </label>
+                      </div>
+                    ) : (
+                      <>
+                        <div className="text-ink-300">{email.scheduled_at ? new Date(email.scheduled_at).toLocaleString() : '-'}</div>
+                        {email.schedule?.business_hours && (
+                          <div className="text-xs text-ink-500">Business hours · {email.schedule.time_zone}</div>
+                        )}
+                      </>
+                    )}
+                  </td>
+                  <td className="py-4 pr-4">
+                    <span className={`${QUEUE_STATUS_BADGES[email.status] || 'tag-gray'} text-xs`}>{email.status}</span>
+                    {email.schedule?.last_error && (
+                      <div className="text-xs text-red-400 mt-1 max-w-xs">
+                        {email.schedule.last_error} ({email.schedule.attempts} attempt{email.schedule.attempts === 1 ? '' : 's'})
+                      </div>
+                    )}
+                  </td>
+                  <td className="py-4 text-right whitespace-nowrap">
+                    {email.status !== 'sending' && (
+                      editingId === email._id ? (
+                        <div className="flex gap-2 justify-end">
+                          <button
+                            onClick={() => updateSchedule(email._id, 'PATCH', { sendAt: new Date(sendAt).toISOString(), businessHours })}
+                            disabled={busyId === email._id || !sendAt}
+                            className="btn-primary text-xs"
+                          >
+                            Save
+                          </button>
+                          <button onClick={() => setEditingId(null)} className="btn-ghost text-xs">Back</button>
+                        </div>
+                      ) : (
+                        <div className="flex gap-2 justify-end">
+                          {email.status === 'held' ? (
+                            // Held for a risky address: approving puts it back on the schedule
+                            <button
+                              onClick={() => updateSchedule(email._id, 'POST', null, `/api/email/${email._id}/approve`)}
+                              disabled={busyId === email._id}
+                              className="btn-ghost text-xs"
+                            >
+                              Approve
+                            </button>
+                          ) : (
+                            <button onClick={() => startEditing(email)} className="btn-ghost text-xs">Reschedule</button>
+                          )}
+                          <button
+                            onClick={() => updateSchedule(email._id, 'DELETE')}
+                            disabled={busyId === email._id}
+                            className="btn-ghost text-xs text-red-400"
+                          >
+                            Cancel
+                          </button>
+                        </div>
+                      )
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <EmptyState message="Schedule a drafted email to see it queued here." icon={ClockIcon} isDark={isDark} />
+      )}
+    </div>
+  )
+}
+
+const ACTIVITY_FILTERS = [
+  { value: '', label: 'All activity' },
+  { value: 'email.sent', label: 'Sends' },
+  { value: 'email.status_changed', label: 'Status changes' },
+  { value: 'contact.enriched', label: 'Enrichments' },
+  { value: 'search.*,offer.paid,lookup.*', label: 'Paid searches' },
+  { value: 'workflow.*', label: 'Workflows' },
+  { value: 'workspace.*', label: 'Workspaces' },
+  { value: 'do_not_contact.*,credentials.*,sender_identity.*', label: 'Settings' }
+]
+const ACTION_LABELS = {
+  'email.sent': 'Sent email',
+  'email.status_changed': 'Changed status',
+  'email.approved': 'Approved send',
+  'email.reply_classified': 'Classified reply',
+  'contact.enriched': 'Enriched contact',
+  'workflow.started': 'Started workflow',
+  'workflow.cancelled': 'Cancelled workflow',
+  'search.people': 'Searched people',
+  'search.jobs': 'Searched jobs',
+  'offer.paid': 'Paid offer',
+  'lookup.email': 'Looked up email',
+  'lookup.person': 'Looked up person',
+  'lookup.verification': 'Verified email',
+  'email.drafted': 'Drafted email',
+  'email.scheduled': 'Scheduled send',
+  'email.rescheduled': 'Rescheduled send',
+  'email.schedule_cancelled': 'Cancelled send',
+  'contact.merged': 'Merged contacts',
+  'resume.uploaded': 'Uploaded résumé',
+  'do_not_contact.added': 'Added to do-not-contact',
+  'do_not_contact.updated': 'Updated do-not-contact',
+  'do_not_contact.removed': 'Removed from do-not-contact',
+  'credentials.saved': 'Saved credentials',
+  'credentials.removed': 'Removed credentials',
+  'sender_identity.created': 'Added sender',
+  'sender_identity.updated': 'Updated sender',
+  'sender_identity.removed': 'Removed sender',
+  'workspace.created': 'Created workspace',
+  'workspace.renamed': 'Renamed workspace',
+  'workspace.deleted': 'Deleted workspace',
+  'workspace.member_added': 'Added member',
+  'workspace.member_role_changed': 'Changed member role',
+  'workspace.member_removed': 'Removed member',
+  'workspace.contact_claimed': 'Claimed contact',
+  'workspace.claim_released': 'Released claim'
+}
+const ACTION_BADGES = { email: 'tag-volt', contact: 'tag-blue', workflow: 'tag-signal', search: 'tag-blue', offer: 'tag-blue', lookup: 'tag-blue' }
+
+// Who did it: the user, or the background job acting for them
+function activityActor(event) {
+  if (event.actor_type === 'system') return event.via || 'system'
+  return event.actor_id?.name || event.actor_id?.email || 'You'
+}
+
+function formatChange(change) {
+  const show = (value) => value === null || value === undefined ? '—' : typeof value === 'object' ? JSON.stringify(value) : String(value)
+  return `${change.field}: ${show(change.before)} → ${show(change.after)}`
+}
+
+function ActivityView({ isDark = true }) {
+  const [events, setEvents] = useState([])
+  const [nextBefore, setNextBefore] = useState(null)
+  const [action, setAction] = useState('')
+  const [workspaceId, setWorkspaceId] = useState('')
+  const [workspaces, setWorkspaces] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [loadingMore, setLoadingMore] = useState(false)
+  const [error, setError] = useState(null)
+
+  // Only owners and admins can see a whole workspace's activity
+  useEffect(() => {
+    apiFetch('/api/workspaces')
+      .then(res => res.ok ? res.json() : { workspaces: [] })
+      .then(data => setWorkspaces((data.workspaces || []).filter(w => ['owner', 'admin'].includes(w.role))))
+      .catch(() => setWorkspaces([]))
+  }, [])
+
+  const fetchEvents = useCallback(async (before) => {
+    before ? setLoadingMore(true) : setLoading(true)
+    setError(null)
+    try {
+      const params = new URLSearchParams({ limit: '50' })
+      if (action) params.set('action', action)
+      if (workspaceId) params.set('workspace', workspaceId)
+      if (before) params.set('before', before)
+      const res = await apiFetch(`/api/audit?${params}`)
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error || 'Failed to load activity')
+      setEvents(prev => before ? [...prev, ...data.events] : data.events)
+      setNextBefore(data.next_before)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+      setLoadingMore(false)
+    }
+  }, [action, workspaceId])
+
+  useEffect(() => {
+    fetchEvents()
+  }, [fetchEvents])
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <h3 className="font-display text-lg font-semibold text-white flex items-center gap-2">
+          <ActivityIcon className="w-5 h-5 text-pulse-400" />
+          Activity
+        </h3>
+        <div className="flex flex-wrap items-center gap-2">
+          <select value={action} onChange={(e) => setAction(e.target.value)} className="input-dark text-sm py-1.5">
+            {ACTIVITY_FILTERS.map(filter => (
+              <option key={filter.value} value={filter.value}>{filter.label}</option>
+            ))}
+          </select>
+          {workspaces.length > 0 && (
+            <select value={workspaceId} onChange={(e) => setWorkspaceId(e.target.value)} className="input-dark text-sm py-1.5">
+              <option value="">Just me</option>
+              {workspaces.map(workspace => (
+                <option key={workspace._id} value={workspace._id}>{workspace.name}</option>
+              ))}
+            </select>
+          )}
+          <button onClick={() => fetchEvents()} className="btn-ghost text-sm">
+            <RefreshIcon className="w-4 h-4" />
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="text-sm text-red-400 bg-red-500/10 px-4 py-2 rounded-lg">{error}</div>
+      )}
+
+      {loading ? (
+        <LoadingCards count={4} isDark={isDark} />
+      ) : events.length > 0 ? (
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead>
+              <tr className="text-left text-sm text-ink-400 border-b border-ink-800">
+                <th className="pb-3 font-medium">When</th>
+                <th className="pb-3 font-medium">Who</th>
+                <th className="pb-3 font-medium">Action</th>
+                <th className="pb-3 font-medium">Target</th>
+                <th className="pb-3 font-medium">Changes</th>
+                <th className="pb-3 font-medium">Cost</th>
+              </tr>
+            </thead>
+            <tbody>
+              {events.map(event => (
+                <tr key={event._id} className="border-b border-ink-900 text-sm align-top">
+                  <td className="py-4 pr-4 text-ink-400 whitespace-nowrap">
+                    {new Date(event.created_at).toLocaleString()}
+                  </td>
+                  <td className="py-4 pr-4 text-ink-300">{activityActor(event)}</td>
+                  <td className="py-4 pr-4">
+                    <span className={`${ACTION_BADGES[event.action.split('.')[0]] || 'tag-gray'} text-xs`}>
+                      {ACTION_LABELS[event.action] || event.action}
+                    </span>
+                  </td>
+                  <td className="py-4 pr-4">
+                    <div className="text-white">{event.target_label || event.target_id}</div>
+                    {event.metadata?.subject && <div className="text-xs text-ink-500 max-w-xs truncate">{event.metadata.subject}</div>}
+                  </td>
+                  <td className="py-4 pr-4 text-xs text-ink-400 font-mono">
+                    {event.changes?.map(change => <div key={change.field}>{formatChange(change)}</div>)}
+                  </td>
+                  <td className="py-4 font-mono text-volt-400">
+                    {event.cost_usd ? `$${event.cost_usd.toFixed(4)}` : ''}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {nextBefore && (
+            <div className="pt-4 text-center">
+              <button onClick={() => fetchEvents(nextBefore)} disabled={loadingMore} className="btn-ghost text-sm disabled:opacity-50">
+                {loadingMore ? 'Loading...' : 'Load more'}
+              </button>
+            </div>
+          )}
+        </div>
+      ) : (
+        <EmptyState message="Sends, status changes, enrichments and workflows will show up here." icon={ActivityIcon} isDark={isDark} />
+      )}
+    </div>
+  )
+}
+
+const SEQUENCE_STATUS_BADGES = { active: 'tag-blue', completed: 'tag-volt', stopped: 'tag-red' }
+const STEP_STATUS_BADGES = { sent: 'tag-volt', responded: 'tag-volt', scheduled: 'tag-blue', sending: 'tag-blue', failed: 'tag-red' }
+const VERIFICATION_BADGES = { deliverable: 'tag-volt', risky: 'tag-signal', undeliverable: 'tag-red', invalid: 'tag-red', unknown: 'tag-gray' }
+
+// Opens and clicks recorded for a tracked email
+function EmailTrackingStats({ tracking, isDark = true }) {
+  if (!tracking?.token) return null
+
+  const muted = isDark ? 'text-ink-500' : 'text-slate-500'
+  return (
+    <div className="flex items-center gap-3 text-xs ml-auto">
+      <span className={tracking.opens ? 'text-volt-400' : muted} title={tracking.first_opened_at ? `First opened ${new Date(tracking.first_opened_at).toLocaleString()}` : undefined}>
+        {tracking.opens ? `Opened ${tracking.opens}× · last ${new Date(tracking.last_opened_at).toLocaleString()}` : 'Not opened yet'}
+      </span>
+      <span className={tracking.clicks ? 'text-volt-400' : muted} title={tracking.first_clicked_at ? `First clicked ${new Date(tracking.first_clicked_at).toLocaleString()}` : undefined}>
+        {tracking.clicks ? `Clicked ${tracking.clicks}× · last ${new Date(tracking.last_clicked_at).toLocaleString()}` : 'No clicks'}
+      </span>
+    </div>
+  )
+}
+
+function sequenceStepLabel(step, totalSteps) {
+  if (!step) return 'Initial email'
+  return step === totalSteps - 1 ? 'Final nudge' : `Follow-up ${step}`
+}
+
+// Follow-up steps sent (or queued) to a contact after their initial email
+function FollowUpSequencePanel({ sequences, onStop, stoppingId, isDark = true }) {
+  if (!sequences.length) return null
+
+  return (
+    <div className={`rounded-2xl overflow-hidden ${isDark ? 'bg-gradient-to-br from-ink-900 to-ink-950 border border-ink-800' : 'bg-white border border-slate-200 shadow-sm'}`}>
+      {sequences.map((sequence) => (
+        <div key={sequence.root_email_id} className={`p-5 ${isDark ? 'border-b border-ink-800/50' : 'border-b border-slate-100'} last:border-b-0`}>
+          <div className="flex items-center justify-between mb-3">
+            <div className="flex items-center gap-2">
+              <ClockIcon className="w-4 h-4 text-signal-400" />
+              <span className={`text-sm font-semibold ${isDark ? 'text-white' : 'text-slate-900'}`}>Follow-up Sequence</span>
+              <span className={`${SEQUENCE_STATUS_BADGES[sequence.status] || 'tag-gray'} text-xs`}>
+                {sequence.status.replace('_', ' ')}{sequence.stop_reason ? ` (${sequence.stop_reason})` : ''}
+              </span>
+            </div>
+            {sequence.status === 'active' && (
+              <button
+                onClick={() => onStop(sequence.root_email_id)}
+                disabled={stoppingId === sequence.root_email_id}
+                className="btn-ghost text-xs text-red-400"
+              >
+                {stoppingId === sequence.root_email_id ? 'Stopping...' : 'Stop'}
+              </button>
+            )}
+          </div>
+          <div className="space-y-2">
+            {sequence.steps.map((step) => (
+              <div key={step._id} className="flex items-center justify-between text-sm">
+                <span className={isDark ? 'text-ink-300' : 'text-slate-600'}>
+                  {sequenceStepLabel(step.sequence_step, sequence.total_steps)}
+                </span>
+                <span className="flex items-center gap-2">
+                  <span className={`text-xs ${isDark ? 'text-ink-500' : 'text-slate-500'}`}>
+                    {step.sent_at ? new Date(step.sent_at).toLocaleString() : step.scheduled_at ? new Date(step.scheduled_at).toLocaleString() : ''}
+                  </span>
+                  <span className={`${STEP_STATUS_BADGES[step.status] || 'tag-gray'} text-xs`}>{step.status}</span>
+                </span>
+              </div>
+            ))}
+            {sequence.status === 'active' && sequence.next_step_at && (
+              <div className={`text-xs ${isDark ? 'text-ink-500' : 'text-slate-500'}`}>
+                Next follow-up drafted {new Date(sequence.next_step_at).toLocaleDateString()} if there's no reply
+              </div>
+            )}
+          </div>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+// A contact found for several jobs lists them all in job_ids
+function contactFoundForJob(contact, job) {
+  const jobId = job._id?.toString()
+  return contact.job_id?.toString() === jobId || (contact.job_ids || []).some(id => id?.toString() === jobId)
+}
+
 function MiniStat({ icon: Icon, value, label, color, isDark = true }) {
   return (
     <div className="flex items-center gap-2">
@@ -786,6 +1282,23 @@ function LinkedInIcon({ className }) {
   )
 }
 
+function ClockIcon({ className }) {
+  return (
+    <svg className={className} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+      <circle cx="12" cy="12" r="10" />
+      <path d="M12 6v6l4 2" />
+    </svg>
+  )
+}
+
+function ActivityIcon({ className }) {
+  return (
+    <svg className={className} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+      <path d="M22 12h-4l-3 9L9 3l-3 9H2" />
+    </svg>
+  )
+}
+
 function SendIcon({ className }) {
   return (
     <svg className={className} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
@@ -817,6 +1330,52 @@ function WorkflowDetailView({
   const [sendingEmail, setSendingEmail] = useState(false)
   const [emailSent, setEmailSent] = useState(false)
   const [emailError, setEmailError] = useState(null)
+  const [heldEmailId, setHeldEmailId] = useState(null) // send held until the risky address is approved
+  const [schedulingEmail, setSchedulingEmail] = useState(false)
+  const [scheduledSends, setScheduledSends] = useState({}) // email id -> scheduled_at
+  const [sequences, setSequences] = useState([])
+  const [stoppingSequence, setStoppingSequence] = useState(null)
+  const [trackingAvailable, setTrackingAvailable] = useState(false) // globally on and reachable
+  const [trackingOverrides, setTrackingOverrides] = useState({}) // email id -> tracking enabled
+
+  const fetchSequences = useCallback(async (contactId) => {
+    try {
+      const res = await apiFetch(`/api/contacts/${contactId}/sequences`)
+      const data = await res.json()
+      setSequences(data.sequences || [])
+    } catch (error) {
+      console.error('Failed to fetch follow-up sequences:', error)
+    }
+  }, [])
+
+  useEffect(() => {
+    setSequences([])
+    if (selectedContact?._id) {
+      fetchSequences(selectedContact._id)
+    }
+  }, [selectedContact?._id, fetchSequences])
+
+  useEffect(() => {
+    apiFetch('/api/email/status')
+      .then(res => res.json())
+      .then(data => setTrackingAvailable(!!data.tracking?.enabled))
+      .catch(() => setTrackingAvailable(false))
+  }, [])
+
+  const handleToggleTracking = async (email, enabled) => {
+    try {
+      const res = await apiFetch(`/api/email/${email._id}/tracking`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ enabled })
+      })
+      if (res.ok) {
+        setTrackingOverrides(prev => ({ ...prev, [email._id]: enabled }))
+      }
+    } catch (error) {
+      console.error('Failed to update email tracking:', error)
+    }
+  }
 
   const copyToClipboard = async (text, type) => {
     await navigator.clipboard.writeText(text)
@@ -837,17 +1396,15 @@ function WorkflowDetailView({
 
     setSendingEmail(true)
     setEmailError(null)
+    setHeldEmailId(null)
     setEmailSent(false)
 
     try {
-      const response = await fetch('/api/email/send', {
+      // Sending the saved draft records it as sent, which starts its follow-up sequence
+      const response = await apiFetch(`/api/email/send-draft/${email._id}`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          to: contact.email,
-          subject: email.subject,
-          body: email.body
-        })
+        body: JSON.stringify({})
       })
 
       const result = await response.json()
@@ -855,8 +1412,10 @@ function WorkflowDetailView({
       if (result.success) {
         setEmailSent(true)
         setTimeout(() => setEmailSent(false), 5000)
+        fetchSequences(contact._id)
       } else {
         setEmailError(result.error || 'Failed to send email')
+        if (result.held) setHeldEmailId(email._id)
       }
     } catch (error) {
       setEmailError(error.message || 'Failed to send email')
@@ -865,12 +1424,68 @@ function WorkflowDetailView({
     }
   }
 
+  // Approve sending to an address that verified as risky, then send it
+  const handleApproveAndSend = async (contact, email) => {
+    try {
+      const res = await apiFetch(`/api/email/${email._id}/approve`, { method: 'POST' })
+      if (!res.ok) {
+        const result = await res.json()
+        setEmailError(result.error || 'Failed to approve email')
+        return
+      }
+      await handleSendEmail(contact, email)
+    } catch (error) {
+      setEmailError(error.message || 'Failed to approve email')
+    }
+  }
+
+  // Queue the draft to go out during the recipient's business hours
+  const handleScheduleEmail = async (email) => {
+    setSchedulingEmail(true)
+    setEmailError(null)
+
+    try {
+      const response = await apiFetch('/api/email/schedule', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ emailId: email._id, businessHours: true })
+      })
+
+      const result = await response.json()
+      const scheduled = result.scheduled?.[0]
+
+      if (scheduled) {
+        setScheduledSends(prev => ({ ...prev, [email._id]: scheduled.scheduled_at }))
+      } else {
+        setEmailError(result.errors?.[0]?.error || result.error || 'Failed to schedule email')
+      }
+    } catch (error) {
+      setEmailError(error.message || 'Failed to schedule email')
+    } finally {
+      setSchedulingEmail(false)
+    }
+  }
+
+  const handleStopSequence = async (emailId) => {
+    setStoppingSequence(emailId)
+    try {
+      const res = await apiFetch(`/api/email/${emailId}/sequence/stop`, { method: 'POST' })
+      if (res.ok) {
+        fetchSequences(selectedContact._id)
+      }
+    } catch (error) {
+      console.error('Failed to stop follow-up sequence:', error)
+    } finally {
+      setStoppingSequence(null)
+    }
+  }
+
   // Get jobs from details
   const jobs = details?.jobs || []
   
   // Get contacts for selected job
   const jobContacts = selectedJob 
-    ? (details?.contacts || []).filter(c => c.job_id === selectedJob._id || c.job_id?.toString() === selectedJob._id?.toString())
+    ? (details?.contacts || []).filter(c => contactFoundForJob(c, selectedJob))
     : []
 
   // Get email for selected contact
@@ -878,6 +1493,9 @@ function WorkflowDetailView({
     ? (details?.emails || []).find(e => e.contact_id === selectedContact._id || e.contact_id?.toString() === selectedContact._id?.toString())
     : null
 
+  const contactScheduledAt = contactEmail &&
+    (scheduledSends[contactEmail._id] || (contactEmail.status === 'scheduled' && contactEmail.scheduled_at))
+
   return (
     <motion.div
       initial={{ opacity: 0, x: 20 }}
@@ -989,14 +1607,13 @@ function WorkflowDetailView({
             {jobs.length > 0 ? (
               <div className="grid gap-3">
                 {jobs.map((job, i) => {
-                  const jobContactCount = (details?.contacts || []).filter(
-                    c => c.job_id === job._id || c.job_id?.toString() === job._id?.toString()
-                  ).length
+                  const jobContactCount = (details?.contacts || []).filter(c => contactFoundForJob(c, job)).length
                   const jobEmailCount = (details?.emails || []).filter(e => {
+                    if (e.job_id) return e.job_id?.toString() === job._id?.toString()
                     const contact = (details?.contacts || []).find(
                       c => c._id === e.contact_id || c._id?.toString() === e.contact_id?.toString()
                     )
-                    return contact && (contact.job_id === job._id || contact.job_id?.toString() === job._id?.toString())
+                    return contact && contactFoundForJob(contact, job)
                   }).length
 
                   return (
@@ -1013,8 +1630,16 @@ function WorkflowDetailView({
                           {job.location && (
                             <div className="text-xs text-ink-500 mt-1">{job.location}</div>
                           )}
+                          {job.fit_explanation && (
+                            <div className="text-xs text-ink-500 mt-1">{job.fit_explanation}</div>
+                          )}
                         </div>
                         <div className="flex items-center gap-4">
+                          {job.fit_score != null && (
+                            <span className={job.fit_status === 'qualified' ? 'tag-volt' : 'tag-gray'}>
+                              Fit {job.fit_score}
+                            </span>
+                          )}
                           <div className="text-right">
                             <div className="text-sm text-ink-400">{jobContactCount} contacts</div>
                             <div className="text-xs text-ink-500">{jobEmailCount} emails</div>
@@ -1122,6 +1747,14 @@ function WorkflowDetailView({
                     <div className="flex items-center gap-2 mt-2">
                       <MailIcon className="w-3.5 h-3.5 text-ink-500" />
                       <span className="text-sm text-ink-400">{selectedContact.email}</span>
+                      {selectedContact.email_status && (
+                        <span
+                          className={`${VERIFICATION_BADGES[selectedContact.email_status] || 'tag-gray'} text-xs`}
+                          title={selectedContact.email_verification?.is_disposable ? 'Disposable address' : undefined}
+                        >
+                          {selectedContact.email_status}
+                        </span>
+                      )}
                     </div>
                   )}
                 </div>
@@ -1170,6 +1803,7 @@ function WorkflowDetailView({
                   <div className={`px-5 py-3 flex items-center gap-2 ${isDark ? 'bg-ink-800/50 border-b border-ink-800/50' : 'bg-slate-50 border-b border-slate-200'}`}>
                     <MailIcon className="w-4 h-4 text-signal-400" />
                     <span className={`text-sm font-semibold ${isDark ? 'text-white' : 'text-slate-900'}`}>Email</span>
+                    <EmailTrackingStats tracking={contactEmail.tracking} isDark={isDark} />
                   </div>
                   
                   {/* Subject */}
@@ -1239,12 +1873,55 @@ function WorkflowDetailView({
                             </>
                           )}
                         </motion.button>
+
+                        {contactScheduledAt ? (
+                          <div className={`text-sm px-4 py-2 rounded-lg flex items-center gap-2 ${isDark ? 'text-signal-400 bg-signal-500/10' : 'text-blue-700 bg-blue-50'}`}>
+                            <ClockIcon className="w-4 h-4" />
+                            Scheduled for {new Date(contactScheduledAt).toLocaleString()} - manage it in the Send Queue
+                          </div>
+                        ) : !emailSent && (
+                          <motion.button
+                            onClick={() => handleScheduleEmail(contactEmail)}
+                            disabled={schedulingEmail || sendingEmail}
+                            className="w-full btn-secondary justify-center py-3"
+                            whileHover={!schedulingEmail ? { scale: 1.02 } : {}}
+                            whileTap={!schedulingEmail ? { scale: 0.98 } : {}}
+                          >
+                            <ClockIcon className="w-5 h-5" />
+                            {schedulingEmail ? 'Scheduling...' : "Schedule for Recipient's Business Hours"}
+                          </motion.button>
+                        )}
                         
                         {emailError && (
                           <div className="text-sm text-red-400 bg-red-500/10 px-4 py-2 rounded-lg">
                             {emailError}
                           </div>
                         )}
+
+                        {trackingAvailable && !emailSent && !contactEmail.sent_at && (
+                          <label className={`flex items-center gap-2 text-xs cursor-pointer ${isDark ? 'text-ink-400' : 'text-slate-500'}`}>
+                            <input
+                              type="checkbox"
+                              checked={trackingOverrides[contactEmail._id] ?? contactEmail.tracking?.enabled !== false}
+                              onChange={(e) => handleToggleTracking(contactEmail, e.target.checked)}
+                              className="accent-volt-500"
+                            />
+                            Track opens and link clicks
+                          </label>
+                        )}
+
+                        {heldEmailId === contactEmail._id && (
+                          <motion.button
+                            onClick={() => handleApproveAndSend(selectedContact, contactEmail)}
+                            disabled={sendingEmail}
+                            className="w-full btn-secondary justify-center py-3"
+                            whileHover={!sendingEmail ? { scale: 1.02 } : {}}
+                            whileTap={!sendingEmail ? { scale: 0.98 } : {}}
+                          >
+                            <SendIcon className="w-5 h-5" />
+                            Approve and Send Anyway
+                          </motion.button>
+                        )}
                       </div>
                     )}
 
@@ -1274,6 +1951,13 @@ function WorkflowDetailView({
                 </div>
               )}
 
+              <FollowUpSequencePanel
+                sequences={sequences}
+                onStop={handleStopSequence}
+                stoppingId={stoppingSequence}
+                isDark={isDark}
+              />
+
               {/* LinkedIn InMail Section */}
               {contactEmail.linkedin_inmail?.body && (
                 <div className={`rounded-2xl overflow-hidden ${isDark ? 'bg-gradient-to-br from-ink-900 to-ink-950 border border-ink-800' : 'bg-white border border-slate-200 shadow-sm'}`}>
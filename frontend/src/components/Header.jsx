@@ -1,4 +1,5 @@
 import { useTheme } from '../context/ThemeContext'
+import { useAuth } from '../context/AuthContext'
 import { motion } from 'framer-motion'
 
 const tabs = [
@@ -6,6 +7,8 @@ const tabs = [
   { id: 'jobs', label: 'Find Jobs', icon: JobIcon },
   { id: 'people', label: 'Find People', icon: PeopleIcon },
   { id: 'dashboard', label: 'Dashboard', icon: DashboardIcon },
+  { id: 'team', label: 'Team', icon: TeamIcon },
+  { id: 'settings', label: 'Settings', icon: SettingsIcon },
 ]
 
 function SunIcon({ className }) {
@@ -32,6 +35,16 @@ function MoonIcon({ className }) {
   )
 }
 
+function LogoutIcon({ className }) {
+  return (
+    <svg className={className} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+      <path d="M9 21H5a2 2 0 01-2-2V5a2 2 0 012-2h4" />
+      <polyline points="16 17 21 12 16 7" />
+      <line x1="21" y1="12" x2="9" y2="12" />
+    </svg>
+  )
+}
+
 function AgentIcon({ className }) {
   return (
     <svg className={className} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
@@ -76,8 +89,28 @@ function DashboardIcon({ className }) {
   )
 }
 
+function TeamIcon({ className }) {
+  return (
+    <svg className={className} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+      <circle cx="12" cy="8" r="3" />
+      <circle cx="5" cy="10" r="2" />
+      <circle cx="19" cy="10" r="2" />
+      <path d="M7 20v-1a5 5 0 0110 0v1M1 20v-1a3 3 0 014-2.83M23 20v-1a3 3 0 00-4-2.83" />
+    </svg>
+  )
+}
+
+function SettingsIcon({ className }) {
+  return (
+    <svg className={className} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+      <path d="M21 2l-2 2m-7.61 7.61a5.5 5.5 0 11-7.78 7.78 5.5 5.5 0 017.78-7.78zm0 0L15.5 7.5m0 0l3 3L22 7l-3-3m-3.5 3.5L19 4" />
+    </svg>
+  )
+}
+
 export default function Header({ activeTab, setActiveTab }) {
   const { isDark, toggleTheme } = useTheme()
+  const { user, logout } = useAuth()
   
   return (
     <header className={`sticky top-0 z-50 border-b transition-colors duration-300 ${
@@ -102,7 +135,7 @@ export default function Header({ activeTab, setActiveTab }) {
           </div>
 
           {/* Navigation Tabs */}
-          <nav className={`flex items-center gap-1 rounded-2xl p-1.5 transition-colors ${
+          {user && <nav className={`flex items-center gap-1 rounded-2xl p-1.5 transition-colors ${
             isDark ? 'bg-ink-900/50' : 'bg-slate-100'
           }`}>
             {tabs.map((tab) => {
@@ -126,9 +159,9 @@ export default function Header({ activeTab, setActiveTab }) {
                 </button>
               )
             })}
-          </nav>
+          </nav>}
 
-          {/* Right section: Theme toggle */}
+          {/* Right section: Theme toggle and account */}
           <div className="flex items-center gap-3">
             {/* Theme Toggle */}
             <motion.button
@@ -150,6 +183,27 @@ export default function Header({ activeTab, setActiveTab }) {
                 {isDark ? <SunIcon className="w-5 h-5" /> : <MoonIcon className="w-5 h-5" />}
               </motion.div>
             </motion.button>
+
+            {user && (
+              <>
+                <span className={`hidden md:inline text-sm ${isDark ? 'text-ink-400' : 'text-slate-500'}`} title={user.email}>
+                  {user.name || user.email}
+                </span>
+                <motion.button
+                  onClick={logout}
+                  className={`w-10 h-10 rounded-xl flex items-center justify-center transition-colors ${
+                    isDark 
+                      ? 'bg-ink-800 hover:bg-ink-700 text-ink-300 hover:text-white' 
+                      : 'bg-slate-100 hover:bg-slate-200 text-slate-600 hover:text-slate-900'
+                  }`}
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                  title="Log out"
+                >
+                  <LogoutIcon className="w-5 h-5" />
+                </motion.button>
+              </>
+            )}
           </div>
         </div>
       </div>
@@ -17,7 +17,10 @@ export default function JobCard({ job, compact = false }) {
     posted_date,
     skills,
     recruiter_name,
-    recruiter_linkedin
+    recruiter_linkedin,
+    fit_score,
+    fit_status,
+    fit_explanation
   } = job
 
   const formatSalary = () => {
@@ -100,6 +103,11 @@ export default function JobCard({ job, compact = false }) {
 
           {/* Tags */}
           <div className="flex flex-wrap gap-2 mb-4">
+            {fit_score != null && (
+              <span className={fit_status === 'qualified' ? 'tag-volt' : 'tag-gray'} title={fit_explanation}>
+                Fit {fit_score}
+              </span>
+            )}
             {location && (
               <span className="tag-gray">
                 <LocationIcon className="w-3 h-3 mr-1" />
@@ -1,6 +1,7 @@
 import { useState } from 'react'
 import JobCard from './JobCard'
 import SearchFilters from './SearchFilters'
+import { apiFetch } from '../context/AuthContext'
 
 const workArrangements = ['All', 'Remote', 'Hybrid', 'On-site']
 const seniorityLevels = ['All', 'Entry Level', 'Associate', 'Mid-Senior', 'Director', 'Executive']
@@ -51,7 +52,7 @@ export default function JobFinder({ onJobsFound }) {
       }
       if (employmentType !== 'All') params.employmentType = employmentType.toLowerCase()
 
-      const response = await fetch('/api/job-finder/search', {
+      const response = await apiFetch('/api/job-finder/search', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(params)
@@ -0,0 +1,125 @@
+import { useState, useEffect } from 'react'
+import { useAuth } from '../context/AuthContext'
+import { useTheme } from '../context/ThemeContext'
+
+export default function Login() {
+  const { login, register } = useAuth()
+  const { isDark } = useTheme()
+  const [mode, setMode] = useState('login')
+  const [signupOpen, setSignupOpen] = useState(false)
+  const [name, setName] = useState('')
+  const [email, setEmail] = useState('')
+  const [password, setPassword] = useState('')
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  // The first visitor creates the first account; after that signups are up to the server
+  useEffect(() => {
+    fetch('/api/auth/status')
+      .then(res => res.json())
+      .then(data => setSignupOpen(!!data.signup_open))
+      .catch(err => console.error('Auth status error:', err))
+  }, [])
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setLoading(true)
+    setError(null)
+
+    try {
+      if (mode === 'register') {
+        await register(name, email, password)
+      } else {
+        await login(email, password)
+      }
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const isRegister = mode === 'register'
+
+  return (
+    <div className="min-h-[70vh] flex items-center justify-center">
+      <div className="w-full max-w-md space-y-6">
+        <div className="text-center">
+          <h1 className={`font-display text-3xl font-semibold mb-2 ${isDark ? 'text-white' : 'text-slate-900'}`}>
+            {isRegister ? 'Create your account' : 'Welcome back'}
+          </h1>
+          <p className="text-ink-400">
+            {isRegister ? 'Your jobs, contacts and outreach stay private to your account.' : 'Log in to pick up where you left off.'}
+          </p>
+        </div>
+
+        <form onSubmit={handleSubmit} className="border-gradient p-6 space-y-4">
+          {isRegister && (
+            <div>
+              <label className="block text-sm font-medium text-ink-400 mb-2">Name (Optional)</label>
+              <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="Ada Lovelace"
+                className="input-dark w-full"
+                autoComplete="name"
+              />
+            </div>
+          )}
+          <div>
+            <label className="block text-sm font-medium text-ink-400 mb-2">Email</label>
+            <input
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder="you@example.com"
+              className="input-dark w-full"
+              autoComplete="email"
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-ink-400 mb-2">Password</label>
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder={isRegister ? 'At least 8 characters' : ''}
+              className="input-dark w-full"
+              autoComplete={isRegister ? 'new-password' : 'current-password'}
+              minLength={isRegister ? 8 : undefined}
+              required
+            />
+          </div>
+
+          {error && (
+            <div className="bg-signal-500/10 border border-signal-500/20 rounded-xl p-3 text-sm text-signal-400">
+              {error}
+            </div>
+          )}
+
+          <button
+            type="submit"
+            disabled={loading || !email.trim() || !password}
+            className="btn w-full bg-volt-500 text-ink-950 hover:bg-volt-400 px-6 py-3 rounded-xl font-medium transition-all disabled:opacity-50"
+          >
+            {loading ? (isRegister ? 'Creating account...' : 'Logging in...') : (isRegister ? 'Create Account' : 'Log In')}
+          </button>
+        </form>
+
+        {(signupOpen || isRegister) && (
+          <p className="text-center text-sm text-ink-400">
+            {isRegister ? 'Already have an account?' : 'New here?'}{' '}
+            <button
+              onClick={() => { setMode(isRegister ? 'login' : 'register'); setError(null) }}
+              className="text-volt-400 hover:text-volt-300 font-medium"
+            >
+              {isRegister ? 'Log in' : 'Create an account'}
+            </button>
+          </p>
+        )}
+      </div>
+    </div>
+  )
+}
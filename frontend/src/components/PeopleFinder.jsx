@@ -1,5 +1,6 @@
 import { useState } from 'react'
 import ContactCard from './ContactCard'
+import { apiFetch } from '../context/AuthContext'
 
 export default function PeopleFinder({ onContactsFound }) {
   const [company, setCompany] = useState('')
@@ -38,7 +39,7 @@ export default function PeopleFinder({ onContactsFound }) {
         if (role.trim()) params.role = role.trim()
       }
 
-      const response = await fetch('/api/people-finder/search', {
+      const response = await apiFetch('/api/people-finder/search', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(params)
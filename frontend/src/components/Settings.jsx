@@ -0,0 +1,178 @@
+import { useState, useEffect, useCallback } from 'react'
+import { apiFetch } from '../context/AuthContext'
+import { useTheme } from '../context/ThemeContext'
+
+function ProviderCard({ provider, onSaved }) {
+  const { isDark } = useTheme()
+  const [values, setValues] = useState({})
+  const [busy, setBusy] = useState(null)
+  const [result, setResult] = useState(null)
+
+  const hasChanges = Object.values(values).some(value => value !== '')
+
+  // Only send fields that were typed in - blank inputs keep the saved value
+  const changedValues = () => Object.fromEntries(Object.entries(values).filter(([, value]) => value !== ''))
+
+  const request = async (action, method, path, body) => {
+    setBusy(action)
+    setResult(null)
+    try {
+      const res = await apiFetch(path, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        ...(body && { body: JSON.stringify(body) })
+      })
+      const data = await res.json()
+      if (action === 'test') {
+        setResult({ success: !!data.success, message: data.message || data.error })
+      } else if (!res.ok) {
+        setResult({ success: false, message: data.error || 'Something went wrong' })
+      } else {
+        setResult({ success: true, message: data.message })
+        setValues({})
+        onSaved(data.credentials)
+      }
+    } catch (err) {
+      setResult({ success: false, message: err.message })
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const save = () => request('save', 'PUT', `/api/credentials/${provider.provider}`, changedValues())
+  const test = () => request('test', 'POST', `/api/credentials/${provider.provider}/test`, hasChanges ? changedValues() : null)
+  const remove = () => request('remove', 'DELETE', `/api/credentials/${provider.provider}`)
+
+  return (
+    <div className="border-gradient p-6 space-y-4">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h3 className={`font-display text-lg font-semibold ${isDark ? 'text-white' : 'text-slate-900'}`}>{provider.label}</h3>
+          <p className="text-sm text-ink-400">{provider.description}</p>
+        </div>
+        <span className={`text-xs px-2.5 py-1 rounded-full font-medium ${
+          provider.configured ? 'bg-volt-500/10 text-volt-400' : 'bg-ink-500/10 text-ink-400'
+        }`}>
+          {provider.configured ? 'Connected' : 'Using mock'}
+        </span>
+      </div>
+
+      <div className="grid sm:grid-cols-2 gap-3">
+        {provider.fields.map(field => (
+          <div key={field.name}>
+            <label className="block text-xs font-medium text-ink-400 mb-1.5">
+              {field.name.replace(/_/g, ' ')}{field.required ? '' : ' (optional)'}
+            </label>
+            <input
+              type={field.secret ? 'password' : 'text'}
+              value={values[field.name] ?? ''}
+              onChange={(e) => setValues(prev => ({ ...prev, [field.name]: e.target.value }))}
+              placeholder={field.value || field.env}
+              className="input-dark w-full"
+              autoComplete="off"
+            />
+          </div>
+        ))}
+      </div>
+
+      {result && (
+        <div className={`rounded-xl p-3 text-sm border ${
+          result.success ? 'bg-volt-500/10 border-volt-500/20 text-volt-400' : 'bg-signal-500/10 border-signal-500/20 text-signal-400'
+        }`}>
+          {result.message}
+        </div>
+      )}
+
+      {!result && provider.last_test && (
+        <p className="text-xs text-ink-400">
+          Last test {new Date(provider.last_test.tested_at).toLocaleString()}: {provider.last_test.success ? 'OK' : provider.last_test.message}
+        </p>
+      )}
+
+      {provider.error && (
+        <p className="text-xs text-signal-400">Saved credentials can't be read: {provider.error}</p>
+      )}
+
+      <div className="flex flex-wrap gap-2">
+        <button
+          onClick={save}
+          disabled={!!busy || !hasChanges}
+          className="btn bg-volt-500 text-ink-950 hover:bg-volt-400 px-4 py-2 rounded-xl text-sm font-medium transition-all disabled:opacity-50"
+        >
+          {busy === 'save' ? 'Saving...' : 'Save'}
+        </button>
+        <button
+          onClick={test}
+          disabled={!!busy || (!provider.configured && !hasChanges)}
+          className="btn-ghost text-sm disabled:opacity-50"
+        >
+          {busy === 'test' ? 'Testing...' : 'Test connection'}
+        </button>
+        {provider.configured && (
+          <button
+            onClick={remove}
+            disabled={!!busy}
+            className="btn-ghost text-sm text-signal-400 disabled:opacity-50"
+          >
+            {busy === 'remove' ? 'Removing...' : 'Remove'}
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default function Settings() {
+  const { isDark } = useTheme()
+  const [providers, setProviders] = useState([])
+  const [sharedFallback, setSharedFallback] = useState(false)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const fetchCredentials = useCallback(async () => {
+    try {
+      const res = await apiFetch('/api/credentials')
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error || 'Failed to load credentials')
+      setProviders(data.providers || [])
+      setSharedFallback(!!data.shared_fallback)
+    } catch (err) {
+      console.error('Credentials fetch error:', err)
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    fetchCredentials()
+  }, [fetchCredentials])
+
+  const handleSaved = (updated) => {
+    setProviders(prev => prev.map(p => p.provider === updated.provider ? updated : p))
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      <div>
+        <h1 className={`font-display text-3xl font-semibold mb-2 ${isDark ? 'text-white' : 'text-slate-900'}`}>Provider Keys</h1>
+        <p className="text-ink-400">
+          Searches, lookups, drafts and emails run on your own accounts. Keys are encrypted on the server and never shown again.
+          {sharedFallback ? ' Providers you leave empty use the server\'s keys.' : ' Providers you leave empty use mock data.'}
+        </p>
+      </div>
+
+      {loading && <p className="text-ink-400">Loading...</p>}
+
+      {error && (
+        <div className="bg-signal-500/10 border border-signal-500/20 rounded-xl p-3 text-sm text-signal-400">
+          {error}
+        </div>
+      )}
+
+      {providers.map(provider => (
+        <ProviderCard key={provider.provider} provider={provider} onSaved={handleSaved} />
+      ))}
+    </div>
+  )
+}
@@ -0,0 +1,453 @@
+import { useState, useEffect, useCallback } from 'react'
+import { apiFetch, useAuth } from '../context/AuthContext'
+import { useTheme } from '../context/ThemeContext'
+
+const ROLES = ['admin', 'member', 'viewer']
+
+const formatUsd = (value) => `$${(value || 0).toFixed(2)}`
+
+async function request(path, options = {}) {
+  const res = await apiFetch(path, {
+    ...options,
+    headers: { 'Content-Type': 'application/json' },
+    ...(options.body && { body: JSON.stringify(options.body) })
+  })
+  const data = await res.json()
+  if (!res.ok) throw new Error(data.error || 'Something went wrong')
+  return data
+}
+
+function Members({ workspace, user, onChange, onError }) {
+  const [email, setEmail] = useState('')
+  const [role, setRole] = useState('member')
+  const canManage = workspace.role === 'owner' || workspace.role === 'admin'
+
+  const run = async (path, options) => {
+    try {
+      const data = await request(path, options)
+      onChange(data.workspace)
+    } catch (err) {
+      onError(err.message)
+    }
+  }
+
+  const add = async (e) => {
+    e.preventDefault()
+    await run(`/api/workspaces/${workspace._id}/members`, { method: 'POST', body: { email, role } })
+    setEmail('')
+  }
+
+  return (
+    <div className="space-y-3">
+      {workspace.members.map(member => (
+        <div key={member.user_id} className="flex items-center justify-between gap-3 p-3 rounded-xl bg-ink-900/50 border border-ink-800">
+          <div className="min-w-0">
+            <p className="text-white truncate">{member.name || member.email}{member.user_id === user._id ? ' (you)' : ''}</p>
+            {member.name && <p className="text-xs text-ink-400 truncate">{member.email}</p>}
+          </div>
+          <div className="flex items-center gap-2">
+            {canManage && member.role !== 'owner' && member.user_id !== user._id ? (
+              <select
+                value={member.role}
+                onChange={(e) => run(`/api/workspaces/${workspace._id}/members/${member.user_id}`, { method: 'PUT', body: { role: e.target.value } })}
+                className="input-dark text-sm py-1"
+              >
+                {(workspace.role === 'owner' ? ['owner', ...ROLES] : ROLES).map(option => (
+                  <option key={option} value={option}>{option}</option>
+                ))}
+              </select>
+            ) : (
+              <span className="text-xs px-2.5 py-1 rounded-full bg-ink-500/10 text-ink-400">{member.role}</span>
+            )}
+            {member.role !== 'owner' && (canManage || member.user_id === user._id) && (
+              <button
+                onClick={() => run(`/api/workspaces/${workspace._id}/members/${member.user_id}`, { method: 'DELETE' })}
+                className="btn-ghost text-xs text-signal-400"
+              >
+                {member.user_id === user._id ? 'Leave' : 'Remove'}
+              </button>
+            )}
+          </div>
+        </div>
+      ))}
+
+      {canManage && (
+        <form onSubmit={add} className="flex flex-wrap gap-2">
+          <input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="teammate@example.com"
+            className="input-dark flex-1 min-w-[200px]"
+            required
+          />
+          <select value={role} onChange={(e) => setRole(e.target.value)} className="input-dark">
+            {ROLES.filter(option => option !== 'admin' || workspace.role === 'owner').map(option => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </select>
+          <button type="submit" className="btn bg-volt-500 text-ink-950 hover:bg-volt-400 px-4 py-2 rounded-xl text-sm font-medium">
+            Add member
+          </button>
+        </form>
+      )}
+    </div>
+  )
+}
+
+function ContactPool({ workspace, onError }) {
+  const [contacts, setContacts] = useState([])
+  const [company, setCompany] = useState('')
+  const [loading, setLoading] = useState(true)
+  const canClaim = workspace.role !== 'viewer'
+  const canRelease = workspace.role === 'owner' || workspace.role === 'admin'
+
+  const fetchContacts = useCallback(async () => {
+    setLoading(true)
+    try {
+      const query = company ? `?company=${encodeURIComponent(company)}` : ''
+      const data = await request(`/api/workspaces/${workspace._id}/contacts${query}`)
+      setContacts(data.contacts || [])
+    } catch (err) {
+      onError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [workspace._id, company, onError])
+
+  useEffect(() => {
+    fetchContacts()
+  }, [fetchContacts])
+
+  const act = async (path, options) => {
+    try {
+      await request(path, options)
+      fetchContacts()
+    } catch (err) {
+      onError(err.message)
+    }
+  }
+
+  return (
+    <div className="space-y-4">
+      <input
+        value={company}
+        onChange={(e) => setCompany(e.target.value)}
+        placeholder="Filter by company"
+        className="input-dark w-full sm:w-72"
+      />
+      {loading ? (
+        <p className="text-ink-400">Loading...</p>
+      ) : contacts.length === 0 ? (
+        <p className="text-ink-400">Nobody in this workspace has found contacts yet.</p>
+      ) : (
+        <div className="space-y-3">
+          {contacts.map(contact => (
+            <div key={contact.person_key} className="p-4 rounded-xl bg-ink-900/50 border border-ink-800 space-y-2">
+              <div className="flex items-start justify-between gap-3">
+                <div className="min-w-0">
+                  <p className="font-medium text-white truncate">{contact.name || contact.email}</p>
+                  <p className="text-sm text-ink-400 truncate">{[contact.title, contact.company].filter(Boolean).join(' at ')}</p>
+                  <p className="text-xs text-ink-500 mt-1">
+                    Found by {contact.found_by.map(finder => finder.name).join(', ')}
+                    {contact.email ? ` · ${contact.email}` : ''}
+                  </p>
+                </div>
+                {canClaim && !contact.claims.some(claim => !claim.job_title) && (
+                  <button
+                    onClick={() => act(`/api/workspaces/${workspace._id}/claims`, { method: 'POST', body: { contact_id: contact.contact_ids[0] } })}
+                    disabled={contact.claims.some(claim => !claim.mine)}
+                    className="btn-ghost text-sm disabled:opacity-50"
+                    title="Claim for every job"
+                  >
+                    Claim
+                  </button>
+                )}
+              </div>
+              {contact.claims.length > 0 && (
+                <div className="flex flex-wrap gap-1.5">
+                  {contact.claims.map(claim => (
+                    <span
+                      key={claim._id}
+                      className={`inline-flex items-center gap-1.5 text-xs px-2 py-0.5 rounded-full border ${
+                        claim.mine ? 'bg-volt-500/10 border-volt-500/20 text-volt-400' : 'bg-signal-500/10 border-signal-500/20 text-signal-400'
+                      }`}
+                    >
+                      Claimed by {claim.mine ? 'you' : claim.claimed_by?.name} {claim.job_title ? `for ${claim.job_title}` : 'for every job'}
+                      {(claim.mine || canRelease) && (
+                        <button
+                          onClick={() => act(`/api/workspaces/${workspace._id}/claims/${claim._id}`, { method: 'DELETE' })}
+                          className="hover:text-white"
+                          title="Release"
+                        >
+                          ×
+                        </button>
+                      )}
+                    </span>
+                  ))}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+function CompanyPool({ workspace, onError }) {
+  const [companies, setCompanies] = useState([])
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    setLoading(true)
+    request(`/api/workspaces/${workspace._id}/companies`)
+      .then(data => setCompanies(data.companies || []))
+      .catch(err => onError(err.message))
+      .finally(() => setLoading(false))
+  }, [workspace._id, onError])
+
+  if (loading) return <p className="text-ink-400">Loading...</p>
+  if (companies.length === 0) return <p className="text-ink-400">No companies yet - run a search or an agent workflow.</p>
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full">
+        <thead>
+          <tr className="text-left text-sm text-ink-400 border-b border-ink-800">
+            <th className="pb-3 font-medium">Company</th>
+            <th className="pb-3 font-medium">Jobs</th>
+            <th className="pb-3 font-medium">People</th>
+            <th className="pb-3 font-medium">Claimed</th>
+            <th className="pb-3 font-medium">Found by</th>
+          </tr>
+        </thead>
+        <tbody>
+          {companies.map(company => (
+            <tr key={company.name} className="border-b border-ink-900 text-sm">
+              <td className="py-3 text-white">{company.name}</td>
+              <td className="py-3 text-ink-300">{company.jobs}</td>
+              <td className="py-3 text-ink-300">{company.contacts}</td>
+              <td className="py-3 text-ink-300">{company.claims}</td>
+              <td className="py-3 text-ink-400">{company.found_by.map(finder => finder.name).join(', ')}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+function Spend({ workspace, onError }) {
+  const [days, setDays] = useState(30)
+  const [spend, setSpend] = useState(null)
+
+  useEffect(() => {
+    request(`/api/workspaces/${workspace._id}/spend?days=${days}`)
+      .then(setSpend)
+      .catch(err => onError(err.message))
+  }, [workspace._id, days, onError])
+
+  if (!spend) return <p className="text-ink-400">Loading...</p>
+
+  const maxDaily = Math.max(...spend.daily.map(day => day.total_usd), 0.01)
+  const categories = Object.entries(spend.by_category).filter(([, total]) => total > 0)
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <p className="font-display text-3xl text-volt-400">{formatUsd(spend.total_usd)}</p>
+        <select value={days} onChange={(e) => setDays(parseInt(e.target.value))} className="input-dark">
+          {[7, 30, 90, 365].map(option => <option key={option} value={option}>Last {option} days</option>)}
+        </select>
+      </div>
+
+      {spend.daily.length > 0 && (
+        <div className="flex items-end gap-1 h-24">
+          {spend.daily.map(day => (
+            <div
+              key={day.date}
+              className="flex-1 bg-volt-500/50 rounded-t"
+              style={{ height: `${Math.max(4, (day.total_usd / maxDaily) * 100)}%` }}
+              title={`${day.date}: ${formatUsd(day.total_usd)}`}
+            />
+          ))}
+        </div>
+      )}
+
+      <table className="w-full">
+        <thead>
+          <tr className="text-left text-sm text-ink-400 border-b border-ink-800">
+            <th className="pb-3 font-medium">Member</th>
+            <th className="pb-3 font-medium">Searches</th>
+            <th className="pb-3 font-medium">Workflows</th>
+            <th className="pb-3 font-medium">Total</th>
+          </tr>
+        </thead>
+        <tbody>
+          {spend.members.map(member => (
+            <tr key={member.user_id} className="border-b border-ink-900 text-sm">
+              <td className="py-3 text-white">{member.name}</td>
+              <td className="py-3 text-ink-300">{formatUsd(member.searches_usd)} <span className="text-ink-500">({member.searches})</span></td>
+              <td className="py-3 text-ink-300">{formatUsd(member.workflows_usd)} <span className="text-ink-500">({member.workflows})</span></td>
+              <td className="py-3 font-mono text-volt-400">{formatUsd(member.total_usd)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="grid sm:grid-cols-2 gap-4">
+        <div>
+          <h4 className="text-sm font-medium text-ink-400 mb-2">By provider</h4>
+          {spend.by_provider.length === 0 && <p className="text-sm text-ink-500">No receipts</p>}
+          {spend.by_provider.map(row => (
+            <div key={row.provider} className="flex justify-between text-sm py-1">
+              <span className="text-ink-300">{row.provider}</span>
+              <span className="font-mono text-ink-300">{formatUsd(row.total_usd)}</span>
+            </div>
+          ))}
+        </div>
+        <div>
+          <h4 className="text-sm font-medium text-ink-400 mb-2">Workflows by step</h4>
+          {categories.length === 0 && <p className="text-sm text-ink-500">No workflow spend</p>}
+          {categories.map(([category, total]) => (
+            <div key={category} className="flex justify-between text-sm py-1">
+              <span className="text-ink-300">{category.replace(/_/g, ' ')}</span>
+              <span className="font-mono text-ink-300">{formatUsd(total)}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default function Team() {
+  const { isDark } = useTheme()
+  const { user } = useAuth()
+  const [workspaces, setWorkspaces] = useState([])
+  const [workspace, setWorkspace] = useState(null)
+  const [view, setView] = useState('contacts')
+  const [name, setName] = useState('')
+  const [error, setError] = useState(null)
+  const [loading, setLoading] = useState(true)
+
+  const fetchWorkspaces = useCallback(async () => {
+    try {
+      const data = await request('/api/workspaces')
+      setWorkspaces(data.workspaces || [])
+      return data.workspaces || []
+    } catch (err) {
+      setError(err.message)
+      return []
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  const openWorkspace = useCallback(async (id) => {
+    setError(null)
+    try {
+      const data = await request(`/api/workspaces/${id}`)
+      setWorkspace(data.workspace)
+      setView('contacts')
+    } catch (err) {
+      setError(err.message)
+    }
+  }, [])
+
+  useEffect(() => {
+    fetchWorkspaces().then(list => list[0] && openWorkspace(list[0]._id))
+  }, [fetchWorkspaces, openWorkspace])
+
+  const create = async (e) => {
+    e.preventDefault()
+    try {
+      const data = await request('/api/workspaces', { method: 'POST', body: { name } })
+      setName('')
+      await fetchWorkspaces()
+      setWorkspace(data.workspace)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  // Leaving a workspace returns none
+  const handleMembersChange = (updated) => {
+    setWorkspace(updated || null)
+    fetchWorkspaces()
+  }
+
+  const views = [
+    { id: 'contacts', label: 'Contacts' },
+    { id: 'companies', label: 'Companies' },
+    { id: 'members', label: 'Members' },
+    ...(workspace && (workspace.role === 'owner' || workspace.role === 'admin') ? [{ id: 'spend', label: 'Spend' }] : [])
+  ]
+
+  return (
+    <div className="max-w-5xl mx-auto space-y-6">
+      <div>
+        <h1 className={`font-display text-3xl font-semibold mb-2 ${isDark ? 'text-white' : 'text-slate-900'}`}>Team</h1>
+        <p className="text-ink-400">
+          Share the people and companies you find with your team. Claim a contact so teammates don't email them about the same job.
+        </p>
+      </div>
+
+      {error && (
+        <div className="bg-signal-500/10 border border-signal-500/20 rounded-xl p-3 text-sm text-signal-400">
+          {error}
+        </div>
+      )}
+
+      {loading && <p className="text-ink-400">Loading...</p>}
+
+      <div className="flex flex-wrap items-center gap-2">
+        {workspaces.map(entry => (
+          <button
+            key={entry._id}
+            onClick={() => openWorkspace(entry._id)}
+            className={`px-4 py-2 rounded-xl text-sm font-medium border transition-all ${
+              workspace?._id === entry._id ? 'bg-volt-500/10 border-volt-500/30 text-volt-400' : 'border-ink-800 text-ink-400 hover:text-white'
+            }`}
+          >
+            {entry.name} <span className="text-xs text-ink-500">· {entry.role}</span>
+          </button>
+        ))}
+        <form onSubmit={create} className="flex gap-2">
+          <input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="New workspace"
+            className="input-dark"
+            required
+          />
+          <button type="submit" className="btn-ghost text-sm">Create</button>
+        </form>
+      </div>
+
+      {workspace && (
+        <div className="border-gradient p-6 space-y-5">
+          <div className="flex gap-1">
+            {views.map(entry => (
+              <button
+                key={entry.id}
+                onClick={() => setView(entry.id)}
+                className={`px-4 py-2 rounded-xl text-sm font-medium transition-all ${
+                  view === entry.id ? 'bg-volt-500 text-ink-950' : 'text-ink-400 hover:text-white'
+                }`}
+              >
+                {entry.label}
+              </button>
+            ))}
+          </div>
+
+          {view === 'contacts' && <ContactPool workspace={workspace} onError={setError} />}
+          {view === 'companies' && <CompanyPool workspace={workspace} onError={setError} />}
+          {view === 'members' && <Members workspace={workspace} user={user} onChange={handleMembersChange} onError={setError} />}
+          {view === 'spend' && <Spend workspace={workspace} onError={setError} />}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,98 @@
+import { createContext, useContext, useState, useEffect, useCallback } from 'react'
+
+const AuthContext = createContext(null)
+
+const TOKEN_KEY = 'introlink_token'
+const UNAUTHORIZED_EVENT = 'introlink:unauthorized'
+
+// fetch() with the session token - a 401 means the session ended, so it logs the user out
+export async function apiFetch(url, options = {}) {
+  const token = localStorage.getItem(TOKEN_KEY)
+  const response = await fetch(url, {
+    ...options,
+    headers: { ...options.headers, ...(token && { Authorization: `Bearer ${token}` }) }
+  })
+
+  if (response.status === 401 && token) {
+    window.dispatchEvent(new Event(UNAUTHORIZED_EVENT))
+  }
+  return response
+}
+
+// EventSource can't send headers, so the token goes in the query string
+export function withAccessToken(url) {
+  const token = localStorage.getItem(TOKEN_KEY)
+  if (!token) return url
+  return `${url}${url.includes('?') ? '&' : '?'}access_token=${encodeURIComponent(token)}`
+}
+
+export function AuthProvider({ children }) {
+  const [user, setUser] = useState(null)
+  // Only wait for /api/auth/me if there's a saved session to restore
+  const [loading, setLoading] = useState(() => !!localStorage.getItem(TOKEN_KEY))
+
+  const clearSession = useCallback(() => {
+    localStorage.removeItem(TOKEN_KEY)
+    localStorage.removeItem('introlink_active_workflow')
+    setUser(null)
+  }, [])
+
+  // Restore the saved session on load
+  useEffect(() => {
+    if (!localStorage.getItem(TOKEN_KEY)) return
+
+    apiFetch('/api/auth/me')
+      .then(res => res.ok ? res.json() : null)
+      .then(data => data ? setUser(data.user) : clearSession())
+      .catch(err => console.error('Session restore error:', err))
+      .finally(() => setLoading(false))
+  }, [clearSession])
+
+  useEffect(() => {
+    window.addEventListener(UNAUTHORIZED_EVENT, clearSession)
+    return () => window.removeEventListener(UNAUTHORIZED_EVENT, clearSession)
+  }, [clearSession])
+
+  const authenticate = async (path, body) => {
+    const res = await fetch(`/api/auth/${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    })
+    const data = await res.json()
+    if (!res.ok) {
+      throw new Error(data.error || 'Something went wrong')
+    }
+
+    localStorage.setItem(TOKEN_KEY, data.token)
+    setUser(data.user)
+    return data.user
+  }
+
+  const login = (email, password) => authenticate('login', { email, password })
+
+  const register = (name, email, password) => authenticate('register', { name, email, password })
+
+  const logout = async () => {
+    try {
+      await apiFetch('/api/auth/logout', { method: 'POST' })
+    } catch (err) {
+      console.error('Logout error:', err)
+    }
+    clearSession()
+  }
+
+  return (
+    <AuthContext.Provider value={{ user, loading, login, register, logout }}>
+      {children}
+    </AuthContext.Provider>
+  )
+}
+
+export function useAuth() {
+  const context = useContext(AuthContext)
+  if (!context) {
+    throw new Error('useAuth must be used within an AuthProvider')
+  }
+  return context
+}
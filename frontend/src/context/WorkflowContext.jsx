@@ -1,7 +1,78 @@
 import { createContext, useContext, useState, useEffect, useRef, useCallback } from 'react'
+import { apiFetch, withAccessToken } from './AuthContext'
 
 const WorkflowContext = createContext(null)
 
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled']
+const STREAM_EVENTS = ['progress', 'job_found', 'contact_found', 'contact_enriched', 'email_drafted', 'complete', 'workflow_error']
+
+// Apply one streamed workflow event to the status snapshot from /api/agent/status
+function applyWorkflowEvent(prev, type, data) {
+  if (!prev) return prev
+
+  const workflow = prev.workflow || {}
+  const summary = prev.summary || {}
+  const recent = prev.recent || {}
+  const feedItem = (item) => [{ ...item, timestamp: data.timestamp }, ...(prev.activity_feed || [])].slice(0, 8)
+
+  switch (type) {
+    case 'progress':
+      return {
+        ...prev,
+        workflow: {
+          ...workflow,
+          ...(data.status && { status: data.status }),
+          ...(data.data?.total_cost_usd !== undefined && {
+            total_cost_usd: data.data.total_cost_usd,
+            cost_breakdown: data.data.cost_breakdown
+          }),
+          progress: {
+            ...workflow.progress,
+            ...(data.status && { current_step: data.step }),
+            ...(data.role && { current_role: data.role })
+          }
+        }
+      }
+
+    case 'job_found':
+      return {
+        ...prev,
+        summary: { ...summary, jobs_count: (summary.jobs_count || 0) + 1 },
+        recent: { ...recent, jobs: [data.job, ...(recent.jobs || [])].slice(0, 5) },
+        activity_feed: feedItem({ type: 'job', title: `Found job: ${data.job.title}`, subtitle: data.job.company_name })
+      }
+
+    case 'contact_found':
+      return {
+        ...prev,
+        summary: { ...summary, contacts_count: (summary.contacts_count || 0) + 1 },
+        recent: { ...recent, contacts: [data.contact, ...(recent.contacts || [])].slice(0, 5) },
+        activity_feed: feedItem({ type: 'contact', title: `Found contact: ${data.contact.name}`, subtitle: `${data.contact.title} at ${data.contact.company}` })
+      }
+
+    case 'contact_enriched':
+      return {
+        ...prev,
+        recent: {
+          ...recent,
+          contacts: (recent.contacts || []).map(c => c._id === data.contact._id ? data.contact : c)
+        },
+        activity_feed: feedItem({ type: 'contact', title: `Found email for ${data.contact.name}`, subtitle: data.contact.email })
+      }
+
+    case 'email_drafted':
+      return {
+        ...prev,
+        summary: { ...summary, emails_count: (summary.emails_count || 0) + 1 },
+        recent: { ...recent, emails: [data.email, ...(recent.emails || [])].slice(0, 5) },
+        activity_feed: feedItem({ type: 'email', title: `Drafted email for ${data.email.recipient_name}`, subtitle: data.email.subject?.substring(0, 50) })
+      }
+
+    default:
+      return prev
+  }
+}
+
 export function WorkflowProvider({ children }) {
   // Active workflow state - persists across navigation
   const [activeWorkflowId, setActiveWorkflowId] = useState(() => {
@@ -9,9 +80,9 @@ export function WorkflowProvider({ children }) {
   })
   const [workflowStatus, setWorkflowStatus] = useState(null)
   const [workflowResults, setWorkflowResults] = useState(null)
-  
-  // Polling ref
-  const pollIntervalRef = useRef(null)
+
+  // Live event stream ref
+  const eventSourceRef = useRef(null)
 
   // Persist active workflow ID
   useEffect(() => {
@@ -22,79 +93,108 @@ export function WorkflowProvider({ children }) {
     }
   }, [activeWorkflowId])
 
-  // Poll for workflow status
+  const closeStream = useCallback(() => {
+    if (eventSourceRef.current) {
+      eventSourceRef.current.close()
+      eventSourceRef.current = null
+    }
+  }, [])
+
+  // Fetch the full workflow status (used as the baseline the stream updates)
   const pollWorkflowStatus = useCallback(async (workflowId) => {
     if (!workflowId) return
 
     try {
-      const res = await fetch(`/api/agent/status/${workflowId}`)
+      const res = await apiFetch(`/api/agent/status/${workflowId}`)
       if (!res.ok) {
         console.error('Failed to fetch workflow status')
         return
       }
-      
+
       const data = await res.json()
       setWorkflowStatus(data)
 
-      // If workflow is complete, fetch results and stop polling
-      if (['completed', 'failed', 'cancelled'].includes(data.workflow?.status)) {
-        clearInterval(pollIntervalRef.current)
-        pollIntervalRef.current = null
-        
+      // If workflow is complete, fetch results and stop streaming
+      if (FINISHED_STATUSES.includes(data.workflow?.status)) {
+        closeStream()
+
         // Fetch full results
-        const resultsRes = await fetch(`/api/agent/results/${workflowId}`)
+        const resultsRes = await apiFetch(`/api/agent/results/${workflowId}`)
         if (resultsRes.ok) {
           const resultsData = await resultsRes.json()
           setWorkflowResults(resultsData)
         }
       }
+
+      return data
     } catch (err) {
-      console.error('Polling error:', err)
+      console.error('Status fetch error:', err)
     }
-  }, [])
+  }, [closeStream])
+
+  // Subscribe to live workflow events (EventSource resends Last-Event-ID on reconnect)
+  const openStream = useCallback((workflowId) => {
+    closeStream()
+
+    const source = new EventSource(withAccessToken(`/api/agent/stream/${workflowId}`))
+    eventSourceRef.current = source
+
+    STREAM_EVENTS.forEach((type) => {
+      source.addEventListener(type, (e) => {
+        if (!e.data) return
+        const data = JSON.parse(e.data)
+        setWorkflowStatus(prev => applyWorkflowEvent(prev, type, data))
+
+        // Terminal events: refresh the full status and results once
+        if (type === 'complete' || type === 'workflow_error' || (type === 'progress' && FINISHED_STATUSES.includes(data.status))) {
+          pollWorkflowStatus(workflowId)
+        }
+      })
+    })
+
+    source.onerror = () => {
+      console.error('Workflow event stream disconnected, reconnecting...')
+    }
+  }, [closeStream, pollWorkflowStatus])
 
-  // Start polling when there's an active workflow
+  // Watch a workflow: load its status, then stream updates while it runs
+  const watchWorkflow = useCallback(async (workflowId) => {
+    const data = await pollWorkflowStatus(workflowId)
+    if (!FINISHED_STATUSES.includes(data?.workflow?.status)) {
+      openStream(workflowId)
+    }
+  }, [pollWorkflowStatus, openStream])
+
+  // Start streaming when there's an active workflow
   useEffect(() => {
-    if (activeWorkflowId && !pollIntervalRef.current) {
-      // Initial fetch
-      pollWorkflowStatus(activeWorkflowId)
-      
-      // Start polling - faster for more responsive updates
-      pollIntervalRef.current = setInterval(() => {
-        pollWorkflowStatus(activeWorkflowId)
-      }, 1500) // Poll every 1.5 seconds for better UX
+    if (activeWorkflowId && !eventSourceRef.current) {
+      watchWorkflow(activeWorkflowId)
     }
 
     return () => {
-      // Don't clear interval on unmount - we want to keep polling
+      // Don't close the stream on unmount - we want to keep receiving events
     }
-  }, [activeWorkflowId, pollWorkflowStatus])
+  }, [activeWorkflowId, watchWorkflow])
 
   // Start a new workflow
   const startWorkflow = async (params) => {
-    const res = await fetch('/api/agent/start', {
+    const res = await apiFetch('/api/agent/start', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(params)
     })
 
     const data = await res.json()
-    
+
     if (!res.ok) {
       throw new Error(data.error || 'Failed to start workflow')
     }
 
     setActiveWorkflowId(data.workflowId)
-    setWorkflowStatus({ workflow: { status: 'pending', progress: { current_step: 'Starting...' } } })
+    setWorkflowStatus({ workflow: { status: 'queued', progress: { current_step: 'Waiting in queue' } }, queue: data.queue })
     setWorkflowResults(null)
-    
-    // Start polling - faster for more responsive updates
-    if (pollIntervalRef.current) {
-      clearInterval(pollIntervalRef.current)
-    }
-    pollIntervalRef.current = setInterval(() => {
-      pollWorkflowStatus(data.workflowId)
-    }, 1500)
+
+    await watchWorkflow(data.workflowId)
 
     return data
   }
@@ -102,9 +202,9 @@ export function WorkflowProvider({ children }) {
   // Cancel workflow
   const cancelWorkflow = async () => {
     if (!activeWorkflowId) return
-    
+
     try {
-      await fetch(`/api/agent/cancel/${activeWorkflowId}`, { method: 'POST' })
+      await apiFetch(`/api/agent/cancel/${activeWorkflowId}`, { method: 'POST' })
     } catch (err) {
       console.error('Cancel error:', err)
     }
@@ -112,10 +212,7 @@ export function WorkflowProvider({ children }) {
 
   // Clear active workflow (when viewing a completed one)
   const clearActiveWorkflow = () => {
-    if (pollIntervalRef.current) {
-      clearInterval(pollIntervalRef.current)
-      pollIntervalRef.current = null
-    }
+    closeStream()
     setActiveWorkflowId(null)
     setWorkflowStatus(null)
     setWorkflowResults(null)
@@ -123,25 +220,17 @@ export function WorkflowProvider({ children }) {
 
   // Resume watching a workflow (e.g., from dashboard)
   const resumeWorkflow = async (workflowId) => {
+    closeStream()
     setActiveWorkflowId(workflowId)
     setWorkflowStatus(null)
     setWorkflowResults(null)
-    
-    // Fetch initial status
-    await pollWorkflowStatus(workflowId)
-    
-    // Start polling if not complete - faster for responsiveness
-    if (pollIntervalRef.current) {
-      clearInterval(pollIntervalRef.current)
-    }
-    pollIntervalRef.current = setInterval(() => {
-      pollWorkflowStatus(workflowId)
-    }, 1500)
+
+    await watchWorkflow(workflowId)
   }
 
   // Check if there's a running workflow
-  const isWorkflowRunning = workflowStatus?.workflow?.status && 
-    !['completed', 'failed', 'cancelled'].includes(workflowStatus.workflow.status)
+  const isWorkflowRunning = workflowStatus?.workflow?.status &&
+    !FINISHED_STATUSES.includes(workflowStatus.workflow.status)
 
   const value = {
     activeWorkflowId,
@@ -169,4 +258,3 @@ export function useWorkflow() {
   }
   return context
 }
-